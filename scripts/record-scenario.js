@@ -0,0 +1,110 @@
+/**
+ * Nocturne - Storm Scenario Recorder
+ *
+ * Polls the NOAA feeds the aurora pipeline uses and saves them as a
+ * replayable scenario (see src/js/scenarios.js and SIMULATION_SCENARIO).
+ * The file is rewritten after every poll, so stopping early keeps what
+ * was recorded so far.
+ *
+ * Usage: node scripts/record-scenario.js <id> [--minutes=180] [--interval=5] [--name="..."]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { appendRecording, validateScenario } from '../src/js/scenarios.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scenarios');
+
+// Same products as NOAA_APIS in server.js
+const FEEDS = {
+  plasma: 'https://services.swpc.noaa.gov/products/solar-wind/plasma-7-day.json',
+  mag: 'https://services.swpc.noaa.gov/products/solar-wind/mag-7-day.json',
+  kp: 'https://services.swpc.noaa.gov/products/noaa-planetary-k-index.json',
+  scales: 'https://services.swpc.noaa.gov/products/noaa-scales.json',
+  ovation: 'https://services.swpc.noaa.gov/json/ovation_aurora_latest.json',
+  kpForecast: 'https://services.swpc.noaa.gov/products/noaa-planetary-k-index-forecast.json',
+  hemiPower: 'https://services.swpc.noaa.gov/text/aurora-nowcast-hemi-power.txt',
+  alerts: 'https://services.swpc.noaa.gov/products/alerts.json',
+  xrays: 'https://services.swpc.noaa.gov/json/goes/primary/xrays-6-hour.json',
+  xrayFlares: 'https://services.swpc.noaa.gov/json/goes/primary/xray-flares-7-day.json'
+};
+
+// Each snapshot only needs the X-ray flux since the previous poll
+const XRAY_KEEP_MINUTES = 60;
+
+function parseArgs(argv) {
+  const [id, ...rest] = argv;
+  const options = { id, minutes: 180, interval: 5, name: id };
+  for (const arg of rest) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'minutes' || key === 'interval') options[key] = Number(value);
+    else if (key === 'name') options.name = value;
+  }
+  return options;
+}
+
+async function fetchFeed(name, url) {
+  const response = await fetch(url, { headers: { 'User-Agent': 'Nocturne/3.1 scenario recorder' } });
+  if (!response.ok) throw new Error(`${name}: HTTP ${response.status}`);
+  if (name === 'hemiPower') return response.text();
+  const data = await response.json();
+  // Cells without aurora read as 0 when indexed - no need to store them
+  if (name === 'ovation' && Array.isArray(data?.coordinates)) {
+    data.coordinates = data.coordinates.filter(([, , probability]) => probability > 0);
+  }
+  if (name === 'xrays' && Array.isArray(data)) {
+    const since = Date.now() - XRAY_KEEP_MINUTES * 60 * 1000;
+    return data.filter(row => row.energy === '0.1-0.8nm' && Date.parse(row.time_tag) >= since);
+  }
+  return data;
+}
+
+async function poll(scenario, file) {
+  const feeds = {};
+  await Promise.all(Object.entries(FEEDS).map(async ([name, url]) => {
+    try {
+      feeds[name] = await fetchFeed(name, url);
+    } catch (e) {
+      console.error(`[Record] ${e.message}`);
+      feeds[name] = null;
+    }
+  }));
+  if (!feeds.plasma || !feeds.mag || !feeds.scales) {
+    console.error('[Record] Solar wind or scales missing - poll skipped');
+    return;
+  }
+  appendRecording(scenario, feeds);
+  fs.writeFileSync(file, JSON.stringify(scenario));
+  console.log(`[Record] ${scenario.snapshots.length} snapshots, ${scenario.mag.length - 1} mag rows → ${file}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.id || !/^[\w-]+$/.test(options.id) || !(options.minutes > 0) || !(options.interval > 0)) {
+    console.error('Usage: node scripts/record-scenario.js <id> [--minutes=180] [--interval=5] [--name="..."]');
+    process.exit(1);
+  }
+
+  fs.mkdirSync(SCENARIOS_DIR, { recursive: true });
+  const file = path.join(SCENARIOS_DIR, `${options.id}.json`);
+  const scenario = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : { name: options.name, description: `Recorded from NOAA SWPC starting ${new Date().toISOString()}`, source: 'recorded' };
+
+  const polls = Math.max(1, Math.floor(options.minutes / options.interval) + 1);
+  console.log(`[Record] ${options.id}: ${polls} polls every ${options.interval} min`);
+  for (let i = 0; i < polls; i++) {
+    await poll(scenario, file);
+    if (i < polls - 1) await new Promise(resolve => setTimeout(resolve, options.interval * 60 * 1000));
+  }
+
+  const error = validateScenario(scenario);
+  console.log(error ? `[Record] Warning: ${error}` : `[Record] ✅ Saved ${file}`);
+}
+
+main().catch(e => {
+  console.error('[Record] Error:', e.message);
+  process.exit(1);
+});
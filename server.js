@@ -1,9 +1,37 @@
 import http from 'http';
 import https from 'https';
 import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { config } from 'dotenv';
+import {
+  makeAuroraDecision, getDarknessInfo, getHemisphere, formatLatitude, getVisibleRegion,
+  getVisibleLatitude, getVisibleGeographicLatitude, getObserverMagneticLatitude, assessAlertSky, THRESHOLDS
+} from './src/js/decision.js';
+import { getSunPosition, getMoonPosition, getMoonTimes } from './src/js/astronomy.js';
+import { getActivityForGScale, scoreNowcastHour, rankViewingWindows } from './src/js/nowcast.js';
+import { splitByArrival, findIncomingPeak } from './src/js/propagation.js';
+import {
+  kpToGScale, parseKpObserved, parseKpForecast, summarizeKp, maxKpBetween,
+  parseHemisphericPower, getHemisphericPowerFor, parse27DayOutlook
+} from './src/js/geomagnetic.js';
+import {
+  parseBoundingBox, isInBoundingBox, clipOvationGrid, computeViewLine,
+  indexOvationGrid, getOvationProbability, findPolewardMax
+} from './src/js/ovation.js';
+import { validateScenario, getScenarioRange, getSimulatedTime, sliceScenarioAt } from './src/js/scenarios.js';
+import { assessFreshness, reassessFreshness, getAlertSuppression, parseActiveSpacecraft } from './src/js/freshness.js';
+import { summarizeSpaceWeatherEvents } from './src/js/spaceWeatherEvents.js';
+import { buildPlanningCalendar, indexHourlyClouds, pickBestNights } from './src/js/planning.js';
+import { SIGHTING_VISIBILITY, SIGHTING_INTENSITIES, summarizeSightingCalibration } from './src/js/sightings.js';
+import { ALERT_HYSTERESIS, advanceAlertState, isNotificationDelivered } from './src/js/alertLevels.js';
+import {
+  CATCH_UP_POLICIES, getZonedDayRange, shiftDate, parseWeekdays, getDueRuns, getNextRun
+} from './src/js/scheduler.js';
+import {
+  extractFeatures, buildTrainingExamples, trainProbabilityModel, estimateAuroraProbability
+} from './src/js/probabilityModel.js';
 
 // Load .env file
 config();
@@ -17,6 +45,28 @@ const __dirname = path.dirname(__filename);
 const PORT = process.env.PORT || 8000;
 const CACHE_DURATION = 2 * 60 * 1000; // 2 minutes
 
+// Where persistent state files live (history, subscriptions, ...)
+const DATA_DIR = process.env.DATA_DIR || __dirname;
+
+/**
+ * Numeric setting from the environment. Unset, non-numeric or out-of-range
+ * values fall back to the default (logged), so a typo can never turn into NaN.
+ * exclusiveMin rejects min itself (a speed of 0 would freeze a replay).
+ */
+function readNumberEnv(name, fallback, { min = -Infinity, max = Infinity, exclusiveMin = false } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = Number(raw);
+  if (Number.isFinite(value) && (exclusiveMin ? value > min : value >= min) && value <= max) return value;
+  const lower = exclusiveMin ? `above ${min}` : `of at least ${min}`;
+  const range = max === Infinity ? lower : `between ${min} and ${max}`;
+  console.error(`[Config] ${name}=${raw} is not a number ${range}. Using ${fallback}.`);
+  return fallback;
+}
+
+// Solar wind history retention (days of per-minute samples kept on disk)
+const HISTORY_RETENTION_DAYS = readNumberEnv('HISTORY_RETENTION_DAYS', 30, { min: 1 });
+
 // Module Enable Flags
 const MODULES_ENABLED = {
   aurora: process.env.AURORA_ENABLED !== 'false', // Default enabled
@@ -28,23 +78,57 @@ const MODULES_ENABLED = {
 const EMAIL_CONFIG = {
   enabled: process.env.EMAIL_ENABLED === 'true',
   smtpHost: process.env.SMTP_HOST || 'smtp.gmail.com',
-  smtpPort: parseInt(process.env.SMTP_PORT || '587'),
+  smtpPort: readNumberEnv('SMTP_PORT', 587, { min: 1, max: 65535 }),
   smtpUser: process.env.SMTP_USER || '',
   smtpPass: process.env.SMTP_PASS || '',
   fromEmail: process.env.FROM_EMAIL || '',
   recipients: (process.env.EMAIL_RECIPIENTS || '').split(',').filter(e => e.trim()),
-  cooldownMinutes: parseInt(process.env.EMAIL_COOLDOWN || '60'),
+  cooldownMinutes: readNumberEnv('EMAIL_COOLDOWN', 60, { min: 0 }),
   // Alert location - where to check darkness (default: Seattle, WA)
-  alertLatitude: parseFloat(process.env.ALERT_LATITUDE || '47.6'),
-  alertLongitude: parseFloat(process.env.ALERT_LONGITUDE || '-122.3'),
-  alertLocationName: process.env.ALERT_LOCATION_NAME || 'Seattle, WA'
+  alertLatitude: readNumberEnv('ALERT_LATITUDE', 47.6, { min: -90, max: 90 }),
+  alertLongitude: readNumberEnv('ALERT_LONGITUDE', -122.3, { min: -180, max: 180 }),
+  alertLocationName: process.env.ALERT_LOCATION_NAME || 'Seattle, WA',
+  // Heads-up when strong southward Bz is still between L1 and Earth
+  earlyWarning: process.env.ALERT_EARLY_WARNING !== 'false',
+  earlyWarningMinLead: readNumberEnv('ALERT_EARLY_WARNING_MIN_LEAD', 10, { min: 0 }),
+  // "Storm incoming" alert when NOAA issues a geomagnetic storm watch (CME on its way)
+  stormWatch: process.env.ALERT_STORM_WATCH !== 'false',
+  // GO conditions in daylight are held until dark (if that is within this
+  // many hours, 0 = off) and re-checked at dusk; the afternoon heads-up is opt-in
+  preDarkHours: readNumberEnv('ALERT_PRE_DARK_HOURS', 6, { min: 0 }),
+  preDarkHeadsUp: process.env.ALERT_PRE_DARK_HEADS_UP === 'true'
 };
 
+// Push Notification Channels (each enabled by setting its URL/token)
+const NOTIFY_CONFIG = {
+  webhook: { url: process.env.WEBHOOK_URL || '' },
+  slack: { url: process.env.SLACK_WEBHOOK_URL || '' },
+  discord: { url: process.env.DISCORD_WEBHOOK_URL || '' },
+  ntfy: {
+    url: process.env.NTFY_URL || 'https://ntfy.sh',
+    topic: process.env.NTFY_TOPIC || '',
+    token: process.env.NTFY_TOKEN || ''
+  },
+  gotify: { url: process.env.GOTIFY_URL || '', token: process.env.GOTIFY_TOKEN || '' },
+  telegram: { botToken: process.env.TELEGRAM_BOT_TOKEN || '', chatId: process.env.TELEGRAM_CHAT_ID || '' },
+  // Channels per alert type: comma-separated channel names, or 'all' (default)
+  routes: {
+    aurora: process.env.NOTIFY_AURORA || 'all',
+    stocks: process.env.NOTIFY_STOCKS || 'all',
+    daily: process.env.NOTIFY_DAILY || 'all',
+    storm: process.env.NOTIFY_STORM || 'all'
+  }
+};
+
+// Bearer token protecting management APIs (subscriptions, sightings, simulation,
+// model training). Unset = those APIs refuse every request.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
 // Stock Module Configuration - Big Tech + AI Leaders
 const STOCKS_CONFIG = {
   enabled: MODULES_ENABLED.stocks,
   watchlist: (process.env.STOCKS_WATCHLIST || 'MSFT,NVDA,TSLA,META,GOOGL,AAPL,AMD,PLTR,SMCI,ARM').split(',').filter(s => s.trim()),
-  alertThreshold: parseFloat(process.env.STOCKS_ALERT_THRESHOLD || '5'),
+  alertThreshold: readNumberEnv('STOCKS_ALERT_THRESHOLD', 5, { min: 0 }),
   alphaVantageKey: process.env.ALPHA_VANTAGE_API_KEY || '',
   finnhubKey: process.env.FINNHUB_API_KEY || ''
 };
@@ -57,17 +141,55 @@ const NEWS_CONFIG = {
   keywords: (process.env.NEWS_KEYWORDS || '').split(',').filter(k => k.trim())
 };
 
+// Storm scenario replay (simulation mode) - scenarios/*.json, recorded with
+// scripts/record-scenario.js. Speed is scenario minutes per real minute.
+const SIMULATION_CONFIG = {
+  scenario: process.env.SIMULATION_SCENARIO || '',
+  speed: readNumberEnv('SIMULATION_SPEED', 60, { min: 0, exclusiveMin: true }),
+  loop: process.env.SIMULATION_LOOP === 'true'
+};
+
 // NOAA API endpoints - Using DSCOVR/ACE real-time solar wind data
 const NOAA_APIS = {
   plasma: 'https://services.swpc.noaa.gov/products/solar-wind/plasma-7-day.json',
   mag: 'https://services.swpc.noaa.gov/products/solar-wind/mag-7-day.json',
   scales: 'https://services.swpc.noaa.gov/products/noaa-scales.json',
   // OVATION Aurora Model - 30-90 min forecast with lat/lon aurora probability
-  ovation: 'https://services.swpc.noaa.gov/json/ovation_aurora_latest.json'
+  ovation: 'https://services.swpc.noaa.gov/json/ovation_aurora_latest.json',
+  // Planetary K-index - observed (3-hourly) and 3-day forecast
+  kp: 'https://services.swpc.noaa.gov/products/noaa-planetary-k-index.json',
+  kpForecast: 'https://services.swpc.noaa.gov/products/noaa-planetary-k-index-forecast.json',
+  // OVATION hemispheric power (GW) - plain text, updates every ~5 min
+  hemiPower: 'https://services.swpc.noaa.gov/text/aurora-nowcast-hemi-power.txt',
+  // Real-time solar wind with per-spacecraft rows - only used for which one is active
+  rtswMag: 'https://services.swpc.noaa.gov/json/rtsw/rtsw_mag_1m.json',
+  // SWPC alerts/watches/warnings and GOES X-ray flux + flare list
+  alerts: 'https://services.swpc.noaa.gov/products/alerts.json',
+  xrays: 'https://services.swpc.noaa.gov/json/goes/primary/xrays-6-hour.json',
+  xrayFlares: 'https://services.swpc.noaa.gov/json/goes/primary/xray-flares-7-day.json',
+  // 27-day outlook (largest Kp per day) - plain text, issued weekly
+  outlook27: 'https://services.swpc.noaa.gov/text/27-day-outlook.txt'
 };
 
+// Upstream fetches that failed are retried no sooner than this (failedAt below),
+// so an outage or slow DNS doesn't cost every request a round of timeouts
+const FAILED_FETCH_RETRY = 60 * 1000;
+
 // OVATION cache (separate from main cache - larger data)
-const ovationCache = { data: null, time: 0 };
+const ovationCache = { data: null, index: null, time: 0, failedAt: 0 };
+
+// Geomagnetic index caches (Kp changes every 3 hours, hemispheric power every ~5 min)
+const kpCache = { data: null, time: 0, failedAt: 0 };
+const hemiPowerCache = { data: null, time: 0, failedAt: 0 };
+
+// Active L1 spacecraft (DSCOVR or ACE) - switches rarely, so checked every 30 min
+const spacecraftCache = { data: null, time: 0 };
+
+// CME/flare events: storm watches, warnings, X-ray flux (refreshed every 5 min)
+const eventsCache = { data: null, time: 0 };
+
+// 27-day outlook - issued weekly, checked every 6 hours
+const outlookCache = { data: null, time: 0 };
 
 // May 10-11, 2024 G4 Storm Reference Values
 // This was the strongest storm in 20+ years, aurora visible as far south as Florida
@@ -84,14 +206,19 @@ const G4_BASELINE = {
 // ============================================================================
 // Cache & State
 // ============================================================================
-const cache = { data: null, time: 0 };
+// pending: the NOAA fetch in flight ({ scenario, promise }), shared by concurrent callers;
+// failure: the last live fetch's error ({ error, time }) until a fetch succeeds
+const cache = { data: null, time: 0, pending: null, failure: null };
 const cloudCache = {};
-const emailState = { lastAlert: 0 };
+// subscription id -> alert level state machine (src/js/alertLevels.js) / alert held until dark;
+// "id:watch serial" -> storm watch sent
+const ALERT_STATE_FILE = path.join(DATA_DIR, '.alert-state.json');
+const emailState = loadAlertState();
 
 // ============================================================================
 // Helper Functions
 // ============================================================================
-function fetchJSON(url) {
+function fetchText(url) {
   return new Promise((resolve, reject) => {
     const timeout = setTimeout(() => reject(new Error('Timeout')), 15000);
     https.get(url, { headers: { 'User-Agent': 'Nocturne/3.0' } }, (res) => {
@@ -99,67 +226,131 @@ function fetchJSON(url) {
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
         clearTimeout(timeout);
-        try { resolve(JSON.parse(data)); }
-        catch { reject(new Error('Invalid JSON')); }
+        resolve(data);
       });
       res.on('error', reject);
     }).on('error', reject);
   });
 }
 
+async function fetchJSON(url) {
+  const data = await fetchText(url);
+  try { return JSON.parse(data); }
+  catch { throw new Error('Invalid JSON'); }
+}
+
+function postJSON(url, payload, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify(payload);
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: {
+        'User-Agent': 'Nocturne/3.0',
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        clearTimeout(timeout);
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve(res.statusCode);
+        else reject(new Error(`HTTP ${res.statusCode}: ${data.slice(0, 200)}`));
+      });
+      res.on('error', reject);
+    });
+    const timeout = setTimeout(() => req.destroy(new Error('Timeout')), 15000);
+    req.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+function readJSONBody(req, maxBytes = 64 * 1024) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+      if (data.length > maxBytes) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!data) return resolve({});
+      try { resolve(JSON.parse(data)); }
+      catch { reject(new Error('Invalid JSON')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+// User-supplied text (subscription location names) embedded in HTML emails
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function isAuthorized(req) {
+  // Fail closed: no configured token means nobody is authorized
+  if (!ADMIN_TOKEN) return false;
+  return req.headers.authorization === `Bearer ${ADMIN_TOKEN}`;
+}
+
 // ============================================================================
 // OVATION Aurora Model - NOAA's official aurora forecast
 // ============================================================================
+/**
+ * Raw OVATION grid, cached for 10 minutes (it updates every ~30 min).
+ * Each fetch is indexed once into a 1° lookup table (ovationCache.index)
+ * so per-location lookups don't rescan the ~65k-point grid.
+ * Throws when NOAA is unreachable (without retrying for FAILED_FETCH_RETRY).
+ */
+async function getOvationData() {
+  if (simulation.scenario) {
+    const { ovation } = getSimulationFeeds();
+    if (ovation !== ovationCache.data) {
+      ovationCache.index = ovation?.coordinates ? indexOvationGrid(ovation.coordinates) : null;
+      ovationCache.data = ovation;
+    }
+    return ovation;
+  }
+  if (!ovationCache.data || Date.now() - ovationCache.time > 10 * 60 * 1000) {
+    if (Date.now() - ovationCache.failedAt < FAILED_FETCH_RETRY) throw new Error('NOAA unreachable, retrying shortly');
+    console.log('[OVATION] Fetching aurora forecast...');
+    const data = await fetchJSON(NOAA_APIS.ovation).catch(e => {
+      ovationCache.failedAt = Date.now();
+      throw e;
+    });
+    ovationCache.index = data?.coordinates ? indexOvationGrid(data.coordinates) : null;
+    ovationCache.data = data;
+    ovationCache.time = Date.now();
+  }
+  return ovationCache.data;
+}
+
 async function getOvationForecast(lat, lon) {
   try {
-    // Cache OVATION data for 10 minutes (it updates every ~30 min)
-    if (!ovationCache.data || Date.now() - ovationCache.time > 10 * 60 * 1000) {
-      console.log('[OVATION] Fetching aurora forecast...');
-      ovationCache.data = await fetchJSON(NOAA_APIS.ovation);
-      ovationCache.time = Date.now();
-    }
-    
-    const ov = ovationCache.data;
-    if (!ov || !ov.coordinates) return null;
-    
-    // Find aurora probability at user's location
-    // OVATION data: [lon, lat, aurora_prob] for entire globe
-    const roundLat = Math.round(lat);
-    const roundLon = Math.round(((lon % 360) + 360) % 360); // Normalize to 0-359
-    
-    // Find closest point
-    let closest = null;
-    let minDist = Infinity;
-    
-    for (const coord of ov.coordinates) {
-      const [cLon, cLat, prob] = coord;
-      const dist = Math.abs(cLat - roundLat) + Math.abs(cLon - roundLon);
-      if (dist < minDist) {
-        minDist = dist;
-        closest = { lat: cLat, lon: cLon, probability: prob };
-      }
-    }
-    
-    // Find max probability in user's region (within 5° for horizon viewing)
-    let maxInRegion = 0;
-    let maxLat = null;
-    for (const coord of ov.coordinates) {
-      const [cLon, cLat, prob] = coord;
-      if (Math.abs(cLon - roundLon) <= 30 && cLat > roundLat && cLat <= roundLat + 15) {
-        if (prob > maxInRegion) {
-          maxInRegion = prob;
-          maxLat = cLat;
-        }
-      }
-    }
-    
+    const ov = await getOvationData();
+    const table = ovationCache.index;
+    if (!ov || !table) return null;
+
+    // Probability overhead, and the strongest aurora up to 15° poleward
+    // (±30° longitude) that could show on the horizon
+    const atLocation = getOvationProbability(table, lat, lon);
+    const nearby = findPolewardMax(table, lat, lon);
+
     return {
       observationTime: ov['Observation Time'],
       forecastTime: ov['Forecast Time'],
-      atLocation: closest?.probability || 0,
-      nearbyMax: maxInRegion,
-      nearbyMaxLat: maxLat,
-      viewable: closest?.probability >= 5 || maxInRegion >= 20
+      atLocation,
+      nearbyMax: nearby.probability,
+      nearbyMaxLat: nearby.lat,
+      viewable: atLocation >= 5 || nearby.probability >= 20
     };
   } catch (e) {
     console.error('[OVATION] Error:', e.message);
@@ -168,147 +359,522 @@ async function getOvationForecast(lat, lon) {
 }
 
 // ============================================================================
-// Process Space Weather Data with Full Analysis
+// Geomagnetic Indices - NOAA planetary Kp and OVATION hemispheric power
 // ============================================================================
-function processSpaceWeatherData(plasma, mag, scales) {
+/**
+ * Observed + forecast planetary K-index, cached for 15 minutes (a failure for 1 minute)
+ * @returns {object|null} - summarizeKp() result, null when NOAA is unreachable
+ */
+async function getKpIndex() {
+  if (simulation.scenario) {
+    const { kp, kpForecast } = getSimulationFeeds();
+    return summarizeKp(parseKpObserved(kp), parseKpForecast(kpForecast));
+  }
+  // NOAA just failed - don't add two more requests to every call during an outage
+  if (Date.now() - kpCache.failedAt < FAILED_FETCH_RETRY) return null;
   try {
-    // Skip header row (first row is column names)
-    const plasmaData = plasma.slice(1);
-    const magData = mag.slice(1);
-    
-    // Get recent valid readings
-    const recentPlasma = plasmaData.slice(-10).filter(p => p[1] && p[2] && !isNaN(parseFloat(p[1])));
-    const recentMag = magData.slice(-10).filter(m => m[3] && !isNaN(parseFloat(m[3])));
-    
-    if (!recentPlasma.length || !recentMag.length) {
-      console.log('[Data] No valid readings found');
-      throw new Error('No valid data');
-    }
-
-    const latestPlasma = recentPlasma[recentPlasma.length - 1];
-    const latestMag = recentMag[recentMag.length - 1];
-    
-    // NOAA Scales: 0=current observed, 1=today predicted, 2=tomorrow, 3=day after
-    const currentScale = scales['0'];
-    const predictedScale = scales['1'];
-
-    // Debug log
-    console.log('[Data] Plasma entry:', latestPlasma);
-    console.log('[Data] Mag entry:', latestMag);
-
-    // Plasma data format: [time, density, speed, temperature]
-    // Note: NOAA format has density at [1], speed at [2], temp at [3]
-    const density = parseFloat(latestPlasma[1]) || 0;
-    const speed = parseFloat(latestPlasma[2]) || 0;
-    const temperature = parseFloat(latestPlasma[3]) || 0;
-    
-    // Mag data format: [time, bx_gsm, by_gsm, bz_gsm, lon_gsm, lat_gsm, bt]
-    // Indices: bx=[1], by=[2], bz=[3], lon=[4], lat=[5], bt=[6]
-    const bx = parseFloat(latestMag[1]) || 0;       // Sunward component
-    const by = parseFloat(latestMag[2]) || 0;       // East-west component
-    const bz = parseFloat(latestMag[3]) || 0;       // North-south (KEY!)
-    const bt = parseFloat(latestMag[6]) || Math.sqrt(bx*bx + by*by + bz*bz); // Total field
-
-    // DERIVED CALCULATIONS - These are what really matter for aurora
-    
-    // 1. Dynamic Pressure (nPa) - How hard solar wind hits magnetosphere
-    // Formula: P = 1.6726e-6 * n * v²  (n in cm⁻³, v in km/s)
-    const pressure = (1.6726e-6 * density * speed * speed).toFixed(2);
-
-    // 2. IMF Clock Angle (degrees) - Direction of magnetic field
-    // 180° = pure southward (best for aurora)
-    const clockAngle = Math.round((Math.atan2(by, bz) * 180 / Math.PI + 360) % 360);
-
-    // 3. Southward Bz Duration (from last 60 min of data)
-    // Magnetometer data format: [time, bx_gsm, by_gsm, bz_gsm, lon_gsm, lat_gsm, bt]
-    // Bz is at index 3, NOT index 4 (which is lon_gsm)
-    // Data is per-minute, so 60 entries = 60 minutes
-    const last60minMag = mag.slice(-60);
-    const bzSouthCount = last60minMag.filter(m => parseFloat(m[3]) < -3).length;
-    const bzSouthDuration = bzSouthCount; // minutes (1 entry = 1 minute)
-
-    // 4. Calculate individual scores vs G4 baseline
-    const scores = {
-      bz: Math.min(100, Math.round((Math.abs(bz) / Math.abs(G4_BASELINE.bz)) * 100)),
-      speed: Math.min(100, Math.round((speed / G4_BASELINE.speed) * 100)),
-      density: Math.min(100, Math.round((density / G4_BASELINE.density) * 100)),
-      bt: Math.min(100, Math.round((bt / G4_BASELINE.bt) * 100)),
-      pressure: Math.min(100, Math.round((parseFloat(pressure) / G4_BASELINE.pressure) * 100)),
-      temperature: Math.min(100, Math.round((temperature / G4_BASELINE.temperature) * 100))
-    };
+    if (!kpCache.data || Date.now() - kpCache.time > 15 * 60 * 1000) {
+      console.log('[Kp] Fetching planetary K-index...');
+      const [observed, forecast] = await Promise.all([
+        fetchJSON(NOAA_APIS.kp),
+        fetchJSON(NOAA_APIS.kpForecast).catch(e => {
+          console.error('[Kp] Forecast error:', e.message);
+          return [];
+        })
+      ]);
+      kpCache.data = summarizeKp(parseKpObserved(observed), parseKpForecast(forecast));
+      kpCache.time = Date.now();
+    }
+    return kpCache.data;
+  } catch (e) {
+    console.error('[Kp] Error:', e.message);
+    kpCache.failedAt = Date.now();
+    return null;
+  }
+}
 
-    // 5. Overall G4 Similarity Score (weighted)
-    // Bz is most critical - without southward Bz, no aurora regardless of other factors
-    let similarity = Math.round(
-      scores.bz * 0.40 +        // Bz is THE key factor
-      scores.speed * 0.20 +     // Speed determines impact strength
-      scores.density * 0.15 +   // Density = particle count
-      scores.bt * 0.10 +        // Total field strength
-      scores.pressure * 0.10 +  // Dynamic pressure
-      scores.temperature * 0.05 // Temperature (minor factor)
-    );
-
-    // Bonus for sustained southward Bz
-    if (bzSouthDuration >= 20 && bz < -5) similarity += 10;
-    // Bonus for very strong conditions
-    if (bz < -15) similarity += 5;
-    if (speed > 600) similarity += 5;
-    
-    similarity = Math.min(similarity, 99);
-
-    // 6. Aurora Power Index estimate (GW) - based on pressure and Bz
-    const auroraPower = Math.round(Math.abs(bz) * parseFloat(pressure) * 2);
-
-    // NOAA G-Scale - Current Observed
-    const gScale = parseInt(currentScale?.G?.Scale) || 0;
-    const gText = currentScale?.G?.Text || 'none';
-    const gObservedTime = currentScale?.DateStamp && currentScale?.TimeStamp 
-      ? `${currentScale.DateStamp}T${currentScale.TimeStamp}Z` : null;
-    
-    // NOAA G-Scale - Predicted (today's max forecast)
-    const gPredicted = parseInt(predictedScale?.G?.Scale) || 0;
-    const gPredictedText = predictedScale?.G?.Text || 'none';
-    const gPredictedTime = predictedScale?.DateStamp && predictedScale?.TimeStamp
-      ? `${predictedScale.DateStamp}T${predictedScale.TimeStamp}Z` : null;
-
-    const data = {
-      time: latestPlasma[0],
-      // Raw measurements
-      speed: Math.round(speed),
-      density: parseFloat(density.toFixed(1)),
-      temperature: Math.round(temperature),
-      bz: parseFloat(bz.toFixed(1)),
-      bt: parseFloat(bt.toFixed(1)),
-      bx: parseFloat(bx.toFixed(1)),
-      by: parseFloat(by.toFixed(1)),
-      // Derived values
-      pressure: parseFloat(pressure),
-      clockAngle,
-      bzSouthDuration,
-      auroraPower,
-      // Scores
-      scores,
-      similarity,
-      // NOAA official - Current Observed
-      gScale,
-      gText,
-      gObservedTime,
-      // NOAA official - Predicted
-      gPredicted,
-      gPredictedText,
-      gPredictedTime,
-      // G4 baseline for comparison
-      baseline: G4_BASELINE
-    };
+/**
+ * Latest hemispheric power (GW, north and south), cached for 5 minutes (a failure for 1 minute)
+ * @returns {object|null} - parseHemisphericPower() result
+ */
+async function getHemisphericPower() {
+  if (simulation.scenario) return parseHemisphericPower(getSimulationFeeds().hemiPower);
+  if (Date.now() - hemiPowerCache.failedAt < FAILED_FETCH_RETRY) return null;
+  try {
+    if (!hemiPowerCache.data || Date.now() - hemiPowerCache.time > 5 * 60 * 1000) {
+      console.log('[HemiPower] Fetching hemispheric power...');
+      hemiPowerCache.data = parseHemisphericPower(await fetchText(NOAA_APIS.hemiPower));
+      hemiPowerCache.time = Date.now();
+    }
+    return hemiPowerCache.data;
+  } catch (e) {
+    console.error('[HemiPower] Error:', e.message);
+    hemiPowerCache.failedAt = Date.now();
+    return null;
+  }
+}
 
-    return data;
+/**
+ * NOAA 27-day outlook, cached for 6 hours (not part of recorded scenarios)
+ * @returns {object|null} - parse27DayOutlook() result, null when unavailable
+ */
+async function get27DayOutlook() {
+  try {
+    if (!outlookCache.data || Date.now() - outlookCache.time > 6 * 60 * 60 * 1000) {
+      console.log('[Outlook] Fetching 27-day outlook...');
+      outlookCache.data = parse27DayOutlook(await fetchText(NOAA_APIS.outlook27));
+      outlookCache.time = Date.now();
+    }
+    return outlookCache.data;
   } catch (e) {
-    console.error('[Data] Processing error:', e.message);
-    return getMockData();
+    console.error('[Outlook] Error:', e.message);
+    return outlookCache.data;
   }
 }
 
-function getMockData() {
+/**
+ * Spacecraft the solar wind products currently come from, cached for 30 minutes
+ * @returns {string|null} - 'DSCOVR', 'ACE', or null when unknown
+ */
+async function getActiveSpacecraft() {
+  if (simulation.scenario) return simulation.scenario.satellite || null;
+  try {
+    if (!spacecraftCache.data || Date.now() - spacecraftCache.time > 30 * 60 * 1000) {
+      spacecraftCache.data = parseActiveSpacecraft(await fetchJSON(NOAA_APIS.rtswMag));
+      spacecraftCache.time = Date.now();
+    }
+    return spacecraftCache.data;
+  } catch (e) {
+    // Only metadata - keep the last known spacecraft and don't retry every fetch
+    console.error('[RTSW] Error:', e.message);
+    spacecraftCache.time = Date.now();
+    return spacecraftCache.data;
+  }
+}
+
+/**
+ * Active CME storm watches, K-index/sudden impulse warnings, CME radio
+ * signatures, recent M/X flares and the current X-ray flux, cached for
+ * 5 minutes. Fresh results are checked for "storm incoming" alerts.
+ * Throws when none of the event products can be fetched.
+ */
+async function getSpaceWeatherEvents() {
+  if (simulation.scenario) {
+    const feeds = getSimulationFeeds();
+    const events = { ...summarizeSpaceWeatherEvents(feeds, feeds.time), updated: new Date(feeds.time).toISOString() };
+    checkStormWatchAlerts(events).catch(e => console.error('[Storm] Error:', e.message));
+    return events;
+  }
+  if (eventsCache.data && Date.now() - eventsCache.time < 5 * 60 * 1000) {
+    return eventsCache.data;
+  }
+
+  console.log('[Events] Fetching SWPC alerts and X-ray flux...');
+  const [alerts, xrays, xrayFlares] = await Promise.all(['alerts', 'xrays', 'xrayFlares'].map(name =>
+    fetchJSON(NOAA_APIS[name]).catch(e => {
+      console.error(`[Events] ${name} error:`, e.message);
+      return null;
+    })
+  ));
+  if (!alerts && !xrays && !xrayFlares) throw new Error('NOAA event products unavailable');
+
+  const events = { ...summarizeSpaceWeatherEvents({ alerts, xrays, xrayFlares }), updated: new Date().toISOString() };
+  eventsCache.data = events;
+  eventsCache.time = Date.now();
+  checkStormWatchAlerts(events).catch(e => console.error('[Storm] Error:', e.message));
+  return events;
+}
+
+// ============================================================================
+// Storm Scenarios - replay recorded NOAA feeds (simulation mode)
+// ============================================================================
+const SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+const SIMULATION_TICK = 15 * 1000;            // Re-run the pipeline (and alerts) this often
+const SIMULATION_CACHE_DURATION = 10 * 1000;  // Solar wind cache while replaying
+const SIMULATION_MAX_SPEED = 10000;
+
+// Active replay: the scenario, its clock and the tick timer. Alert cooldowns
+// are set aside while it runs so simulated alerts don't hold back real ones.
+const simulation = {
+  id: null, scenario: null, start: 0, end: 0, speed: 1, loop: false,
+  startedAt: 0, timer: null, savedCooldowns: null
+};
+
+/**
+ * Scenarios available to replay
+ * @returns {Array} - [{ id, name, description, source, start, end }]
+ */
+function listScenarios() {
+  if (!fs.existsSync(SCENARIOS_DIR)) return [];
+  return fs.readdirSync(SCENARIOS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const id = file.slice(0, -'.json'.length);
+      try {
+        const scenario = JSON.parse(fs.readFileSync(path.join(SCENARIOS_DIR, file), 'utf8'));
+        const { start, end } = getScenarioRange(scenario);
+        return {
+          id,
+          name: scenario.name || id,
+          description: scenario.description || '',
+          source: scenario.source || 'recorded',
+          start: new Date(start).toISOString(),
+          end: new Date(end).toISOString()
+        };
+      } catch (e) {
+        console.error(`[Sim] Unreadable scenario ${file}:`, e.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Read and validate scenarios/<id>.json
+ * @throws {Error} - code 'ENOENT' when there is no such scenario
+ */
+function loadScenario(id) {
+  if (!/^[\w-]+$/.test(id)) throw Object.assign(new Error(`Unknown scenario: ${id}`), { code: 'ENOENT' });
+  const file = path.join(SCENARIOS_DIR, `${id}.json`);
+  if (!fs.existsSync(file)) throw Object.assign(new Error(`Unknown scenario: ${id}`), { code: 'ENOENT' });
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const error = validateScenario(scenario);
+  if (error) throw new Error(`Invalid scenario ${id}: ${error}`);
+  return scenario;
+}
+
+// Drop cached NOAA/replay data so the next request reads the new source
+function resetSpaceWeatherCaches() {
+  Object.assign(cache, { data: null, time: 0 });
+  Object.assign(kpCache, { data: null, time: 0 });
+  Object.assign(hemiPowerCache, { data: null, time: 0 });
+  Object.assign(ovationCache, { data: null, index: null, time: 0 });
+  Object.assign(eventsCache, { data: null, time: 0 });
+}
+
+/**
+ * Start replaying a scenario through the live pipeline: solar wind
+ * processing, OVATION, Kp, alerts and every API the UI reads
+ * @param {object} options - { id, speed, loop }
+ * @returns {object} - getSimulationStatus()
+ */
+function startSimulation({ id, speed = SIMULATION_CONFIG.speed, loop = SIMULATION_CONFIG.loop }) {
+  const scenario = loadScenario(id);
+  stopSimulation();
+
+  const { start, end } = getScenarioRange(scenario);
+  simulation.savedCooldowns = {
+    levels: emailState.levels,
+    deferred: emailState.deferred,
+    stormWatches: emailState.stormWatches,
+    lastPushed: pushState.lastPushed
+  };
+  emailState.levels = {};
+  emailState.deferred = {};
+  emailState.stormWatches = {};
+  pushState.lastPushed = {};
+  Object.assign(simulation, { id, scenario, start, end, speed, loop, startedAt: Date.now() });
+  resetSpaceWeatherCaches();
+
+  console.log(`[Sim] ▶️  Replaying "${scenario.name || id}" at ${speed}x${loop ? ' (looping)' : ''}`);
+  simulation.timer = setInterval(simulationTick, SIMULATION_TICK);
+  simulationTick();
+  return getSimulationStatus();
+}
+
+/**
+ * Stop the replay and go back to live NOAA data
+ * @returns {boolean} - false when nothing was running
+ */
+function stopSimulation() {
+  if (!simulation.scenario) return false;
+  clearInterval(simulation.timer);
+  emailState.levels = simulation.savedCooldowns.levels;
+  emailState.deferred = simulation.savedCooldowns.deferred;
+  emailState.stormWatches = simulation.savedCooldowns.stormWatches;
+  pushState.lastPushed = simulation.savedCooldowns.lastPushed;
+  console.log(`[Sim] ⏹️  Stopped "${simulation.scenario.name || simulation.id}" - back to live NOAA data`);
+  Object.assign(simulation, { id: null, scenario: null, timer: null, savedCooldowns: null });
+  resetSpaceWeatherCaches();
+  return true;
+}
+
+// Nothing polls NOAA on a timer, so the replay drives the pipeline itself
+function simulationTick() {
+  getSpaceWeatherData().catch(e => console.error('[Sim] Tick error:', e.message));
+  if (!simulation.loop && getSimulatedTime(simulation).finished && simulation.timer) {
+    clearInterval(simulation.timer);
+    simulation.timer = null;
+    console.log(`[Sim] ⏹️  "${simulation.scenario.name || simulation.id}" reached its end - holding the last frame`);
+  }
+}
+
+// What NOAA would have served at the replay's current moment
+function getSimulationFeeds() {
+  return sliceScenarioAt(simulation.scenario, getSimulatedTime(simulation).time);
+}
+
+/**
+ * Replay state for /api/simulation, /api/status and the UI banner
+ * @returns {object} - { active: false } or the scenario, clock and progress
+ */
+function getSimulationStatus() {
+  if (!simulation.scenario) return { active: false };
+  const { time, finished } = getSimulatedTime(simulation);
+  const span = simulation.end - simulation.start;
+  return {
+    active: true,
+    scenario: simulation.id,
+    name: simulation.scenario.name || simulation.id,
+    source: simulation.scenario.source || 'recorded',
+    speed: simulation.speed,
+    loop: simulation.loop,
+    start: new Date(simulation.start).toISOString(),
+    end: new Date(simulation.end).toISOString(),
+    simulatedTime: new Date(time).toISOString(),
+    progress: span > 0 ? Math.round((time - simulation.start) / span * 100) : 100,
+    finished
+  };
+}
+
+/**
+ * Validate a POST /api/simulation body
+ * @returns {object} - { id, speed, loop } or { error }
+ */
+function parseSimulationRequest(input) {
+  const { scenario, speed = SIMULATION_CONFIG.speed, loop = SIMULATION_CONFIG.loop } = input || {};
+  if (typeof scenario !== 'string' || !scenario) return { error: 'scenario is required' };
+  if (typeof speed !== 'number' || !(speed > 0) || speed > SIMULATION_MAX_SPEED) {
+    return { error: `speed must be a number between 0 and ${SIMULATION_MAX_SPEED}` };
+  }
+  if (typeof loop !== 'boolean') return { error: 'loop must be a boolean' };
+  return { id: scenario, speed, loop };
+}
+
+// ============================================================================
+// Process Space Weather Data with Full Analysis
+// ============================================================================
+// How much L1 history to keep in view: longer than the slowest wind's transit
+// plus the hour of Bz duration before the sample arriving now
+const PROPAGATION_WINDOW_MINUTES = 180;
+
+/**
+ * Join the latest plasma and mag rows into per-minute L1 samples.
+ * Mag and plasma are separate feeds with their own gaps, so each mag minute
+ * takes the most recent plasma reading at or before it.
+ */
+function joinRecentSolarWind(plasma, mag) {
+  const plasmaRows = plasma.slice(1)
+    .map(p => ({ ts: parseNoaaTime(p[0]), density: parseNoaaNumber(p[1]), speed: parseNoaaNumber(p[2]), temperature: parseNoaaNumber(p[3]) }))
+    .filter(p => !isNaN(p.ts) && p.density && p.speed);
+  const magRows = mag.slice(1)
+    .map(m => ({ ts: parseNoaaTime(m[0]), bx: parseNoaaNumber(m[1]), by: parseNoaaNumber(m[2]), bz: parseNoaaNumber(m[3]), bt: parseNoaaNumber(m[6]) }))
+    .filter(m => !isNaN(m.ts) && m.bz !== null);
+  if (!plasmaRows.length || !magRows.length) return [];
+
+  const since = magRows[magRows.length - 1].ts - PROPAGATION_WINDOW_MINUTES * 60 * 1000;
+  const samples = [];
+  let p = 0;
+  for (const m of magRows) {
+    while (p + 1 < plasmaRows.length && plasmaRows[p + 1].ts <= m.ts) p++;
+    if (m.ts < since || plasmaRows[p].ts > m.ts) continue;
+    const { density, speed, temperature } = plasmaRows[p];
+    samples.push({ ...m, density, speed, temperature: temperature || 0 });
+  }
+  return samples;
+}
+
+// "Now" metrics before any L1 sample has reached Earth (a replay's first
+// minutes, or a feed that resumed after a gap) - nothing to show or score yet
+const AWAITING_ARRIVAL_METRICS = {
+  speed: null, density: null, temperature: null,
+  bz: null, bt: null, bx: null, by: null,
+  pressure: null, clockAngle: null,
+  bzSouthDuration: null, auroraPower: null,
+  scores: null, similarity: null
+};
+
+/**
+ * Derived aurora metrics for one L1 sample. Bz duration looks at the hour of
+ * samples leading up to it, so it can be evaluated for any sample - the one
+ * arriving now or one still in transit.
+ */
+function deriveSolarWindMetrics(sample, samples) {
+  const { density, speed, temperature } = sample;
+  const bx = sample.bx || 0;      // Sunward component
+  const by = sample.by || 0;      // East-west component
+  const bz = sample.bz || 0;      // North-south (KEY!)
+  const bt = sample.bt || Math.sqrt(bx * bx + by * by + bz * bz); // Total field
+
+  // 1. Dynamic Pressure (nPa) - How hard solar wind hits magnetosphere
+  // Formula: P = 1.6726e-6 * n * v²  (n in cm⁻³, v in km/s)
+  const pressure = parseFloat((1.6726e-6 * density * speed * speed).toFixed(2));
+
+  // 2. IMF Clock Angle (degrees) - Direction of magnetic field
+  // 180° = pure southward (best for aurora)
+  const clockAngle = Math.round((Math.atan2(by, bz) * 180 / Math.PI + 360) % 360);
+
+  // 3. Southward Bz Duration - minutes of Bz < -3 nT in the hour up to this sample
+  const hourBefore = sample.ts - 60 * 60 * 1000;
+  const bzSouthDuration = samples.filter(s => s.ts > hourBefore && s.ts <= sample.ts && s.bz < -3).length;
+
+  // 4-5. Individual scores vs G4 baseline + weighted G4 similarity
+  const { scores, similarity } = calculateG4Similarity({ bz, speed, density, bt, temperature, pressure }, bzSouthDuration);
+
+  // 6. Aurora Power Index estimate (GW) - based on pressure and Bz
+  const auroraPower = Math.round(Math.abs(bz) * pressure * 2);
+
+  return {
+    speed: Math.round(speed),
+    density: parseFloat(density.toFixed(1)),
+    temperature: Math.round(temperature),
+    bz: parseFloat(bz.toFixed(1)),
+    bt: parseFloat(bt.toFixed(1)),
+    bx: parseFloat(bx.toFixed(1)),
+    by: parseFloat(by.toFixed(1)),
+    pressure,
+    clockAngle,
+    bzSouthDuration,
+    auroraPower,
+    scores,
+    similarity
+  };
+}
+
+/**
+ * Solar wind arriving at Earth now (plus what is still in transit from L1),
+ * NOAA G-scales and freshness metadata for one fetch of the NOAA feeds.
+ * Until the first L1 sample reaches Earth the "now" metrics are null and
+ * propagation.awaitingArrival is set.
+ * Throws when the feeds hold no usable readings - callers decide what to
+ * serve instead, and never decide on placeholder data.
+ */
+function processSpaceWeatherData(plasma, mag, scales, now = Date.now(), satellite = null) {
+  const samples = joinRecentSolarWind(plasma, mag);
+  if (!samples.length) {
+    console.log('[Data] No valid readings found');
+    throw new Error('No valid data');
+  }
+
+  // L1 → Earth propagation: "now" metrics are the sample arriving at Earth
+  // now; the latest L1 reading (and anything stronger behind it) is ahead.
+  // When every sample is still in transit there is no "now" yet.
+  const { arrived, inTransit } = splitByArrival(samples, now);
+  const latest = inTransit.length ? inTransit[inTransit.length - 1] : arrived;
+  const peak = findIncomingPeak(inTransit);
+  const inTransitSummary = (sample) => ({
+    l1Time: new Date(sample.ts).toISOString(),
+    arrivalTime: new Date(sample.arrivalTs).toISOString(),
+    minutesUntilArrival: Math.max(0, Math.round((sample.arrivalTs - now) / 60000)),
+    delayMinutes: sample.delayMinutes,
+    ...deriveSolarWindMetrics(sample, samples)
+  });
+
+  console.log(arrived
+    ? `[Data] Arriving now (L1 ${new Date(arrived.ts).toISOString()}, ${arrived.delayMinutes} min transit): Bz ${arrived.bz} nT, ${arrived.speed} km/s`
+    : `[Data] Awaiting arrival: first L1 sample reaches Earth in ~${Math.round((Math.min(...inTransit.map(s => s.arrivalTs)) - now) / 60000)} min`);
+
+  // NOAA Scales: 0=current observed, 1=today predicted, 2=tomorrow, 3=day after
+  const currentScale = scales['0'];
+  const predictedScale = scales['1'];
+
+  // NOAA G-Scale - Current Observed
+  const gScale = parseInt(currentScale?.G?.Scale) || 0;
+  const gText = currentScale?.G?.Text || 'none';
+  const gObservedTime = currentScale?.DateStamp && currentScale?.TimeStamp 
+    ? `${currentScale.DateStamp}T${currentScale.TimeStamp}Z` : null;
+  
+  // NOAA G-Scale - Predicted (today's max forecast)
+  const gPredicted = parseInt(predictedScale?.G?.Scale) || 0;
+  const gPredictedText = predictedScale?.G?.Text || 'none';
+  const gPredictedTime = predictedScale?.DateStamp && predictedScale?.TimeStamp
+    ? `${predictedScale.DateStamp}T${predictedScale.TimeStamp}Z` : null;
+
+  // NOAA G-Scale - Daily forecast maxima (today, tomorrow, day after)
+  const gForecast = ['1', '2', '3']
+    .map(k => scales[k])
+    .filter(s => s?.DateStamp)
+    .map(s => ({ date: s.DateStamp, scale: parseInt(s.G?.Scale) || 0 }));
+
+  const data = {
+    time: new Date(latest.ts).toISOString(),
+    // Measurements + derived values arriving at Earth now
+    ...(arrived ? deriveSolarWindMetrics(arrived, samples) : AWAITING_ARRIVAL_METRICS),
+    // L1 → Earth propagation
+    propagation: {
+      awaitingArrival: !arrived,
+      delayMinutes: arrived ? arrived.delayMinutes : null,
+      l1Time: arrived ? new Date(arrived.ts).toISOString() : null,
+      arrivalTime: arrived ? new Date(arrived.arrivalTs).toISOString() : null,
+      // Latest L1 reading - what arrives next
+      upcoming: inTransitSummary(latest),
+      // Strongest southward Bz still in transit
+      peak: peak && inTransitSummary(peak)
+    },
+    // NOAA official - Current Observed
+    gScale,
+    gText,
+    gObservedTime,
+    // NOAA official - Predicted
+    gPredicted,
+    gPredictedText,
+    gPredictedTime,
+    gForecast,
+    // G4 baseline for comparison
+    baseline: G4_BASELINE,
+    // Age of the latest L1 sample, spacecraft and gaps in the last hour
+    freshness: assessFreshness({ sampleTimes: samples.map(s => s.ts), now, satellite })
+  };
+
+  return data;
+}
+
+/**
+ * Score a solar wind reading against the May 2024 G4 baseline.
+ * Shared by live processing and the history API so both agree.
+ *
+ * @param {object} reading - { bz, speed, density, bt, pressure, temperature }
+ * @param {number} bzSouthDuration - Minutes of Bz < -3 nT in the last hour
+ * @returns {object} - Per-metric scores (0-100) and overall similarity (0-99)
+ */
+function calculateG4Similarity(reading, bzSouthDuration = 0) {
+  const { bz = 0, speed = 0, density = 0, bt = 0, pressure = 0, temperature = 0 } = reading;
+
+  const scores = {
+    bz: Math.min(100, Math.round((Math.abs(bz) / Math.abs(G4_BASELINE.bz)) * 100)),
+    speed: Math.min(100, Math.round((speed / G4_BASELINE.speed) * 100)),
+    density: Math.min(100, Math.round((density / G4_BASELINE.density) * 100)),
+    bt: Math.min(100, Math.round((bt / G4_BASELINE.bt) * 100)),
+    pressure: Math.min(100, Math.round((pressure / G4_BASELINE.pressure) * 100)),
+    temperature: Math.min(100, Math.round((temperature / G4_BASELINE.temperature) * 100))
+  };
+
+  // Overall G4 Similarity Score (weighted)
+  // Bz is most critical - without southward Bz, no aurora regardless of other factors
+  let similarity = Math.round(
+    scores.bz * 0.40 +        // Bz is THE key factor
+    scores.speed * 0.20 +     // Speed determines impact strength
+    scores.density * 0.15 +   // Density = particle count
+    scores.bt * 0.10 +        // Total field strength
+    scores.pressure * 0.10 +  // Dynamic pressure
+    scores.temperature * 0.05 // Temperature (minor factor)
+  );
+
+  // Bonus for sustained southward Bz
+  if (bzSouthDuration >= 20 && bz < -5) similarity += 10;
+  // Bonus for very strong conditions
+  if (bz < -15) similarity += 5;
+  if (speed > 600) similarity += 5;
+
+  return { scores, similarity: Math.min(similarity, 99) };
+}
+
+/**
+ * Placeholder readings for when no NOAA data has ever been fetched. Flagged
+ * as `freshness.status: 'mock'` so the UI says so and nothing decides on it.
+ * @param {string} [reason] - Why live data is unavailable
+ */
+function getMockData(reason = 'NOAA solar wind unavailable') {
   return {
     time: new Date().toISOString(),
     speed: 380, density: 4.5, temperature: 95000,
@@ -316,32 +882,499 @@ function getMockData() {
     pressure: 1.2, clockAngle: 45,
     bzSouthDuration: 0, auroraPower: 1,
     scores: { bz: 5, speed: 51, density: 18, bt: 13, pressure: 8, temperature: 19 },
-    similarity: 12, gScale: 0, gText: 'none',
-    baseline: G4_BASELINE
+    similarity: 12, gScale: 0, gText: 'none', gForecast: [],
+    propagation: null,
+    kp: null, kpIndex: null, hemisphericPower: null,
+    baseline: G4_BASELINE,
+    freshness: assessFreshness({ reason })
+  };
+}
+
+/**
+ * What to serve when getSpaceWeatherData() fails: the last good data with
+ * its freshness re-judged (it goes stale as it ages), or placeholder data
+ * when there is none
+ * @param {Error} error
+ */
+function getFallbackSpaceWeatherData(error) {
+  const reason = `NOAA fetch failed: ${error.message}`;
+  if (!cache.data) return getMockData(reason);
+  const now = simulation.scenario ? getSimulationFeeds().time : Date.now();
+  return { ...cache.data, freshness: reassessFreshness(cache.data.freshness, now, reason) };
+}
+
+/**
+ * Latest processed solar wind data - cached for CACHE_DURATION, otherwise
+ * fetched from NOAA, recorded to history and checked for alerts. While a
+ * scenario is replaying, the feeds come from it instead (and are not
+ * recorded to history). Callers that miss the cache while a fetch is in
+ * flight share it, so the poller and a page load never fetch (and alert)
+ * twice. After a failed live fetch, callers get the same error until
+ * FAILED_FETCH_RETRY has passed.
+ * Throws when NOAA is unreachable or serves no usable readings (callers
+ * decide whether to fall back, see getFallbackSpaceWeatherData).
+ */
+async function getSpaceWeatherData() {
+  const maxAge = simulation.scenario ? SIMULATION_CACHE_DURATION : CACHE_DURATION;
+  if (cache.data && Date.now() - cache.time < maxAge) {
+    return cache.data;
+  }
+
+  const scenario = simulation.scenario;
+  if (!scenario && cache.failure && Date.now() - cache.failure.time < FAILED_FETCH_RETRY) {
+    throw cache.failure.error;
+  }
+  if (cache.pending?.scenario !== scenario) {
+    const pending = { scenario, promise: fetchSpaceWeatherData(scenario) };
+    cache.pending = pending;
+    pending.promise.then(
+      () => { cache.failure = null; },
+      (error) => { if (!scenario) cache.failure = { error, time: Date.now() }; }
+    ).finally(() => {
+      if (cache.pending === pending) cache.pending = null;
+    });
+  }
+  return cache.pending.promise;
+}
+
+// One fetch → process → record → alert pass (getSpaceWeatherData dedupes callers)
+async function fetchSpaceWeatherData(scenario) {
+  const replay = scenario ? getSimulationFeeds() : null;
+  console.log(replay ? `[Sim] Replaying ${new Date(replay.time).toISOString()}...` : '[Aurora] Fetching NOAA data...');
+  const [plasma, mag, scales, kpIndex, hemisphericPower, satellite] = await Promise.all([
+    replay ? replay.plasma : fetchJSON(NOAA_APIS.plasma),
+    replay ? replay.mag : fetchJSON(NOAA_APIS.mag),
+    replay ? replay.scales || {} : fetchJSON(NOAA_APIS.scales),
+    getKpIndex(),
+    getHemisphericPower(),
+    getActiveSpacecraft()
+  ]);
+
+  if (!replay) recordSolarWindSamples(plasma, mag);
+  const data = {
+    ...processSpaceWeatherData(plasma, mag, scales, replay ? replay.time : Date.now(), satellite),
+    // Geomagnetic indices (null when their products are unavailable)
+    kp: kpIndex?.current ?? null,
+    kpIndex,
+    hemisphericPower,
+    ...(replay && { simulation: getSimulationStatus() })
+  };
+  // A replay started or stopped while fetching - don't cache or alert on the other mode's data
+  if (simulation.scenario !== scenario) return data;
+  cache.data = data;
+  cache.time = Date.now();
+
+  checkAndSendAlerts(data).catch(e => console.error('[Alert] Error:', e.message));
+  // Storm watches change far less often - this only refetches every 5 minutes
+  getSpaceWeatherEvents().catch(e => console.error('[Events] Error:', e.message));
+
+  console.log(`[Aurora] ✅ Similarity: ${data.similarity}% | Bz: ${data.bz}nT | Speed: ${data.speed}km/s`);
+  return data;
+}
+
+// ============================================================================
+// Aurora Poller - refresh NOAA data and check alerts without HTTP traffic
+// ============================================================================
+// Minutes between polls (0 = only when a page or API call asks for data)
+const AURORA_POLL_INTERVAL = readNumberEnv('AURORA_POLL_MINUTES', 5, { min: 0 }) * 60 * 1000;
+const AURORA_POLL_FIRST_DELAY = 15 * 1000; // Let the server start up first
+const auroraPoller = { timer: null, running: false, runs: 0, lastRun: null, lastResult: null, lastError: null, nextRun: null };
+
+function scheduleAuroraPoll(delay) {
+  auroraPoller.nextRun = Date.now() + delay;
+  auroraPoller.timer = setTimeout(scheduledAuroraPoll, delay);
+}
+
+/**
+ * Scheduled aurora check: the same getSpaceWeatherData() the API uses, so a
+ * stale cache is refetched from NOAA, recorded to history and checked for
+ * alerts (a cache another request refreshed was already checked). Runs one
+ * at a time and reschedules itself after each run.
+ */
+async function scheduledAuroraPoll() {
+  auroraPoller.timer = null;
+  auroraPoller.nextRun = null;
+  // A replay drives its own refresh (simulationTick)
+  if (simulation.scenario) {
+    console.log('[Poller] Skipping poll - simulation running');
+    scheduleAuroraPoll(AURORA_POLL_INTERVAL);
+    return;
+  }
+
+  auroraPoller.running = true;
+  auroraPoller.lastRun = Date.now();
+  const cachedAt = cache.time;
+  try {
+    const data = await getSpaceWeatherData();
+    auroraPoller.lastResult = cache.time === cachedAt ? 'cached' : 'fetched';
+    auroraPoller.lastError = null;
+    if (auroraPoller.lastResult === 'cached') {
+      console.log(`[Poller] Data refreshed ${Math.round((Date.now() - cachedAt) / 1000)}s ago by a request - already checked`);
+    } else {
+      console.log(`[Poller] ✅ Checked alerts (Bz ${data.bz} nT, similarity ${data.similarity}%)`);
+    }
+  } catch (error) {
+    auroraPoller.lastResult = 'error';
+    auroraPoller.lastError = error.message;
+    console.error('[Poller] Error:', error.message);
+  } finally {
+    auroraPoller.runs++;
+    auroraPoller.running = false;
+    scheduleAuroraPoll(AURORA_POLL_INTERVAL);
+  }
+}
+
+/**
+ * Poller state for /api/status
+ */
+function getAuroraPollerStatus() {
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  return {
+    enabled: MODULES_ENABLED.aurora && AURORA_POLL_INTERVAL > 0,
+    intervalMinutes: AURORA_POLL_INTERVAL / 60000,
+    running: auroraPoller.running,
+    runs: auroraPoller.runs,
+    lastRun: iso(auroraPoller.lastRun),
+    lastResult: auroraPoller.lastResult,
+    lastError: auroraPoller.lastError,
+    nextRun: iso(auroraPoller.nextRun)
+  };
+}
+
+if (MODULES_ENABLED.aurora && AURORA_POLL_INTERVAL > 0) {
+  console.log(`[Poller] Checking aurora conditions every ${AURORA_POLL_INTERVAL / 60000} min`);
+  scheduleAuroraPoll(AURORA_POLL_FIRST_DELAY);
+}
+
+// ============================================================================
+// Solar Wind History Store - append-only NDJSON file of per-minute samples
+// ============================================================================
+// One line per minute: {time, density, speed, temperature, bx, by, bz, bt}
+// Loaded into memory on startup, appended on every NOAA fetch, and compacted
+// once an hour so only the last HISTORY_RETENTION_DAYS are kept.
+const SOLAR_WIND_HISTORY_FILE = path.join(DATA_DIR, '.solar-wind-history.ndjson');
+const HISTORY_PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+const solarWindHistory = { samples: [], lastTime: 0, lastPrune: 0 };
+
+/**
+ * Parse NOAA timestamps ("2024-05-10 17:00:00.000", always UTC) to epoch ms
+ */
+function parseNoaaTime(value) {
+  if (!value) return NaN;
+  return Date.parse(value.replace(' ', 'T') + (value.endsWith('Z') ? '' : 'Z'));
+}
+
+function parseNoaaNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num;
+}
+
+function loadSolarWindHistory() {
+  try {
+    if (!fs.existsSync(SOLAR_WIND_HISTORY_FILE)) return;
+    const lines = fs.readFileSync(SOLAR_WIND_HISTORY_FILE, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const sample = JSON.parse(line);
+        const ts = Date.parse(sample.time);
+        if (isNaN(ts) || ts <= solarWindHistory.lastTime) continue;
+        solarWindHistory.samples.push({ ...sample, ts });
+        solarWindHistory.lastTime = ts;
+      } catch {
+        // Skip a partially written line (e.g. crash mid-append)
+      }
+    }
+    console.log(`[History] Loaded ${solarWindHistory.samples.length} solar wind samples`);
+    pruneSolarWindHistory();
+  } catch (e) {
+    console.error('[History] Error loading history file:', e.message);
+  }
+}
+
+// In-memory samples carry a numeric `ts`; the file only stores ISO `time`
+function serializeSample(sample) {
+  return JSON.stringify(sample, (key, value) => key === 'ts' ? undefined : value);
+}
+
+/**
+ * Merge NOAA plasma + mag rows by timestamp and append anything newer than
+ * the last stored sample. Only minutes present in BOTH feeds are stored so a
+ * lagging mag feed doesn't leave permanent holes.
+ *
+ * With `backfill`, older minutes missing from the store (downtime, fresh
+ * install) are merged in too and the file is rewritten in time order.
+ */
+function recordSolarWindSamples(plasma, mag, { backfill = false } = {}) {
+  try {
+    const known = backfill ? new Set(solarWindHistory.samples.map(s => s.ts)) : null;
+    const isNew = (ts) => backfill ? !known.has(ts) : ts > solarWindHistory.lastTime;
+
+    const byTime = new Map();
+    for (const p of plasma.slice(1)) {
+      const ts = parseNoaaTime(p[0]);
+      if (isNaN(ts) || !isNew(ts)) continue;
+      byTime.set(ts, {
+        density: parseNoaaNumber(p[1]),
+        speed: parseNoaaNumber(p[2]),
+        temperature: parseNoaaNumber(p[3])
+      });
+    }
+
+    const fresh = [];
+    for (const m of mag.slice(1)) {
+      const ts = parseNoaaTime(m[0]);
+      const plasmaSample = byTime.get(ts);
+      if (!plasmaSample) continue;
+      fresh.push({
+        time: new Date(ts).toISOString(),
+        ...plasmaSample,
+        bx: parseNoaaNumber(m[1]),
+        by: parseNoaaNumber(m[2]),
+        bz: parseNoaaNumber(m[3]),
+        bt: parseNoaaNumber(m[6]),
+        ts
+      });
+    }
+
+    if (!fresh.length) return 0;
+    fresh.sort((a, b) => a.ts - b.ts);
+
+    if (fresh[0].ts < solarWindHistory.lastTime) {
+      // Backfilled samples land in the middle - rewrite the whole file
+      solarWindHistory.samples.push(...fresh);
+      solarWindHistory.samples.sort((a, b) => a.ts - b.ts);
+      writeSolarWindHistory();
+    } else {
+      fs.appendFileSync(SOLAR_WIND_HISTORY_FILE, fresh.map(serializeSample).join('\n') + '\n');
+      solarWindHistory.samples.push(...fresh);
+    }
+    solarWindHistory.lastTime = solarWindHistory.samples[solarWindHistory.samples.length - 1].ts;
+
+    if (Date.now() - solarWindHistory.lastPrune > HISTORY_PRUNE_INTERVAL) {
+      pruneSolarWindHistory();
+    }
+    return fresh.length;
+  } catch (e) {
+    console.error('[History] Error recording samples:', e.message);
+    return 0;
+  }
+}
+
+function writeSolarWindHistory() {
+  const tmpFile = `${SOLAR_WIND_HISTORY_FILE}.tmp`;
+  const lines = solarWindHistory.samples.map(serializeSample).join('\n');
+  fs.writeFileSync(tmpFile, lines ? lines + '\n' : '');
+  fs.renameSync(tmpFile, SOLAR_WIND_HISTORY_FILE);
+}
+
+/**
+ * Drop samples older than the retention window and rewrite the file
+ */
+function pruneSolarWindHistory() {
+  solarWindHistory.lastPrune = Date.now();
+  const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const firstKept = solarWindHistory.samples.findIndex(s => s.ts >= cutoff);
+  const dropCount = firstKept === -1 ? solarWindHistory.samples.length : firstKept;
+  if (dropCount === 0) return;
+
+  solarWindHistory.samples.splice(0, dropCount);
+  try {
+    writeSolarWindHistory();
+    console.log(`[History] Pruned ${dropCount} samples older than ${HISTORY_RETENTION_DAYS} days`);
+  } catch (e) {
+    console.error('[History] Error compacting history file:', e.message);
+  }
+}
+
+/**
+ * Return stored samples with start <= time < end (epoch ms)
+ */
+function querySolarWindHistory(start, end) {
+  return solarWindHistory.samples.filter(s => s.ts >= start && s.ts < end);
+}
+
+function getSolarWindHistoryStats() {
+  const samples = solarWindHistory.samples;
+  return {
+    samples: samples.length,
+    oldest: samples.length ? samples[0].time : null,
+    newest: samples.length ? samples[samples.length - 1].time : null,
+    retentionDays: HISTORY_RETENTION_DAYS
   };
 }
 
+// ----------------------------------------------------------------------------
+// History queries - derived metrics + downsampling for /api/aurora/history
+// ----------------------------------------------------------------------------
+const HISTORY_METRICS = ['bz', 'bt', 'speed', 'density', 'pressure', 'clockAngle', 'similarity'];
+const HISTORY_RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+};
+const HISTORY_MAX_BUCKETS = 10000;
+const HISTORY_BACKFILL_COOLDOWN = 10 * 60 * 1000; // 10 minutes
+
+let lastHistoryBackfill = 0;
+
+/**
+ * Pull NOAA's 7-day plasma/mag files into the store to fill holes.
+ * Rate limited so a burst of history requests can't hammer NOAA.
+ */
+async function backfillSolarWindHistory() {
+  if (Date.now() - lastHistoryBackfill < HISTORY_BACKFILL_COOLDOWN) return 0;
+  lastHistoryBackfill = Date.now();
+  const [plasma, mag] = await Promise.all([
+    fetchJSON(NOAA_APIS.plasma),
+    fetchJSON(NOAA_APIS.mag)
+  ]);
+  const added = recordSolarWindSamples(plasma, mag, { backfill: true });
+  console.log(`[History] Backfilled ${added} samples from NOAA 7-day data`);
+  return added;
+}
+
+/**
+ * Add pressure, clock angle and G4 similarity to raw stored samples,
+ * using the same formulas as processSpaceWeatherData
+ */
+function deriveHistoryMetrics(samples) {
+  const southWindow = []; // timestamps of Bz < -3 in the trailing 60 min
+  return samples.map(sample => {
+    const bz = sample.bz ?? 0;
+    const by = sample.by ?? 0;
+    const speed = sample.speed ?? 0;
+    const density = sample.density ?? 0;
+
+    if (sample.bz !== null && sample.bz < -3) southWindow.push(sample.ts);
+    while (southWindow.length && southWindow[0] <= sample.ts - 60 * 60 * 1000) southWindow.shift();
+
+    const pressure = 1.6726e-6 * density * speed * speed;
+    const { similarity } = calculateG4Similarity({
+      bz, speed, density, pressure,
+      bt: sample.bt ?? 0,
+      temperature: sample.temperature ?? 0
+    }, southWindow.length);
+
+    return {
+      ts: sample.ts,
+      bz: sample.bz,
+      bt: sample.bt,
+      speed: sample.speed,
+      density: sample.density,
+      pressure: sample.speed !== null && sample.density !== null ? pressure : null,
+      clockAngle: sample.bz !== null && sample.by !== null
+        ? (Math.atan2(by, bz) * 180 / Math.PI + 360) % 360 : null,
+      similarity: sample.bz !== null && sample.speed !== null ? similarity : null
+    };
+  });
+}
+
+/**
+ * Bucket derived samples into fixed windows with min/max/avg per metric.
+ * Clock angle is averaged on the circle so 350° and 10° average to 0°.
+ */
+function aggregateSolarWindHistory(start, end, resolution, metrics) {
+  const bucketSize = HISTORY_RESOLUTIONS[resolution];
+  // Include the hour before `start` so the first buckets get a real Bz duration
+  const derived = deriveHistoryMetrics(querySolarWindHistory(start - 60 * 60 * 1000, end))
+    .filter(s => s.ts >= start);
+
+  const buckets = new Map();
+  for (const sample of derived) {
+    const key = Math.floor(sample.ts / bucketSize) * bucketSize;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(sample);
+  }
+
+  const round = (v) => Math.round(v * 100) / 100;
+  const points = [];
+  for (const [key, bucket] of buckets) {
+    const point = { time: new Date(key).toISOString(), samples: bucket.length };
+    for (const metric of metrics) {
+      const values = bucket.map(s => s[metric]).filter(v => v !== null);
+      if (!values.length) {
+        point[metric] = null;
+        continue;
+      }
+      let avg;
+      if (metric === 'clockAngle') {
+        const sin = values.reduce((a, v) => a + Math.sin(v * Math.PI / 180), 0);
+        const cos = values.reduce((a, v) => a + Math.cos(v * Math.PI / 180), 0);
+        avg = (Math.atan2(sin, cos) * 180 / Math.PI + 360) % 360;
+      } else {
+        avg = values.reduce((a, b) => a + b, 0) / values.length;
+      }
+      point[metric] = {
+        min: round(Math.min(...values)),
+        max: round(Math.max(...values)),
+        avg: round(avg)
+      };
+    }
+    points.push(point);
+  }
+  return points;
+}
+
+/**
+ * Parse "6h" / "7d" style ranges to milliseconds
+ */
+function parseHistoryRange(range) {
+  const match = /^(\d+)([hd])$/.exec(range || '');
+  if (!match) return null;
+  return parseInt(match[1]) * (match[2] === 'h' ? 60 : 24 * 60) * 60 * 1000;
+}
+
+function parseHistoryTime(value) {
+  if (!value) return NaN;
+  return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+}
+
+loadSolarWindHistory();
+
 // ============================================================================
 // Cloud Coverage (Open-Meteo API with hourly forecast)
 // ============================================================================
+// Open-Meteo returns local wall-clock times with timezone=auto - convert to UTC ISO
+function parseHourlyClouds(hourly, utcOffsetSeconds) {
+  return (hourly.time || []).map((t, i) => ({
+    time: new Date(Date.parse(`${t}:00Z`) - utcOffsetSeconds * 1000).toISOString(),
+    total: hourly.cloud_cover?.[i] ?? null,
+    low: hourly.cloud_cover_low?.[i] ?? null,
+    mid: hourly.cloud_cover_mid?.[i] ?? null,
+    high: hourly.cloud_cover_high?.[i] ?? null
+  }));
+}
+
+// Clear-sky placeholder when Open-Meteo is unavailable (error: true)
+function getCloudFallback() {
+  return { total: 0, low: 0, mid: 0, high: 0, visibility: 10000, trend: 'unknown', error: true };
+}
+
 async function fetchCloudData(lat, lon) {
   const cacheKey = `${lat.toFixed(2)},${lon.toFixed(2)}`;
   const cached = cloudCache[cacheKey];
   
-  if (cached && Date.now() - cached.time < 15 * 60 * 1000) {
+  if (cached?.data && Date.now() - cached.time < 15 * 60 * 1000) {
     return cached.data;
   }
+  // Open-Meteo just failed - the last forecast (or the placeholder) until the retry
+  if (Date.now() - (cached?.failedAt || 0) < FAILED_FETCH_RETRY) {
+    return cached.data || getCloudFallback();
+  }
 
   try {
-    // Get current + next 6 hours forecast
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,weather_code&hourly=cloud_cover,cloud_cover_low&forecast_hours=6&timezone=auto`;
+    // Get current + next 24 hours forecast (the nowcast timeline covers tonight)
+    const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,weather_code&hourly=cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high&forecast_hours=24&timezone=auto`;
     const data = await fetchJSON(url);
     
     const current = data.current || {};
     const hourly = data.hourly || {};
     
     // Calculate 6-hour trend
-    const hourlyLow = hourly.cloud_cover_low || [];
+    const hourlyLow = (hourly.cloud_cover_low || []).slice(0, 6);
     const trend = hourlyLow.length >= 2 
       ? (hourlyLow[hourlyLow.length - 1] - hourlyLow[0]) > 10 ? 'increasing' 
         : (hourlyLow[0] - hourlyLow[hourlyLow.length - 1]) > 10 ? 'clearing' : 'stable'
@@ -356,6 +1389,7 @@ async function fetchCloudData(lat, lon) {
       weatherCode: current.weather_code || 0,
       trend,
       forecast: hourlyLow,
+      hourly: parseHourlyClouds(hourly, data.utc_offset_seconds || 0),
       time: current.time || new Date().toISOString()
     };
 
@@ -364,50 +1398,60 @@ async function fetchCloudData(lat, lon) {
     return result;
   } catch (e) {
     console.error('[Cloud] Error:', e.message);
-    return { total: 0, low: 0, mid: 0, high: 0, visibility: 10000, trend: 'unknown', error: true };
+    cloudCache[cacheKey] = { ...cached, failedAt: Date.now() };
+    return cached?.data || getCloudFallback();
   }
 }
 
 // ============================================================================
 // Daily Summary - Analyze Yesterday's Aurora Conditions
 // ============================================================================
-async function generateDailySummary() {
+// Default delivery; subscribers can pick their own time and days
+// (subscription `dailySummary`), in their own time zone
+const DAILY_SUMMARY_CONFIG = {
+  time: process.env.DAILY_SUMMARY_TIME || '08:00',
+  timezone: process.env.DAILY_SUMMARY_TIMEZONE || 'America/Los_Angeles',
+  weekdays: parseWeekdays(process.env.DAILY_SUMMARY_DAYS || 'daily'),
+  catchUp: process.env.DAILY_SUMMARY_CATCH_UP || 'latest'
+};
+
+/**
+ * Summarize one local calendar day (midnight to midnight in `timeZone`, so
+ * 23 or 25 hours on DST change days)
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} timeZone - IANA name
+ */
+async function generateDailySummary(date, timeZone) {
   try {
-    console.log('[Daily] Generating yesterday\'s aurora summary...');
-    
-    // Fetch 7-day data (contains yesterday)
-    const [plasma, mag] = await Promise.all([
-      fetchJSON(NOAA_APIS.plasma),
-      fetchJSON(NOAA_APIS.mag)
-    ]);
-    
-    // Get yesterday's date range (PST = UTC-8)
-    const now = new Date();
-    const pstOffset = -8 * 60 * 60 * 1000;
-    const pstNow = new Date(now.getTime() + pstOffset);
-    const yesterdayPST = new Date(pstNow);
-    yesterdayPST.setDate(yesterdayPST.getDate() - 1);
+    console.log(`[Daily] Generating aurora summary for ${date} (${timeZone})...`);
     
-    const yesterdayStart = new Date(yesterdayPST.setHours(0, 0, 0, 0)).toISOString().slice(0, 10);
+    const { start: rangeStart, end: rangeEnd } = getZonedDayRange(date, timeZone);
+    const dayMinutes = (rangeEnd - rangeStart) / 60000;
     
-    // Filter data for yesterday (skip header row)
-    const plasmaData = plasma.slice(1).filter(p => p[0] && p[0].startsWith(yesterdayStart));
-    const magData = mag.slice(1).filter(m => m[0] && m[0].startsWith(yesterdayStart));
+    // Read the day from the history store; only hit NOAA when the store
+    // is missing a chunk of the day (fresh install, server downtime)
+    let samples = querySolarWindHistory(rangeStart, rangeEnd);
+    if (samples.length < dayMinutes * 0.9) {
+      console.log(`[Daily] History incomplete for ${date}, backfilling from NOAA 7-day data...`);
+      await backfillSolarWindHistory();
+      samples = querySolarWindHistory(rangeStart, rangeEnd);
+    }
     
-    if (!plasmaData.length || !magData.length) {
-      console.log('[Daily] No data available for yesterday');
+    if (!samples.length) {
+      console.log(`[Daily] No data available for ${date}`);
       return null;
     }
     
-    // Calculate statistics for yesterday
-    const speeds = plasmaData.map(p => parseFloat(p[2])).filter(v => !isNaN(v));
-    const densities = plasmaData.map(p => parseFloat(p[1])).filter(v => !isNaN(v));
-    const bzValues = magData.map(m => parseFloat(m[3])).filter(v => !isNaN(v));
-    const btValues = magData.map(m => parseFloat(m[6])).filter(v => !isNaN(v));
+    // Calculate statistics for the day
+    const speeds = samples.map(s => s.speed).filter(v => v !== null);
+    const densities = samples.map(s => s.density).filter(v => v !== null);
+    const bzValues = samples.map(s => s.bz).filter(v => v !== null);
+    const btValues = samples.map(s => s.bt).filter(v => v !== null);
     
     const stats = {
-      date: yesterdayStart,
-      dataPoints: plasmaData.length,
+      date,
+      timezone: timeZone,
+      dataPoints: samples.length,
       speed: {
         min: Math.round(Math.min(...speeds)),
         max: Math.round(Math.max(...speeds)),
@@ -427,40 +1471,25 @@ async function generateDailySummary() {
         min: Math.min(...btValues).toFixed(1),
         max: Math.max(...btValues).toFixed(1),
         avg: (btValues.reduce((a, b) => a + b, 0) / btValues.length).toFixed(1)
-      }
+      },
+      // Highest observed planetary Kp of the day (null when NOAA Kp is unavailable)
+      kpMax: maxKpBetween((await getKpIndex())?.observed, rangeStart, rangeEnd)
     };
     
     // Count hours with good aurora conditions (Bz < -5 nT)
     const goodBzCount = bzValues.filter(bz => bz < -5).length;
     const goodBzHours = Math.round(goodBzCount / (bzValues.length / 24) * 24 / 60); // Approximate hours
     
-    // Calculate peak G4 similarity for yesterday
+    // Peak G4 similarity for the day - same scoring as live data and the history API
     let peakSimilarity = 0;
     let peakTime = '';
-    
-    for (let i = 0; i < Math.min(plasmaData.length, magData.length); i++) {
-      const speed = parseFloat(plasmaData[i][2]) || 0;
-      const density = parseFloat(plasmaData[i][1]) || 0;
-      const bz = parseFloat(magData[i][3]) || 0;
-      const bt = parseFloat(magData[i][6]) || 0;
-      const pressure = 1.6726e-6 * density * speed * speed;
-      
-      const scores = {
-        bz: Math.min(100, Math.round((Math.abs(bz) / 30) * 100)),
-        speed: Math.min(100, Math.round((speed / 750) * 100)),
-        density: Math.min(100, Math.round((density / 25) * 100)),
-        bt: Math.min(100, Math.round((bt / 40) * 100)),
-        pressure: Math.min(100, Math.round((pressure / 15) * 100))
-      };
-      
-      const similarity = Math.round(
-        scores.bz * 0.40 + scores.speed * 0.20 + scores.density * 0.15 + 
-        scores.bt * 0.10 + scores.pressure * 0.10
-      );
-      
-      if (similarity > peakSimilarity) {
-        peakSimilarity = similarity;
-        peakTime = plasmaData[i][0];
+    // Include the hour before midnight so early samples get a real Bz duration
+    const derived = deriveHistoryMetrics(querySolarWindHistory(rangeStart - 60 * 60 * 1000, rangeEnd))
+      .filter(s => s.ts >= rangeStart);
+    for (const sample of derived) {
+      if (sample.similarity !== null && sample.similarity > peakSimilarity) {
+        peakSimilarity = sample.similarity;
+        peakTime = new Date(sample.ts).toISOString();
       }
     }
     
@@ -491,8 +1520,14 @@ async function generateDailySummary() {
   }
 }
 
-async function sendDailySummaryEmail() {
-  const summary = await generateDailySummary();
+/**
+ * Send one scheduled run of a daily summary job: the local day before the
+ * run's date, in the job's time zone, to the job's recipients and channels
+ * @param {object} job - getDailySummaryJobs() entry
+ * @param {string} runDate - Local date of the scheduled run (YYYY-MM-DD)
+ */
+async function sendDailySummaryEmail(job, runDate) {
+  const summary = await generateDailySummary(shiftDate(runDate, -1), job.timezone);
   if (!summary) {
     console.log('[Daily] Skipping email - no summary data');
     return;
@@ -505,14 +1540,14 @@ async function sendDailySummaryEmail() {
   const speedMax = stats.speed.max;
   const densityMax = parseFloat(stats.density.max);
   
-  // Determine visibility latitude at peak
-  let visibleLat = '70°N+ (Arctic only)';
-  if (bzMin < -25) visibleLat = '35°N (Southern US)';
-  else if (bzMin < -20) visibleLat = '40°N (Northern CA, NY)';
-  else if (bzMin < -15) visibleLat = '45°N (OR, WI, MI)';
-  else if (bzMin < -10) visibleLat = '50°N (WA, MN, ME)';
-  else if (bzMin < -5) visibleLat = '55°N (Canada border)';
-  else if (bzMin < -3) visibleLat = '60°N (Alaska, Canada)';
+  // Visible latitude at peak (geomagnetic), placed on the alert location's meridian
+  const homeLat = EMAIL_CONFIG.alertLatitude;
+  const homeLon = EMAIL_CONFIG.alertLongitude;
+  const peakVisibleLat = getVisibleLatitude({ bz: bzMin, speed: speedMax, gScale: kpToGScale(stats.kpMax) });
+  const peakVisibleGeoLat = getVisibleGeographicLatitude(peakVisibleLat, homeLat, homeLon);
+  const visibleLat = `${formatLatitude(peakVisibleGeoLat, homeLat, 0)}${peakVisibleLat >= 67 ? '+' : ''} (${getVisibleRegion(peakVisibleGeoLat, homeLat, homeLon)})`;
+  const homeLocation = `${EMAIL_CONFIG.alertLocationName} (${formatLatitude(homeLat)})`;
+  const reachedHome = getObserverMagneticLatitude(homeLat, homeLon) >= peakVisibleLat;
   
   // Calculate dynamic pressure at peak
   const peakPressure = (1.6726e-6 * densityMax * speedMax * speedMax).toFixed(2);
@@ -523,14 +1558,22 @@ async function sendDailySummaryEmail() {
   else if (bzMin < -15) gScaleEstimate = 'G3 (Strong)';
   else if (bzMin < -10) gScaleEstimate = 'G2 (Moderate)';
   else if (bzMin < -5) gScaleEstimate = 'G1 (Minor)';
+
+  // Observed Kp beats the Bz estimate when NOAA had it
+  const kpMaxText = stats.kpMax !== null ? stats.kpMax.toFixed(2) : 'N/A';
+  if (stats.kpMax !== null) {
+    const g = kpToGScale(stats.kpMax);
+    const names = ['Quiet', 'Minor', 'Moderate', 'Strong', 'Severe', 'Extreme'];
+    gScaleEstimate = `G${g} (${names[g]}, observed)`;
+  }
   
   // Best viewing window (when Bz was most negative)
   const peakTimeFormatted = peakTime ? new Date(peakTime).toLocaleTimeString('en-US', { 
-    hour: '2-digit', minute: '2-digit', timeZone: 'America/Los_Angeles' 
-  }) + ' PST' : 'N/A';
+    hour: '2-digit', minute: '2-digit', timeZone: job.timezone, timeZoneName: 'short'
+  }) : 'N/A';
   
   const subject = `${emoji} Aurora Daily Summary: ${verdict} conditions on ${stats.date}`;
-  const body = `
+  const html = `
     <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 650px; margin: 0 auto; background: #0d1117; color: #e6edf3; padding: 0;">
       
       <!-- Header -->
@@ -621,10 +1664,18 @@ async function sendDailySummaryEmail() {
               <td style="padding: 8px 0; color: #8b949e;">Estimated Storm Level:</td>
               <td style="padding: 8px 0; color: #e6edf3; font-weight: bold;">${gScaleEstimate}</td>
             </tr>
+            <tr>
+              <td style="padding: 8px 0; color: #8b949e;">Max Kp Index:</td>
+              <td style="padding: 8px 0; color: #e6edf3; font-weight: bold;">${kpMaxText}</td>
+            </tr>
             <tr>
               <td style="padding: 8px 0; color: #8b949e;">Visible Latitude (at peak):</td>
               <td style="padding: 8px 0; color: #e6edf3; font-weight: bold;">${visibleLat}</td>
             </tr>
+            <tr>
+              <td style="padding: 8px 0; color: #8b949e;">Your Location:</td>
+              <td style="padding: 8px 0; color: #e6edf3; font-weight: bold;">${homeLocation} · ${reachedHome ? 'within reach at peak' : 'out of reach'}</td>
+            </tr>
             <tr>
               <td style="padding: 8px 0; color: #8b949e;">Peak Dynamic Pressure:</td>
               <td style="padding: 8px 0; color: #e6edf3; font-weight: bold;">${peakPressure} nPa</td>
@@ -644,250 +1695,1062 @@ async function sendDailySummaryEmail() {
       <!-- Footer -->
       <div style="background: #0d1117; padding: 20px 25px; border-top: 1px solid #30363d; border-radius: 0 0 12px 12px;">
         <p style="margin: 0; font-size: 13px; color: #8b949e; text-align: center;">
-          📅 Daily summary sent at 8:00 AM PST<br>
+          📅 Daily summary sent at ${job.time} (${job.timezone})<br>
           🌌 <a href="https://nocturne.azurewebsites.net" style="color: #58a6ff; text-decoration: none;">View Live Nocturne →</a>
         </p>
       </div>
     </div>
   `;
   
-  const sent = await sendEmail(subject, body);
-  console.log(`[Daily] Summary email ${sent ? 'sent successfully' : 'failed to send'}`);
+  const text = [
+    `**${verdict}** - ${description}`,
+    '',
+    `• **Peak G4 match:** ${peakSimilarity}% · **Good Bz time:** ~${goodBzHours}h`,
+    `• **Bz:** min ${stats.bz.min} / avg ${stats.bz.avg} nT`,
+    `• **Speed:** max ${stats.speed.max} / avg ${stats.speed.avg} km/s`,
+    `• **Density:** max ${stats.density.max} p/cm³ · **Bt:** max ${stats.bt.max} nT`,
+    '',
+    `🔬 ${gScaleEstimate} · max Kp ${kpMaxText} · visible to ${visibleLat} · ${peakPressure} nPa peak pressure`,
+    `📍 ${homeLocation}: ${reachedHome ? 'within reach at peak' : 'out of reach'}`,
+    `⏰ Best window: ${peakTimeFormatted} (${stats.dataPoints.toLocaleString()} data points)`,
+    '',
+    'https://nocturne.azurewebsites.net'
+  ].join('\n');
+
+  const results = await notify({ type: 'daily', priority: 'low', subject, html, text, data: summary }, {
+    recipients: job.recipients,
+    channels: job.channels
+  });
+  const sent = Object.values(results).includes('sent');
+  console.log(`[Daily] Summary ${sent ? 'sent successfully' : 'failed to send'}`);
   return sent;
 }
 
-// File to persist last daily summary date (survives restarts)
-const DAILY_SUMMARY_STATE_FILE = path.join(__dirname, '.daily-summary-state.json');
+// Per-job date of the last scheduled run (survives restarts)
+const DAILY_SUMMARY_STATE_FILE = path.join(DATA_DIR, '.daily-summary-state.json');
+
+function loadDailySummaryState() {
+  try {
+    if (fs.existsSync(DAILY_SUMMARY_STATE_FILE)) {
+      const state = JSON.parse(fs.readFileSync(DAILY_SUMMARY_STATE_FILE, 'utf8'));
+      // Single-job files from before per-recipient schedules
+      if (!state.jobs) return { jobs: state.lastSentDate ? { daily: { lastRunDate: state.lastSentDate } } : {} };
+      return state;
+    }
+  } catch (e) {
+    console.error('[Daily] Error reading state file:', e.message);
+  }
+  return { jobs: {} };
+}
+
+function saveDailySummaryState(state) {
+  try {
+    fs.writeFileSync(DAILY_SUMMARY_STATE_FILE, JSON.stringify(state));
+  } catch (e) {
+    console.error('[Daily] Error saving state file:', e.message);
+  }
+}
+
+/**
+ * Daily summary jobs: one per subscriber with their own `dailySummary`
+ * schedule (email only, their time zone), plus the default job for
+ * everyone else - EMAIL_RECIPIENTS without their own schedule and the
+ * push channels.
+ */
+function getDailySummaryJobs() {
+  const channels = getNotifiers('daily');
+  const own = alertSubscriptions.filter(s => s.enabled !== false && s.dailySummary);
+  const jobs = channels.includes('email')
+    ? own.map(s => ({
+      id: `daily:${s.id}`,
+      time: s.dailySummary.time,
+      timezone: s.timezone,
+      weekdays: s.dailySummary.weekdays || DAILY_SUMMARY_CONFIG.weekdays,
+      catchUp: DAILY_SUMMARY_CONFIG.catchUp,
+      recipients: [s.email],
+      channels: ['email']
+    }))
+    : [];
+
+  const ownEmails = new Set(own.map(s => s.email.toLowerCase()));
+  const recipients = EMAIL_CONFIG.recipients.map(e => e.trim()).filter(e => !ownEmails.has(e.toLowerCase()));
+  const defaultChannels = channels.filter(name => name !== 'email' || recipients.length);
+  if (defaultChannels.length) {
+    jobs.unshift({ id: 'daily', ...DAILY_SUMMARY_CONFIG, recipients, channels: defaultChannels });
+  }
+  return jobs;
+}
+
+/**
+ * Check every minute which daily summary runs are due (getDueRuns in
+ * src/js/scheduler.js) - on time, or missed while the server was down per
+ * DAILY_SUMMARY_CATCH_UP - and send them, recording each job's last run
+ * before sending so a restart mid-send never repeats it.
+ */
+function scheduleDailySummary() {
+  if (!isValidTimezone(DAILY_SUMMARY_CONFIG.timezone) || parseClockTime(DAILY_SUMMARY_CONFIG.time) === null ||
+      !DAILY_SUMMARY_CONFIG.weekdays || !CATCH_UP_POLICIES.includes(DAILY_SUMMARY_CONFIG.catchUp)) {
+    console.error('[Daily] Invalid DAILY_SUMMARY_TIME/TIMEZONE/DAYS/CATCH_UP - daily summary not scheduled');
+    return;
+  }
+  const state = loadDailySummaryState();
+  let running = false;
+
+  const runDueJobs = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const job of getDailySummaryJobs()) {
+        for (const runDate of getDueRuns(job, state.jobs[job.id]?.lastRunDate || null, Date.now())) {
+          state.jobs[job.id] = { lastRunDate: runDate, lastRunAt: new Date().toISOString() };
+          saveDailySummaryState(state);
+          console.log(`[Daily] Running ${job.id} for ${runDate} (${job.time} ${job.timezone})`);
+          await sendDailySummaryEmail(job, runDate);
+        }
+      }
+    } catch (e) {
+      console.error('[Daily] Scheduler error:', e.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  // Check every minute for scheduled times, and now for missed runs
+  setInterval(runDueJobs, 60 * 1000);
+  runDueJobs();
+  const { time, timezone, weekdays } = DAILY_SUMMARY_CONFIG;
+  const next = getNextRun({ time, timezone, weekdays }, Date.now());
+  console.log(`📅 Daily summary scheduled for ${time} ${timezone}${next ? ` (next ${new Date(next).toISOString()})` : ''}`);
+}
+
+// ============================================================================
+// Email Notifications
+// ============================================================================
+
+/**
+ * Sun and moon for a location and time, classified by the shared darkness
+ * model (src/js/decision.js) - a bright moon dims an otherwise dark sky.
+ *
+ * @returns {object} - getDarknessInfo() fields plus moon phase (0 new → 0.5 full)
+ */
+function getDarknessAt(lat, lon, date = new Date()) {
+  const sun = getSunPosition(lat, lon, date);
+  const moon = getMoonPosition(lat, lon, date);
+  const darkness = getDarknessInfo(sun.altitude, moon);
+  return { ...darkness, moon: { ...darkness.moon, phase: moon.phase } };
+}
+
+/**
+ * Calculate hours until dark for a location (from now, or from a given time)
+ */
+function getHoursUntilDark(lat, lon, now = new Date()) {
+  const canViewAt = (date) => getDarknessInfo(getSunPosition(lat, lon, date).altitude).canViewAurora;
+  
+  if (canViewAt(now)) return 0; // Already dark
+  
+  // Check each hour ahead to find when it gets dark
+  for (let h = 1; h <= 18; h++) {
+    const future = new Date(now.getTime() + h * 60 * 60 * 1000);
+    if (canViewAt(future)) {
+      // Refine to quarter hours
+      for (let m = 0; m < 60; m += 15) {
+        const precise = new Date(now.getTime() + (h - 1) * 60 * 60 * 1000 + m * 60 * 1000);
+        if (canViewAt(precise)) {
+          return Math.round(((h - 1) + m / 60) * 10) / 10;
+        }
+      }
+      return h;
+    }
+  }
+  return null; // Won't get dark in 18 hours (polar day)
+}
+
+/**
+ * Run the shared GO/NO GO engine (src/js/decision.js) for a location.
+ * OVATION is one cached global file so it is always included; the per-location
+ * cloud fetch can be skipped for a cheap first pass (unknown sky counts as clear,
+ * so a NO GO without clouds stays NO GO with them).
+ *
+ * `at` evaluates darkness and the moon for a later time (early warnings judge
+ * the sky when the solar wind arrives, not when it left L1).
+ *
+ * @returns {Promise<object>} - { decision, darkness, moonTimes, hoursUntilDark, clouds, ovation }
+ */
+async function decideAuroraAt(data, latitude, longitude, { skipClouds = false, at = new Date() } = {}) {
+  const darkness = getDarknessAt(latitude, longitude, at);
+  const hoursUntilDark = darkness.canViewAurora ? 0 : getHoursUntilDark(latitude, longitude, at);
+  const [ovation, clouds] = await Promise.all([
+    getOvationForecast(latitude, longitude),
+    skipClouds ? null : fetchCloudData(latitude, longitude)
+  ]);
+  const decision = makeAuroraDecision({
+    data,
+    latitude,
+    longitude,
+    sunAltitude: darkness.sunAltitude,
+    hoursUntilDark,
+    moon: darkness.moon,
+    clouds,
+    ovation
+  });
+  const moonTimes = getMoonTimes(latitude, longitude, at);
+  return { decision, darkness, moonTimes, hoursUntilDark, clouds, ovation };
+}
+
+/**
+ * Parse optional lat/lon query params, defaulting to the alert location
+ * @returns {object} - { latitude, longitude } or { error }
+ */
+function parseLocationParams(searchParams) {
+  const latParam = searchParams.get('lat');
+  const lonParam = searchParams.get('lon');
+  const latitude = latParam === null ? EMAIL_CONFIG.alertLatitude : Number(latParam);
+  const longitude = lonParam === null ? EMAIL_CONFIG.alertLongitude : Number(lonParam);
+
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return { error: 'lat must be a number between -90 and 90' };
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return { error: 'lon must be a number between -180 and 180' };
+  }
+  return { latitude, longitude };
+}
+
+/**
+ * Parse ?hemisphere=north|south|both&bbox=minLon,minLat,maxLon,maxLat&minProbability=
+ * for /api/aurora/ovation/grid
+ * @returns {object} - { hemisphere, bbox, minProbability } or { error }
+ */
+function parseOvationGridParams(searchParams) {
+  const hemisphere = searchParams.get('hemisphere') || 'north';
+  if (!['north', 'south', 'both'].includes(hemisphere)) {
+    return { error: 'hemisphere must be north, south or both' };
+  }
+  const { bbox, error } = parseBoundingBox(searchParams.get('bbox'));
+  if (error) return { error };
+
+  const minParam = searchParams.get('minProbability');
+  const minProbability = minParam === null ? 1 : Number(minParam);
+  if (!Number.isFinite(minProbability) || minProbability < 0 || minProbability > 100) {
+    return { error: 'minProbability must be a number between 0 and 100' };
+  }
+  return { hemisphere, bbox, minProbability };
+}
+
+// ============================================================================
+// Aurora Nowcast - hour-by-hour timeline for tonight
+// ============================================================================
+const HOUR_MS = 60 * 60 * 1000;
+const NOWCAST_MAX_HOURS = 24;
+const NOWCAST_OVATION_HOURS = 1.5; // OVATION only forecasts ~30-90 minutes ahead
+
+/**
+ * Build tonight's hourly timeline for a location: sun, low/mid clouds, moon,
+ * OVATION (near term) and NOAA's predicted G-scale, scored by src/js/nowcast.js.
+ * Starts one hour before dark (or now, if already dark) and ends when the night does.
+ *
+ * @returns {Promise<object>} - { hours, windows, bestWindow, moon: { illumination, phase, rise, set } }
+ */
+async function buildNowcastTimeline(data, latitude, longitude) {
+  const now = Date.now();
+  const firstHour = now - (now % HOUR_MS);
+  const [clouds, ovation] = await Promise.all([
+    fetchCloudData(latitude, longitude),
+    getOvationForecast(latitude, longitude)
+  ]);
+  const moonNow = getMoonPosition(latitude, longitude, new Date(firstHour));
+  const moonTimes = getMoonTimes(latitude, longitude, new Date(firstHour));
+  const magneticLatitude = getObserverMagneticLatitude(latitude, longitude);
+  const moonTonight = {
+    illumination: moonNow.illumination,
+    phase: moonNow.phase,
+    rise: moonTimes.rise && moonTimes.rise.toISOString(),
+    set: moonTimes.set && moonTimes.set.toISOString(),
+    alwaysUp: moonTimes.alwaysUp,
+    alwaysDown: moonTimes.alwaysDown
+  };
+  const cloudsByHour = new Map((clouds.hourly || []).map(c => [Date.parse(c.time), c]));
+  const gByDate = new Map((data?.gForecast || []).map(f => [f.date, f.scale]));
+
+  const all = [];
+  for (let h = 0; h < NOWCAST_MAX_HOURS; h++) {
+    const start = firstHour + h * HOUR_MS;
+    const middle = new Date(start + HOUR_MS / 2);
+    const sun = getSunPosition(latitude, longitude, middle);
+    const moon = getMoonPosition(latitude, longitude, middle);
+    const cloud = cloudsByHour.get(start) || null;
+
+    // Near term: observed G-scale and OVATION; later: NOAA's daily G forecast
+    const nearTerm = (start + HOUR_MS / 2 - now) / HOUR_MS <= NOWCAST_OVATION_HOURS;
+    const date = new Date(start).toISOString().slice(0, 10);
+    const predictedG = Math.max(gByDate.get(date) ?? 0, nearTerm ? (data?.gScale || 0) : 0);
+    let activity = getActivityForGScale(predictedG, magneticLatitude);
+    if (nearTerm && ovation) {
+      activity = Math.max(activity, ovation.atLocation, Math.round(ovation.nearbyMax / 2));
+    }
+
+    const scored = scoreNowcastHour({ sunAltitude: sun.altitude, clouds: cloud, moon, activity });
+    all.push({
+      time: new Date(start).toISOString(),
+      sun: { altitude: sun.altitude, level: scored.darkness },
+      clouds: cloud && { total: cloud.total, low: cloud.low, mid: cloud.mid },
+      moon: {
+        altitude: moon.altitude,
+        illumination: moon.illumination,
+        interference: scored.moon
+      },
+      ovation: nearTerm && ovation ? ovation.atLocation : null,
+      predictedG,
+      activity,
+      viewing: scored.viewing,
+      score: scored.score
+    });
+  }
+
+  // Trim to tonight: from the hour before dark through the end of the first night
+  const canView = (h) => getDarknessInfo(h.sun.altitude).canViewAurora;
+  const firstDark = all.findIndex(canView);
+  if (firstDark === -1) return { hours: [], windows: [], bestWindow: null, moon: moonTonight };
+  const nightEnd = all.findIndex((h, i) => i > firstDark && !canView(h));
+  const hours = all.slice(Math.max(0, firstDark - 1), nightEnd === -1 ? all.length : nightEnd + 1);
+
+  const windows = rankViewingWindows(hours);
+  return { hours, windows, bestWindow: windows[0] || null, moon: moonTonight };
+}
+
+async function sendEmail(subject, body, recipients = EMAIL_CONFIG.recipients) {
+  if (!EMAIL_CONFIG.enabled || !recipients.length) return false;
+
+  try {
+    const nodemailer = await import('nodemailer');
+    const transporter = nodemailer.default.createTransport({
+      host: EMAIL_CONFIG.smtpHost,
+      port: EMAIL_CONFIG.smtpPort,
+      secure: EMAIL_CONFIG.smtpPort === 465,
+      auth: { user: EMAIL_CONFIG.smtpUser, pass: EMAIL_CONFIG.smtpPass }
+    });
+
+    for (const recipient of recipients) {
+      await transporter.sendMail({
+        from: EMAIL_CONFIG.fromEmail,
+        to: recipient.trim(),
+        subject,
+        html: body
+      });
+    }
+    console.log(`[Email] Alert sent to ${recipients.length} recipients`);
+    return true;
+  } catch (e) {
+    console.error('[Email] Failed:', e.message);
+    return false;
+  }
+}
+
+// ============================================================================
+// Notification Channels - email plus webhook/Slack/Discord/ntfy/Gotify/Telegram
+// ============================================================================
+// Every alert is built once as { subject, html, text, priority } where `text`
+// is a markdown rendering of the HTML email. Channels pick the variant they
+// support; NOTIFY_CONFIG.routes decides which channels get each alert type.
+
+const NTFY_PRIORITY = { high: 5, default: 3, low: 2 };
+const GOTIFY_PRIORITY = { high: 8, default: 5, low: 2 };
+
+// Push channels are shared, so identical alerts (e.g. several subscribers at
+// one location) are only pushed once per cooldown. dedupe key -> last push time
+const pushState = { lastPushed: {} };
+
+// Slack mrkdwn uses single asterisks for bold
+const toSlackMarkdown = (text) => text.replace(/\*\*(.+?)\*\*/g, '*$1*');
+const toPlainText = (text) => text.replace(/\*\*(.+?)\*\*/g, '$1');
+
+const NOTIFIERS = {
+  email: {
+    isConfigured: () => EMAIL_CONFIG.enabled,
+    send: async (message, { recipients = EMAIL_CONFIG.recipients } = {}) => {
+      if (!recipients.length) throw new Error('No recipients');
+      if (!await sendEmail(message.subject, message.html, recipients)) throw new Error('SMTP send failed');
+    }
+  },
+  webhook: {
+    isConfigured: () => !!NOTIFY_CONFIG.webhook.url,
+    send: (message) => postJSON(NOTIFY_CONFIG.webhook.url, {
+      type: message.type,
+      priority: message.priority,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      data: message.data || null,
+      timestamp: new Date().toISOString()
+    })
+  },
+  slack: {
+    isConfigured: () => !!NOTIFY_CONFIG.slack.url,
+    send: (message) => postJSON(NOTIFY_CONFIG.slack.url, {
+      text: `*${message.subject}*\n${toSlackMarkdown(message.text)}`
+    })
+  },
+  discord: {
+    isConfigured: () => !!NOTIFY_CONFIG.discord.url,
+    send: (message) => postJSON(NOTIFY_CONFIG.discord.url, {
+      // Discord rejects content over 2000 characters
+      content: `**${message.subject}**\n${message.text}`.slice(0, 2000)
+    })
+  },
+  ntfy: {
+    isConfigured: () => !!NOTIFY_CONFIG.ntfy.topic,
+    send: (message) => postJSON(NOTIFY_CONFIG.ntfy.url, {
+      topic: NOTIFY_CONFIG.ntfy.topic,
+      title: message.subject,
+      message: message.text,
+      markdown: true,
+      priority: NTFY_PRIORITY[message.priority] || NTFY_PRIORITY.default
+    }, NOTIFY_CONFIG.ntfy.token ? { Authorization: `Bearer ${NOTIFY_CONFIG.ntfy.token}` } : {})
+  },
+  gotify: {
+    isConfigured: () => !!(NOTIFY_CONFIG.gotify.url && NOTIFY_CONFIG.gotify.token),
+    send: (message) => postJSON(`${NOTIFY_CONFIG.gotify.url.replace(/\/$/, '')}/message`, {
+      title: message.subject,
+      message: message.text,
+      priority: GOTIFY_PRIORITY[message.priority] || GOTIFY_PRIORITY.default,
+      extras: { 'client::display': { contentType: 'text/markdown' } }
+    }, { 'X-Gotify-Key': NOTIFY_CONFIG.gotify.token })
+  },
+  telegram: {
+    isConfigured: () => !!(NOTIFY_CONFIG.telegram.botToken && NOTIFY_CONFIG.telegram.chatId),
+    // Plain text avoids Telegram's strict markdown escaping rules
+    send: (message) => postJSON(`https://api.telegram.org/bot${NOTIFY_CONFIG.telegram.botToken}/sendMessage`, {
+      chat_id: NOTIFY_CONFIG.telegram.chatId,
+      text: `${message.subject}\n\n${toPlainText(message.text)}`,
+      disable_web_page_preview: true
+    })
+  }
+};
+
+/**
+ * Channels that are configured and routed for an alert type
+ * @param {string} type - 'aurora' | 'storm' | 'stocks' | 'daily' | 'test'
+ */
+function getNotifiers(type) {
+  const route = NOTIFY_CONFIG.routes[type] || 'all';
+  const names = route === 'all'
+    ? Object.keys(NOTIFIERS)
+    : route.split(',').map(n => n.trim().toLowerCase()).filter(n => NOTIFIERS[n]);
+  return names.filter(name => NOTIFIERS[name].isConfigured());
+}
+
+/**
+ * Send a message to every channel routed for its type.
+ * @param {object} message - { type, subject, html, text, priority, data }
+ * @param {object} options - recipients (email only), dedupeKey (push channels),
+ *                           channels (explicit override of the route)
+ * @returns {Promise<object>} - channel -> 'sent' | 'skipped' (deduped within the cooldown) | error message
+ */
+async function notify(message, { recipients, dedupeKey, channels } = {}) {
+  // Replayed storms are labelled so nobody heads outside for a past aurora
+  if (simulation.scenario && (message.type === 'aurora' || message.type === 'storm')) {
+    message = { ...message, subject: `[SIMULATION] ${message.subject}`, text: `**[SIMULATION]** ${message.text}` };
+  }
+  const now = Date.now();
+  const cooldown = EMAIL_CONFIG.cooldownMinutes * 60 * 1000;
+  const skipPush = dedupeKey && now - (pushState.lastPushed[dedupeKey] || 0) <= cooldown;
+  const results = {};
+
+  for (const name of channels || getNotifiers(message.type)) {
+    if (name !== 'email' && skipPush) {
+      results[name] = 'skipped';
+      continue;
+    }
+    try {
+      await NOTIFIERS[name].send(message, { recipients });
+      results[name] = 'sent';
+    } catch (e) {
+      console.error(`[Notify] ${name} failed:`, e.message);
+      results[name] = e.message;
+    }
+  }
+
+  const sent = Object.entries(results).filter(([, r]) => r === 'sent').map(([n]) => n);
+  // Failed pushes stay retryable instead of starting the cooldown
+  if (dedupeKey && sent.some(name => name !== 'email')) pushState.lastPushed[dedupeKey] = now;
+  if (sent.length) console.log(`[Notify] ${message.type} "${message.subject}" sent via ${sent.join(', ')}`);
+  return results;
+}
+
+// ============================================================================
+// Alert Subscriptions - per-recipient location, thresholds and quiet hours
+// ============================================================================
+const ALERT_SUBSCRIPTIONS_FILE = path.join(DATA_DIR, '.alert-subscriptions.json');
+
+const SUBSCRIPTION_DEFAULTS = {
+  minSimilarity: 0,    // Extra G4 similarity % required on top of GO (0 = GO is enough)
+  maxCloudCover: 75,   // Max low/mid cloud cover %
+  minOvation: 10,      // Min OVATION probability % at/poleward of location (0 = ignore)
+  minKp: 0,            // Min observed planetary Kp (0 = ignore)
+  minHemisphericPower: 0, // Min hemispheric power (GW) for the location's hemisphere (0 = ignore)
+  quietHours: null,    // { start: 'HH:MM', end: 'HH:MM' } in `timezone`
+  stormWatch: true,    // "Storm incoming" alerts for NOAA storm watches that reach this location
+  dailySummary: null,  // Own daily summary delivery { time: 'HH:MM', weekdays } in `timezone` (null = default)
+  timezone: 'UTC',
+  enabled: true
+};
+
+const alertSubscriptions = loadAlertSubscriptions();
+
+function loadAlertSubscriptions() {
+  try {
+    if (fs.existsSync(ALERT_SUBSCRIPTIONS_FILE)) {
+      const state = JSON.parse(fs.readFileSync(ALERT_SUBSCRIPTIONS_FILE, 'utf8'));
+      return Array.isArray(state.subscriptions) ? state.subscriptions : [];
+    }
+  } catch (e) {
+    console.error('[Subscriptions] Error reading subscriptions file:', e.message);
+  }
+  return [];
+}
+
+function saveAlertSubscriptions() {
+  try {
+    fs.writeFileSync(ALERT_SUBSCRIPTIONS_FILE, JSON.stringify({ subscriptions: alertSubscriptions }, null, 2));
+  } catch (e) {
+    console.error('[Subscriptions] Error saving subscriptions file:', e.message);
+  }
+}
+
+/**
+ * Subscriptions to evaluate. Until any are created through the API, every
+ * EMAIL_RECIPIENTS address gets the legacy single ALERT_LATITUDE location.
+ */
+function getAlertSubscriptions() {
+  if (alertSubscriptions.length) return alertSubscriptions;
+  return EMAIL_CONFIG.recipients.map(email => ({
+    id: `env:${email.trim()}`,
+    email: email.trim(),
+    locationName: EMAIL_CONFIG.alertLocationName,
+    latitude: EMAIL_CONFIG.alertLatitude,
+    longitude: EMAIL_CONFIG.alertLongitude,
+    ...SUBSCRIPTION_DEFAULTS,
+    maxCloudCover: 100,
+    minOvation: 0,
+    timezone: 'America/Los_Angeles'
+  }));
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseClockTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+/**
+ * Check whether `date` falls inside the subscriber's quiet hours.
+ * Windows may wrap midnight (e.g. 23:00-06:00).
+ */
+function isInQuietHours(subscription, date = new Date()) {
+  if (!subscription.quietHours) return false;
+  const start = parseClockTime(subscription.quietHours.start);
+  const end = parseClockTime(subscription.quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: subscription.timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = parseInt(parts.find(p => p.type === 'hour').value);
+  const minute = parseInt(parts.find(p => p.type === 'minute').value);
+  const now = hour * 60 + minute;
+
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Validate a create/update payload and merge it over `existing` (or defaults)
+ * @returns {object} - { subscription } or { error }
+ */
+function validateSubscription(input, existing = null) {
+  if (!input || typeof input !== 'object') return { error: 'Request body must be a JSON object' };
+
+  const sub = { ...SUBSCRIPTION_DEFAULTS, ...existing };
+  const fields = ['email', 'locationName', 'latitude', 'longitude', 'minSimilarity',
+    'maxCloudCover', 'minOvation', 'minKp', 'minHemisphericPower', 'quietHours', 'stormWatch', 'dailySummary',
+    'timezone', 'enabled'];
+  for (const field of fields) {
+    if (field in input) sub[field] = input[field];
+  }
+
+  if (typeof sub.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(sub.email)) {
+    return { error: 'A valid email is required' };
+  }
+  if (typeof sub.latitude !== 'number' || sub.latitude < -90 || sub.latitude > 90) {
+    return { error: 'latitude must be a number between -90 and 90' };
+  }
+  if (typeof sub.longitude !== 'number' || sub.longitude < -180 || sub.longitude > 180) {
+    return { error: 'longitude must be a number between -180 and 180' };
+  }
+  const ranges = { minSimilarity: 99, maxCloudCover: 100, minOvation: 100, minKp: 9, minHemisphericPower: 500 };
+  for (const [field, max] of Object.entries(ranges)) {
+    if (typeof sub[field] !== 'number' || sub[field] < 0 || sub[field] > max) {
+      return { error: `${field} must be a number between 0 and ${max}` };
+    }
+  }
+  if (sub.locationName !== undefined && (typeof sub.locationName !== 'string' || sub.locationName.length > 100)) {
+    return { error: 'locationName must be a string of at most 100 characters' };
+  }
+  if (typeof sub.timezone !== 'string' || !isValidTimezone(sub.timezone)) {
+    return { error: 'timezone must be an IANA time zone (e.g. Europe/Oslo)' };
+  }
+  if (sub.quietHours !== null) {
+    const { start, end } = sub.quietHours || {};
+    if (parseClockTime(start) === null || parseClockTime(end) === null) {
+      return { error: 'quietHours must be null or { start: "HH:MM", end: "HH:MM" }' };
+    }
+    sub.quietHours = { start, end };
+  }
+  if (sub.dailySummary !== null) {
+    const { time, weekdays = null } = sub.dailySummary || {};
+    const days = weekdays === null ? null : parseWeekdays(weekdays);
+    if (parseClockTime(time) === null || (weekdays !== null && !days)) {
+      return { error: 'dailySummary must be null or { time: "HH:MM", weekdays: "mon-fri" | [0-6] }' };
+    }
+    sub.dailySummary = { time, weekdays: days };
+  }
+  if (typeof sub.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+  if (typeof sub.stormWatch !== 'boolean') return { error: 'stormWatch must be a boolean' };
+
+  return { subscription: sub };
+}
+
+function createAlertSubscription(input) {
+  const { subscription, error } = validateSubscription(input);
+  if (error) return { error };
+  subscription.id = crypto.randomUUID();
+  subscription.createdAt = new Date().toISOString();
+  alertSubscriptions.push(subscription);
+  saveAlertSubscriptions();
+  return { subscription };
+}
+
+function updateAlertSubscription(id, input) {
+  const index = alertSubscriptions.findIndex(s => s.id === id);
+  if (index === -1) return { notFound: true };
+  const { subscription, error } = validateSubscription(input, alertSubscriptions[index]);
+  if (error) return { error };
+  subscription.updatedAt = new Date().toISOString();
+  alertSubscriptions[index] = subscription;
+  saveAlertSubscriptions();
+  return { subscription };
+}
+
+function deleteAlertSubscription(id) {
+  const index = alertSubscriptions.findIndex(s => s.id === id);
+  if (index === -1) return false;
+  alertSubscriptions.splice(index, 1);
+  delete emailState.levels[id];
+  delete emailState.deferred[id];
+  saveAlertState();
+  saveAlertSubscriptions();
+  return true;
+}
+
+function loadAlertState() {
+  try {
+    if (fs.existsSync(ALERT_STATE_FILE)) {
+      const state = JSON.parse(fs.readFileSync(ALERT_STATE_FILE, 'utf8'));
+      return { levels: state.levels || {}, deferred: state.deferred || {}, stormWatches: state.stormWatches || {} };
+    }
+  } catch (e) {
+    console.error('[Alert] Error reading alert state file:', e.message);
+  }
+  return { levels: {}, deferred: {}, stormWatches: {} };
+}
+
+// Replays keep their own throwaway state (swapped in by startSimulation)
+function saveAlertState() {
+  if (simulation.scenario) return;
+  try {
+    const { levels, deferred, stormWatches } = emailState;
+    fs.writeFileSync(ALERT_STATE_FILE, JSON.stringify({ levels, deferred, stormWatches }));
+  } catch (e) {
+    console.error('[Alert] Error saving alert state file:', e.message);
+  }
+}
+
+/**
+ * Evaluate every alert subscription against the latest solar wind data.
+ * Each subscriber gets their own darkness, cloud, OVATION and threshold
+ * checks, so Tromsø can be alerted while Seattle is still in daylight, and
+ * their own alert level: a heads-up for strong Bz still in transit from L1
+ * (watch), GO (active), an escalation when it turns strong - even inside
+ * the cooldown - and an all clear once it has subsided. GO conditions in
+ * daylight are held until dark rather than dropped.
+ */
+async function checkAndSendAlerts(data) {
+  if (!getNotifiers('aurora').length) return;
+  const suppressed = getAlertSuppression(data.freshness);
+  if (suppressed) {
+    console.log(`[Alert] Alerts suppressed: ${suppressed}`);
+    return;
+  }
+  const incoming = getIncomingStorm(data);
+
+  for (const subscription of getAlertSubscriptions()) {
+    if (subscription.enabled === false) continue;
+    // Northward IMF now and nothing strong on the way is NO GO everywhere -
+    // only events in progress (and alerts held until dark) need advancing
+    const level = emailState.levels[subscription.id]?.level || 'clear';
+    if (!(data.bz < 0) && !incoming && level === 'clear' && !emailState.deferred[subscription.id]) continue;
+    try {
+      const go = data.bz < 0 ? await assessAlertConditions(subscription, data) : null;
+      const warning = !go && incoming ? await assessEarlyWarning(subscription, data, incoming) : null;
+      const held = await updateDeferredAlert(subscription, data, go);
+      await updateAlertLevel(subscription, data, { go, warning, incoming, held });
+    } catch (e) {
+      console.error(`[Alert] Error evaluating subscription ${subscription.id}:`, e.message);
+    }
+  }
+  saveAlertState();
+}
+
+/**
+ * Strong southward Bz measured at L1 that has not reached Earth yet and is
+ * far enough out to be worth a heads-up
+ * @returns {object|null} - propagation.peak from processSpaceWeatherData
+ */
+function getIncomingStorm(data) {
+  const peak = data.propagation?.peak;
+  if (!EMAIL_CONFIG.earlyWarning || !peak) return null;
+  if (peak.bz >= THRESHOLDS.bz.strong || peak.minutesUntilArrival < EMAIL_CONFIG.earlyWarningMinLead) return null;
+  return peak;
+}
+
+// Fallback name for a subscription without one, e.g. "42.9°S, 147.3°E"
+function formatCoordinates(latitude, longitude) {
+  return `${formatLatitude(latitude)}, ${Math.abs(longitude).toFixed(1)}°${longitude < 0 ? 'W' : 'E'}`;
+}
 
-function getLastDailySummaryDate() {
-  try {
-    if (fs.existsSync(DAILY_SUMMARY_STATE_FILE)) {
-      const state = JSON.parse(fs.readFileSync(DAILY_SUMMARY_STATE_FILE, 'utf8'));
-      return state.lastSentDate || null;
-    }
-  } catch (e) {
-    console.error('[Daily] Error reading state file:', e.message);
+/**
+ * Early warning check for one subscriber: would the incoming solar wind be
+ * a GO when it arrives (darkness judged at arrival)?
+ * @returns {object|null} - { decision, darkness, cloudCover } when it would
+ */
+async function assessEarlyWarning(subscription, data, incoming) {
+  const { latitude, longitude } = subscription;
+  const locationName = subscription.locationName || formatCoordinates(latitude, longitude);
+
+  // Incoming values replace the arriving-now ones; darkness is judged at arrival
+  const forecast = { ...data, ...incoming };
+  const at = new Date(incoming.arrivalTime);
+  let { decision } = await decideAuroraAt(forecast, latitude, longitude, { skipClouds: true, at });
+  if (!decision.go) return null;
+  const result = await decideAuroraAt(forecast, latitude, longitude, { at });
+  decision = result.decision;
+  if (!decision.go) {
+    console.log(`[Alert] Incoming Bz ${incoming.bz} nT would be NO GO at ${locationName}: ${decision.reason}. No warning.`);
+    return null;
   }
-  return null;
+
+  const sky = assessAlertSky(result.clouds, subscription.maxCloudCover);
+  if (incoming.similarity < subscription.minSimilarity || sky.action === 'suppress') return null;
+  return { decision, darkness: result.darkness, cloudCover: sky.cloudCover };
 }
 
-function saveLastDailySummaryDate(date) {
-  try {
-    fs.writeFileSync(DAILY_SUMMARY_STATE_FILE, JSON.stringify({ lastSentDate: date }));
-  } catch (e) {
-    console.error('[Daily] Error saving state file:', e.message);
+/**
+ * "Storm incoming" alerts: each active NOAA storm watch is sent once per
+ * subscriber whose location the predicted G-level reaches. Days of notice,
+ * so darkness and clouds are left to the GO alert when it arrives.
+ * @param {object} events - getSpaceWeatherEvents() result
+ */
+async function checkStormWatchAlerts(events) {
+  if (!EMAIL_CONFIG.stormWatch || !events.stormWatches.length || !getNotifiers('storm').length) return;
+
+  // Forget watches long past their arrival window
+  const expired = Date.now() - 7 * 24 * 60 * 60 * 1000;
+  for (const [key, time] of Object.entries(emailState.stormWatches)) {
+    if (time < expired) delete emailState.stormWatches[key];
   }
-}
 
-// Schedule daily summary at 8 AM PST (or catch up on startup if missed)
-function scheduleDailySummary() {
-  // Load persisted state (survives server restarts)
-  let lastSentDate = getLastDailySummaryDate();
-  
-  const checkAndSchedule = () => {
-    const now = new Date();
-    // Convert to PST (UTC-8)
-    const pstHours = (now.getUTCHours() - 8 + 24) % 24;
-    const pstMinutes = now.getUTCMinutes();
-    const todayDate = now.toISOString().slice(0, 10);
-    
-    // Check if it's 8:00-8:04 AM PST and haven't sent today
-    // Using 5-minute window to avoid race conditions
-    if (pstHours === 8 && pstMinutes < 5 && lastSentDate !== todayDate) {
-      lastSentDate = todayDate;
-      saveLastDailySummaryDate(todayDate);
-      console.log(`[Daily] Triggering daily summary at ${pstHours}:${pstMinutes.toString().padStart(2, '0')} PST`);
-      sendDailySummaryEmail();
-    }
-  };
-  
-  // Check on startup: if we missed today's summary (it's after 8 AM and we haven't sent)
-  const checkStartupCatchup = () => {
-    const now = new Date();
-    const pstHours = (now.getUTCHours() - 8 + 24) % 24;
-    const todayDate = now.toISOString().slice(0, 10);
-    
-    // If it's after 8 AM PST and we haven't sent today's summary
-    if (pstHours >= 8 && lastSentDate !== todayDate) {
-      console.log(`[Daily] Startup catch-up: Last sent on ${lastSentDate || 'never'}, sending today's summary now`);
-      lastSentDate = todayDate;
-      saveLastDailySummaryDate(todayDate);
-      sendDailySummaryEmail();
-    } else if (lastSentDate === todayDate) {
-      console.log(`[Daily] Already sent today's summary (${todayDate})`);
-    } else {
-      console.log(`[Daily] Waiting for 8:00 AM PST to send summary (current: ${pstHours}:${now.getUTCMinutes().toString().padStart(2, '0')} PST)`);
+  for (const subscription of getAlertSubscriptions()) {
+    if (subscription.enabled === false || subscription.stormWatch === false) continue;
+    for (const watch of events.stormWatches) {
+      try {
+        await evaluateStormWatch(subscription, watch);
+      } catch (e) {
+        console.error(`[Storm] Error evaluating subscription ${subscription.id}:`, e.message);
+      }
     }
-  };
-  
-  // Check every minute for scheduled time
-  setInterval(checkAndSchedule, 60 * 1000);
-  // Check immediately on startup for catch-up
-  checkStartupCatchup();
-  console.log('📅 Daily summary scheduled for 8:00 AM PST');
+  }
+  saveAlertState();
 }
 
-// ============================================================================
-// Email Notifications
-// ============================================================================
+async function evaluateStormWatch(subscription, watch) {
+  const key = `${subscription.id}:${watch.serial}`;
+  if (emailState.stormWatches[key] || isInQuietHours(subscription)) return;
+
+  const { latitude, longitude } = subscription;
+  const locationName = subscription.locationName || formatCoordinates(latitude, longitude);
+  const visibleLatitude = getVisibleLatitude({ gScale: watch.gScale });
+  const latitudeMargin = getObserverMagneticLatitude(latitude, longitude) - visibleLatitude;
+  if (latitudeMargin < THRESHOLDS.margin.marginal) return;
+
+  console.log(`[Storm] G${watch.gScale} watch ${watch.serial} reaches ${locationName}. Notifying ${subscription.email}.`);
+  const message = buildStormWatchMessage(watch, {
+    locationName,
+    visibleText: formatLatitude(getVisibleGeographicLatitude(visibleLatitude, latitude, longitude), latitude, 0),
+    timezone: subscription.timezone
+  });
+  const results = await notify(message, { recipients: [subscription.email], dedupeKey: `storm-watch:${watch.serial}` });
+  // Sent or already pushed for another subscriber on every channel - otherwise
+  // the next check retries (push channels stay deduped within the cooldown)
+  if (isNotificationDelivered(results, { everyChannel: true })) emailState.stormWatches[key] = Date.now();
+}
 
 /**
- * Calculate sun altitude for a given location and time.
- * Used to determine if it's dark enough for aurora viewing.
- * 
- * @param {number} lat - Latitude in degrees
- * @param {number} lon - Longitude in degrees  
- * @param {Date} date - Date/time to check (default: now)
- * @returns {object} - Sun altitude and darkness info
+ * GO check for one subscriber: the shared engine, then their own thresholds
+ * @returns {object|null} - Alert details when it is a GO for them
  */
-function getSunPosition(lat, lon, date = new Date()) {
-  const toRad = (deg) => deg * Math.PI / 180;
-  const toDeg = (rad) => rad * 180 / Math.PI;
-  
-  // Day of year
-  const start = new Date(date.getFullYear(), 0, 0);
-  const diff = date - start;
-  const dayOfYear = Math.floor(diff / (1000 * 60 * 60 * 24));
-  
-  // Solar declination (simplified)
-  const declination = -23.45 * Math.cos(toRad((360 / 365) * (dayOfYear + 10)));
-  
-  // Time of day in hours (UTC)
-  const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60;
-  
-  // Solar hour angle
-  const solarNoon = 12 - (lon / 15);
-  const hourAngle = (utcHours - solarNoon) * 15;
-  
-  // Sun altitude angle
-  const latRad = toRad(lat);
-  const decRad = toRad(declination);
-  const haRad = toRad(hourAngle);
-  
-  const sinAlt = Math.sin(latRad) * Math.sin(decRad) + 
-                 Math.cos(latRad) * Math.cos(decRad) * Math.cos(haRad);
-  const altitude = toDeg(Math.asin(Math.max(-1, Math.min(1, sinAlt))));
-  
-  return {
-    altitude: Math.round(altitude * 10) / 10,
-    isDark: altitude < -6,        // Civil twilight or darker
-    canViewAurora: altitude < -6, // Need at least civil twilight for aurora
-    level: altitude < -18 ? 'night' : 
-      altitude < -12 ? 'nautical' :
-        altitude < -6 ? 'civil' :
-          altitude < 0 ? 'horizon' : 'day'
-  };
+async function assessAlertConditions(subscription, data) {
+  const { latitude, longitude } = subscription;
+  const locationName = subscription.locationName || formatCoordinates(latitude, longitude);
+
+  // Same GO/NO GO engine as the UI and /api/aurora/status. First pass skips
+  // the cloud fetch; it can only turn a GO into a NO GO.
+  let { decision } = await decideAuroraAt(data, latitude, longitude, { skipClouds: true });
+  if (!decision.go) {
+    console.log(`[Alert] NO GO at ${locationName}: ${decision.reason}.`);
+    return null;
+  }
+  const result = await decideAuroraAt(data, latitude, longitude);
+  decision = result.decision;
+  // Overcast suppresses (the engine's sky bands or the subscriber's limit),
+  // partly cloudy sends a downgraded alert
+  const sky = assessAlertSky(result.clouds, subscription.maxCloudCover);
+  const clearing = sky.clearingInHours ? `, clearing expected in ~${sky.clearingInHours} h` : '';
+  if (!decision.go) {
+    console.log(`[Alert] NO GO at ${locationName}: ${decision.reason}${decision.blockedBy === 'sky' ? clearing : ''}.`);
+    return null;
+  }
+
+  // Subscriber's own thresholds on top of GO
+  const { darkness, moonTimes, ovation } = result;
+  const { cloudCover } = sky;
+  const ovationProbability = Math.max(ovation?.atLocation || 0, ovation?.nearbyMax || 0);
+  if (data.similarity < subscription.minSimilarity) {
+    console.log(`[Alert] GO at ${locationName} but similarity ${data.similarity}% (min ${subscription.minSimilarity}%).`);
+    return null;
+  }
+  if (sky.action === 'suppress') {
+    console.log(`[Alert] GO at ${locationName} but ${cloudCover}% cloud cover (max ${subscription.maxCloudCover}%)${clearing}.`);
+    return null;
+  }
+  if (subscription.minOvation > 0 && ovationProbability < subscription.minOvation) {
+    console.log(`[Alert] GO at ${locationName} but OVATION only ${ovationProbability}% (min ${subscription.minOvation}%).`);
+    return null;
+  }
+  // Kp and hemispheric power gate only when NOAA reported them - a missing
+  // product should not silence an otherwise good alert
+  const hemisphericPower = getHemisphericPowerFor(data.hemisphericPower, latitude);
+  if (subscription.minKp > 0 && data.kp !== null && data.kp !== undefined && data.kp < subscription.minKp) {
+    console.log(`[Alert] GO at ${locationName} but Kp ${data.kp} (min ${subscription.minKp}).`);
+    return null;
+  }
+  if (subscription.minHemisphericPower > 0 && hemisphericPower !== null && hemisphericPower < subscription.minHemisphericPower) {
+    console.log(`[Alert] GO at ${locationName} but hemispheric power ${hemisphericPower} GW (min ${subscription.minHemisphericPower} GW).`);
+    return null;
+  }
+  return { decision, darkness, moonTimes, cloudCover, sky, ovationProbability, hemisphericPower };
 }
 
 /**
- * Calculate hours until dark for a location
+ * Daylight check for one subscriber: would the current solar wind be a GO
+ * here once it gets dark? Clouds and OVATION wait for the re-check at dusk.
+ * @returns {object|null} - { darkAt, decision } when worth holding until dark
  */
-function getHoursUntilDark(lat, lon) {
-  const now = new Date();
-  const sun = getSunPosition(lat, lon, now);
-  
-  if (sun.canViewAurora) return 0; // Already dark
-  
-  // Check each hour ahead to find when it gets dark
-  for (let h = 1; h <= 18; h++) {
-    const future = new Date(now.getTime() + h * 60 * 60 * 1000);
-    const futureSun = getSunPosition(lat, lon, future);
-    if (futureSun.canViewAurora) {
-      // Refine to quarter hours
-      for (let m = 0; m < 60; m += 15) {
-        const precise = new Date(now.getTime() + (h - 1) * 60 * 60 * 1000 + m * 60 * 1000);
-        const preciseSun = getSunPosition(lat, lon, precise);
-        if (preciseSun.canViewAurora) {
-          return Math.round(((h - 1) + m / 60) * 10) / 10;
-        }
-      }
-      return h;
+async function assessPreDarkConditions(subscription, data) {
+  if (!(EMAIL_CONFIG.preDarkHours > 0) || data.similarity < subscription.minSimilarity) return null;
+  const { latitude, longitude } = subscription;
+  const hoursUntilDark = getHoursUntilDark(latitude, longitude);
+  // Already dark (0) or no night within 18 h (null)
+  if (!hoursUntilDark || hoursUntilDark > EMAIL_CONFIG.preDarkHours) return null;
+
+  const darkAt = new Date(Date.now() + hoursUntilDark * 60 * 60 * 1000);
+  const { decision } = await decideAuroraAt(data, latitude, longitude, { skipClouds: true, at: darkAt });
+  return decision.go ? { darkAt: darkAt.toISOString(), decision } : null;
+}
+
+/**
+ * Alerts held until dark: queue daylight GO conditions with the dark time
+ * (sending the opt-in afternoon heads-up), and at dusk let this check's
+ * fresh solar wind and clouds decide - the GO alert only goes out if they
+ * still hold.
+ * @returns {object|null} - The held alert this check's GO releases
+ */
+async function updateDeferredAlert(subscription, data, go) {
+  const { id, latitude, longitude, timezone } = subscription;
+  const locationName = subscription.locationName || formatCoordinates(latitude, longitude);
+  const held = emailState.deferred[id];
+
+  if (held) {
+    if (go) {
+      delete emailState.deferred[id];
+      return held;
     }
+    if (Date.now() >= Date.parse(held.darkAt)) {
+      delete emailState.deferred[id];
+      console.log(`[Alert] Dark at ${locationName} but no longer GO. Dropping the alert held since ${held.queuedAt}.`);
+    }
+    return null;
   }
-  return null; // Won't get dark in 18 hours (polar day)
-}
 
-async function sendEmail(subject, body) {
-  if (!EMAIL_CONFIG.enabled || !EMAIL_CONFIG.recipients.length) return false;
+  if (go || !(data.bz < 0)) return null;
+  const preDark = await assessPreDarkConditions(subscription, data);
+  if (!preDark) return null;
 
-  try {
-    const nodemailer = await import('nodemailer');
-    const transporter = nodemailer.default.createTransport({
-      host: EMAIL_CONFIG.smtpHost,
-      port: EMAIL_CONFIG.smtpPort,
-      secure: EMAIL_CONFIG.smtpPort === 465,
-      auth: { user: EMAIL_CONFIG.smtpUser, pass: EMAIL_CONFIG.smtpPass }
+  emailState.deferred[id] = {
+    queuedAt: new Date().toISOString(),
+    darkAt: preDark.darkAt,
+    bz: data.bz,
+    similarity: data.similarity
+  };
+  console.log(`[Alert] GO conditions in daylight at ${locationName}. Holding the alert until dark (${preDark.darkAt}).`);
+  if (EMAIL_CONFIG.preDarkHeadsUp && !isInQuietHours(subscription)) {
+    const location = `${latitude.toFixed(1)},${longitude.toFixed(1)}`;
+    notify(buildPreDarkMessage(data, { locationName, ...preDark, timezone }), {
+      recipients: [subscription.email],
+      dedupeKey: `aurora-pre-dark:${location}`
     });
-
-    for (const recipient of EMAIL_CONFIG.recipients) {
-      await transporter.sendMail({
-        from: EMAIL_CONFIG.fromEmail,
-        to: recipient.trim(),
-        subject,
-        html: body
-      });
-    }
-    console.log(`[Email] Alert sent to ${EMAIL_CONFIG.recipients.length} recipients`);
-    return true;
-  } catch (e) {
-    console.error('[Email] Failed:', e.message);
-    return false;
   }
+  return null;
 }
 
-function checkAndSendAlerts(data) {
+/**
+ * Advance a subscriber's alert level with this check's outcome and send
+ * what the state machine asks for: watch (early warning), GO, escalation,
+ * repeat after the cooldown, or all clear. A notification no channel
+ * delivered leaves the previous state in place, so the next check retries it.
+ */
+async function updateAlertLevel(subscription, data, { go, warning, incoming, held = null }) {
   const now = Date.now();
-  const cooldown = EMAIL_CONFIG.cooldownMinutes * 60 * 1000;
+  const { latitude, longitude, timezone } = subscription;
+  const locationName = subscription.locationName || formatCoordinates(latitude, longitude);
+  const previous = emailState.levels[subscription.id];
+  const quiet = warning && !go ? isInQuietHours(subscription, new Date(incoming.arrivalTime)) : isInQuietHours(subscription);
 
-  // Check space weather conditions first
-  if (!(data.similarity >= 40 && data.bz < -5 && now - emailState.lastAlert > cooldown)) {
-    return; // Conditions not met
-  }
+  const { state, notification } = advanceAlertState(previous, {
+    go: Boolean(go),
+    similarity: data.similarity,
+    warningArrival: warning ? incoming.arrivalTime : null,
+    quiet
+  }, now, EMAIL_CONFIG.cooldownMinutes);
 
-  // CHECK DARKNESS - Don't alert during daylight!
-  const sun = getSunPosition(EMAIL_CONFIG.alertLatitude, EMAIL_CONFIG.alertLongitude);
-  
-  if (!sun.canViewAurora) {
-    // It's daytime - don't send alert
-    const hoursUntilDark = getHoursUntilDark(EMAIL_CONFIG.alertLatitude, EMAIL_CONFIG.alertLongitude);
-    console.log(`[Alert] GO conditions detected but it's daytime at ${EMAIL_CONFIG.alertLocationName} (sun: ${sun.altitude}°, dark in ~${hoursUntilDark}h). Skipping alert.`);
+  if (state.level !== (previous?.level || 'clear')) {
+    console.log(`[Alert] ${locationName}: ${previous?.level || 'clear'} → ${state.level}${quiet ? ' (quiet hours)' : ''}`);
+  }
+  if (!notification) {
+    emailState.levels[subscription.id] = state;
     return;
   }
 
-  console.log(`[Alert] GO conditions AND dark sky at ${EMAIL_CONFIG.alertLocationName} (sun: ${sun.altitude}°). Sending alert!`);
+  const location = `${latitude.toFixed(1)},${longitude.toFixed(1)}`;
+  let message;
+  if (notification.kind === 'watch') {
+    console.log(`[Alert] Early warning for ${locationName}: Bz ${incoming.bz} nT arriving in ~${incoming.minutesUntilArrival} min. Notifying ${subscription.email}.`);
+    message = buildAuroraWarningMessage(incoming, { locationName, ...warning, timezone });
+  } else if (notification.kind === 'all-clear') {
+    console.log(`[Alert] All clear at ${locationName}. Notifying ${subscription.email}.`);
+    message = buildAuroraAllClearMessage(notification, { locationName, timezone });
+  } else {
+    console.log(`[Alert] ${notification.escalation ? 'Escalating to' : 'GO,'} ${notification.kind} at ${locationName} (${go.decision.confidence} confidence, sun ${go.darkness.sunAltitude}°). Sending alert to ${subscription.email}!`);
+    message = buildAuroraAlertMessage(data, {
+      locationName, latitude, longitude, ...go, timezone,
+      level: notification.kind, escalation: notification.escalation, heldSince: held?.queuedAt || null
+    });
+  }
+  const results = await notify(message, { recipients: [subscription.email], dedupeKey: `aurora-${notification.kind}:${location}` });
+  if (isNotificationDelivered(results)) {
+    emailState.levels[subscription.id] = state;
+  } else {
+    console.log(`[Alert] ${notification.kind} alert for ${locationName} not delivered. Retrying next check.`);
+    if (held) emailState.deferred[subscription.id] = held;
+  }
+}
 
-  // Calculate visibility latitude
-  let visibleLat = '65°N';
-  let visibleLocations = 'Alaska, Northern Canada';
-  if (data.bz < -25) { visibleLat = '35°N'; visibleLocations = 'Southern US (TX, FL, AZ)'; }
-  else if (data.bz < -20) { visibleLat = '40°N'; visibleLocations = 'Northern CA, NY, NV'; }
-  else if (data.bz < -15) { visibleLat = '45°N'; visibleLocations = 'OR, WI, MI, MA'; }
-  else if (data.bz < -10) { visibleLat = '50°N'; visibleLocations = 'WA, MN, ME, ND'; }
-  else if (data.bz < -5) { visibleLat = '55°N'; visibleLocations = 'Canada border states'; }
+/**
+ * Build the GO alert (HTML email + markdown text) for one subscriber's location.
+ * An escalation (active → strong inside the same event) says so up front.
+ */
+function buildAuroraAlertMessage(data, { locationName, latitude, longitude, darkness, moonTimes, cloudCover, sky = null, ovationProbability, hemisphericPower = null, decision, timezone, level = null, escalation = false, heldSince = null }) {
+  // The engine's geomagnetic visible latitude, on this location's meridian
+  const hemi = getHemisphere(latitude);
+  const visibleLat = formatLatitude(decision.visibleLatitude, latitude, 0);
+  const visibleLocations = getVisibleRegion(decision.visibleLatitude, latitude, longitude);
+  const facing = hemi.facing.toUpperCase();
     
-  // Determine urgency level
-  const urgency = data.similarity >= 60 ? 'STRONG' : data.similarity >= 50 ? 'GOOD' : 'MODERATE';
-  const urgencyColor = data.similarity >= 60 ? '#238636' : data.similarity >= 50 ? '#1f6feb' : '#9e6a03';
+  // Determine urgency level - the alert level's hysteresis decides STRONG when
+  // given; partly cloudy skies take it down a step
+  const strong = level ? level === 'strong' : data.similarity >= 60;
+  const downgraded = sky?.action === 'downgrade';
+  const rank = Math.max(0, (strong ? 2 : data.similarity >= 50 ? 1 : 0) - (downgraded ? 1 : 0));
+  const urgency = ['MODERATE', 'GOOD', 'STRONG'][rank];
+  const urgencyColor = ['#9e6a03', '#1f6feb', '#238636'][rank];
+  const headline = escalation ? '⬆️ ESCALATING!' : downgraded ? '⛅ GO - LOOK FOR GAPS' : '🚨 GO NOW!';
     
-  // Current time in PST
-  const pstTime = new Date().toLocaleTimeString('en-US', { 
-    hour: '2-digit', minute: '2-digit', timeZone: 'America/Los_Angeles' 
+  // Current time in the subscriber's time zone
+  const localTime = new Date().toLocaleTimeString('en-US', { 
+    hour: '2-digit', minute: '2-digit', timeZone: timezone, timeZoneName: 'short'
   });
+  // Clouds at the alert location, and when the forecast clears them
+  const skyNote = downgraded ? `⛅ Partly cloudy (${cloudCover}% low/mid, sky ${sky.skyScore}% clear)` : null;
+  const clearingNote = sky?.clearingInHours
+    ? `🌤️ Clearing expected in ~${sky.clearingInHours} hour${sky.clearingInHours === 1 ? '' : 's'}`
+    : downgraded && sky.trend === 'clearing' ? '🌤️ Clouds clearing over the next 6 hours' : null;
+  // Storm that started in daylight and was held until dark
+  const heldNote = heldSince
+    ? `🌅 Underway since ${new Date(heldSince).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: timezone })} - held until dark`
+    : null;
     
-  const subject = `🚨 AURORA GO ALERT: ${urgency} Conditions NOW! (${data.similarity}% G4 Match)`;
-  const body = `
+  // Moonlight washes out faint aurora - say so, and when it rises or sets
+  const moon = darkness.moon;
+  const moonTime = (date) => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: timezone });
+  const moonSummary = `${Math.round(moon.illumination * 100)}% moon ` +
+    (moon.altitude > 0
+      ? `up (${moon.level} interference)${moonTimes.set ? `, sets ${moonTime(moonTimes.set)}` : ''}`
+      : `below horizon${moonTimes.rise ? `, rises ${moonTime(moonTimes.rise)}` : ''}`);
+
+  // Planetary Kp and hemispheric power, when NOAA reported them
+  const indices = [
+    Number.isFinite(data.kp) ? `Kp ${data.kp.toFixed(1)}` : null,
+    hemisphericPower !== null ? `${hemisphericPower} GW hemispheric power` : null
+  ].filter(Boolean).join(' · ') || 'Unavailable';
+
+  const subject = escalation
+    ? `⬆️ AURORA ESCALATING: Now ${urgency} Conditions! (${data.similarity}% G4 Match)`
+    : downgraded
+      ? `⛅ AURORA GO ALERT: ${urgency} Conditions, Partly Cloudy (${data.similarity}% G4 Match)`
+      : `🚨 AURORA GO ALERT: ${urgency} Conditions NOW! (${data.similarity}% G4 Match)`;
+  const html = `
       <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #0d1117; color: #e6edf3;">
         
         <!-- Urgent Header -->
         <div style="background: ${urgencyColor}; padding: 30px; text-align: center;">
-          <h1 style="margin: 0; font-size: 32px; color: white;">🚨 GO NOW!</h1>
+          <h1 style="margin: 0; font-size: 32px; color: white;">${headline}</h1>
           <p style="margin: 10px 0 0; font-size: 18px; color: rgba(255,255,255,0.95);">${urgency} Aurora Conditions Detected</p>
         </div>
         
         <!-- Time Banner -->
         <div style="background: #161b22; padding: 15px; text-align: center; border-bottom: 1px solid #30363d;">
           <span style="font-size: 14px; color: #8b949e;">Alert Time: </span>
-          <span style="font-size: 16px; color: #e6edf3; font-weight: bold;">${pstTime} PST</span>
+          <span style="font-size: 16px; color: #e6edf3; font-weight: bold;">${localTime}</span><br>
+          <span style="font-size: 14px; color: #8b949e;">📍 ${escapeHtml(locationName)} · Sun ${darkness.sunAltitude}° · Clouds ${cloudCover}% · OVATION ${ovationProbability}%</span><br>
+          <span style="font-size: 14px; color: #8b949e;">🌙 ${moonSummary}</span><br>
+          <span style="font-size: 14px; color: #e6edf3;">${decision.icon} ${decision.reason} (${decision.confidence} confidence)</span>${[skyNote, clearingNote, heldNote].filter(Boolean).map(note => `<br>
+          <span style="font-size: 14px; color: #8b949e;">${note}</span>`).join('')}
         </div>
         
         <!-- Key Metrics -->
@@ -926,6 +2789,14 @@ function checkAndSendAlerts(data) {
                 <td style="padding: 8px 0; color: #8b949e;">🧭 Clock Angle:</td>
                 <td style="padding: 8px 0; color: #e6edf3; font-weight: bold;">${data.clockAngle}°</td>
               </tr>
+              <tr>
+                <td style="padding: 8px 0; color: #8b949e;">🧲 Geomagnetic:</td>
+                <td style="padding: 8px 0; color: #e6edf3; font-weight: bold;">${indices}</td>
+              </tr>
+              <tr>
+                <td style="padding: 8px 0; color: #8b949e;">🌙 Moon:</td>
+                <td style="padding: 8px 0; color: #e6edf3; font-weight: bold;">${moonSummary}</td>
+              </tr>
             </table>
           </div>
         </div>
@@ -935,7 +2806,7 @@ function checkAndSendAlerts(data) {
           <div style="background: linear-gradient(135deg, #238636 0%, #1a7f37 100%); border-radius: 8px; padding: 20px;">
             <h3 style="color: white; margin: 0 0 10px; font-size: 16px;">🌍 Where to See It</h3>
             <p style="color: rgba(255,255,255,0.9); margin: 0; font-size: 15px;">
-              <strong>Visible as far south as:</strong> ${visibleLat}<br>
+              <strong>Visible as far ${hemi.equatorward} as:</strong> ${visibleLat}<br>
               <strong>Locations:</strong> ${visibleLocations}
             </p>
           </div>
@@ -948,7 +2819,7 @@ function checkAndSendAlerts(data) {
             <ol style="margin: 0; padding-left: 20px; color: #e6edf3; line-height: 2;">
               <li><strong>Check local clouds</strong> - Need clear skies to see aurora</li>
               <li><strong>Find a dark location</strong> - Away from city lights</li>
-              <li><strong>Face NORTH</strong> - Aurora appears on northern horizon</li>
+              <li><strong>Face ${facing}</strong> - Aurora appears on the ${hemi.facing}ern horizon</li>
               <li><strong>Allow 20 min</strong> for eyes to adjust to darkness</li>
               <li><strong>Be patient</strong> - Aurora can pulse and fade</li>
             </ol>
@@ -959,7 +2830,7 @@ function checkAndSendAlerts(data) {
         <div style="padding: 0 25px 25px; background: #161b22;">
           <div style="background: #21262d; border-radius: 8px; padding: 15px; border-left: 4px solid #58a6ff;">
             <p style="margin: 0; color: #8b949e; font-size: 13px;">
-              💡 <strong style="color: #e6edf3;">Pro Tip:</strong> Use your phone camera to detect faint aurora - cameras are more sensitive than eyes. Take a 5-10 second exposure pointing north.
+              💡 <strong style="color: #e6edf3;">Pro Tip:</strong> Use your phone camera to detect faint aurora - cameras are more sensitive than eyes. Take a 5-10 second exposure pointing ${hemi.facing}.
             </p>
           </div>
         </div>
@@ -973,8 +2844,607 @@ function checkAndSendAlerts(data) {
         </div>
       </div>
     `;
-  sendEmail(subject, body);
-  emailState.lastAlert = now;
+
+  const text = [
+    `**${headline} ${urgency} aurora conditions**`,
+    `📍 ${locationName} · ${localTime}`,
+    `${decision.icon} ${decision.reason} (${decision.confidence} confidence)`,
+    ...[skyNote, clearingNote, heldNote].filter(Boolean),
+    '',
+    `• **G4 match:** ${data.similarity}% · **Bz:** ${data.bz.toFixed(1)} nT (southward)`,
+    `• **Speed:** ${data.speed} km/s · **Pressure:** ${data.pressure.toFixed(2)} nPa`,
+    `• **Southward for:** ${data.bzSouthDuration} min · **Clock angle:** ${data.clockAngle}°`,
+    `• **Sky:** sun ${darkness.sunAltitude}° · clouds ${cloudCover}% · OVATION ${ovationProbability}%`,
+    `• **Geomagnetic:** ${indices}`,
+    `• **Moon:** ${moonSummary}`,
+    '',
+    `🌍 Visible as far ${hemi.equatorward} as ${visibleLat} (${visibleLocations})`,
+    `✅ Find a dark spot, face ${hemi.facing}, give your eyes 20 min. Phone cameras pick up faint aurora.`,
+    '',
+    'https://nocturne.azurewebsites.net'
+  ].join('\n');
+
+  return {
+    type: 'aurora',
+    priority: downgraded ? 'default' : 'high',
+    subject,
+    html,
+    text,
+    data: {
+      locationName, level, escalation, heldSince, similarity: data.similarity, bz: data.bz, speed: data.speed, cloudCover, ovationProbability,
+      skyScore: sky?.skyScore ?? null, cloudTrend: sky?.trend || 'unknown', clearingInHours: sky?.clearingInHours ?? null, downgraded,
+      kp: data.kp ?? null, hemisphericPower,
+      confidence: decision.confidence, score: decision.score,
+      moonIllumination: darkness.moon.illumination, moonInterference: darkness.moon.level
+    }
+  };
+}
+
+/**
+ * Build the early warning (solar wind still in transit from L1) for one
+ * subscriber's location
+ */
+function buildAuroraWarningMessage(incoming, { locationName, darkness, cloudCover, decision, timezone }) {
+  const arrival = new Date(incoming.arrivalTime).toLocaleTimeString('en-US', {
+    hour: '2-digit', minute: '2-digit', timeZone: timezone, timeZoneName: 'short'
+  });
+  const minutes = incoming.minutesUntilArrival;
+
+  const subject = `⏳ AURORA HEADS-UP: Bz ${incoming.bz.toFixed(1)} nT arriving in ~${minutes} min`;
+  const html = `
+      <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #0d1117; color: #e6edf3;">
+        <div style="background: #9e6a03; padding: 25px; text-align: center;">
+          <h1 style="margin: 0; font-size: 26px; color: white;">⏳ Get Ready</h1>
+          <p style="margin: 10px 0 0; font-size: 16px; color: rgba(255,255,255,0.95);">Strong southward Bz arriving in ~${minutes} minutes</p>
+        </div>
+        <div style="padding: 25px; background: #161b22;">
+          <p style="margin: 0 0 15px; color: #8b949e; font-size: 14px;">
+            📍 ${escapeHtml(locationName)} · Arrives ~${arrival} · Sun ${darkness.sunAltitude}° · Clouds ${cloudCover}%
+          </p>
+          <table style="width: 100%; border-collapse: collapse; background: #21262d; border-radius: 8px;">
+            <tr>
+              <td style="padding: 8px 15px; color: #8b949e; width: 50%;">🧲 Bz (measured at L1):</td>
+              <td style="padding: 8px 15px; color: #3fb950; font-weight: bold;">${incoming.bz.toFixed(1)} nT</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 15px; color: #8b949e;">🌬️ Solar Wind Speed:</td>
+              <td style="padding: 8px 15px; color: #e6edf3; font-weight: bold;">${incoming.speed} km/s (${incoming.delayMinutes} min L1 → Earth)</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 15px; color: #8b949e;">⚡ Dynamic Pressure:</td>
+              <td style="padding: 8px 15px; color: #e6edf3; font-weight: bold;">${incoming.pressure.toFixed(2)} nPa</td>
+            </tr>
+          </table>
+          <p style="margin: 15px 0 0; color: #e6edf3; font-size: 14px;">
+            ${decision.icon} Expected on arrival: ${decision.reason} (${decision.confidence} confidence).
+            Head somewhere dark now - a GO alert follows if it holds up when it arrives.
+          </p>
+        </div>
+      </div>
+    `;
+
+  const text = [
+    `**⏳ Get ready: Bz ${incoming.bz.toFixed(1)} nT arriving in ~${minutes} min**`,
+    `📍 ${locationName} · arrives ~${arrival}`,
+    `${decision.icon} Expected on arrival: ${decision.reason} (${decision.confidence} confidence)`,
+    '',
+    `• **Speed:** ${incoming.speed} km/s (${incoming.delayMinutes} min L1 → Earth) · **Pressure:** ${incoming.pressure.toFixed(2)} nPa`,
+    `• **Sky:** sun ${darkness.sunAltitude}° at arrival · clouds ${cloudCover}%`,
+    '',
+    'Head somewhere dark now - a GO alert follows if it holds up when it arrives.'
+  ].join('\n');
+
+  return {
+    type: 'aurora',
+    priority: 'default',
+    subject,
+    html,
+    text,
+    data: {
+      warning: true, locationName, bz: incoming.bz, speed: incoming.speed,
+      arrivalTime: incoming.arrivalTime, minutesUntilArrival: minutes,
+      confidence: decision.confidence, score: decision.score
+    }
+  };
+}
+
+/**
+ * Build the afternoon "storm in progress" heads-up for GO conditions in
+ * daylight, with the dark time in the subscriber's time zone
+ */
+function buildPreDarkMessage(data, { locationName, darkAt, decision, timezone }) {
+  const dark = new Date(darkAt).toLocaleTimeString('en-US', {
+    hour: '2-digit', minute: '2-digit', timeZone: timezone, timeZoneName: 'short'
+  });
+
+  const subject = `🌅 STORM IN PROGRESS: may be visible after dark (~${dark})`;
+  const html = `
+      <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #0d1117; color: #e6edf3;">
+        <div style="background: #bc4c00; padding: 25px; text-align: center;">
+          <h1 style="margin: 0; font-size: 26px; color: white;">🌅 Storm In Progress</h1>
+          <p style="margin: 10px 0 0; font-size: 16px; color: rgba(255,255,255,0.95);">GO conditions now - it just isn't dark yet</p>
+        </div>
+        <div style="padding: 25px; background: #161b22;">
+          <p style="margin: 0 0 15px; color: #8b949e; font-size: 14px;">📍 ${escapeHtml(locationName)} · Dark ~${dark}</p>
+          <table style="width: 100%; border-collapse: collapse; background: #21262d; border-radius: 8px;">
+            <tr>
+              <td style="padding: 8px 15px; color: #8b949e; width: 50%;">📊 G4 Storm Match:</td>
+              <td style="padding: 8px 15px; color: #3fb950; font-weight: bold;">${data.similarity}%</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 15px; color: #8b949e;">🧲 Bz Field:</td>
+              <td style="padding: 8px 15px; color: #e6edf3; font-weight: bold;">${data.bz.toFixed(1)} nT</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 15px; color: #8b949e;">🌬️ Solar Wind Speed:</td>
+              <td style="padding: 8px 15px; color: #e6edf3; font-weight: bold;">${data.speed} km/s</td>
+            </tr>
+          </table>
+          <p style="margin: 15px 0 0; color: #e6edf3; font-size: 14px;">
+            ${decision.icon} If it holds until dark: ${decision.reason} (${decision.confidence} confidence).
+            Storms often fade within hours - the GO alert follows at dusk only if conditions and clouds still allow.
+          </p>
+        </div>
+      </div>
+    `;
+
+  const text = [
+    `**🌅 Storm in progress: may be visible after dark (~${dark})**`,
+    `📍 ${locationName}`,
+    `${decision.icon} If it holds until dark: ${decision.reason} (${decision.confidence} confidence)`,
+    '',
+    `• **G4 match:** ${data.similarity}% · **Bz:** ${data.bz.toFixed(1)} nT · **Speed:** ${data.speed} km/s`,
+    '',
+    'Storms often fade within hours - the GO alert follows at dusk only if conditions and clouds still allow.'
+  ].join('\n');
+
+  return {
+    type: 'aurora',
+    priority: 'default',
+    subject,
+    html,
+    text,
+    data: {
+      preDark: true, locationName, similarity: data.similarity, bz: data.bz, speed: data.speed, darkAt,
+      confidence: decision.confidence, score: decision.score
+    }
+  };
+}
+
+/**
+ * Build the all clear that closes an event: the peak level and how long it
+ * lasted, in the subscriber's time zone
+ */
+function buildAuroraAllClearMessage({ peak, eventStart }, { locationName, timezone }) {
+  const format = (ms) => new Date(ms).toLocaleTimeString('en-US', {
+    hour: '2-digit', minute: '2-digit', timeZone: timezone, timeZoneName: 'short'
+  });
+  const end = Date.now();
+  const minutes = Math.round((end - eventStart) / 60000);
+  const duration = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} min`;
+  const peakText = peak === 'strong' ? 'STRONG' : 'GO';
+
+  const subject = `✅ AURORA ALL CLEAR: ${locationName} (peaked ${peakText})`;
+  const html = `
+      <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #0d1117; color: #e6edf3;">
+        <div style="background: #30363d; padding: 25px; text-align: center;">
+          <h1 style="margin: 0; font-size: 26px; color: white;">✅ All Clear</h1>
+          <p style="margin: 10px 0 0; font-size: 16px; color: rgba(255,255,255,0.95);">Conditions have been below GO for ${ALERT_HYSTERESIS.clearAfterMinutes} minutes</p>
+        </div>
+        <div style="padding: 25px; background: #161b22;">
+          <table style="width: 100%; border-collapse: collapse; background: #21262d; border-radius: 8px;">
+            <tr>
+              <td style="padding: 8px 15px; color: #8b949e; width: 40%;">📍 Location:</td>
+              <td style="padding: 8px 15px; color: #e6edf3; font-weight: bold;">${escapeHtml(locationName)}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 15px; color: #8b949e;">📈 Peak:</td>
+              <td style="padding: 8px 15px; color: #e6edf3; font-weight: bold;">${peakText}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 15px; color: #8b949e;">⏰ Event:</td>
+              <td style="padding: 8px 15px; color: #e6edf3; font-weight: bold;">${format(eventStart)} → ${format(end)} (${duration})</td>
+            </tr>
+          </table>
+          <p style="margin: 15px 0 0; color: #e6edf3; font-size: 14px;">
+            Time to head home. A new alert follows if conditions pick up again.
+          </p>
+        </div>
+      </div>
+    `;
+
+  const text = [
+    `**✅ All clear at ${locationName}**`,
+    `Below GO for ${ALERT_HYSTERESIS.clearAfterMinutes} min · peaked ${peakText}`,
+    `• **Event:** ${format(eventStart)} → ${format(end)} (${duration})`,
+    '',
+    'Time to head home. A new alert follows if conditions pick up again.'
+  ].join('\n');
+
+  return {
+    type: 'aurora',
+    priority: 'low',
+    subject,
+    html,
+    text,
+    data: {
+      allClear: true, locationName, peak,
+      eventStart: new Date(eventStart).toISOString(), eventEnd: new Date(end).toISOString()
+    }
+  };
+}
+
+/**
+ * Build the "storm incoming" alert for a NOAA geomagnetic storm watch,
+ * with the arrival window in the subscriber's time zone
+ */
+function buildStormWatchMessage(watch, { locationName, visibleText, timezone }) {
+  const format = (iso) => new Date(iso).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+    timeZone: timezone, timeZoneName: 'short'
+  });
+  const arrivalWindow = `${format(watch.arrival.start)} → ${format(watch.arrival.end)}`;
+  const cause = watch.cause === 'cme' ? 'CME on its way' : watch.cause === 'coronal-hole' ? 'coronal hole stream' : 'storm expected';
+  const days = watch.predictedDays.map(d => `${d.date.slice(5)}: ${d.gScale ? `G${d.gScale}` : 'below G1'}`).join(' · ');
+
+  const subject = `🌩️ STORM INCOMING: G${watch.gScale} watch (${cause})`;
+  const html = `
+      <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #0d1117; color: #e6edf3;">
+        <div style="background: #6e40c9; padding: 25px; text-align: center;">
+          <h1 style="margin: 0; font-size: 26px; color: white;">🌩️ Storm Incoming</h1>
+          <p style="margin: 10px 0 0; font-size: 16px; color: rgba(255,255,255,0.95);">NOAA G${watch.gScale} geomagnetic storm watch - ${cause}</p>
+        </div>
+        <div style="padding: 25px; background: #161b22;">
+          <p style="margin: 0 0 15px; color: #8b949e; font-size: 14px;">📍 ${escapeHtml(locationName)} · Watch #${watch.serial}</p>
+          <table style="width: 100%; border-collapse: collapse; background: #21262d; border-radius: 8px;">
+            <tr>
+              <td style="padding: 8px 15px; color: #8b949e; width: 40%;">⏰ Expected:</td>
+              <td style="padding: 8px 15px; color: #e6edf3; font-weight: bold;">${arrivalWindow}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 15px; color: #8b949e;">📅 By day (UTC):</td>
+              <td style="padding: 8px 15px; color: #e6edf3;">${days}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 15px; color: #8b949e;">🌍 Aurora could reach:</td>
+              <td style="padding: 8px 15px; color: #3fb950; font-weight: bold;">${visibleText}</td>
+            </tr>
+          </table>
+          <p style="margin: 15px 0 0; color: #e6edf3; font-size: 14px;">
+            Arrival times are uncertain by hours. Plan a dark, clear spot - a GO alert follows once the storm arrives.
+          </p>
+        </div>
+      </div>
+    `;
+
+  const text = [
+    `**🌩️ Storm incoming: NOAA G${watch.gScale} watch (${cause})**`,
+    `📍 ${locationName} · aurora could reach ${visibleText}`,
+    '',
+    `• **Expected:** ${arrivalWindow}`,
+    `• **By day (UTC):** ${days}`,
+    '',
+    'Arrival times are uncertain by hours. Plan a dark, clear spot - a GO alert follows once the storm arrives.'
+  ].join('\n');
+
+  return {
+    type: 'storm',
+    priority: watch.gScale >= 3 ? 'high' : 'default',
+    subject,
+    html,
+    text,
+    data: {
+      serial: watch.serial, gScale: watch.gScale, cause: watch.cause,
+      arrivalStart: watch.arrival.start, arrivalEnd: watch.arrival.end, locationName
+    }
+  };
+}
+
+// ============================================================================
+// Aurora Sighting Log - what we saw, with the conditions at that moment
+// ============================================================================
+const SIGHTINGS_FILE = path.join(DATA_DIR, '.aurora-sightings.json');
+const SIGHTING_PHOTOS_DIR = path.join(DATA_DIR, 'sighting-photos');
+const SIGHTING_PHOTO_MAX_BYTES = 5 * 1024 * 1024;
+const SIGHTING_PHOTO_TYPES = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' };
+// Base64 photo plus the rest of the JSON body
+const SIGHTING_BODY_MAX_BYTES = Math.ceil(SIGHTING_PHOTO_MAX_BYTES * 4 / 3) + 64 * 1024;
+// Sightings this recent are matched with live feeds; older ones with the history store
+const SIGHTING_LIVE_MINUTES = 30;
+
+const auroraSightings = loadSightings();
+
+function loadSightings() {
+  try {
+    if (fs.existsSync(SIGHTINGS_FILE)) {
+      const state = JSON.parse(fs.readFileSync(SIGHTINGS_FILE, 'utf8'));
+      return Array.isArray(state.sightings) ? state.sightings : [];
+    }
+  } catch (e) {
+    console.error('[Sightings] Error reading sightings file:', e.message);
+  }
+  return [];
+}
+
+function saveSightings() {
+  try {
+    fs.writeFileSync(SIGHTINGS_FILE, JSON.stringify({ sightings: auroraSightings }, null, 2));
+  } catch (e) {
+    console.error('[Sightings] Error saving sightings file:', e.message);
+  }
+}
+
+/**
+ * Validate a create/update payload and merge it over `existing`
+ * @returns {object} - { sighting } or { error }
+ */
+function validateSighting(input, existing = null) {
+  if (!input || typeof input !== 'object') return { error: 'Request body must be a JSON object' };
+
+  const sighting = { locationName: '', notes: '', ...existing };
+  for (const field of ['time', 'latitude', 'longitude', 'locationName', 'intensity', 'visibility', 'notes']) {
+    if (field in input) sighting[field] = input[field];
+  }
+  if (sighting.time === undefined) sighting.time = new Date().toISOString();
+
+  const time = typeof sighting.time === 'string' ? Date.parse(sighting.time) : NaN;
+  if (isNaN(time)) return { error: 'time must be an ISO 8601 date-time' };
+  if (time > Date.now() + 5 * 60 * 1000) return { error: 'time cannot be in the future' };
+  sighting.time = new Date(time).toISOString();
+  if (typeof sighting.latitude !== 'number' || sighting.latitude < -90 || sighting.latitude > 90) {
+    return { error: 'latitude must be a number between -90 and 90' };
+  }
+  if (typeof sighting.longitude !== 'number' || sighting.longitude < -180 || sighting.longitude > 180) {
+    return { error: 'longitude must be a number between -180 and 180' };
+  }
+  const maxIntensity = SIGHTING_INTENSITIES.length - 1;
+  if (!Number.isInteger(sighting.intensity) || sighting.intensity < 0 || sighting.intensity > maxIntensity) {
+    return { error: `intensity must be an integer between 0 (nothing seen) and ${maxIntensity}` };
+  }
+  if (!SIGHTING_VISIBILITY.includes(sighting.visibility)) {
+    return { error: `visibility must be one of: ${SIGHTING_VISIBILITY.join(', ')}` };
+  }
+  if ((sighting.visibility === 'none') !== (sighting.intensity === 0)) {
+    return { error: 'intensity 0 goes with visibility "none", and only with it' };
+  }
+  if (typeof sighting.locationName !== 'string' || sighting.locationName.length > 100) {
+    return { error: 'locationName must be a string of at most 100 characters' };
+  }
+  if (typeof sighting.notes !== 'string' || sighting.notes.length > 2000) {
+    return { error: 'notes must be a string of at most 2000 characters' };
+  }
+
+  return { sighting };
+}
+
+/**
+ * Decode an uploaded photo ("data:image/jpeg;base64,...")
+ * @returns {object} - { buffer, type } or { error }
+ */
+function parseSightingPhoto(value) {
+  const match = /^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(typeof value === 'string' ? value : '');
+  if (!match || !SIGHTING_PHOTO_TYPES[match[1]]) {
+    return { error: `photo must be a base64 data URL (${Object.keys(SIGHTING_PHOTO_TYPES).join(', ')})` };
+  }
+  const buffer = Buffer.from(match[2], 'base64');
+  if (!buffer.length) return { error: 'photo is empty' };
+  if (buffer.length > SIGHTING_PHOTO_MAX_BYTES) {
+    return { error: `photo must be at most ${SIGHTING_PHOTO_MAX_BYTES / 1024 / 1024} MB` };
+  }
+  return { buffer, type: match[1] };
+}
+
+function saveSightingPhoto(id, photo) {
+  fs.mkdirSync(SIGHTING_PHOTOS_DIR, { recursive: true });
+  const file = `${id}${SIGHTING_PHOTO_TYPES[photo.type]}`;
+  fs.writeFileSync(path.join(SIGHTING_PHOTOS_DIR, file), photo.buffer);
+  return { file, type: photo.type, bytes: photo.buffer.length };
+}
+
+function deleteSightingPhoto(sighting) {
+  if (!sighting.photo) return;
+  try {
+    fs.unlinkSync(path.join(SIGHTING_PHOTOS_DIR, sighting.photo.file));
+  } catch (e) {
+    console.error('[Sightings] Error deleting photo:', e.message);
+  }
+}
+
+/**
+ * Solar wind arriving at Earth at a past time, from the history store
+ * @returns {object|null} - null when the store has no sample for that moment
+ */
+function getHistoricalSolarWind(time) {
+  const samples = solarWindHistory.samples.filter(s =>
+    s.ts > time - PROPAGATION_WINDOW_MINUTES * 60 * 1000 && s.ts <= time &&
+    s.density !== null && s.speed !== null && s.temperature !== null && s.bz !== null);
+  const { arrived } = splitByArrival(samples, time);
+  if (!arrived || time - arrived.arrivalTs > 10 * 60 * 1000) return null;
+  const m = deriveSolarWindMetrics(arrived, samples);
+  return {
+    l1Time: new Date(arrived.ts).toISOString(),
+    bz: m.bz, bt: m.bt, speed: m.speed, density: m.density,
+    pressure: m.pressure, clockAngle: m.clockAngle, similarity: m.similarity
+  };
+}
+
+/**
+ * Conditions when a sighting happened. Recent sightings get the live
+ * pipeline (solar wind, verdict, OVATION, clouds); older ones - and any
+ * logged during a replay - only the solar wind from the history store.
+ * Darkness and the moon are always computed for the sighting time.
+ */
+async function captureSightingConditions(latitude, longitude, time) {
+  const at = new Date(time);
+  const darkness = getDarknessAt(latitude, longitude, at);
+  const conditions = {
+    capturedAt: new Date().toISOString(),
+    source: 'history',
+    solarWind: null,
+    decision: null,
+    ovation: null,
+    clouds: null,
+    darkness: {
+      level: darkness.level,
+      sunAltitude: darkness.sunAltitude,
+      moonlit: darkness.moonlit,
+      moonIllumination: darkness.moon?.illumination ?? null,
+      moonAltitude: darkness.moon?.altitude ?? null
+    }
+  };
+
+  if (simulation.scenario || Date.now() - time > SIGHTING_LIVE_MINUTES * 60 * 1000) {
+    return { ...conditions, solarWind: getHistoricalSolarWind(time) };
+  }
+
+  const data = await getSpaceWeatherData().catch(e => getFallbackSpaceWeatherData(e));
+  const { decision, clouds, ovation } = await decideAuroraAt(data, latitude, longitude, { at });
+  // Placeholder data, or nothing has reached Earth yet
+  const noSolarWind = data.freshness?.status === 'mock' || !!data.propagation?.awaitingArrival;
+  return {
+    ...conditions,
+    source: 'live',
+    freshness: data.freshness?.status ?? null,
+    solarWind: noSolarWind ? null : {
+      l1Time: data.propagation?.l1Time ?? null,
+      bz: data.bz, bt: data.bt, speed: data.speed, density: data.density,
+      pressure: data.pressure, clockAngle: data.clockAngle, similarity: data.similarity,
+      gScale: data.gScale, kp: data.kp,
+      hemisphericPower: getHemisphericPowerFor(data.hemisphericPower, latitude)
+    },
+    decision: noSolarWind ? null : {
+      decision: decision.decision, score: decision.score, confidence: decision.confidence, blockedBy: decision.blockedBy
+    },
+    ovation: ovation && { atLocation: ovation.atLocation, nearbyMax: ovation.nearbyMax },
+    clouds: clouds && !clouds.error ? { total: clouds.total, low: clouds.low, mid: clouds.mid, high: clouds.high } : null
+  };
+}
+
+async function createSighting(input) {
+  const { sighting, error } = validateSighting(input);
+  if (error) return { error };
+  const photo = input.photo ? parseSightingPhoto(input.photo) : null;
+  if (photo?.error) return { error: photo.error };
+
+  sighting.id = crypto.randomUUID();
+  sighting.createdAt = new Date().toISOString();
+  sighting.conditions = await captureSightingConditions(sighting.latitude, sighting.longitude, Date.parse(sighting.time));
+  sighting.photo = photo ? saveSightingPhoto(sighting.id, photo) : null;
+  auroraSightings.push(sighting);
+  saveSightings();
+  return { sighting };
+}
+
+/**
+ * Update fields (partial). Moving the time or place recaptures the
+ * conditions; `photo: null` removes the photo, a data URL replaces it.
+ */
+async function updateSighting(id, input) {
+  const existing = auroraSightings.find(s => s.id === id);
+  if (!existing) return { notFound: true };
+  const { sighting, error } = validateSighting(input, existing);
+  if (error) return { error };
+  const photo = input.photo ? parseSightingPhoto(input.photo) : null;
+  if (photo?.error) return { error: photo.error };
+
+  if (sighting.time !== existing.time || sighting.latitude !== existing.latitude || sighting.longitude !== existing.longitude) {
+    sighting.conditions = await captureSightingConditions(sighting.latitude, sighting.longitude, Date.parse(sighting.time));
+  }
+  // The log may have changed during the fetch - a delete shifts the array
+  const index = auroraSightings.findIndex(s => s.id === id);
+  if (index === -1) return { notFound: true };
+  if (photo || input.photo === null) {
+    deleteSightingPhoto(auroraSightings[index]);
+    sighting.photo = photo ? saveSightingPhoto(id, photo) : null;
+  }
+  sighting.updatedAt = new Date().toISOString();
+  auroraSightings[index] = sighting;
+  saveSightings();
+  return { sighting };
+}
+
+function deleteSighting(id) {
+  const index = auroraSightings.findIndex(s => s.id === id);
+  if (index === -1) return false;
+  deleteSightingPhoto(auroraSightings[index]);
+  auroraSightings.splice(index, 1);
+  saveSightings();
+  return true;
+}
+
+// ============================================================================
+// Aurora Probability Model - logistic regression trained on the sighting log
+// ============================================================================
+const PROBABILITY_MODEL_FILE = path.join(DATA_DIR, '.aurora-probability-model.json');
+
+let probabilityModel = loadProbabilityModel();
+
+function loadProbabilityModel() {
+  try {
+    if (fs.existsSync(PROBABILITY_MODEL_FILE)) {
+      return JSON.parse(fs.readFileSync(PROBABILITY_MODEL_FILE, 'utf8'));
+    }
+  } catch (e) {
+    console.error('[Model] Error reading probability model:', e.message);
+  }
+  return null;
+}
+
+/**
+ * Retrain from every logged sighting; solar wind missing from a sighting
+ * comes from the history store. Keeps the previous model on failure.
+ * @returns {object} - { model } or { error }
+ */
+function trainAuroraProbabilityModel() {
+  const examples = buildTrainingExamples(auroraSightings, getHistoricalSolarWind);
+  const result = trainProbabilityModel(examples);
+  if (result.error) return result;
+
+  probabilityModel = result.model;
+  try {
+    fs.writeFileSync(PROBABILITY_MODEL_FILE, JSON.stringify(probabilityModel, null, 2));
+  } catch (e) {
+    console.error('[Model] Error saving probability model:', e.message);
+  }
+  const { evaluation } = probabilityModel;
+  console.log(`[Model] Trained on ${probabilityModel.examples} sightings: Brier ${evaluation.model.brier} (baseline ${evaluation.baseline.brier})`);
+  return result;
+}
+
+function describeProbabilityModel() {
+  if (!probabilityModel) return null;
+  const { trainedAt, target, examples, positives, logistic, evaluation } = probabilityModel;
+  return { trainedAt, target, examples, positives, weights: logistic.weights, evaluation };
+}
+
+/**
+ * Calibrated probability of naked-eye aurora at a location, next to the
+ * hand-tuned similarity it is measured against. Nothing on placeholder data
+ * or before any solar wind has reached Earth.
+ */
+function getAuroraProbability(data, latitude, longitude, darkness, clouds) {
+  const noSolarWind = data.freshness?.status === 'mock' || !!data.propagation?.awaitingArrival;
+  const features = extractFeatures({
+    solarWind: noSolarWind ? null : data,
+    latitude,
+    longitude,
+    darkness: {
+      sunAltitude: darkness.sunAltitude,
+      moonAltitude: darkness.moon?.altitude,
+      moonIllumination: darkness.moon?.illumination
+    },
+    clouds: clouds && !clouds.error ? clouds : null
+  });
+  const { probability, baseline } = estimateAuroraProbability(probabilityModel, features);
+  return {
+    probability,
+    baseline: { similarity: noSolarWind ? null : data.similarity, probability: baseline },
+    model: probabilityModel && {
+      trainedAt: probabilityModel.trainedAt,
+      target: probabilityModel.target,
+      examples: probabilityModel.examples
+    }
+  };
 }
 
 // ============================================================================
@@ -1007,9 +3477,16 @@ function serveFile(filePath, res) {
 // ============================================================================
 const server = http.createServer(async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.setHeader('Cache-Control', 'no-cache');
 
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
   const url = new URL(req.url, `http://${req.headers.host}`);
 
   // ==========================================
@@ -1018,38 +3495,53 @@ const server = http.createServer(async (req, res) => {
   
   // API: Aurora Status (for dashboard widget)
   if (url.pathname === '/api/aurora/status') {
+    // The caller's location (the dashboard sends the browser's), else the alert location
+    const location = parseLocationParams(url.searchParams);
+    if (location.error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: location.error }));
+      return;
+    }
+
     try {
-      // Get cached solar wind data or fetch fresh
-      let solarData = cache.data;
-      if (!solarData || Date.now() - cache.time > CACHE_DURATION) {
-        const [plasma, mag, scales] = await Promise.all([
-          fetchJSON(NOAA_APIS.plasma),
-          fetchJSON(NOAA_APIS.mag),
-          fetchJSON(NOAA_APIS.scales)
-        ]);
-        solarData = processSpaceWeatherData(plasma, mag, scales);
-        cache.data = solarData;
-        cache.time = Date.now();
-      }
+      const { latitude, longitude } = location;
+      // Get cached solar wind data or fetch fresh (last good / placeholder on failure)
+      const solarData = await getSpaceWeatherData().catch(e => {
+        console.error('[Aurora] Status data error:', e.message);
+        return getFallbackSpaceWeatherData(e);
+      });
       
       // Calculate aurora score (0-100)
       const auroraScore = solarData.similarity || 0;
-      const kp = solarData.kpIndex || 0;
+      const kp = solarData.kp ?? null;
+
+      // GO/NO GO from the same engine as the aurora page and alerts
+      const { decision } = await decideAuroraAt(solarData, latitude, longitude);
       
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
         auroraScore,
         kp,
+        kpForecastMax: solarData.kpIndex?.forecastMax ?? null,
+        hemisphericPower: getHemisphericPowerFor(solarData.hemisphericPower, latitude),
         bz: solarData.bz,
         speed: solarData.speed,
         density: solarData.density,
-        status: auroraScore >= 70 ? 'GO' : auroraScore >= 40 ? 'MAYBE' : 'NO GO',
+        status: decision.decision,
+        decision,
+        propagation: solarData.propagation || null,
+        freshness: solarData.freshness,
+        location: {
+          name: url.searchParams.has('lat') ? null : EMAIL_CONFIG.alertLocationName,
+          latitude,
+          longitude
+        },
         lastUpdate: new Date().toISOString()
       }));
     } catch (error) {
       console.error('[Aurora] Status error:', error.message);
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ auroraScore: 0, kp: 0, status: 'Unknown', error: error.message }));
+      res.end(JSON.stringify({ auroraScore: 0, kp: null, kpForecastMax: null, hemisphericPower: null, status: 'Unknown', error: error.message }));
     }
     return;
   }
@@ -1057,32 +3549,254 @@ const server = http.createServer(async (req, res) => {
   // API: Solar Wind Data (with full analysis)
   if (url.pathname === '/api/solar-wind' || url.pathname === '/api/aurora/solar-wind') {
     try {
-      if (cache.data && Date.now() - cache.time < CACHE_DURATION) {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(cache.data));
-        return;
-      }
+      const data = await getSpaceWeatherData();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    } catch (error) {
+      // Still 200 so the UI renders, but `freshness` says stale or placeholder
+      console.error('[Aurora] Error:', error.message);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(getFallbackSpaceWeatherData(error)));
+    }
+    return;
+  }
 
-      console.log('[Aurora] Fetching NOAA data...');
-      const [plasma, mag, scales] = await Promise.all([
-        fetchJSON(NOAA_APIS.plasma),
-        fetchJSON(NOAA_APIS.mag),
-        fetchJSON(NOAA_APIS.scales)
-      ]);
+  // API: Space weather events - CME storm watches, warnings, flares, X-ray flux
+  if (url.pathname === '/api/aurora/events') {
+    try {
+      const body = JSON.stringify(await getSpaceWeatherEvents());
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(body);
+    } catch (error) {
+      console.error('[Events] Error:', error.message);
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Space weather events unavailable' }));
+    }
+    return;
+  }
 
-      const data = processSpaceWeatherData(plasma, mag, scales);
-      cache.data = data;
-      cache.time = Date.now();
+  // API: Aurora Decision - full GO/NO GO verdict for a location in one call
+  if (url.pathname === '/api/aurora/decision') {
+    const location = parseLocationParams(url.searchParams);
+    if (location.error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: location.error }));
+      return;
+    }
 
-      checkAndSendAlerts(data);
+    try {
+      const { latitude, longitude } = location;
+      // Placeholder data = engine's fail-safe NO GO, never a verdict on mock data
+      const solarData = await getSpaceWeatherData().catch(e => {
+        console.error('[Aurora] Decision data error:', e.message);
+        return getFallbackSpaceWeatherData(e);
+      });
+      const { decision, darkness, moonTimes, hoursUntilDark, clouds, ovation } = await decideAuroraAt(solarData, latitude, longitude);
 
-      console.log(`[Aurora] ✅ Similarity: ${data.similarity}% | Bz: ${data.bz}nT | Speed: ${data.speed}km/s`);
+      const body = JSON.stringify({
+        location: { latitude, longitude },
+        decision: decision.decision,
+        go: decision.go,
+        icon: decision.icon,
+        reason: decision.reason,
+        action: decision.action,
+        confidence: decision.confidence,
+        score: decision.score,
+        blockedBy: decision.blockedBy,
+        visibleLatitude: decision.visibleLatitude,
+        magneticLatitude: decision.magneticLatitude,
+        visibleMagneticLatitude: decision.visibleMagneticLatitude,
+        latitudeMargin: decision.latitudeMargin,
+        darkness: {
+          level: darkness.level,
+          sunAltitude: darkness.sunAltitude,
+          canViewAurora: darkness.canViewAurora,
+          moonlit: darkness.moonlit,
+          moon: {
+            altitude: darkness.moon.altitude,
+            illumination: darkness.moon.illumination,
+            phase: darkness.moon.phase,
+            interference: darkness.moon.level,
+            rise: moonTimes.rise,
+            set: moonTimes.set
+          },
+          hoursUntilDark,
+          nextDark: hoursUntilDark === null
+            ? null
+            : new Date(Date.now() + hoursUntilDark * 60 * 60 * 1000).toISOString()
+        },
+        factors: decision.factors,
+        freshness: solarData.freshness,
+        // Learned from the sighting log, with the hand-tuned similarity as baseline
+        probability: getAuroraProbability(solarData, latitude, longitude, darkness, clouds),
+        inputs: {
+          solarWind: {
+            time: solarData.time,
+            bz: solarData.bz,
+            bt: solarData.bt,
+            speed: solarData.speed,
+            density: solarData.density,
+            pressure: solarData.pressure,
+            clockAngle: solarData.clockAngle,
+            bzSouthDuration: solarData.bzSouthDuration,
+            similarity: solarData.similarity,
+            gScale: solarData.gScale,
+            propagation: solarData.propagation || null
+          },
+          clouds,
+          ovation
+        },
+        lastUpdate: new Date().toISOString()
+      });
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(data));
+      res.end(body);
     } catch (error) {
-      console.error('[Aurora] Error:', error.message);
+      console.error('[Aurora] Decision error:', error.message);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+
+  // API: Aurora Nowcast - tonight's hourly timeline and best viewing window
+  if (url.pathname === '/api/aurora/nowcast') {
+    const location = parseLocationParams(url.searchParams);
+    if (location.error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: location.error }));
+      return;
+    }
+
+    try {
+      const { latitude, longitude } = location;
+      // Without NOAA data the timeline still ranks viewing conditions (G0 activity)
+      const solarData = await getSpaceWeatherData().catch(e => {
+        console.error('[Aurora] Nowcast data error:', e.message);
+        return getFallbackSpaceWeatherData(e);
+      });
+      const timeline = await buildNowcastTimeline(solarData, latitude, longitude);
+
+      const body = JSON.stringify({
+        location: { latitude, longitude },
+        generated: new Date().toISOString(),
+        ...timeline,
+        freshness: solarData.freshness
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(body);
+    } catch (error) {
+      console.error('[Aurora] Nowcast error:', error.message);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+
+  // API: Aurora Planning - which of the next 27 nights are worth a trip
+  if (url.pathname === '/api/aurora/planning') {
+    const location = parseLocationParams(url.searchParams);
+    if (location.error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: location.error }));
+      return;
+    }
+
+    try {
+      const { latitude, longitude } = location;
+      // Each input is optional: missing ones leave nights unforecast, not the calendar
+      const [solarData, outlook, weather] = await Promise.all([
+        getSpaceWeatherData().catch(e => getFallbackSpaceWeatherData(e)),
+        get27DayOutlook(),
+        getWeatherForecast(latitude, longitude).catch(() => null)
+      ]);
+      const gForecast = solarData.freshness?.status === 'mock' ? [] : solarData.gForecast;
+      const cloudsByHour = weather ? indexHourlyClouds(weather.hourly, weather.utcOffsetSeconds) : new Map();
+      const nights = buildPlanningCalendar({ latitude, longitude, gForecast, outlook, cloudsByHour });
+
+      const body = JSON.stringify({
+        location: { latitude, longitude },
+        generated: new Date().toISOString(),
+        nights,
+        bestNights: pickBestNights(nights),
+        sources: {
+          noaaForecastDays: gForecast?.length || 0,
+          outlookIssued: outlook?.issued ?? null,
+          cloudForecastNights: nights.filter(n => n.clouds !== null).length
+        }
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(body);
+    } catch (error) {
+      console.error('[Aurora] Planning error:', error.message);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+
+  // API: Solar Wind History (downsampled, from the local history store)
+  if (url.pathname === '/api/aurora/history') {
+    try {
+      const rangeParam = url.searchParams.get('range');
+      const range = rangeParam ? parseHistoryRange(rangeParam) : 24 * 60 * 60 * 1000;
+      const endParam = url.searchParams.get('end');
+      const startParam = url.searchParams.get('start');
+      const end = endParam ? parseHistoryTime(endParam) : Date.now();
+      const start = startParam ? parseHistoryTime(startParam) : end - range;
+
+      const metricsParam = url.searchParams.get('metrics');
+      const metrics = metricsParam
+        ? metricsParam.split(',').map(m => m.trim()).filter(m => m)
+        : HISTORY_METRICS;
+      const unknownMetrics = metrics.filter(m => !HISTORY_METRICS.includes(m));
+
+      let error = null;
+      if (!range) error = 'Invalid range (use e.g. 6h, 24h, 7d)';
+      else if (isNaN(start) || isNaN(end)) error = 'Invalid start or end time';
+      else if (start >= end) error = 'start must be before end';
+      else if (unknownMetrics.length) error = `Unknown metrics: ${unknownMetrics.join(', ')}`;
+
+      // Default resolution keeps responses chart-sized
+      const span = end - start;
+      const resolution = url.searchParams.get('resolution') ||
+        (span <= 6 * 60 * 60 * 1000 ? '1m' : span <= 3 * 24 * 60 * 60 * 1000 ? '5m' : '1h');
+      if (!error && !HISTORY_RESOLUTIONS[resolution]) {
+        error = `Invalid resolution (use ${Object.keys(HISTORY_RESOLUTIONS).join(', ')})`;
+      } else if (!error && span / HISTORY_RESOLUTIONS[resolution] > HISTORY_MAX_BUCKETS) {
+        error = 'Too many points - use a coarser resolution or shorter range';
+      }
+
+      if (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error }));
+        return;
+      }
+
+      // NOAA keeps 7 days - backfill in the background if the store doesn't
+      // reach back that far yet; this response returns what we already have
+      const oldest = solarWindHistory.samples[0]?.ts ?? Infinity;
+      const backfilling = start < oldest && oldest > Date.now() - 7 * 24 * 60 * 60 * 1000 &&
+        Date.now() - lastHistoryBackfill >= HISTORY_BACKFILL_COOLDOWN;
+      if (backfilling) {
+        backfillSolarWindHistory().catch(e => console.error('[History] Backfill failed:', e.message));
+      }
+
+      const points = aggregateSolarWindHistory(start, end, resolution, metrics);
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(getMockData()));
+      res.end(JSON.stringify({
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+        resolution,
+        metrics,
+        count: points.length,
+        points,
+        backfilling,
+        lastUpdate: new Date().toISOString()
+      }));
+    } catch (error) {
+      console.error('[History] Query error:', error.message);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
     }
     return;
   }
@@ -1102,6 +3816,45 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // API: OVATION grid (for the auroral oval map), clipped to hemisphere/bbox
+  if (url.pathname === '/api/aurora/ovation/grid') {
+    const params = parseOvationGridParams(url.searchParams);
+    if (params.error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: params.error }));
+      return;
+    }
+
+    try {
+      const { hemisphere, bbox, minProbability } = params;
+      const ov = await getOvationData();
+      if (!ov?.coordinates) throw new Error('No OVATION grid');
+
+      const points = clipOvationGrid(ov.coordinates, { hemisphere, bbox, minProbability });
+      const viewLine = (hemisphere === 'both' ? ['north', 'south'] : [hemisphere])
+        .flatMap(h => computeViewLine(ov.coordinates, h))
+        .filter(([lon, lat]) => isInBoundingBox(lon, lat, bbox));
+
+      const body = JSON.stringify({
+        observationTime: ov['Observation Time'],
+        forecastTime: ov['Forecast Time'],
+        hemisphere,
+        bbox,
+        minProbability,
+        count: points.length,
+        points,
+        viewLine
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(body);
+    } catch (error) {
+      console.error('[OVATION] Grid error:', error.message);
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'OVATION data unavailable' }));
+    }
+    return;
+  }
+
   // API: OVATION Aurora Forecast (NOAA's official model)
   if (url.pathname === '/api/ovation' || url.pathname === '/api/aurora/ovation') {
     try {
@@ -1117,6 +3870,203 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // API: Send a test notification to verify channel configuration
+  if (url.pathname === '/api/alerts/test') {
+    const sendJSON = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+    if (!isAuthorized(req)) {
+      sendJSON(401, { error: 'Unauthorized' });
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJSON(405, { error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      const input = await readJSONBody(req);
+      const type = input.type || 'aurora';
+      if (!NOTIFY_CONFIG.routes[type]) {
+        sendJSON(400, { error: `type must be one of: ${Object.keys(NOTIFY_CONFIG.routes).join(', ')}` });
+        return;
+      }
+      const channels = input.channel
+        ? [input.channel].filter(name => NOTIFIERS[name]?.isConfigured())
+        : getNotifiers(type);
+      if (!channels.length) {
+        sendJSON(400, { error: `No configured channels for ${input.channel || type}` });
+        return;
+      }
+      const results = await notify({
+        type,
+        priority: 'low',
+        subject: `🔔 Nocturne test notification (${type})`,
+        html: `<p>Test notification for <strong>${type}</strong> alerts from Nocturne.</p>`,
+        text: `Test notification for **${type}** alerts from Nocturne.`
+      }, { channels });
+      sendJSON(200, { type, results });
+    } catch (error) {
+      sendJSON(400, { error: error.message });
+    }
+    return;
+  }
+
+  // API: Aurora Alert Subscriptions (per-recipient locations & thresholds)
+  const subscriptionMatch = /^\/api\/alerts\/subscriptions(?:\/([\w-]+))?$/.exec(url.pathname);
+  if (subscriptionMatch) {
+    const id = subscriptionMatch[1];
+    const sendJSON = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (!isAuthorized(req)) {
+      sendJSON(401, { error: 'Unauthorized' });
+      return;
+    }
+
+    try {
+      if (!id && req.method === 'GET') {
+        // Where each subscriber's current event stands (alert level state
+        // machine) and alerts held until dark
+        const levels = Object.fromEntries(Object.entries(emailState.levels)
+          .map(([key, { level, since, peak }]) => [key, { level, since, peak }]));
+        sendJSON(200, { subscriptions: alertSubscriptions, legacy: !alertSubscriptions.length, levels, deferred: emailState.deferred });
+      } else if (!id && req.method === 'POST') {
+        const { subscription, error } = createAlertSubscription(await readJSONBody(req));
+        if (error) sendJSON(400, { error });
+        else sendJSON(201, subscription);
+      } else if (id && req.method === 'GET') {
+        const subscription = alertSubscriptions.find(s => s.id === id);
+        if (subscription) sendJSON(200, subscription);
+        else sendJSON(404, { error: 'Subscription not found' });
+      } else if (id && req.method === 'PUT') {
+        const { subscription, error, notFound } = updateAlertSubscription(id, await readJSONBody(req));
+        if (notFound) sendJSON(404, { error: 'Subscription not found' });
+        else if (error) sendJSON(400, { error });
+        else sendJSON(200, subscription);
+      } else if (id && req.method === 'DELETE') {
+        if (deleteAlertSubscription(id)) sendJSON(200, { deleted: id });
+        else sendJSON(404, { error: 'Subscription not found' });
+      } else {
+        sendJSON(405, { error: 'Method not allowed' });
+      }
+    } catch (error) {
+      sendJSON(400, { error: error.message });
+    }
+    return;
+  }
+
+  // API: Aurora Sighting Log (+ calibration of outcomes against similarity)
+  const sightingMatch = /^\/api\/sightings(?:\/([\w-]+)(\/photo)?)?$/.exec(url.pathname);
+  if (sightingMatch) {
+    const [, id, photoPath] = sightingMatch;
+    const sendJSON = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (!isAuthorized(req)) {
+      sendJSON(401, { error: 'Unauthorized' });
+      return;
+    }
+
+    try {
+      const existing = id && auroraSightings.find(s => s.id === id);
+      if (id === 'calibration' && !photoPath && req.method === 'GET') {
+        sendJSON(200, summarizeSightingCalibration(auroraSightings));
+      } else if (!id && req.method === 'GET') {
+        const newestFirst = [...auroraSightings].sort((a, b) => Date.parse(b.time) - Date.parse(a.time));
+        sendJSON(200, { sightings: newestFirst });
+      } else if (!id && req.method === 'POST') {
+        const { sighting, error } = await createSighting(await readJSONBody(req, SIGHTING_BODY_MAX_BYTES));
+        if (error) sendJSON(400, { error });
+        else sendJSON(201, sighting);
+      } else if (photoPath && req.method === 'GET') {
+        const file = existing?.photo && path.join(SIGHTING_PHOTOS_DIR, existing.photo.file);
+        if (!file || !fs.existsSync(file)) {
+          sendJSON(404, { error: 'Photo not found' });
+        } else {
+          res.writeHead(200, { 'Content-Type': existing.photo.type, 'Cache-Control': 'private, max-age=86400' });
+          fs.createReadStream(file).pipe(res);
+        }
+      } else if (photoPath) {
+        sendJSON(405, { error: 'Method not allowed' });
+      } else if (req.method === 'GET') {
+        if (existing) sendJSON(200, existing);
+        else sendJSON(404, { error: 'Sighting not found' });
+      } else if (req.method === 'PUT') {
+        const { sighting, error, notFound } = await updateSighting(id, await readJSONBody(req, SIGHTING_BODY_MAX_BYTES));
+        if (notFound) sendJSON(404, { error: 'Sighting not found' });
+        else if (error) sendJSON(400, { error });
+        else sendJSON(200, sighting);
+      } else if (req.method === 'DELETE') {
+        if (deleteSighting(id)) sendJSON(200, { deleted: id });
+        else sendJSON(404, { error: 'Sighting not found' });
+      } else {
+        sendJSON(405, { error: 'Method not allowed' });
+      }
+    } catch (error) {
+      sendJSON(400, { error: error.message });
+    }
+    return;
+  }
+
+  // API: Aurora probability model - GET describes it, POST retrains it from the sighting log
+  if (url.pathname === '/api/aurora/model') {
+    const sendJSON = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (req.method === 'GET') {
+      sendJSON(200, { model: describeProbabilityModel() });
+    } else if (req.method !== 'POST') {
+      sendJSON(405, { error: 'Method not allowed' });
+    } else if (!isAuthorized(req)) {
+      sendJSON(401, { error: 'Unauthorized' });
+    } else {
+      const { error } = trainAuroraProbabilityModel();
+      if (error) sendJSON(400, { error, model: describeProbabilityModel() });
+      else sendJSON(200, { model: describeProbabilityModel() });
+    }
+    return;
+  }
+
+  // API: Storm scenario replay - status is public, starting/stopping needs the admin token
+  if (url.pathname === '/api/simulation') {
+    const sendJSON = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (req.method === 'GET') {
+      sendJSON(200, { ...getSimulationStatus(), scenarios: listScenarios() });
+      return;
+    }
+    if (!isAuthorized(req)) {
+      sendJSON(401, { error: 'Unauthorized' });
+      return;
+    }
+
+    try {
+      if (req.method === 'POST') {
+        const params = parseSimulationRequest(await readJSONBody(req));
+        if (params.error) sendJSON(400, { error: params.error });
+        else sendJSON(200, startSimulation(params));
+      } else if (req.method === 'DELETE') {
+        sendJSON(200, { stopped: stopSimulation() });
+      } else {
+        sendJSON(405, { error: 'Method not allowed' });
+      }
+    } catch (error) {
+      sendJSON(error.code === 'ENOENT' ? 404 : 400, { error: error.message });
+    }
+    return;
+  }
+
   // ==========================================
   // WEATHER MODULE APIs
   // ==========================================
@@ -1258,7 +4208,15 @@ const server = http.createServer(async (req, res) => {
         stocks: MODULES_ENABLED.stocks,
         news: MODULES_ENABLED.news
       },
-      email: EMAIL_CONFIG.enabled
+      email: EMAIL_CONFIG.enabled,
+      notifications: {
+        aurora: getNotifiers('aurora'),
+        stocks: getNotifiers('stocks'),
+        daily: getNotifiers('daily')
+      },
+      history: getSolarWindHistoryStats(),
+      poller: getAuroraPollerStatus(),
+      simulation: getSimulationStatus()
     };
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(status));
@@ -1537,7 +4495,7 @@ function getMarketStatus() {
 function checkStockAlerts(stocks) {
   // Only send alerts for extreme movers (>20%)
   // Regular stock alerts disabled - use NASDAQ extreme movers check instead
-  if (!EMAIL_CONFIG.enabled) return;
+  if (!getNotifiers('stocks').length) return;
   
   const extremeMovers = stocks.filter(s => 
     s.changePercent && Math.abs(s.changePercent) >= 20
@@ -1574,7 +4532,7 @@ function checkStockAlerts(stocks) {
     </div>
   `).join('');
   
-  const body = `
+  const html = `
     <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #1a1a2e; color: #fff; padding: 24px; max-width: 600px;">
       <h1 style="color: #ff6b6b; margin-bottom: 8px;">🚨 Extreme Watchlist Alert</h1>
       <p style="color: #aaa; margin-bottom: 24px;">
@@ -1588,8 +4546,20 @@ function checkStockAlerts(stocks) {
       </div>
     </div>
   `;
+  const text = `Watchlist stocks that moved more than **20%**:\n${formatMoversText(newAlerts)}`;
   
-  sendEmail(subject, body);
+  notify({ type: 'stocks', priority: 'high', subject, html, text, data: { movers: newAlerts } });
+}
+
+/**
+ * Markdown list of movers for push channels
+ */
+function formatMoversText(movers) {
+  return movers.map(s => {
+    const sign = s.changePercent >= 0 ? '+' : '';
+    const volume = s.volume ? ` · vol ${formatVolumeForEmail(s.volume)}` : '';
+    return `${s.changePercent >= 0 ? '🚀' : '📉'} **${s.symbol}** ${sign}${s.changePercent?.toFixed(2)}% · $${s.price?.toFixed(2)}${volume} - ${s.name || s.symbol}`;
+  }).join('\n');
 }
 
 // ============================================================================
@@ -1704,7 +4674,7 @@ function getExchangeName(code) {
  * Includes cooldown to prevent spam
  */
 function checkExtremeMovers(movers) {
-  if (!EMAIL_CONFIG.enabled) return;
+  if (!getNotifiers('stocks').length) return;
   
   const now = Date.now();
   const allStocks = [...(movers.gainers || []), ...(movers.losers || [])];
@@ -1757,7 +4727,7 @@ function checkExtremeMovers(movers) {
       </div>
     `).join('');
   
-  const body = `
+  const html = `
     <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #1a1a2e; color: #fff; padding: 24px; max-width: 600px;">
       <h1 style="color: #ff6b6b; margin-bottom: 8px;">🚨 Extreme Stock Movement Alert</h1>
       <p style="color: #aaa; margin-bottom: 24px;">
@@ -1775,8 +4745,15 @@ function checkExtremeMovers(movers) {
     </div>
   `;
   
+  const text = [
+    'NASDAQ stocks that moved more than **20%** today:',
+    formatMoversText(extremeMovers),
+    '',
+    `⏰ ${new Date().toLocaleString('en-US', { timeZone: 'America/New_York' })} ET · 2h cooldown per stock`
+  ].join('\n');
+  
   console.log(`[NASDAQ] 🚨 Sending extreme mover alert for: ${extremeMovers.map(s => s.symbol).join(', ')}`);
-  sendEmail(subject, body);
+  notify({ type: 'stocks', priority: 'high', subject, html, text, data: { movers: extremeMovers } });
 }
 
 function formatVolumeForEmail(vol) {
@@ -2027,7 +5004,7 @@ async function getWeatherForecast(lat, lon) {
     const url = 'https://api.open-meteo.com/v1/forecast?' +
       `latitude=${lat}&longitude=${lon}` +
       '&current=temperature_2m,relative_humidity_2m,apparent_temperature,is_day,precipitation,rain,weather_code,cloud_cover,wind_speed_10m,wind_direction_10m,visibility' +
-      '&hourly=temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,cloud_cover,visibility,wind_speed_10m' +
+      '&hourly=temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,wind_speed_10m' +
       '&daily=weather_code,temperature_2m_max,temperature_2m_min,sunrise,sunset,uv_index_max,precipitation_probability_max' +
       '&temperature_unit=fahrenheit&wind_speed_unit=mph&precipitation_unit=inch' +
       '&timezone=auto&forecast_days=7';
@@ -2061,7 +5038,8 @@ async function getWeatherForecast(lat, lon) {
       current: data.current,
       hourly: data.hourly,
       daily: data.daily,
-      timezone: data.timezone
+      timezone: data.timezone,
+      utcOffsetSeconds: data.utc_offset_seconds ?? 0
     };
     
     weatherCache[cacheKey] = { data: result, time: Date.now() };
@@ -2179,9 +5157,21 @@ server.listen(PORT, () => {
   
   if (EMAIL_CONFIG.enabled) {
     console.log(`📧 Email alerts: ENABLED (${EMAIL_CONFIG.recipients.length} recipients)`);
-    scheduleDailySummary();
   } else {
     console.log('📧 Email alerts: DISABLED');
   }
+  const pushChannels = Object.keys(NOTIFIERS).filter(name => name !== 'email' && NOTIFIERS[name].isConfigured());
+  console.log(`🔔 Push channels: ${pushChannels.length ? pushChannels.join(', ') : 'NONE'}`);
+  console.log(`🔒 Management APIs: ${ADMIN_TOKEN ? 'ENABLED' : 'DISABLED (set ADMIN_TOKEN)'}`);
+  if (getNotifiers('daily').length) {
+    scheduleDailySummary();
+  }
+  if (SIMULATION_CONFIG.scenario) {
+    try {
+      startSimulation({ id: SIMULATION_CONFIG.scenario });
+    } catch (e) {
+      console.error('[Sim] Could not start:', e.message);
+    }
+  }
   console.log('');
 });
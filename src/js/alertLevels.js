@@ -0,0 +1,120 @@
+/**
+ * Nocturne - Aurora Alert Levels v3.1.0
+ *
+ * Per-subscriber alert state machine: clear → watch → active → strong →
+ * subsiding → clear. Hysteresis keeps a storm hovering at a threshold from
+ * flapping: strong is entered at one similarity and left at a lower one,
+ * and an event only ends once conditions stay below GO for a while. Pure -
+ * the server feeds it one observation per check, persists the state and
+ * sends the notification it returns.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+export const ALERT_LEVELS = ['clear', 'watch', 'active', 'strong', 'subsiding'];
+
+export const ALERT_HYSTERESIS = {
+  strongEnter: 60,        // G4 similarity % that escalates to strong (the alert's STRONG urgency)
+  strongExit: 50,         // ...and below which strong drops back to active
+  clearAfterMinutes: 30,  // Below GO this long ends the event with an all clear
+  watchGraceMinutes: 30   // An unconfirmed watch lapses this long after the predicted arrival
+};
+
+// Notified levels in order - only a rise past the event's peak is an escalation
+const RANK = { watch: 1, active: 2, strong: 3 };
+
+/**
+ * Whether a notify() outcome reached the subscriber. A push channel skips a
+ * push it already sent within the cooldown (another subscriber at the same
+ * location, or the same storm watch) - that subscriber has it, so only an
+ * outcome with nothing sent or skipped is retried.
+ * @param {object} results - channel -> 'sent' | 'skipped' | error message
+ * @param {object} [options]
+ * @param {boolean} [options.everyChannel] - Require every channel, not just one
+ * @returns {boolean}
+ */
+export function isNotificationDelivered(results, { everyChannel = false } = {}) {
+  const delivered = result => result === 'sent' || result === 'skipped';
+  const outcomes = Object.values(results);
+  return everyChannel ? outcomes.length > 0 && outcomes.every(delivered) : outcomes.some(delivered);
+}
+
+/**
+ * @param {number|null} [now]
+ * @returns {object} - { level, since, peak, notifiedAt, eventStart, belowSince, watchUntil }
+ */
+export function createAlertState(now = null) {
+  return { level: 'clear', since: now, peak: null, notifiedAt: null, eventStart: null, belowSince: null, watchUntil: null };
+}
+
+/**
+ * Advance one subscriber's alert state by one observation
+ *
+ * @param {object|null} state - Previous state (null = clear)
+ * @param {object} observation
+ * @param {boolean} observation.go - GO here with the subscriber's thresholds met
+ * @param {number} [observation.similarity] - G4 similarity %
+ * @param {string|null} [observation.warningArrival] - ISO arrival of incoming solar wind that would be a GO
+ * @param {boolean} [observation.quiet] - Inside quiet hours: keep tracking, notify nothing
+ * @param {number} now - ms
+ * @param {number} cooldownMinutes - Same-level alerts repeat no sooner than this
+ * @returns {object} - { state, notification }; notification is null or
+ *                     { kind: 'watch'|'active'|'strong'|'all-clear', escalation, reminder, peak, eventStart }
+ */
+export function advanceAlertState(state, { go, similarity = 0, warningArrival = null, quiet = false }, now, cooldownMinutes) {
+  const prev = state || createAlertState();
+  const next = { ...prev };
+  let notification = null;
+  const enter = (level) => {
+    if (next.level === level) return;
+    if (next.level === 'clear') next.eventStart = now;
+    next.level = level;
+    next.since = now;
+  };
+
+  if (go) {
+    const strong = similarity >= ALERT_HYSTERESIS.strongEnter ||
+      (prev.level === 'strong' && similarity >= ALERT_HYSTERESIS.strongExit);
+    const level = strong ? 'strong' : 'active';
+    enter(level);
+    next.belowSince = null;
+    next.watchUntil = null;
+
+    const rises = RANK[level] > (RANK[prev.peak] || 0);
+    const due = now - (prev.notifiedAt || 0) > cooldownMinutes * 60 * 1000;
+    if (!quiet && (rises || due)) {
+      notification = {
+        kind: level,
+        // Escalations skip the cooldown; a repeat at the same level waits for it
+        escalation: rises && RANK[prev.peak] >= RANK.active,
+        reminder: !rises,
+        peak: rises ? level : prev.peak,
+        eventStart: next.eventStart
+      };
+      if (rises) next.peak = level;
+      next.notifiedAt = now;
+    }
+  } else if (prev.level === 'active' || prev.level === 'strong') {
+    enter('subsiding');
+    next.belowSince = now;
+  } else if (prev.level === 'subsiding' && now - prev.belowSince >= ALERT_HYSTERESIS.clearAfterMinutes * 60 * 1000) {
+    // Only events that sent a GO get a closing message
+    if (!quiet && RANK[prev.peak] >= RANK.active) {
+      notification = { kind: 'all-clear', escalation: false, reminder: false, peak: prev.peak, eventStart: prev.eventStart };
+    }
+    return { state: { ...createAlertState(now), notifiedAt: notification ? now : prev.notifiedAt }, notification };
+  } else if (warningArrival && (prev.level === 'clear' || prev.level === 'watch')) {
+    enter('watch');
+    next.watchUntil = Date.parse(warningArrival) + ALERT_HYSTERESIS.watchGraceMinutes * 60 * 1000;
+    if (!quiet && !prev.peak) {
+      notification = { kind: 'watch', escalation: false, reminder: false, peak: 'watch', eventStart: next.eventStart };
+      next.peak = 'watch';
+      next.notifiedAt = now;
+    }
+  } else if (prev.level === 'watch' && now > prev.watchUntil) {
+    // The incoming solar wind never made it a GO here
+    return { state: { ...createAlertState(now), notifiedAt: prev.notifiedAt }, notification: null };
+  }
+
+  return { state: next, notification };
+}
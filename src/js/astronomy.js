@@ -0,0 +1,163 @@
+/**
+ * Nocturne - Astronomy v3.1.0
+ *
+ * Local sun/moon calculations shared by the browser and server - no API
+ * calls. The single source of sun altitude for the darkness model. Formulas
+ * follow the low-precision series used by suncalc (Astronomical Algorithms,
+ * Meeus), good to well under a degree.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397;   // Earth's axial tilt
+const SUN_DISTANCE = 149598000;    // km
+const MOON_HORIZON = 0.133;        // Moon's upper limb at the horizon, incl. refraction (°)
+const RISE_SET_STEP_MIN = 10;
+
+// =============================================================================
+// Coordinate Helpers
+// =============================================================================
+const toDays = (date) => date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+
+const rightAscension = (l, b) =>
+  Math.atan2(Math.sin(l) * Math.cos(OBLIQUITY) - Math.tan(b) * Math.sin(OBLIQUITY), Math.cos(l));
+
+const declination = (l, b) =>
+  Math.asin(Math.sin(b) * Math.cos(OBLIQUITY) + Math.cos(b) * Math.sin(OBLIQUITY) * Math.sin(l));
+
+const siderealTime = (d, lw) => RAD * (280.16 + 360.9856235 * d) - lw;
+
+const altitudeOf = (H, phi, dec) =>
+  Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H));
+
+function sunCoords(d) {
+  const M = RAD * (357.5291 + 0.98560028 * d);
+  const C = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const L = M + C + RAD * 102.9372 + Math.PI;
+  return { dec: declination(L, 0), ra: rightAscension(L, 0) };
+}
+
+function moonCoords(d) {
+  const L = RAD * (218.316 + 13.176396 * d);  // Ecliptic longitude
+  const M = RAD * (134.963 + 13.064993 * d);  // Mean anomaly
+  const F = RAD * (93.272 + 13.229350 * d);   // Mean distance
+  const l = L + RAD * 6.289 * Math.sin(M);
+  const b = RAD * 5.128 * Math.sin(F);
+  return { ra: rightAscension(l, b), dec: declination(l, b), dist: 385001 - 20905 * Math.cos(M) };
+}
+
+// =============================================================================
+// Sun
+// =============================================================================
+
+/**
+ * Sun altitude for a location and time. Classify it with getDarknessInfo()
+ * from decision.js.
+ *
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {Date} date - Date/time to check (default: now)
+ * @returns {object} - altitude (°, negative below the horizon)
+ */
+export function getSunPosition(lat, lon, date = new Date()) {
+  const d = toDays(date);
+  const sun = sunCoords(d);
+  const H = siderealTime(d, RAD * -lon) - sun.ra;
+  return { altitude: Math.round(altitudeOf(H, RAD * lat, sun.dec) / RAD * 10) / 10 };
+}
+
+// =============================================================================
+// Moon
+// =============================================================================
+function moonAltitude(lat, lon, date) {
+  const d = toDays(date);
+  const moon = moonCoords(d);
+  const H = siderealTime(d, RAD * -lon) - moon.ra;
+  return altitudeOf(H, RAD * lat, moon.dec) / RAD;
+}
+
+/**
+ * Moon altitude, illuminated fraction and phase for a location and time
+ *
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {Date} date - Date/time to check (default: now)
+ * @returns {object} - altitude (°), illumination (0-1), phase (0 new → 0.5 full → 1 new)
+ */
+export function getMoonPosition(lat, lon, date = new Date()) {
+  const d = toDays(date);
+  const moon = moonCoords(d);
+  const sun = sunCoords(d);
+  const altitude = moonAltitude(lat, lon, date);
+
+  // Sun-moon elongation → phase angle → illuminated fraction
+  const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) +
+    Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+  const inc = Math.atan2(SUN_DISTANCE * Math.sin(elongation), moon.dist - SUN_DISTANCE * Math.cos(elongation));
+  const angle = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+    Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+
+  return {
+    altitude: Math.round(altitude * 10) / 10,
+    illumination: Math.round((1 + Math.cos(inc)) / 2 * 100) / 100,
+    phase: Math.round((0.5 + 0.5 * inc * (angle < 0 ? -1 : 1) / Math.PI) * 100) / 100
+  };
+}
+
+/**
+ * Next moonrise and moonset within 24 hours of a time
+ *
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {Date} date - Start of the search (default: now)
+ * @returns {object} - rise, set (Date or null), alwaysUp, alwaysDown
+ */
+export function getMoonTimes(lat, lon, date = new Date()) {
+  const start = date.getTime();
+  const stepMs = RISE_SET_STEP_MIN * 60 * 1000;
+  const startAlt = moonAltitude(lat, lon, date) - MOON_HORIZON;
+  let rise = null;
+  let set = null;
+  let prevAlt = startAlt;
+
+  for (let t = start + stepMs; t <= start + DAY_MS && !(rise && set); t += stepMs) {
+    const alt = moonAltitude(lat, lon, new Date(t)) - MOON_HORIZON;
+    if ((alt > 0) !== (prevAlt > 0)) {
+      // Interpolate the horizon crossing within the step
+      const crossing = new Date(Math.round(t - stepMs * alt / (alt - prevAlt)));
+      if (alt > 0 && !rise) rise = crossing;
+      if (alt <= 0 && !set) set = crossing;
+    }
+    prevAlt = alt;
+  }
+
+  return {
+    rise,
+    set,
+    alwaysUp: !rise && !set && startAlt > 0,
+    alwaysDown: !rise && !set && startAlt <= 0
+  };
+}
+
+/**
+ * How much moonlight washes out faint aurora.
+ * A bright moon high in the sky is worst; a crescent or set moon is harmless.
+ *
+ * @param {object} moon - { altitude, illumination } from getMoonPosition
+ * @returns {object} - level (none/low/moderate/high), brightness (0-1), factor (1 = no loss)
+ */
+export function getMoonInterference(moon) {
+  if (!moon || moon.altitude <= 0 || moon.illumination < 0.1) {
+    return { level: 'none', brightness: 0, factor: 1 };
+  }
+  // Low moons shine through more atmosphere - scale by sin(altitude), floored
+  // so a bright moon just above the horizon still counts
+  const brightness = Math.round(moon.illumination * Math.max(0.3, Math.sin(moon.altitude * RAD)) * 100) / 100;
+  if (brightness < 0.15) return { level: 'low', brightness, factor: 0.9 };
+  if (brightness < 0.45) return { level: 'moderate', brightness, factor: 0.75 };
+  return { level: 'high', brightness, factor: 0.55 };
+}
@@ -6,8 +6,20 @@
  * 
  * Part of Nocturne 24x7 Personal Assistant
  * Reference: May 10-11, 2024 G4 Storm (strongest in 20+ years)
+ *
+ * Load as an ES module: <script type="module" src="/src/js/aurora.js">
  */
 
+import {
+  makeAuroraDecision,
+  getDarknessInfo as classifyDarkness,
+  getSkyScore,
+  getVisibleLatitude,
+  getVisibleGeographicLatitude,
+  formatLatitude
+} from './decision.js';
+import { getSunPosition, getMoonPosition } from './astronomy.js';
+
 // =============================================================================
 // Configuration
 // =============================================================================
@@ -20,109 +32,24 @@ let locationName = 'Seattle, WA';
 // =============================================================================
 
 /**
- * Calculate sun position and determine if it's dark enough for aurora viewing.
- * Uses simplified astronomical calculations.
- * 
- * @param {number} lat - Latitude in degrees
- * @param {number} lon - Longitude in degrees
- * @param {Date} date - Date/time to check (default: now)
- * @returns {object} - Darkness info including isDark, sunAltitude, darkness level
- */
-function getSunPosition(lat, lon, date = new Date()) {
-  // Convert to radians
-  const toRad = (deg) => deg * Math.PI / 180;
-  const toDeg = (rad) => rad * 180 / Math.PI;
-  
-  // Day of year
-  const start = new Date(date.getFullYear(), 0, 0);
-  const diff = date - start;
-  const dayOfYear = Math.floor(diff / (1000 * 60 * 60 * 24));
-  
-  // Solar declination (simplified)
-  const declination = -23.45 * Math.cos(toRad((360 / 365) * (dayOfYear + 10)));
-  
-  // Time of day in hours (UTC)
-  const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60;
-  
-  // Solar hour angle
-  const solarNoon = 12 - (lon / 15); // Approximate solar noon in UTC
-  const hourAngle = (utcHours - solarNoon) * 15; // 15 degrees per hour
-  
-  // Sun altitude angle
-  const latRad = toRad(lat);
-  const decRad = toRad(declination);
-  const haRad = toRad(hourAngle);
-  
-  const sinAlt = Math.sin(latRad) * Math.sin(decRad) + 
-                 Math.cos(latRad) * Math.cos(decRad) * Math.cos(haRad);
-  const altitude = toDeg(Math.asin(Math.max(-1, Math.min(1, sinAlt))));
-  
-  return {
-    altitude: Math.round(altitude * 10) / 10,
-    declination: Math.round(declination * 10) / 10,
-    hourAngle: Math.round(hourAngle)
-  };
-}
-
-/**
- * Determine darkness level for aurora viewing
- * @returns {object} - isDark, level, description, hoursUntilDark
+ * Determine darkness level for aurora viewing at the user's location,
+ * dimmed by moonlight (sun/moon from src/js/astronomy.js)
+ * @returns {object} - isDark, level, description, sunAltitude, moonlit, moon, hoursUntilDark
  */
 function getDarknessInfo() {
-  const sun = getSunPosition(userLatitude, userLongitude);
-  const alt = sun.altitude;
-  
-  // Darkness levels for aurora viewing:
-  // - Astronomical twilight (sun < -18°): Best - fully dark
-  // - Nautical twilight (sun < -12°): Good - dark enough for aurora
-  // - Civil twilight (sun < -6°): Marginal - bright aurora might be visible
-  // - Above horizon (sun >= -6°): Too bright - no aurora visible
-  
-  let level, description, isDark, canViewAurora;
-  
-  if (alt < -18) {
-    level = 'night';
-    description = 'Full darkness - ideal for aurora';
-    isDark = true;
-    canViewAurora = true;
-  } else if (alt < -12) {
-    level = 'nautical';
-    description = 'Nautical twilight - good for aurora';
-    isDark = true;
-    canViewAurora = true;
-  } else if (alt < -6) {
-    level = 'civil';
-    description = 'Civil twilight - only bright aurora visible';
-    isDark = false;
-    canViewAurora = true; // Marginal
-  } else if (alt < 0) {
-    level = 'horizon';
-    description = 'Sun near horizon - too bright';
-    isDark = false;
-    canViewAurora = false;
-  } else {
-    level = 'day';
-    description = `Daytime (sun ${alt > 0 ? '+' : ''}${alt}°) - aurora not visible`;
-    isDark = false;
-    canViewAurora = false;
-  }
-  
+  const now = new Date();
+  const sun = getSunPosition(userLatitude, userLongitude, now);
+  const darkness = classifyDarkness(sun.altitude, getMoonPosition(userLatitude, userLongitude, now));
+
   // Estimate hours until dark (rough calculation)
   let hoursUntilDark = null;
-  if (!canViewAurora && alt > -12) {
+  if (!darkness.canViewAurora && sun.altitude > -12) {
     // Sun moves ~15° per hour, need to get to -12°
-    hoursUntilDark = Math.round((alt + 12) / 15 * 10) / 10;
+    hoursUntilDark = Math.round((sun.altitude + 12) / 15 * 10) / 10;
     if (hoursUntilDark < 0) hoursUntilDark = null;
   }
-  
-  return {
-    isDark,
-    canViewAurora,
-    level,
-    description,
-    sunAltitude: alt,
-    hoursUntilDark
-  };
+
+  return { ...darkness, hoursUntilDark };
 }
 
 // =============================================================================
@@ -198,344 +125,29 @@ class AuroraTracker {
   }
 
   // ---------------------------------------------------------------------------
-  // Sky Score (0-100) - weighted by cloud layer impact
+  // Decision inputs & THE Decision - shared engine (src/js/decision.js)
   // ---------------------------------------------------------------------------
   getSkyScore() {
-    if (!this.cloudData) return 100;
-    // Low clouds = total block, mid = partial, high = minor obstruction
-    const weighted = (this.cloudData.low || 0) * 1.0 + 
-                     (this.cloudData.mid || 0) * 0.7 + 
-                     (this.cloudData.high || 0) * 0.3;
-    return Math.max(0, Math.round(100 - Math.min(weighted, 100)));
+    return getSkyScore(this.cloudData) ?? 100;
   }
 
-  // ---------------------------------------------------------------------------
-  // Estimated Visibility Latitude (based on Bz and G-Scale)
-  // Conservative estimate - aurora visible AT or ABOVE this latitude
-  // ---------------------------------------------------------------------------
+  // Geographic latitude on the user's meridian (the engine works in geomagnetic)
   getVisibleLatitude() {
-    const bz = this.data?.bz || 0;
-    const gScale = this.data?.gScale || 0;
-    const speed = this.data?.speed || 400;
-    
-    // Use G-Scale if available (official NOAA)
-    if (gScale >= 5) return 30;  // G5: Florida/Texas
-    if (gScale >= 4) return 35;  // G4: Southern US
-    if (gScale >= 3) return 45;  // G3: Northern US
-    if (gScale >= 2) return 50;  // G2: Canada border
-    if (gScale >= 1) return 55;  // G1: Northern states
-    
-    // Fallback to Bz-based estimate with speed consideration
-    if (bz < -25 && speed > 600) return 35;
-    if (bz < -20 && speed > 500) return 40;
-    if (bz < -15 && speed > 450) return 45;
-    if (bz < -10 && speed > 400) return 50;
-    if (bz < -8) return 55;
-    if (bz < -5) return 58;
-    if (bz < -3) return 62;
-    return 67; // Quiet conditions - only arctic
+    return getVisibleGeographicLatitude(getVisibleLatitude(this.data), userLatitude, userLongitude);
   }
 
-  // ---------------------------------------------------------------------------
-  // Check if aurora is visible at user's latitude
-  // ---------------------------------------------------------------------------
-  canSeeAuroraAtMyLatitude() {
-    const visibleAt = this.getVisibleLatitude();
-    const myLat = Math.abs(userLatitude); // Handle southern hemisphere
-    return myLat >= visibleAt;
-  }
-
-  // ---------------------------------------------------------------------------
-  // THE Decision Logic - BINARY GO/NO GO
-  // ---------------------------------------------------------------------------
-  // Based on real space physics, not arbitrary thresholds
-  // 
-  // Key insight: Aurora requires FOUR things:
-  // 1. DARKNESS - Can't see aurora during daylight!
-  // 2. Southward IMF (Bz < 0) - Opens magnetosphere to solar wind
-  // 3. Strong solar wind (speed + density = pressure) - Drives energy
-  // 4. Clear sky - Can actually see it
-  // ---------------------------------------------------------------------------
   getDecision() {
-    const d = this.data;
-    const c = this.cloudData || {};
-    const sky = this.getSkyScore();
     const darkness = getDarknessInfo();
-
-    // FAIL SAFE: No data = NO GO
-    if (!d) {
-      return {
-        decision: 'NO GO',
-        class: 'no-go',
-        icon: '🚫',
-        reason: 'Cannot fetch space weather data',
-        action: 'Check your internet connection and refresh the page.',
-        confidence: 'high'
-      };
-    }
-
-    // Extract key parameters
-    const bz = d.bz || 0;
-    const speed = d.speed || 0;
-    const density = d.density || 0;
-    const pressure = d.pressure || 0;
-    const clockAngle = d.clockAngle || 0;
-    const similarity = d.similarity || 0;
-    const bzDuration = d.bzSouthDuration || 0;
-
-    // =========================================================================
-    // CRITICAL: CHECK DARKNESS FIRST - Can't see aurora in daylight!
-    // =========================================================================
-    if (!darkness.canViewAurora) {
-      const timeNote = darkness.hoursUntilDark 
-        ? `Dark in ~${darkness.hoursUntilDark} hours.` 
-        : 'Check back after sunset.';
-      
-      // Still report space weather status
-      const spaceWeatherNote = bz < -5 
-        ? `Space weather is active (Bz ${bz.toFixed(1)} nT).` 
-        : 'Space weather is quiet.';
-      
-      return {
-        decision: 'NO GO',
-        class: 'no-go',
-        icon: '☀️',
-        reason: darkness.description,
-        action: `Aurora is only visible at night. ${timeNote} ${spaceWeatherNote}`,
-        confidence: 'high',
-        factors: { darkness: darkness.level, sun: `${darkness.sunAltitude}°` }
-      };
-    }
-
-    // =========================================================================
-    // AURORA CONDITIONS - Based on actual physics
-    // =========================================================================
-    
-    // Bz is the PRIMARY factor - without southward Bz, NO aurora
-    const bzGood = bz < -3;           // At least weakly southward
-    const bzStrong = bz < -8;         // Strongly southward
-    const bzExtreme = bz < -15;       // G3+ level southward
-    
-    // Solar wind strength
-    const speedFast = speed > 450;    // Enhanced solar wind
-    const speedVeryFast = speed > 600;// CME-level speeds
-    
-    // Dynamic pressure (compression of magnetosphere)
-    const pressureHigh = pressure > 3;// Significant compression
-    
-    // Particle density (brighter aurora)
-    const densityHigh = density > 10; // High density = brighter aurora
-    const densityVeryHigh = density > 20; // Very high density
-    
-    // Duration matters - sustained Bz is better than spikes
-    const sustained = bzDuration >= 15; // 15+ minutes sustained southward
-    
-    // Clock angle - 180° is pure south (best), near 0° or 360° is north (bad)
-    const goodClockAngle = clockAngle > 120 && clockAngle < 240;
-
-    // =========================================================================
-    // SKY CONDITIONS
-    // =========================================================================
-    const skyClear = sky >= 60;       // Good viewing
-    const skyPartly = sky >= 40;      // Possible viewing with breaks
-    const skyBlockedLow = c.low > 50; // Low clouds = total block
-
-    // =========================================================================
-    // DECISION MATRIX - CONSERVATIVE APPROACH
-    // =========================================================================
-
-    // DEFINITE NO GO CONDITIONS
-    
-    // 1. No southward Bz = No aurora (physics says no)
-    if (bz >= 0) {
-      return {
-        decision: 'NO GO',
-        class: 'no-go',
-        icon: '⊖',
-        reason: `Bz is ${bz > 0 ? '+' : ''}${bz.toFixed(1)} nT (northward)`,
-        action: 'IMF is northward - magnetosphere is closed. No aurora possible. Bz must go negative.',
-        confidence: 'high',
-        factors: { bz: 'blocking', sky: 'n/a' }
-      };
-    }
-
-    // 2. Check if aurora can reach your latitude FIRST
-    const visibleLat = this.getVisibleLatitude();
-    const myLat = Math.abs(userLatitude);
-    const canSeeIt = myLat >= visibleLat;
-    const latDiff = visibleLat - myLat;
-
-    if (!canSeeIt) {
-      return {
-        decision: 'NO GO',
-        class: 'no-go',
-        icon: '🌍',
-        reason: `Aurora at ${visibleLat}°N, you're at ${myLat.toFixed(1)}°`,
-        action: `Aurora won't reach your latitude. Need Bz < -${Math.ceil(Math.abs(bz) + latDiff/2)} nT or G${Math.max(1, Math.ceil(latDiff/10))}+ storm. Current Bz: ${bz.toFixed(1)} nT.`,
-        confidence: 'high',
-        factors: { visible: visibleLat + '°N', you: myLat.toFixed(1) + '°' }
-      };
-    }
-
-    // 3. Very weak southward Bz = Only high latitudes
-    if (bz > -5 && !pressureHigh) {
-      return {
-        decision: 'NO GO',
-        class: 'no-go',
-        icon: '📉',
-        reason: `Bz only ${bz.toFixed(1)} nT (weak)`,
-        action: `Bz not strong enough. Aurora limited to ${visibleLat}°N+. Need Bz < -8 nT for good display at your location.`,
-        confidence: 'high',
-        factors: { bz: 'weak', pressure: pressure.toFixed(1) + ' nPa' }
-      };
-    }
-
-    // 4. Low clouds blocking = Can't see anything
-    if (skyBlockedLow) {
-      return {
-        decision: 'NO GO',
-        class: 'no-go',
-        icon: '☁️',
-        reason: `${c.low}% low cloud cover`,
-        action: `Aurora IS active (Bz ${bz.toFixed(1)} nT) but low clouds blocking view. ${c.trend === 'clearing' ? 'Clearing soon!' : 'Find clearer skies.'}`,
-        confidence: 'high',
-        factors: { sky: 'blocked', aurora: 'active' }
-      };
-    }
-
-    // 5. Too cloudy overall
-    if (sky < 40) {
-      return {
-        decision: 'NO GO',
-        class: 'no-go',
-        icon: '🌧️',
-        reason: `Only ${sky}% sky clarity`,
-        action: `Cloud cover too heavy. ${c.trend === 'clearing' ? 'Forecast shows clearing - wait!' : 'Try a different location with clearer skies.'}`,
-        confidence: 'medium',
-        factors: { sky: 'cloudy', clouds: `${c.total}%` }
-      };
-    }
-
-    // =========================================================================
-    // GO CONDITIONS - CONSERVATIVE: Must be strong enough for your latitude
-    // =========================================================================
-    
-    let goScore = 0;
-    const reasons = [];
-    
-    // How much margin do we have? (negative = aurora extends past our latitude)
-    const latitudeMargin = myLat - visibleLat;
-    
-    // Bz factors (most important) - MORE CONSERVATIVE thresholds
-    if (bzExtreme) { goScore += 35; reasons.push(`Bz ${bz.toFixed(1)} nT (extreme!)`); }
-    else if (bzStrong) { goScore += 25; reasons.push(`Bz ${bz.toFixed(1)} nT (strong)`); }
-    else if (bzGood) { goScore += 12; reasons.push(`Bz ${bz.toFixed(1)} nT`); }
-    
-    // Duration bonus - sustained matters!
-    if (sustained && bzStrong) { goScore += 12; reasons.push(`${bzDuration} min sustained`); }
-    else if (sustained && bzGood) { goScore += 6; }
-    
-    // Speed factors
-    if (speedVeryFast) { goScore += 12; reasons.push(`${speed} km/s`); }
-    else if (speedFast) { goScore += 6; }
-    
-    // Pressure
-    if (pressureHigh) { goScore += 6; reasons.push(`${pressure.toFixed(1)} nPa`); }
-    
-    // Density (more particles = brighter aurora)
-    if (densityVeryHigh) { goScore += 8; reasons.push(`${density.toFixed(0)} p/cm³`); }
-    else if (densityHigh) { goScore += 4; }
-    
-    // Clock angle
-    if (goodClockAngle) { goScore += 4; }
-    
-    // Overall similarity to G4 storm (supporting evidence)
-    if (similarity >= 50) { goScore += 8; }
-    else if (similarity >= 30) { goScore += 4; }
-    
-    // Latitude margin bonus (aurora extends well past your location)
-    if (latitudeMargin > 10) { goScore += 10; reasons.push(`${latitudeMargin.toFixed(0)}° margin`); }
-    else if (latitudeMargin > 5) { goScore += 5; }
-    
-    // Sky clarity
-    if (skyClear) { goScore += 8; }
-    else if (skyPartly) { goScore += 4; }
-
-    // =========================================================================
-    // NOAA OVATION Model - Additional Evidence (not primary decision)
-    // =========================================================================
-    const ov = this.ovationData;
-    let ovationNote = '';
-    if (ov && !ov.error) {
-      const prob = ov.atLocation || 0;
-      const nearbyMax = ov.nearbyMax || 0;
-      if (prob >= 30) {
-        goScore += 8;
-        ovationNote = `NOAA: ${prob}% at your location`;
-      } else if (nearbyMax >= 40) {
-        goScore += 4;
-        ovationNote = `NOAA: ${nearbyMax}% visible north`;
-      } else if (prob >= 10 || nearbyMax >= 20) {
-        ovationNote = `NOAA: ${Math.max(prob, nearbyMax)}% nearby`;
-      }
-    }
-
-    // =========================================================================
-    // FINAL DECISION - CONSERVATIVE THRESHOLDS
-    // Our physics-based rules are PRIMARY, OVATION is supporting evidence
-    // =========================================================================
-
-    // STRONG GO: Excellent conditions with good margin
-    if (goScore >= 55 && skyClear && latitudeMargin >= 5) {
-      return {
-        decision: 'GO',
-        class: 'go',
-        icon: '🎯',
-        reason: reasons.slice(0, 2).join(' • '),
-        action: `Strong aurora likely! Visible to ${visibleLat}°N (you're at ${myLat.toFixed(1)}°). Go now! Dark sky, face north, 20min eye adjustment.${ovationNote ? ' ' + ovationNote : ''}`,
-        confidence: 'high',
-        factors: { score: goScore, margin: latitudeMargin.toFixed(0) + '°' },
-        ovation: ov
-      };
-    }
-
-    // GOOD GO: Solid conditions
-    if (goScore >= 45 && sky >= 50 && latitudeMargin >= 0) {
-      return {
-        decision: 'GO',
-        class: 'go',
-        icon: '✅',
-        reason: reasons.slice(0, 2).join(' • '),
-        action: `Good conditions! Aurora at ${visibleLat}°N should reach you. ${!skyClear ? 'Watch for cloud breaks.' : 'Find dark location.'}${ovationNote ? ' ' + ovationNote : ''}`,
-        confidence: 'medium',
-        factors: { score: goScore, sky: sky + '%' },
-        ovation: ov
-      };
-    }
-
-    // MARGINAL: Conditions exist but borderline for your latitude
-    if (goScore >= 35 && sky >= 50 && latitudeMargin >= -3) {
-      return {
-        decision: 'NO GO',
-        class: 'no-go',
-        icon: '⚠️',
-        reason: `Marginal: ${visibleLat}°N, you're ${myLat.toFixed(1)}°`,
-        action: `Aurora may be faint at your latitude. Wait for Bz to strengthen (currently ${bz.toFixed(1)} nT) or conditions to improve.`,
-        confidence: 'medium',
-        factors: { score: goScore, need: 'stronger Bz' }
-      };
-    }
-
-    // NOT STRONG ENOUGH
-    return {
-      decision: 'NO GO',
-      class: 'no-go',
-      icon: '⏳',
-      reason: `Bz ${bz.toFixed(1)} nT, need stronger`,
-      action: `Current conditions won't produce visible aurora at ${myLat.toFixed(1)}°. Need Bz < -10 nT or G2+ storm. Check again in 30 min.`,
-      confidence: 'medium',
-      factors: { score: goScore, visible: visibleLat + '°N' }
-    };
+    return makeAuroraDecision({
+      data: this.data,
+      latitude: userLatitude,
+      longitude: userLongitude,
+      sunAltitude: darkness.sunAltitude,
+      hoursUntilDark: darkness.hoursUntilDark,
+      moon: darkness.moon,
+      clouds: this.cloudData,
+      ovation: this.ovationData
+    });
   }
 
   // ---------------------------------------------------------------------------
@@ -846,10 +458,10 @@ class AuroraTracker {
 
   renderInfo() {
     const latEl = document.getElementById('user-latitude');
-    if (latEl) latEl.textContent = `${userLatitude.toFixed(1)}°`;
+    if (latEl) latEl.textContent = formatLatitude(userLatitude);
     
     const visEl = document.getElementById('visible-latitude');
-    if (visEl) visEl.textContent = `${this.getVisibleLatitude()}°N+`;
+    if (visEl) visEl.textContent = `${formatLatitude(this.getVisibleLatitude(), userLatitude, 0)}+`;
     
     // Darkness status
     const darknessEl = document.getElementById('darkness-status');
@@ -868,11 +480,13 @@ class AuroraTracker {
       }
     }
     
-    if (this.data?.time) {
+    const timeEl = document.getElementById('data-time');
+    if (timeEl && this.data?.freshness?.status === 'mock') {
+      timeEl.textContent = 'Unavailable';
+    } else if (timeEl && this.data?.time) {
       const dataTime = new Date(this.data.time);
       const age = Math.round((Date.now() - dataTime.getTime()) / 60000);
-      const timeEl = document.getElementById('data-time');
-      if (timeEl) timeEl.textContent = age < 5 ? 'Real-time' : `${age} min ago`;
+      timeEl.textContent = age < 5 ? 'Real-time' : `${age} min ago`;
     }
   }
 
@@ -0,0 +1,146 @@
+/**
+ * Nocturne - Auroral Oval Map v3.1.0
+ *
+ * Renders the OVATION probability grid as an SVG polar map: oval cells over
+ * a coarse world outline, the view line, and the observer's location. The
+ * observer's meridian points down the screen so "up" is toward the pole they
+ * should face. Returns markup strings like src/js/charts.js.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+import { LAND_POLYGONS } from './worldOutline.js';
+
+// The map spans from the pole down to this latitude
+export const MAP_EDGE_LATITUDE = 35;
+
+const PADDING = 4;
+const GRATICULE_LATITUDES = [80, 70, 60, 50, 40];
+const GRATICULE_MERIDIAN_STEP = 30;
+
+/**
+ * Project a point onto the polar map (azimuthal equidistant)
+ * @param {number} lon - Longitude (°)
+ * @param {number} lat - Latitude (°)
+ * @param {object} view - { hemisphere, centerLon, size }
+ * @returns {object} - { x, y, r } where r is the distance from the pole in px
+ */
+export function projectPolar(lon, lat, { hemisphere = 'north', centerLon = 0, size = 300 } = {}) {
+  const sign = hemisphere === 'south' ? -1 : 1;
+  const radius = size / 2 - PADDING;
+  const r = (90 - lat * sign) / (90 - MAP_EDGE_LATITUDE) * radius;
+  const theta = (lon - centerLon) * Math.PI / 180;
+  // Facing the pole, east is to the right in the north and to the left in the south
+  return {
+    x: Math.round((size / 2 + sign * r * Math.sin(theta)) * 10) / 10,
+    y: Math.round((size / 2 + r * Math.cos(theta)) * 10) / 10,
+    r
+  };
+}
+
+/**
+ * NOAA-style colour ramp for an aurora probability
+ * @param {number} probability - 0-100
+ * @returns {string} - CSS colour
+ */
+export function probabilityColor(probability) {
+  if (probability >= 70) return '#ef4444';
+  if (probability >= 50) return '#f97316';
+  if (probability >= 30) return '#facc15';
+  if (probability >= 10) return '#4ade80';
+  return '#22c55e';
+}
+
+function toPath(coords, view) {
+  return coords
+    .map(([lon, lat], i) => {
+      const { x, y } = projectPolar(lon, lat, view);
+      return `${i ? 'L' : 'M'}${x} ${y}`;
+    })
+    .join('');
+}
+
+// Split the view line where longitudes jump (gaps in the oval), wrapping at 180°
+function viewLineSegments(viewLine) {
+  const segments = [];
+  let current = [];
+  for (const point of viewLine) {
+    const prev = current[current.length - 1];
+    if (prev && point[0] - prev[0] > 2) {
+      segments.push(current);
+      current = [];
+    }
+    current.push(point);
+  }
+  if (current.length) segments.push(current);
+
+  // A line running all the way round joins its ends across the antimeridian
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+  if (segments.length > 1 && first[0][0] + 180 <= 2 && 180 - last[last.length - 1][0] <= 2) {
+    segments[0] = [...segments.pop(), ...first];
+  }
+  return segments.filter(s => s.length > 1);
+}
+
+/**
+ * Render the auroral oval map
+ *
+ * @param {object} options
+ * @param {Array} [options.points] - [lon, lat, probability] grid cells
+ * @param {Array} [options.viewLine] - [lon, lat] pairs sorted by longitude
+ * @param {string} [options.hemisphere] - 'north' or 'south'
+ * @param {object} [options.location] - { latitude, longitude } of the observer
+ * @param {number} [options.size] - Width/height in px
+ * @returns {string} - SVG markup
+ */
+export function renderAuroraMap({ points = [], viewLine = [], hemisphere = 'north', location = null, size = 300 } = {}) {
+  const view = { hemisphere, centerLon: location?.longitude ?? 0, size };
+  const sign = hemisphere === 'south' ? -1 : 1;
+  const center = size / 2;
+  const radius = center - PADDING;
+  const cellRadius = Math.max(1, Math.round(radius / (90 - MAP_EDGE_LATITUDE) * 0.8 * 10) / 10);
+  const clipId = `aurora-map-clip-${hemisphere}`;
+
+  const land = LAND_POLYGONS
+    .filter(polygon => polygon.some(([, lat]) => lat * sign > MAP_EDGE_LATITUDE - 20))
+    .map(polygon => `<path class="aurora-map-land" d="${toPath(polygon, view)}Z"/>`)
+    .join('');
+
+  const parallels = GRATICULE_LATITUDES
+    .map(lat => `<circle class="aurora-map-grid" cx="${center}" cy="${center}" r="${Math.round(projectPolar(0, lat * sign, view).r * 10) / 10}"/>`)
+    .join('');
+  const meridians = Array.from({ length: 360 / GRATICULE_MERIDIAN_STEP }, (_, i) => {
+    const { x, y } = projectPolar(i * GRATICULE_MERIDIAN_STEP - 180, MAP_EDGE_LATITUDE * sign, view);
+    return `<line class="aurora-map-grid" x1="${center}" y1="${center}" x2="${x}" y2="${y}"/>`;
+  }).join('');
+
+  const cells = points
+    .filter(([, lat]) => lat * sign >= MAP_EDGE_LATITUDE)
+    .map(([lon, lat, probability]) => {
+      const { x, y } = projectPolar(lon, lat, view);
+      const opacity = Math.round((0.25 + 0.75 * Math.min(probability, 60) / 60) * 100) / 100;
+      return `<circle cx="${x}" cy="${y}" r="${cellRadius}" fill="${probabilityColor(probability)}" fill-opacity="${opacity}"/>`;
+    })
+    .join('');
+
+  const line = viewLineSegments(viewLine)
+    .map(segment => `<path class="aurora-map-viewline" d="${toPath(segment, view)}"/>`)
+    .join('');
+
+  let marker = '';
+  if (location && location.latitude * sign >= MAP_EDGE_LATITUDE) {
+    const { x, y } = projectPolar(location.longitude, location.latitude, view);
+    marker = `<circle class="aurora-map-you" cx="${x}" cy="${y}" r="4"/>`;
+  }
+
+  return `
+    <svg class="aurora-map" viewBox="0 0 ${size} ${size}" preserveAspectRatio="xMidYMid meet" role="img"
+         aria-label="Auroral oval, ${hemisphere === 'south' ? 'southern' : 'northern'} hemisphere">
+      <defs><clipPath id="${clipId}"><circle cx="${center}" cy="${center}" r="${radius}"/></clipPath></defs>
+      <circle class="aurora-map-ocean" cx="${center}" cy="${center}" r="${radius}"/>
+      <g clip-path="url(#${clipId})">${land}${parallels}${meridians}${cells}${line}</g>
+      ${marker}
+    </svg>
+  `;
+}
@@ -0,0 +1,604 @@
+/**
+ * Nocturne - Aurora Decision Engine v3.1.0
+ *
+ * The single GO/NO GO decision used by the aurora module, the dashboard
+ * widget, /api/aurora/status and the alert emails. It is a pure function of
+ * its inputs (no DOM, no fetch) so the browser and server always agree.
+ *
+ * Aurora requires FOUR things:
+ * 1. DARKNESS - Can't see aurora during daylight (or faint aurora under a bright moon)
+ * 2. Southward IMF (Bz < 0) - Opens magnetosphere to solar wind
+ * 3. Strong solar wind (speed + density = pressure) - Drives energy
+ * 4. Clear sky - Can actually see it
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+import { getMoonInterference } from './astronomy.js';
+import { getMagneticLatitude, magneticToGeographicLatitude } from './magneticCoordinates.js';
+
+// =============================================================================
+// Thresholds
+// =============================================================================
+export const THRESHOLDS = {
+  bz: { good: -3, weak: -5, strong: -8, extreme: -15 },   // nT
+  speed: { fast: 450, veryFast: 600 },                    // km/s
+  pressure: { high: 3 },                                  // nPa
+  density: { high: 10, veryHigh: 20 },                    // p/cm³
+  sustainedMinutes: 15,
+  clockAngle: { min: 120, max: 240 },                     // 180° = pure south
+  sky: { clear: 60, partly: 40, go: 50 },                 // Sky score %
+  lowCloudBlock: 50,                                      // Low cloud %
+  score: { strong: 55, good: 45, marginal: 35 },
+  margin: { strong: 5, marginal: -3 }                     // Degrees of geomagnetic latitude
+};
+
+// =============================================================================
+// Inputs
+// =============================================================================
+
+/**
+ * Classify darkness for aurora viewing from the sun's altitude, dimmed by
+ * moonlight when the moon is given. A bright moon never makes the sky too
+ * light to look, but a moonlit night is no longer "dark" - only brighter
+ * aurora shows through.
+ *
+ * @param {number} sunAltitude - Degrees above (+) or below (-) the horizon
+ * @param {object} [moon] - { altitude, illumination } from getMoonPosition
+ * @returns {object} - isDark, canViewAurora, level, description, sunAltitude, moonlit, moon
+ */
+export function getDarknessInfo(sunAltitude, moon = null) {
+  const sun = classifySunDarkness(sunAltitude);
+  if (!moon) return { ...sun, moonlit: false, moon: null };
+
+  const interference = getMoonInterference(moon);
+  const moonInfo = { ...interference, altitude: moon.altitude, illumination: moon.illumination };
+  const moonlit = sun.canViewAurora && (interference.level === 'moderate' || interference.level === 'high');
+  if (!moonlit) return { ...sun, moonlit: false, moon: moonInfo };
+
+  return {
+    ...sun,
+    isDark: false,
+    moonlit: true,
+    description: `${sun.description.split(' - ')[0]}, ${Math.round(moon.illumination * 100)}% moon up - only brighter aurora visible`,
+    moon: moonInfo
+  };
+}
+
+function classifySunDarkness(sunAltitude) {
+  const alt = sunAltitude;
+
+  // Darkness levels for aurora viewing:
+  // - Astronomical twilight (sun < -18°): Best - fully dark
+  // - Nautical twilight (sun < -12°): Good - dark enough for aurora
+  // - Civil twilight (sun < -6°): Marginal - bright aurora might be visible
+  // - Above that: Too bright - no aurora visible
+  if (alt < -18) {
+    return { isDark: true, canViewAurora: true, level: 'night', description: 'Full darkness - ideal for aurora', sunAltitude: alt };
+  }
+  if (alt < -12) {
+    return { isDark: true, canViewAurora: true, level: 'nautical', description: 'Nautical twilight - good for aurora', sunAltitude: alt };
+  }
+  if (alt < -6) {
+    return { isDark: false, canViewAurora: true, level: 'civil', description: 'Civil twilight - only bright aurora visible', sunAltitude: alt };
+  }
+  if (alt < 0) {
+    return { isDark: false, canViewAurora: false, level: 'horizon', description: 'Sun near horizon - too bright', sunAltitude: alt };
+  }
+  return {
+    isDark: false,
+    canViewAurora: false,
+    level: 'day',
+    description: `Daytime (sun ${alt > 0 ? '+' : ''}${alt}°) - aurora not visible`,
+    sunAltitude: alt
+  };
+}
+
+/**
+ * Sky score (0-100) weighted by cloud layer impact.
+ * Low clouds = total block, mid = partial, high = minor obstruction.
+ * @returns {number|null} - null when cloud data is unavailable
+ */
+export function getSkyScore(clouds) {
+  if (!clouds || clouds.error) return null;
+  const weighted = (clouds.low || 0) * 1.0 +
+                   (clouds.mid || 0) * 0.7 +
+                   (clouds.high || 0) * 0.3;
+  return Math.max(0, Math.round(100 - Math.min(weighted, 100)));
+}
+
+/**
+ * Sky verdict for an alert: clear enough to send as is, partly cloudy (send
+ * downgraded) or overcast (suppress) - the same bands the engine uses, plus
+ * the subscriber's own low/mid limit. When the 6-hour trend is clearing,
+ * the first forecast hour that is clear enough to send as is.
+ * @param {object|null} clouds - { low, mid, high, trend, hourly: [{ time, low, mid, high }] }
+ * @param {number} [maxCloudCover] - Max low/mid cloud %
+ * @param {number} [now] - ms
+ * @returns {object} - { action: 'send'|'downgrade'|'suppress', skyScore, cloudCover, trend, clearingInHours }
+ */
+export function assessAlertSky(clouds, maxCloudCover = 100, now = Date.now()) {
+  const skyScore = getSkyScore(clouds);
+  // Unknown sky counts as clear, as in the engine
+  if (skyScore === null) return { action: 'send', skyScore, cloudCover: 0, trend: 'unknown', clearingInHours: null };
+
+  const cover = (c) => Math.max(c.low || 0, c.mid || 0);
+  const cloudCover = cover(clouds);
+  const overcast = cloudCover > maxCloudCover || clouds.low > THRESHOLDS.lowCloudBlock || skyScore < THRESHOLDS.sky.partly;
+  const action = overcast ? 'suppress' : skyScore < THRESHOLDS.sky.clear ? 'downgrade' : 'send';
+
+  let clearingInHours = null;
+  if (action !== 'send' && clouds.trend === 'clearing') {
+    const clear = (clouds.hourly || []).find(h => Date.parse(h.time) > now && h.low !== null &&
+      getSkyScore(h) >= THRESHOLDS.sky.clear && cover(h) <= maxCloudCover);
+    if (clear) clearingInHours = Math.max(1, Math.round((Date.parse(clear.time) - now) / 3600000));
+  }
+  return { action, skyScore, cloudCover, trend: clouds.trend || 'unknown', clearingInHours };
+}
+
+/**
+ * Estimated visibility latitude (based on G-Scale, then Bz and speed).
+ * Conservative estimate - aurora visible AT or POLEWARD of this latitude.
+ * GEOMAGNETIC degrees, unsigned: the same value applies north and south.
+ * Use getVisibleGeographicLatitude() to place it on a map.
+ */
+export function getVisibleLatitude(data) {
+  const bz = data?.bz || 0;
+  const gScale = data?.gScale || 0;
+  const speed = data?.speed || 400;
+
+  // Use G-Scale if available (official NOAA)
+  if (gScale >= 5) return 38;  // G5: Florida/Texas, central Spain
+  if (gScale >= 4) return 43;  // G4: Southern US, southern France
+  if (gScale >= 3) return 50;  // G3: Northern US, southern England
+  if (gScale >= 2) return 55;  // G2: Canada border, Scotland
+  if (gScale >= 1) return 60;  // G1: Southern Canada, southern Norway
+
+  // Fallback to Bz-based estimate with speed consideration
+  if (bz < -25 && speed > 600) return 43;
+  if (bz < -20 && speed > 500) return 47;
+  if (bz < -15 && speed > 450) return 51;
+  if (bz < -10 && speed > 400) return 55;
+  if (bz < -8) return 58;
+  if (bz < -5) return 61;
+  if (bz < -3) return 64;
+  return 67; // Quiet conditions - only the auroral zone
+}
+
+/**
+ * Observer's unsigned geomagnetic latitude. Without a longitude the
+ * geographic latitude stands in.
+ * @param {number} latitude - Signed geographic latitude
+ * @param {number|null} longitude
+ * @returns {number}
+ */
+export function getObserverMagneticLatitude(latitude, longitude) {
+  if (!Number.isFinite(longitude)) return Math.abs(latitude);
+  return Math.abs(getMagneticLatitude(latitude, longitude));
+}
+
+/**
+ * Where a geomagnetic visible latitude crosses the observer's meridian
+ * @param {number} visibleLat - Unsigned geomagnetic latitude (from getVisibleLatitude)
+ * @param {number} latitude - Observer's signed latitude (picks the hemisphere)
+ * @param {number|null} longitude - Observer's longitude
+ * @returns {number} - Unsigned geographic latitude, whole degrees
+ */
+export function getVisibleGeographicLatitude(visibleLat, latitude, longitude) {
+  if (!Number.isFinite(longitude)) return visibleLat;
+  const sign = latitude < 0 ? -1 : 1;
+  return Math.round(Math.abs(magneticToGeographicLatitude(sign * visibleLat, longitude)));
+}
+
+// =============================================================================
+// Hemisphere - aurora australis mirrors the north
+// =============================================================================
+
+// Where aurora at each (geographic) visible latitude can be seen
+const VISIBLE_REGIONS = {
+  europe: [
+    [35, 'Southern Spain, Sicily, Greece'],
+    [40, 'Spain, Italy, Balkans'],
+    [45, 'France, northern Italy, Austria'],
+    [50, 'Germany, Poland, southern England'],
+    [55, 'Denmark, northern England, Baltics'],
+    [60, 'Scotland, southern Scandinavia'],
+    [65, 'Central Scandinavia, Finland'],
+    [90, 'Arctic only']
+  ],
+  north: [
+    [30, 'Florida, Texas, Northern Mexico'],
+    [35, 'Southern US (TX, FL, AZ)'],
+    [40, 'Northern CA, NY, NV'],
+    [45, 'OR, WI, MI, MA'],
+    [50, 'WA, MN, ME, ND'],
+    [55, 'Canada border states'],
+    [60, 'Alaska, Canada'],
+    [90, 'Arctic only']
+  ],
+  south: [
+    [30, 'Sydney, Perth, Buenos Aires'],
+    [35, 'Melbourne, Adelaide, North Island NZ'],
+    [40, 'Tasmania, Wellington, Bass Strait'],
+    [45, 'South Island NZ, southern Tasmania'],
+    [50, 'Stewart Island, Tierra del Fuego'],
+    [55, 'Sub-Antarctic islands (Macquarie, Campbell)'],
+    [60, 'Southern Ocean, Antarctic Peninsula'],
+    [90, 'Antarctica only']
+  ]
+};
+
+/**
+ * Hemisphere of a latitude and the direction to face for aurora
+ * @param {number} latitude - Signed degrees (negative = south)
+ * @returns {object} - { id, suffix, facing, equatorward }
+ */
+export function getHemisphere(latitude) {
+  return latitude < 0
+    ? { id: 'south', suffix: 'S', facing: 'south', equatorward: 'north' }
+    : { id: 'north', suffix: 'N', facing: 'north', equatorward: 'south' };
+}
+
+/**
+ * Format a latitude with its hemisphere, e.g. 47.6°N or 42.9°S
+ * @param {number} value - Degrees; signed unless `latitude` supplies the hemisphere
+ * @param {number} [latitude] - Signed latitude whose hemisphere to use
+ * @param {number} [digits] - Decimal places
+ */
+export function formatLatitude(value, latitude = value, digits = 1) {
+  return `${Math.abs(value).toFixed(digits)}°${getHemisphere(latitude).suffix}`;
+}
+
+/**
+ * Places that can see aurora reaching a visible latitude
+ * @param {number} visibleLat - Unsigned geographic latitude (from getVisibleGeographicLatitude)
+ * @param {number} latitude - Observer's signed latitude (picks the hemisphere)
+ * @param {number} [longitude] - Picks European places over North American ones
+ * @returns {string}
+ */
+export function getVisibleRegion(visibleLat, latitude, longitude = null) {
+  const hemisphere = getHemisphere(latitude).id;
+  const inEurope = hemisphere === 'north' && longitude >= -30 && longitude <= 60;
+  const regions = VISIBLE_REGIONS[inEurope ? 'europe' : hemisphere];
+  return regions.find(([lat]) => visibleLat <= lat)?.[1] || regions[regions.length - 1][1];
+}
+
+// =============================================================================
+// Decision
+// =============================================================================
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+function lowerConfidence(confidence, steps) {
+  const index = CONFIDENCE_LEVELS.indexOf(confidence);
+  return CONFIDENCE_LEVELS[Math.max(0, index - steps)];
+}
+
+/**
+ * Make the GO/NO GO decision for one location.
+ *
+ * Every factor is evaluated and returned, even when an earlier one already
+ * blocks, so callers can show the full picture. Missing optional inputs
+ * (sun, moon, clouds, OVATION) and stale solar wind never block; they lower
+ * the confidence instead. Placeholder solar wind (freshness.status 'mock') and
+ * solar wind still in transit (propagation.awaitingArrival) are treated as no
+ * data at all.
+ *
+ * @param {object} input
+ * @param {object} input.data - Processed solar wind (bz, speed, density, pressure, ..., freshness)
+ * @param {number} input.latitude - Observer latitude in degrees
+ * @param {number} [input.longitude] - Observer longitude, for geomagnetic latitude
+ * @param {number} [input.sunAltitude] - Sun altitude at the observer
+ * @param {number} [input.hoursUntilDark] - For the daytime action text
+ * @param {object} [input.moon] - { altitude, illumination } from getMoonPosition
+ * @param {object} [input.clouds] - { low, mid, high, total, trend }
+ * @param {object} [input.ovation] - { atLocation, nearbyMax }
+ * @returns {object} - decision, go, class, icon, reason, action, confidence,
+ *                     score, visibleLatitude (geographic, on the observer's meridian),
+ *                     magneticLatitude, visibleMagneticLatitude, latitudeMargin
+ *                     (geomagnetic), blockedBy, factors
+ */
+export function makeAuroraDecision({ data, latitude, longitude = null, sunAltitude, hoursUntilDark = null, moon = null, clouds = null, ovation = null }) {
+  // FAIL SAFE: No data (or placeholder values standing in for it) = NO GO.
+  // Same when every L1 sample is still in transit - nothing has arrived to judge.
+  const placeholder = data?.freshness?.status === 'mock';
+  const awaitingArrival = !!data?.propagation?.awaitingArrival;
+  if (!data || placeholder || awaitingArrival) {
+    return {
+      decision: 'NO GO',
+      go: false,
+      class: 'no-go',
+      icon: awaitingArrival ? '⏳' : '🚫',
+      reason: awaitingArrival ? 'Awaiting solar wind arrival'
+        : placeholder ? 'Live space weather data unavailable' : 'Cannot fetch space weather data',
+      action: awaitingArrival
+        ? 'The latest L1 readings have not reached Earth yet. Check back when they arrive.'
+        : placeholder
+          ? 'NOAA solar wind feed is down - the numbers shown are placeholders. Check back shortly.'
+          : 'Check your internet connection and refresh the page.',
+      confidence: 'high',
+      score: 0,
+      visibleLatitude: null,
+      magneticLatitude: null,
+      visibleMagneticLatitude: null,
+      latitudeMargin: null,
+      blockedBy: 'data',
+      factors: [{ id: 'data', label: 'Space weather data', value: null, status: 'blocking', points: 0 }]
+    };
+  }
+
+  const T = THRESHOLDS;
+  const bz = data.bz || 0;
+  const speed = data.speed || 0;
+  const density = data.density || 0;
+  const pressure = data.pressure || 0;
+  const clockAngle = data.clockAngle || 0;
+  const similarity = data.similarity || 0;
+  const bzDuration = data.bzSouthDuration || 0;
+
+  // Compared in geomagnetic degrees; the southern hemisphere mirrors the north
+  const myLat = getObserverMagneticLatitude(latitude, longitude);
+  const hemi = getHemisphere(latitude);
+  const visibleLat = getVisibleLatitude(data);
+  const visibleGeoLat = getVisibleGeographicLatitude(visibleLat, latitude, longitude);
+  const visibleText = formatLatitude(visibleGeoLat, latitude, 0);
+  const latitudeMargin = Math.round((myLat - visibleLat) * 10) / 10;
+  const darkness = typeof sunAltitude === 'number' ? getDarknessInfo(sunAltitude, moon) : null;
+  const lunar = moon ? getMoonInterference(moon) : null;
+  const sky = getSkyScore(clouds);
+  const ov = ovation && !ovation.error ? ovation : null;
+
+  const pressureHigh = pressure > T.pressure.high;
+  const bzStrong = bz < T.bz.strong;
+  const bzGood = bz < T.bz.good;
+  const sustained = bzDuration >= T.sustainedMinutes;
+
+  // ---------------------------------------------------------------------------
+  // Factors - each scores points toward GO or marks itself as blocking
+  // ---------------------------------------------------------------------------
+  const factors = [];
+  const reasons = [];
+  const add = (factor) => { factors.push({ points: 0, ...factor }); };
+
+  add({
+    id: 'darkness',
+    label: 'Darkness',
+    value: darkness ? darkness.level : null,
+    detail: darkness ? `Sun ${darkness.sunAltitude}°${darkness.moonlit ? ', moonlit' : ''}` : 'Sun position unknown',
+    status: !darkness ? 'unknown' : darkness.canViewAurora ? (darkness.isDark ? 'favorable' : 'neutral') : 'blocking'
+  });
+
+  // Moonlight washes out faint aurora - a bright moon costs points, never blocks
+  const moonPoints = !lunar ? 0 : lunar.level === 'high' ? -8 : lunar.level === 'moderate' ? -4 : 0;
+  add({
+    id: 'moon',
+    label: 'Moonlight',
+    value: moon ? Math.round(moon.illumination * 100) : null,
+    detail: !moon ? 'Moon position unknown'
+      : moon.altitude <= 0 ? `${Math.round(moon.illumination * 100)}% moon below horizon`
+        : `${Math.round(moon.illumination * 100)}% moon at ${Math.round(moon.altitude)}° - ${lunar.level} interference`,
+    status: !lunar ? 'unknown' : lunar.level === 'none' ? 'favorable' : 'neutral',
+    points: moonPoints
+  });
+
+  let bzPoints = 0;
+  if (bz < T.bz.extreme) { bzPoints = 35; reasons.push(`Bz ${bz.toFixed(1)} nT (extreme!)`); }
+  else if (bzStrong) { bzPoints = 25; reasons.push(`Bz ${bz.toFixed(1)} nT (strong)`); }
+  else if (bzGood) { bzPoints = 12; reasons.push(`Bz ${bz.toFixed(1)} nT`); }
+  add({
+    id: 'bz',
+    label: 'Bz (IMF north-south)',
+    value: bz,
+    detail: bz >= 0 ? 'Northward - magnetosphere closed' : bz > T.bz.weak ? 'Weakly southward' : 'Southward',
+    status: bz >= 0 || (bz > T.bz.weak && !pressureHigh) ? 'blocking' : bzStrong ? 'favorable' : 'neutral',
+    points: bzPoints
+  });
+
+  // Duration matters - sustained Bz is better than spikes
+  let durationPoints = 0;
+  if (sustained && bzStrong) { durationPoints = 12; reasons.push(`${bzDuration} min sustained`); }
+  else if (sustained && bzGood) { durationPoints = 6; }
+  add({ id: 'duration', label: 'Southward duration', value: bzDuration, status: sustained ? 'favorable' : 'neutral', points: durationPoints });
+
+  let speedPoints = 0;
+  if (speed > T.speed.veryFast) { speedPoints = 12; reasons.push(`${speed} km/s`); }
+  else if (speed > T.speed.fast) { speedPoints = 6; }
+  add({ id: 'speed', label: 'Solar wind speed', value: speed, status: speedPoints ? 'favorable' : 'neutral', points: speedPoints });
+
+  if (pressureHigh) reasons.push(`${pressure.toFixed(1)} nPa`);
+  add({ id: 'pressure', label: 'Dynamic pressure', value: pressure, status: pressureHigh ? 'favorable' : 'neutral', points: pressureHigh ? 6 : 0 });
+
+  // Density (more particles = brighter aurora)
+  let densityPoints = 0;
+  if (density > T.density.veryHigh) { densityPoints = 8; reasons.push(`${density.toFixed(0)} p/cm³`); }
+  else if (density > T.density.high) { densityPoints = 4; }
+  add({ id: 'density', label: 'Density', value: density, status: densityPoints ? 'favorable' : 'neutral', points: densityPoints });
+
+  const goodClockAngle = clockAngle > T.clockAngle.min && clockAngle < T.clockAngle.max;
+  add({ id: 'clockAngle', label: 'Clock angle', value: clockAngle, status: goodClockAngle ? 'favorable' : 'neutral', points: goodClockAngle ? 4 : 0 });
+
+  // Overall similarity to G4 storm (supporting evidence)
+  add({
+    id: 'similarity',
+    label: 'G4 similarity',
+    value: similarity,
+    status: similarity >= 50 ? 'favorable' : 'neutral',
+    points: similarity >= 50 ? 8 : similarity >= 30 ? 4 : 0
+  });
+
+  // Latitude margin bonus (aurora extends well past your location)
+  let marginPoints = 0;
+  if (latitudeMargin > 10) { marginPoints = 10; reasons.push(`${latitudeMargin.toFixed(0)}° margin`); }
+  else if (latitudeMargin > 5) { marginPoints = 5; }
+  add({
+    id: 'latitude',
+    label: 'Visible latitude',
+    value: visibleGeoLat,
+    detail: `Aurora to ${visibleText}, you're at ${formatLatitude(latitude)} (${myLat.toFixed(0)}° vs ${visibleLat}° geomagnetic)`,
+    status: latitudeMargin < 0 ? 'blocking' : latitudeMargin >= T.margin.strong ? 'favorable' : 'neutral',
+    points: marginPoints
+  });
+
+  const lowBlocked = sky !== null && clouds.low > T.lowCloudBlock;
+  add({
+    id: 'sky',
+    label: 'Sky clarity',
+    value: sky,
+    detail: sky === null ? 'Cloud data unavailable' : `${clouds.low || 0}% low / ${clouds.mid || 0}% mid / ${clouds.high || 0}% high`,
+    status: sky === null ? 'unknown' : lowBlocked || sky < T.sky.partly ? 'blocking' : sky >= T.sky.clear ? 'favorable' : 'neutral',
+    points: sky === null ? 0 : sky >= T.sky.clear ? 8 : sky >= T.sky.partly ? 4 : 0
+  });
+
+  // NOAA OVATION Model - Additional Evidence (not primary decision)
+  let ovationNote = '';
+  let ovationPoints = 0;
+  if (ov) {
+    const prob = ov.atLocation || 0;
+    const nearbyMax = ov.nearbyMax || 0;
+    if (prob >= 30) {
+      ovationPoints = 8;
+      ovationNote = `NOAA: ${prob}% at your location`;
+    } else if (nearbyMax >= 40) {
+      ovationPoints = 4;
+      ovationNote = `NOAA: ${nearbyMax}% visible to the ${hemi.facing}`;
+    } else if (prob >= 10 || nearbyMax >= 20) {
+      ovationNote = `NOAA: ${Math.max(prob, nearbyMax)}% nearby`;
+    }
+  }
+  add({
+    id: 'ovation',
+    label: 'NOAA OVATION',
+    value: ov ? ov.atLocation || 0 : null,
+    detail: ov ? `${ov.nearbyMax || 0}% nearby max` : 'Forecast unavailable',
+    status: !ov ? 'unknown' : ovationPoints ? 'favorable' : 'neutral',
+    points: ovationPoints
+  });
+
+  // Stale solar wind never blocks, but counts as an unknown input
+  const freshness = data.freshness;
+  add({
+    id: 'freshness',
+    label: 'Data freshness',
+    value: freshness ? freshness.ageMinutes : null,
+    detail: !freshness ? 'Not reported'
+      : `Latest L1 reading ${freshness.ageMinutes} min old${freshness.satellite ? ` (${freshness.satellite})` : ''}`,
+    status: !freshness ? 'neutral' : freshness.status === 'stale' ? 'unknown' : 'favorable'
+  });
+
+  const score = factors.reduce((sum, f) => sum + f.points, 0);
+  const unknownInputs = factors.filter(f => f.status === 'unknown').length;
+  const base = {
+    score,
+    visibleLatitude: visibleGeoLat,
+    magneticLatitude: Math.round(myLat * 10) / 10,
+    visibleMagneticLatitude: visibleLat,
+    latitudeMargin,
+    factors
+  };
+  const noGo = (blockedBy, icon, reason, action, confidence) => ({
+    decision: 'NO GO', go: false, class: 'no-go', icon, reason, action, confidence, blockedBy, ...base
+  });
+
+  // ---------------------------------------------------------------------------
+  // DEFINITE NO GO CONDITIONS
+  // ---------------------------------------------------------------------------
+
+  // CRITICAL: CHECK DARKNESS FIRST - Can't see aurora in daylight!
+  if (darkness && !darkness.canViewAurora) {
+    const timeNote = hoursUntilDark ? `Dark in ~${hoursUntilDark} hours.` : 'Check back after sunset.';
+    const spaceWeatherNote = bz < T.bz.weak
+      ? `Space weather is active (Bz ${bz.toFixed(1)} nT).`
+      : 'Space weather is quiet.';
+    return noGo('darkness', '☀️', darkness.description,
+      `Aurora is only visible at night. ${timeNote} ${spaceWeatherNote}`, 'high');
+  }
+
+  // 1. No southward Bz = No aurora (physics says no)
+  if (bz >= 0) {
+    return noGo('bz', '⊖', `Bz is ${bz > 0 ? '+' : ''}${bz.toFixed(1)} nT (northward)`,
+      'IMF is northward - magnetosphere is closed. No aurora possible. Bz must go negative.', 'high');
+  }
+
+  // 2. Check if aurora can reach your latitude. Just equatorward of the
+  // visible edge (down to T.margin.marginal) is borderline, judged below.
+  const latitudeNoGo = () => {
+    const latDiff = -latitudeMargin;
+    return noGo('latitude', '🌍', `Aurora at ${visibleText}, you're at ${formatLatitude(latitude)}`,
+      `Aurora won't reach your latitude. Need Bz < -${Math.ceil(Math.abs(bz) + latDiff / 2)} nT or G${Math.max(1, Math.ceil(latDiff / 10))}+ storm. Current Bz: ${bz.toFixed(1)} nT.`,
+      'high');
+  };
+  if (latitudeMargin < T.margin.marginal) {
+    return latitudeNoGo();
+  }
+
+  // 3. Very weak southward Bz = Only high latitudes
+  if (bz > T.bz.weak && !pressureHigh) {
+    return noGo('bz', '📉', `Bz only ${bz.toFixed(1)} nT (weak)`,
+      `Bz not strong enough. Aurora limited to ${visibleText}+. Need Bz < ${T.bz.strong} nT for good display at your location.`,
+      'high');
+  }
+
+  // 4. Low clouds blocking = Can't see anything
+  if (lowBlocked) {
+    return noGo('sky', '☁️', `${clouds.low}% low cloud cover`,
+      `Aurora IS active (Bz ${bz.toFixed(1)} nT) but low clouds blocking view. ${clouds.trend === 'clearing' ? 'Clearing soon!' : 'Find clearer skies.'}`,
+      'high');
+  }
+
+  // 5. Too cloudy overall
+  if (sky !== null && sky < T.sky.partly) {
+    return noGo('sky', '🌧️', `Only ${sky}% sky clarity`,
+      `Cloud cover too heavy. ${clouds.trend === 'clearing' ? 'Forecast shows clearing - wait!' : 'Try a different location with clearer skies.'}`,
+      'medium');
+  }
+
+  // ---------------------------------------------------------------------------
+  // GO CONDITIONS - CONSERVATIVE: Must be strong enough for your latitude
+  // Unknown sky counts as clear here; confidence drops instead.
+  // ---------------------------------------------------------------------------
+  const skyScore = sky === null ? 100 : sky;
+  const skyClear = skyScore >= T.sky.clear;
+  const notesSuffix = (moonPoints ? ` Bright moon (${Math.round(moon.illumination * 100)}%) - face away from it.` : '') +
+    (ovationNote ? ' ' + ovationNote : '');
+
+  // STRONG GO: Excellent conditions with good margin
+  if (score >= T.score.strong && skyClear && latitudeMargin >= T.margin.strong) {
+    return {
+      decision: 'GO', go: true, class: 'go', icon: '🎯',
+      reason: reasons.slice(0, 2).join(' • '),
+      action: `Strong aurora likely! Visible to ${visibleText} (you're at ${formatLatitude(latitude)}). Go now! Dark sky, face ${hemi.facing}, 20min eye adjustment.${notesSuffix}`,
+      confidence: lowerConfidence('high', unknownInputs),
+      blockedBy: null,
+      ...base
+    };
+  }
+
+  // GOOD GO: Solid conditions, with the aurora reaching you
+  if (score >= T.score.good && skyScore >= T.sky.go && latitudeMargin >= 0) {
+    return {
+      decision: 'GO', go: true, class: 'go', icon: '✅',
+      reason: reasons.slice(0, 2).join(' • '),
+      action: `Good conditions! Aurora at ${visibleText} should reach you. ${!skyClear ? 'Watch for cloud breaks.' : 'Find dark location.'}${notesSuffix}`,
+      confidence: lowerConfidence('medium', unknownInputs),
+      blockedBy: null,
+      ...base
+    };
+  }
+
+  // MARGINAL: Conditions exist but borderline for your latitude - held back by
+  // the latitude when you are just equatorward of the visible edge
+  if (score >= T.score.marginal && skyScore >= T.sky.go && latitudeMargin >= T.margin.marginal) {
+    return noGo(latitudeMargin < 0 ? 'latitude' : 'score', '⚠️', `Marginal: ${visibleText}, you're ${formatLatitude(latitude)}`,
+      `Aurora may be faint at your latitude. Wait for Bz to strengthen (currently ${bz.toFixed(1)} nT) or conditions to improve.`,
+      'medium');
+  }
+
+  // Borderline latitude without the conditions to make up for it
+  if (latitudeMargin < 0) {
+    return latitudeNoGo();
+  }
+
+  // NOT STRONG ENOUGH
+  return noGo('score', '⏳', `Bz ${bz.toFixed(1)} nT, need stronger`,
+    `Current conditions won't produce visible aurora at ${formatLatitude(latitude)}. Need Bz < -10 nT or G2+ storm. Check again in 30 min.`,
+    'medium');
+}
@@ -0,0 +1,143 @@
+/**
+ * Nocturne - Data Freshness v3.1.0
+ *
+ * How trustworthy the solar wind behind a payload is: the age of the latest
+ * L1 sample, which spacecraft measured it, gaps in the last hour, and whether
+ * it was served as a fallback (last good data or placeholder values) instead
+ * of a fresh NOAA fetch. Shared by the server (payloads, alert suppression)
+ * and the browser (stale/placeholder banner).
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+export const FRESHNESS_LIMITS = {
+  staleMinutes: 15,    // Latest L1 sample older than this = stale
+  gapMinutes: 5,       // Missing this many minutes between samples = a gap
+  gapWindowMinutes: 60 // Gaps are reported for the last hour of samples
+};
+
+/**
+ * Spacecraft behind NOAA's solar wind products, from the real-time solar wind
+ * JSON (rows for both spacecraft, the one in use flagged `active`)
+ * @param {Array} rows - [{ time_tag, active, source, ... }]
+ * @returns {string|null} - 'DSCOVR', 'ACE', or null when none is flagged
+ */
+export function parseActiveSpacecraft(rows) {
+  if (!Array.isArray(rows)) return null;
+  let latest = null;
+  for (const row of rows) {
+    if (!row?.active || !row.source) continue;
+    if (!latest || Date.parse(row.time_tag) > Date.parse(latest.time_tag)) latest = row;
+  }
+  return latest ? latest.source : null;
+}
+
+/**
+ * Stretches of missing 1-minute samples
+ * @param {number[]} times - Sample times (ms), oldest first
+ * @param {number} [minMinutes] - Smallest gap worth reporting
+ * @returns {Array} - [{ start, end, minutes }] with ISO times, oldest first
+ */
+export function findSampleGaps(times, minMinutes = FRESHNESS_LIMITS.gapMinutes) {
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) {
+    const minutes = Math.round((times[i] - times[i - 1]) / 60000);
+    if (minutes >= minMinutes) {
+      gaps.push({ start: new Date(times[i - 1]).toISOString(), end: new Date(times[i]).toISOString(), minutes });
+    }
+  }
+  return gaps;
+}
+
+/**
+ * Freshness metadata for a solar wind payload
+ * @param {object} input
+ * @param {number[]} [input.sampleTimes] - L1 sample times (ms), oldest first; none = placeholder data
+ * @param {number} [input.now] - Reference time (ms); simulated time during a replay
+ * @param {string|null} [input.satellite] - Active spacecraft ('DSCOVR', 'ACE') when known
+ * @param {boolean} [input.fallback] - Served instead of a fresh NOAA fetch
+ * @param {string|null} [input.reason] - Why the fallback was served
+ * @returns {object} - { status: 'live'|'stale'|'mock', latestSampleTime, ageMinutes,
+ *                     satellite, gaps, largestGapMinutes, fallback, reason }
+ */
+export function assessFreshness({ sampleTimes = [], now = Date.now(), satellite = null, fallback = false, reason = null } = {}) {
+  if (!sampleTimes.length) {
+    return {
+      status: 'mock',
+      latestSampleTime: null,
+      ageMinutes: null,
+      satellite: null,
+      gaps: [],
+      largestGapMinutes: 0,
+      fallback: true,
+      reason: reason || 'No solar wind samples'
+    };
+  }
+
+  const latest = sampleTimes[sampleTimes.length - 1];
+  const ageMinutes = Math.max(0, Math.round((now - latest) / 60000));
+  const windowStart = latest - FRESHNESS_LIMITS.gapWindowMinutes * 60 * 1000;
+  const gaps = findSampleGaps(sampleTimes.filter(t => t >= windowStart));
+  return {
+    status: ageMinutes > FRESHNESS_LIMITS.staleMinutes ? 'stale' : 'live',
+    latestSampleTime: new Date(latest).toISOString(),
+    ageMinutes,
+    satellite,
+    gaps,
+    largestGapMinutes: gaps.reduce((max, g) => Math.max(max, g.minutes), 0),
+    fallback,
+    reason
+  };
+}
+
+/**
+ * The same payload re-judged later - e.g. last good data served when NOAA
+ * is unreachable, whose age keeps growing
+ * @param {object} freshness - From assessFreshness
+ * @param {number} [now]
+ * @param {string} [reason]
+ * @returns {object}
+ */
+export function reassessFreshness(freshness, now = Date.now(), reason = null) {
+  if (!freshness?.latestSampleTime) return assessFreshness({ now, reason });
+  const ageMinutes = Math.max(0, Math.round((now - Date.parse(freshness.latestSampleTime)) / 60000));
+  return {
+    ...freshness,
+    status: ageMinutes > FRESHNESS_LIMITS.staleMinutes ? 'stale' : 'live',
+    ageMinutes,
+    fallback: true,
+    reason: reason || freshness.reason
+  };
+}
+
+/**
+ * Alerts are only ever decided on live data
+ * @param {object} freshness
+ * @returns {string|null} - Why alerting is suppressed, or null when allowed
+ */
+export function getAlertSuppression(freshness) {
+  if (!freshness) return 'data freshness unknown';
+  if (freshness.status === 'mock') return 'placeholder data (NOAA unavailable)';
+  if (freshness.status === 'stale') return `solar wind data ${freshness.ageMinutes} min old`;
+  return null;
+}
+
+/**
+ * One-line warning for the UI, or null when the data is live and complete
+ * @param {object} freshness
+ * @returns {string|null}
+ */
+export function describeFreshness(freshness) {
+  if (!freshness) return null;
+  if (freshness.status === 'mock') {
+    return 'Live solar wind data unavailable - showing placeholder values, no GO/NO GO verdict';
+  }
+  const source = freshness.satellite ? ` from ${freshness.satellite}` : '';
+  if (freshness.status === 'stale') {
+    return `Solar wind data is stale - latest reading${source} is ${freshness.ageMinutes} min old`;
+  }
+  if (freshness.largestGapMinutes >= FRESHNESS_LIMITS.staleMinutes) {
+    return `Solar wind feed${source} has gaps - up to ${freshness.largestGapMinutes} min missing in the last hour`;
+  }
+  return null;
+}
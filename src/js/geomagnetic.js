@@ -0,0 +1,189 @@
+/**
+ * Nocturne - Geomagnetic Indices v3.1.0
+ *
+ * Parsers for NOAA SWPC planetary K-index (observed + 3-day forecast),
+ * the 27-day outlook and OVATION hemispheric power products. NOAA has served these both as
+ * header-row arrays and as arrays of objects, so each parser accepts either.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+// NOAA G-scale thresholds: Kp 5 = G1 ... Kp 9 = G5
+const G_SCALE_MIN_KP = 5;
+
+/**
+ * NOAA G-scale level for a Kp value
+ * @param {number} kp - 0-9 (fractional thirds allowed)
+ * @returns {number} - 0 (below storm level) to 5
+ */
+export function kpToGScale(kp) {
+  if (!Number.isFinite(kp)) return 0;
+  return Math.max(0, Math.min(5, Math.floor(kp) - G_SCALE_MIN_KP + 1));
+}
+
+// "2024-05-10 18:00:00.000" (UTC, no zone) → ISO string
+function toIso(value) {
+  if (!value) return null;
+  const text = String(value).trim().replace(' ', 'T');
+  const ms = Date.parse(/Z$|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+  return isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num;
+}
+
+// Normalise header-row arrays and object arrays to a list of objects
+function toRecords(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) return [];
+  if (!Array.isArray(rows[0])) return rows.filter(r => r && typeof r === 'object');
+  const header = rows[0].map(h => String(h).toLowerCase());
+  return rows.slice(1).map(row => Object.fromEntries(header.map((h, i) => [h, row[i]])));
+}
+
+// Case-insensitive field lookup (NOAA mixes "Kp" and "kp")
+function field(record, name) {
+  if (name in record) return record[name];
+  const key = Object.keys(record).find(k => k.toLowerCase() === name);
+  return key ? record[key] : undefined;
+}
+
+/**
+ * Parse the observed planetary K-index product (3-hourly)
+ * @param {Array} rows - noaa-planetary-k-index.json
+ * @returns {Array} - [{ time, kp }] oldest first
+ */
+export function parseKpObserved(rows) {
+  return toRecords(rows)
+    .map(r => ({ time: toIso(field(r, 'time_tag')), kp: toNumber(field(r, 'kp')) }))
+    .filter(r => r.time && r.kp !== null)
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Parse the Kp forecast product. It also carries the recent observed and
+ * estimated intervals; only the predicted ones are kept.
+ * @param {Array} rows - noaa-planetary-k-index-forecast.json
+ * @returns {Array} - [{ time, kp, scale }] oldest first
+ */
+export function parseKpForecast(rows) {
+  return toRecords(rows)
+    .filter(r => String(field(r, 'observed') ?? '').toLowerCase() === 'predicted')
+    .map(r => {
+      const kp = toNumber(field(r, 'kp'));
+      return { time: toIso(field(r, 'time_tag')), kp, scale: kpToGScale(kp) };
+    })
+    .filter(r => r.time && r.kp !== null)
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Summarise observed + forecast Kp for the payload
+ * @param {Array} observed - From parseKpObserved()
+ * @param {Array} forecast - From parseKpForecast()
+ * @returns {object|null} - { current, currentTime, gScale, observed, forecast,
+ *                          forecastMax } or null with no observations
+ */
+export function summarizeKp(observed, forecast = []) {
+  const latest = observed[observed.length - 1];
+  if (!latest) return null;
+  const forecastMax = forecast.length ? Math.max(...forecast.map(f => f.kp)) : null;
+  return {
+    current: latest.kp,
+    currentTime: latest.time,
+    gScale: kpToGScale(latest.kp),
+    observed,
+    forecast,
+    forecastMax
+  };
+}
+
+/**
+ * Highest observed Kp within a time range
+ * @param {Array} observed - From parseKpObserved()
+ * @param {number} start - Range start (ms, inclusive)
+ * @param {number} end - Range end (ms, exclusive)
+ * @returns {number|null}
+ */
+export function maxKpBetween(observed, start, end) {
+  const values = (observed || [])
+    .filter(o => {
+      const ts = Date.parse(o.time);
+      return ts >= start && ts < end;
+    })
+    .map(o => o.kp);
+  return values.length ? Math.max(...values) : null;
+}
+
+/**
+ * Parse the OVATION hemispheric power text product. Data lines are
+ * "<observation> <forecast> <north GW> <south GW>" with times written as
+ * "2024-05-10_18:05"; comment lines start with '#' or ':'.
+ * @param {string} text - aurora-nowcast-hemi-power.txt
+ * @returns {object|null} - Latest { observationTime, forecastTime, north, south }
+ */
+export function parseHemisphericPower(text) {
+  if (typeof text !== 'string') return null;
+  const lines = text.split('\n').map(l => l.trim()).filter(l => l && !/^[#:]/.test(l));
+
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const [obs, fcst, north, south] = lines[i].split(/\s+/);
+    const observationTime = toIso(obs?.replace('_', ' '));
+    const northGW = toNumber(north);
+    const southGW = toNumber(south);
+    if (observationTime && northGW !== null && southGW !== null) {
+      return {
+        observationTime,
+        forecastTime: toIso(fcst?.replace('_', ' ')),
+        north: northGW,
+        south: southGW
+      };
+    }
+  }
+  return null;
+}
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+/**
+ * Parse the 27-day space weather outlook table (issued weekly). Data lines
+ * are "2024 May 13     210          12          4": UTC date, 10.7 cm radio
+ * flux, planetary A index and the largest Kp expected that day.
+ * @param {string} text - 27-day-outlook.txt
+ * @returns {object|null} - { issued, days: [{ date, radioFlux, aIndex, kp, gScale }] }
+ */
+export function parse27DayOutlook(text) {
+  if (typeof text !== 'string') return null;
+  const days = [];
+  for (const [, year, month, day, flux, aIndex, kp] of text.matchAll(/^(\d{4}) ([A-Z][a-z]{2}) (\d{1,2})\s+(\d+)\s+(\d+)\s+(\d+)\s*$/gm)) {
+    if (!(month in MONTHS)) continue;
+    days.push({
+      date: new Date(Date.UTC(+year, MONTHS[month], +day)).toISOString().slice(0, 10),
+      radioFlux: +flux,
+      aIndex: +aIndex,
+      kp: +kp,
+      gScale: kpToGScale(+kp)
+    });
+  }
+  if (!days.length) return null;
+  const issued = /^:Issued:\s*(\d{4}) ([A-Z][a-z]{2}) (\d{1,2}) (\d{2})(\d{2}) UTC/m.exec(text);
+  return {
+    issued: issued && issued[2] in MONTHS
+      ? new Date(Date.UTC(+issued[1], MONTHS[issued[2]], +issued[3], +issued[4], +issued[5])).toISOString()
+      : null,
+    days
+  };
+}
+
+/**
+ * Hemispheric power for the hemisphere a latitude is in
+ * @param {object} power - From parseHemisphericPower()
+ * @param {number} latitude
+ * @returns {number|null} - Gigawatts
+ */
+export function getHemisphericPowerFor(power, latitude) {
+  if (!power) return null;
+  return latitude < 0 ? power.south : power.north;
+}
@@ -0,0 +1,74 @@
+/**
+ * Nocturne - Geomagnetic Coordinates v3.1.0
+ *
+ * Centred-dipole geomagnetic latitude from the IGRF degree-1 coefficients.
+ * The auroral oval follows the magnetic pole, not the geographic one, so at
+ * the same geographic latitude North America sits ~5-10° closer to it than
+ * Europe. Visibility tables in decision.js are in geomagnetic degrees.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+// IGRF-14 dipole Gauss coefficients (nT) at the epoch, with secular
+// variation (nT/year). IGRF is reissued every 5 years; refresh these then.
+export const IGRF_DIPOLE = {
+  epoch: 2025,
+  g10: -29350.0,
+  g11: -1410.3,
+  h11: 4545.5,
+  sv: { g10: 12.6, g11: 10.0, h11: -21.5 }
+};
+
+const DEG = Math.PI / 180;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Geographic position of the north geomagnetic (dipole) pole
+ * @param {Date} [date] - Coefficients are advanced by secular variation
+ * @returns {object} - { latitude, longitude } in degrees
+ */
+export function getDipolePole(date = new Date()) {
+  const years = (date.getTime() - Date.UTC(IGRF_DIPOLE.epoch, 0, 1)) / YEAR_MS;
+  const g10 = IGRF_DIPOLE.g10 + IGRF_DIPOLE.sv.g10 * years;
+  const g11 = IGRF_DIPOLE.g11 + IGRF_DIPOLE.sv.g11 * years;
+  const h11 = IGRF_DIPOLE.h11 + IGRF_DIPOLE.sv.h11 * years;
+  const b0 = Math.sqrt(g10 * g10 + g11 * g11 + h11 * h11);
+  return {
+    latitude: 90 - Math.acos(-g10 / b0) / DEG,
+    longitude: Math.atan2(-h11, -g11) / DEG
+  };
+}
+
+/**
+ * Geomagnetic (dipole) latitude of a location
+ * @param {number} latitude - Geographic latitude (°, negative = south)
+ * @param {number} longitude - Geographic longitude (°)
+ * @param {Date} [date]
+ * @returns {number} - Signed geomagnetic latitude (°)
+ */
+export function getMagneticLatitude(latitude, longitude, date = new Date()) {
+  const pole = getDipolePole(date);
+  const sinMlat = Math.sin(latitude * DEG) * Math.sin(pole.latitude * DEG) +
+    Math.cos(latitude * DEG) * Math.cos(pole.latitude * DEG) * Math.cos((longitude - pole.longitude) * DEG);
+  return Math.asin(Math.max(-1, Math.min(1, sinMlat))) / DEG;
+}
+
+/**
+ * The geographic latitude on a meridian where the geomagnetic latitude
+ * equals `magneticLatitude` - where an oval edge crosses the observer's
+ * longitude.
+ * @param {number} magneticLatitude - Signed geomagnetic latitude (°)
+ * @param {number} longitude - Geographic longitude of the meridian (°)
+ * @param {Date} [date]
+ * @returns {number} - Signed geographic latitude (°)
+ */
+export function magneticToGeographicLatitude(magneticLatitude, longitude, date = new Date()) {
+  const pole = getDipolePole(date);
+  // sin(mlat) = a·sin(lat) + b·cos(lat) = r·sin(lat + alpha)
+  const a = Math.sin(pole.latitude * DEG);
+  const b = Math.cos(pole.latitude * DEG) * Math.cos((longitude - pole.longitude) * DEG);
+  const r = Math.sqrt(a * a + b * b);
+  const sum = Math.asin(Math.max(-1, Math.min(1, Math.sin(magneticLatitude * DEG) / r)));
+  const latitude = (sum - Math.atan2(b, a)) / DEG;
+  return Math.max(-90, Math.min(90, latitude));
+}
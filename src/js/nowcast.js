@@ -0,0 +1,99 @@
+/**
+ * Nocturne - Aurora Nowcast v3.1.0
+ *
+ * Scores each hour of tonight for aurora viewing and ranks contiguous
+ * viewing windows. Pure functions - the server gathers the inputs
+ * (sun, clouds, moon, OVATION, predicted G-scale) and the panel renders
+ * the resulting timeline strip.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+import { getDarknessInfo, getSkyScore, getVisibleLatitude } from './decision.js';
+import { getMoonInterference } from './astronomy.js';
+
+// How much of the sky's darkness each level delivers
+const DARKNESS_FACTOR = { night: 1, nautical: 0.9, civil: 0.4, horizon: 0, day: 0 };
+
+// Unknown cloud cover is treated as partly cloudy, not clear
+const UNKNOWN_SKY = 70;
+
+// Hours with viewing conditions at or above this form a window
+export const WINDOW_MIN_VIEWING = 30;
+
+const MOON_LEVELS = ['none', 'low', 'moderate', 'high'];
+
+/**
+ * Expected aurora activity (0-100) at a geomagnetic latitude for a NOAA
+ * G-scale level. Full strength poleward of the visible latitude, fading 6
+ * points per degree equatorward of it.
+ */
+export function getActivityForGScale(gScale, latitude) {
+  const visible = getVisibleLatitude({ gScale, bz: 0 });
+  const lat = Math.abs(latitude);
+  if (lat >= visible) return Math.min(100, 40 + gScale * 12);
+  return Math.max(0, Math.round(40 - (visible - lat) * 6));
+}
+
+/**
+ * Score one hour of the timeline
+ *
+ * @param {object} hour
+ * @param {number} hour.sunAltitude - Sun altitude (°) at the middle of the hour
+ * @param {object} [hour.clouds] - { low, mid, high } cover %, null if unknown
+ * @param {object} [hour.moon] - { altitude, illumination }
+ * @param {number} hour.activity - Expected aurora activity 0-100
+ * @returns {object} - darkness level, sky, moon interference, viewing (0-100), score (0-100)
+ */
+export function scoreNowcastHour({ sunAltitude, clouds = null, moon = null, activity = 0 }) {
+  const darkness = getDarknessInfo(sunAltitude);
+  const sky = getSkyScore(clouds);
+  const interference = getMoonInterference(moon);
+
+  // Viewing conditions ignore space weather: dark, clear, moonless = 100
+  const viewing = Math.round(100 * DARKNESS_FACTOR[darkness.level] * ((sky ?? UNKNOWN_SKY) / 100) * interference.factor);
+
+  // Activity scales the score, but a quiet night still ranks its best hours
+  const score = Math.round(viewing * (0.25 + 0.75 * Math.min(100, activity) / 100));
+
+  return { darkness: darkness.level, sky, moon: interference.level, viewing, score };
+}
+
+/**
+ * Group contiguous viewable hours into windows, best first
+ *
+ * @param {Array} hours - Timeline entries with { time, viewing, score, moon? }
+ * @returns {Array} - [{ start, end, hours, score, peak: { time, score }, moon }]
+ *                    where moon is the worst interference level in the window
+ */
+export function rankViewingWindows(hours) {
+  const windows = [];
+  let current = null;
+
+  for (const hour of hours) {
+    if (hour.viewing >= WINDOW_MIN_VIEWING) {
+      if (!current) current = [];
+      current.push(hour);
+    } else if (current) {
+      windows.push(current);
+      current = null;
+    }
+  }
+  if (current) windows.push(current);
+
+  return windows
+    .map(run => {
+      const peak = run.reduce((best, h) => (h.score > best.score ? h : best), run[0]);
+      const last = new Date(run[run.length - 1].time);
+      const moonIndex = Math.max(0, ...run.map(h => MOON_LEVELS.indexOf(h.moon?.interference)));
+      return {
+        start: run[0].time,
+        end: new Date(last.getTime() + 60 * 60 * 1000).toISOString(),
+        hours: run.length,
+        score: Math.round(run.reduce((sum, h) => sum + h.score, 0) / run.length),
+        peak: { time: peak.time, score: peak.score },
+        moon: MOON_LEVELS[moonIndex]
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.hours - a.hours);
+}
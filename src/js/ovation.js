@@ -0,0 +1,171 @@
+/**
+ * Nocturne - OVATION Grid v3.1.0
+ *
+ * Helpers for NOAA's OVATION aurora model grid: [lon, lat, probability]
+ * triples on a 1° grid, longitudes 0-359. Used by the server to clip the
+ * grid for /api/aurora/ovation/grid and to trace the view line the map draws.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+// Aurora this likely overhead is what the view line is traced from
+export const VIEW_LINE_MIN_PROBABILITY = 10;
+
+// Aurora 100-300 km up clears the horizon roughly this many degrees of
+// latitude equatorward of where it is overhead
+export const VIEW_LINE_OFFSET = 8;
+
+/**
+ * Wrap a longitude into -180..180
+ * @param {number} lon
+ * @returns {number}
+ */
+export function normalizeLongitude(lon) {
+  const wrapped = ((lon + 180) % 360 + 360) % 360 - 180;
+  return wrapped === -180 ? 180 : wrapped;
+}
+
+/**
+ * Parse a "minLon,minLat,maxLon,maxLat" bounding box. minLon may be greater
+ * than maxLon for a box that crosses the antimeridian.
+ * @param {string|null} value
+ * @returns {object} - { bbox } (null when not given) or { error }
+ */
+export function parseBoundingBox(value) {
+  if (value === null || value === undefined || value === '') return { bbox: null };
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    return { error: 'bbox must be minLon,minLat,maxLon,maxLat' };
+  }
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if ([minLon, maxLon].some(l => l < -180 || l > 180) || [minLat, maxLat].some(l => l < -90 || l > 90)) {
+    return { error: 'bbox longitudes must be within -180..180 and latitudes within -90..90' };
+  }
+  if (minLat > maxLat) return { error: 'bbox minLat must not exceed maxLat' };
+  return { bbox: { minLon, minLat, maxLon, maxLat } };
+}
+
+/**
+ * Whether a point (longitude -180..180) falls inside a bounding box
+ * @param {number} lon
+ * @param {number} lat
+ * @param {object|null} bbox - From parseBoundingBox(); null matches everywhere
+ * @returns {boolean}
+ */
+export function isInBoundingBox(lon, lat, bbox) {
+  if (!bbox) return true;
+  if (lat < bbox.minLat || lat > bbox.maxLat) return false;
+  return bbox.minLon <= bbox.maxLon
+    ? lon >= bbox.minLon && lon <= bbox.maxLon
+    : lon >= bbox.minLon || lon <= bbox.maxLon;
+}
+
+function inHemisphere(lat, hemisphere) {
+  if (hemisphere === 'north') return lat >= 0;
+  if (hemisphere === 'south') return lat <= 0;
+  return true;
+}
+
+/**
+ * Clip the OVATION grid to a hemisphere and/or bounding box
+ * @param {Array} coordinates - OVATION [lon (0-359), lat, probability] triples
+ * @param {object} [options]
+ * @param {string} [options.hemisphere] - 'north', 'south' or 'both'
+ * @param {object} [options.bbox] - From parseBoundingBox()
+ * @param {number} [options.minProbability] - Drop cells below this %
+ * @returns {Array} - [lon (-180..180), lat, probability] triples
+ */
+export function clipOvationGrid(coordinates, { hemisphere = 'both', bbox = null, minProbability = 1 } = {}) {
+  const points = [];
+  for (const [rawLon, lat, probability] of coordinates || []) {
+    if (probability < minProbability || !inHemisphere(lat, hemisphere)) continue;
+    const lon = normalizeLongitude(rawLon);
+    if (isInBoundingBox(lon, lat, bbox)) points.push([lon, lat, probability]);
+  }
+  return points;
+}
+
+/**
+ * Trace the view line: for each longitude, the most equatorward latitude
+ * where aurora may be seen low on the horizon.
+ * @param {Array} coordinates - OVATION [lon, lat, probability] triples
+ * @param {string} hemisphere - 'north' or 'south'
+ * @returns {Array} - [lon (-180..180), lat] pairs sorted by longitude
+ */
+export function computeViewLine(coordinates, hemisphere = 'north') {
+  const sign = hemisphere === 'south' ? -1 : 1;
+  const edges = new Map();
+
+  for (const [rawLon, lat, probability] of coordinates || []) {
+    if (probability < VIEW_LINE_MIN_PROBABILITY || lat * sign <= 0) continue;
+    const lon = normalizeLongitude(rawLon);
+    const edge = edges.get(lon);
+    if (edge === undefined || lat * sign < edge * sign) edges.set(lon, lat);
+  }
+
+  return [...edges.entries()]
+    .map(([lon, lat]) => [lon, Math.round((lat - sign * VIEW_LINE_OFFSET) * 10) / 10])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+// Lookup table: one byte per 1° cell, built once per OVATION fetch
+const GRID_LONS = 360;
+const GRID_LATS = 181; // -90..90
+
+function cellIndex(lat, lon) {
+  const row = Math.max(-90, Math.min(90, Math.round(lat))) + 90;
+  const col = ((Math.round(lon) % GRID_LONS) + GRID_LONS) % GRID_LONS;
+  return row * GRID_LONS + col;
+}
+
+/**
+ * Index the OVATION grid into a lat/lon lookup table
+ * @param {Array} coordinates - OVATION [lon, lat, probability] triples
+ * @returns {Uint8Array} - Probability per 1° cell (missing cells are 0)
+ */
+export function indexOvationGrid(coordinates) {
+  const table = new Uint8Array(GRID_LONS * GRID_LATS);
+  for (const [lon, lat, probability] of coordinates || []) {
+    table[cellIndex(lat, lon)] = Math.max(0, Math.min(100, Math.round(probability)));
+  }
+  return table;
+}
+
+/**
+ * Aurora probability at the grid cell nearest a location
+ * @param {Uint8Array} table - From indexOvationGrid()
+ * @param {number} lat
+ * @param {number} lon - Any range; wraps at the antimeridian
+ * @returns {number} - 0-100
+ */
+export function getOvationProbability(table, lat, lon) {
+  return table[cellIndex(lat, lon)];
+}
+
+/**
+ * Strongest aurora poleward of a location - what could show on the horizon.
+ * Searches up to `latRange`° poleward (north or south by the latitude's
+ * sign) and `lonRange`° either side, wrapping across 0°/360°.
+ *
+ * @param {Uint8Array} table - From indexOvationGrid()
+ * @param {number} lat
+ * @param {number} lon
+ * @param {object} [options] - { latRange = 15, lonRange = 30 }
+ * @returns {object} - { probability, lat } (lat null when nothing was found)
+ */
+export function findPolewardMax(table, lat, lon, { latRange = 15, lonRange = 30 } = {}) {
+  const sign = lat < 0 ? -1 : 1;
+  const startLat = Math.round(lat);
+  const startLon = Math.round(lon);
+  let best = { probability: 0, lat: null };
+
+  for (let step = 1; step <= latRange; step++) {
+    const cLat = startLat + sign * step;
+    if (Math.abs(cLat) > 90) break;
+    for (let offset = -lonRange; offset <= lonRange; offset++) {
+      const probability = table[cellIndex(cLat, startLon + offset)];
+      if (probability > best.probability) best = { probability, lat: cLat };
+    }
+  }
+  return best;
+}
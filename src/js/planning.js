@@ -0,0 +1,186 @@
+/**
+ * Nocturne - Aurora Planning v3.1.0
+ *
+ * Multi-night calendar for planning a trip. Every night up to 27 days out is
+ * scored hour by hour with the nowcast model: NOAA's 3-day G-scale forecast
+ * (then the 27-day outlook's largest Kp), hourly clouds as far as the 7-day
+ * weather forecast reaches, and the moon. Pure functions - the server
+ * gathers the inputs and the panel renders the calendar.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+import { getObserverMagneticLatitude } from './decision.js';
+import { getSunPosition, getMoonPosition } from './astronomy.js';
+import { getActivityForGScale, scoreNowcastHour, rankViewingWindows } from './nowcast.js';
+
+export const PLANNING_NIGHTS = 27;
+
+// Best-window score a night needs for each rating (same bands as the nowcast strip)
+export const NIGHT_RATINGS = { good: 50, fair: 25 };
+
+// The first week is always listed (clouds, moon); later nights only when forecast
+const ALWAYS_LISTED_NIGHTS = 7;
+
+const MOON_LEVELS = ['none', 'low', 'moderate', 'high'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Start of the night of `date` (its evening's date): the hour containing
+ * local mean solar noon, so a night never straddles two calendar entries
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} longitude
+ * @returns {number} - ms
+ */
+export function getNightStart(date, longitude) {
+  const noon = Date.parse(`${date}T12:00:00Z`) - (longitude / 15) * HOUR_MS;
+  return Math.floor(noon / HOUR_MS) * HOUR_MS;
+}
+
+// Evening date of the night in progress (or coming up) at `now`
+function getCurrentNightDate(now, longitude) {
+  return new Date(now + (longitude / 15) * HOUR_MS - 12 * HOUR_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Index an Open-Meteo hourly forecast by UTC hour
+ * @param {object} hourly - { time: ['2024-05-10T21:00', ...] (local), cloud_cover, cloud_cover_low, ... }
+ * @param {number} utcOffsetSeconds - Offset of the forecast's local times
+ * @returns {Map} - hour start (ms) → { total, low, mid, high }
+ */
+export function indexHourlyClouds(hourly, utcOffsetSeconds = 0) {
+  const index = new Map();
+  (hourly?.time || []).forEach((time, i) => {
+    const total = hourly.cloud_cover?.[i];
+    if (total === null || total === undefined) return;
+    index.set(Date.parse(`${time}Z`) - utcOffsetSeconds * 1000, {
+      total,
+      // Without layers, treat all cover as low cloud (blocks the view)
+      low: hourly.cloud_cover_low?.[i] ?? total,
+      mid: hourly.cloud_cover_mid?.[i] ?? 0,
+      high: hourly.cloud_cover_high?.[i] ?? 0
+    });
+  });
+  return index;
+}
+
+function rateNight(score) {
+  if (score >= NIGHT_RATINGS.good) return 'good';
+  if (score >= NIGHT_RATINGS.fair) return 'fair';
+  return 'poor';
+}
+
+/**
+ * Score upcoming nights for a location
+ *
+ * @param {object} input
+ * @param {number} input.latitude
+ * @param {number} input.longitude
+ * @param {number} [input.now]
+ * @param {Array} [input.gForecast] - NOAA daily G maxima [{ date, scale }] by UTC day
+ * @param {object} [input.outlook] - parse27DayOutlook() result
+ * @param {Map} [input.cloudsByHour] - indexHourlyClouds() result
+ * @param {number} [input.nights] - Nights to consider (default PLANNING_NIGHTS)
+ * @returns {Array} - [{ date, gScale, kp, source, activity, clouds, moon, darkHours,
+ *                     bestWindow, score, rating }] soonest first; source is 'noaa',
+ *                     'outlook' or null (no space weather forecast that far out)
+ */
+export function buildPlanningCalendar({
+  latitude, longitude, now = Date.now(), gForecast = [], outlook = null, cloudsByHour = new Map(), nights = PLANNING_NIGHTS
+}) {
+  const magneticLatitude = getObserverMagneticLatitude(latitude, longitude);
+  const noaaByDate = new Map((gForecast || []).map(f => [f.date, f.scale]));
+  const outlookByDate = new Map((outlook?.days || []).map(d => [d.date, d]));
+  const firstNight = Date.parse(`${getCurrentNightDate(now, longitude)}T00:00:00Z`);
+
+  const calendar = [];
+  for (let n = 0; n <= nights && calendar.length < nights; n++) {
+    const date = new Date(firstNight + n * DAY_MS).toISOString().slice(0, 10);
+    const start = getNightStart(date, longitude);
+    const hours = [];
+    const sources = new Set();
+    let kp = null;
+
+    for (let h = 0; h < 24; h++) {
+      const time = start + h * HOUR_MS;
+      if (time + HOUR_MS <= now) continue;
+      const middle = new Date(time + HOUR_MS / 2);
+      const sun = getSunPosition(latitude, longitude, middle);
+      if (sun.altitude >= 0) continue;
+
+      const day = middle.toISOString().slice(0, 10);
+      const outlookDay = outlookByDate.get(day);
+      let gScale = 0;
+      if (noaaByDate.has(day)) {
+        gScale = noaaByDate.get(day);
+        sources.add('noaa');
+      } else if (outlookDay) {
+        gScale = outlookDay.gScale;
+        sources.add('outlook');
+      }
+      if (outlookDay) kp = Math.max(kp ?? 0, outlookDay.kp);
+
+      const clouds = cloudsByHour.get(time) || null;
+      const moon = getMoonPosition(latitude, longitude, middle);
+      const activity = getActivityForGScale(gScale, magneticLatitude);
+      const scored = scoreNowcastHour({ sunAltitude: sun.altitude, clouds, moon, activity });
+      hours.push({
+        time: new Date(time).toISOString(),
+        sunAltitude: sun.altitude,
+        dark: scored.darkness === 'night' || scored.darkness === 'nautical' || scored.darkness === 'civil',
+        clouds,
+        moon: { ...moon, interference: scored.moon },
+        gScale,
+        activity,
+        viewing: scored.viewing,
+        score: scored.score
+      });
+    }
+
+    const source = sources.has('noaa') ? 'noaa' : sources.has('outlook') ? 'outlook' : null;
+    if (calendar.length >= ALWAYS_LISTED_NIGHTS && !source) break;
+
+    const dark = hours.filter(h => h.dark);
+    // Morning: last night's dark hours are over
+    if (n === 0 && !dark.length) continue;
+    const clouded = dark.filter(h => h.clouds);
+    const darkest = hours.reduce((min, h) => (!min || h.sunAltitude < min.sunAltitude ? h : min), null);
+    const windows = rankViewingWindows(hours);
+    const bestWindow = windows[0] || null;
+    const score = bestWindow ? bestWindow.score : 0;
+
+    calendar.push({
+      date,
+      gScale: Math.max(0, ...dark.map(h => h.gScale)),
+      kp,
+      source,
+      activity: Math.max(0, ...dark.map(h => h.activity)),
+      // Average total cover over the dark hours, null beyond the weather forecast
+      clouds: clouded.length ? Math.round(clouded.reduce((sum, h) => sum + h.clouds.total, 0) / clouded.length) : null,
+      moon: darkest && {
+        illumination: darkest.moon.illumination,
+        phase: darkest.moon.phase,
+        interference: MOON_LEVELS[Math.max(0, ...dark.map(h => MOON_LEVELS.indexOf(h.moon.interference)))]
+      },
+      darkHours: dark.length,
+      bestWindow: bestWindow && { start: bestWindow.start, end: bestWindow.end, hours: bestWindow.hours, score: bestWindow.score },
+      score,
+      rating: rateNight(score)
+    });
+  }
+  return calendar;
+}
+
+/**
+ * Nights worth planning around: rated good or fair, best first
+ * @param {Array} calendar - buildPlanningCalendar() result
+ * @param {number} [limit]
+ * @returns {Array} - Calendar entries
+ */
+export function pickBestNights(calendar, limit = 5) {
+  return calendar
+    .filter(night => night.rating !== 'poor')
+    .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+    .slice(0, limit);
+}
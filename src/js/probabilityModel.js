@@ -0,0 +1,195 @@
+/**
+ * Nocturne - Aurora Probability Model v3.1.0
+ *
+ * Logistic regression of "naked-eye aurora seen" on the conditions saved
+ * with each logged sighting, trained on demand (not per request) from the
+ * sighting log, with solar wind from the history store where a sighting
+ * has none. The hand-tuned G4 similarity stays as the baseline and gets
+ * the same fit with similarity as its only input, so both come out as
+ * probabilities calibrated on the same outings.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+import { getObserverMagneticLatitude } from './decision.js';
+
+export const MODEL_FEATURES = [
+  'southBz', 'bt', 'speed', 'density', 'pressure',
+  'magneticLatitude', 'sunAltitude', 'cloudCover', 'moonlight'
+];
+export const BASELINE_FEATURES = ['similarity'];
+
+export const TRAINING = {
+  minExamples: 10,     // Sightings with solar wind needed to train
+  iterations: 2000,    // Gradient descent steps
+  learningRate: 0.1,
+  l2: 1,               // Ridge penalty - keeps small logs from overfitting
+  folds: 5             // Cross-validation folds for the evaluation
+};
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+const finite = value => (Number.isFinite(value) ? value : null);
+
+/**
+ * Model inputs for one place and moment. Unknown inputs are null and
+ * count as the training average.
+ * @param {object} input
+ * @param {object} input.solarWind - { bz, bt, speed, density, pressure, similarity }
+ * @param {number} input.latitude
+ * @param {number} input.longitude
+ * @param {object} [input.darkness] - { sunAltitude, moonAltitude, moonIllumination }
+ * @param {object} [input.clouds] - { total }
+ * @returns {object} - Feature name → number or null
+ */
+export function extractFeatures({ solarWind, latitude, longitude, darkness = null, clouds = null }) {
+  const moonAltitude = finite(darkness?.moonAltitude);
+  const moonIllumination = finite(darkness?.moonIllumination);
+  return {
+    similarity: finite(solarWind?.similarity),
+    southBz: Number.isFinite(solarWind?.bz) ? Math.max(0, -solarWind.bz) : null,
+    bt: finite(solarWind?.bt),
+    speed: finite(solarWind?.speed),
+    density: finite(solarWind?.density),
+    pressure: finite(solarWind?.pressure),
+    magneticLatitude: getObserverMagneticLatitude(latitude, longitude),
+    sunAltitude: finite(darkness?.sunAltitude),
+    cloudCover: finite(clouds?.total),
+    moonlight: moonAltitude === null || moonIllumination === null ? null : (moonAltitude > 0 ? moonIllumination : 0)
+  };
+}
+
+/**
+ * Training examples from the sighting log
+ * @param {Array} sightings - Logged sightings with their conditions
+ * @param {Function} [lookupSolarWind] - time (ms) → solar wind, for sightings logged without it
+ * @returns {Array} - [{ features, seen }], only sightings with solar wind
+ */
+export function buildTrainingExamples(sightings, lookupSolarWind = () => null) {
+  return (sightings || []).flatMap(s => {
+    const solarWind = s.conditions?.solarWind || lookupSolarWind(Date.parse(s.time));
+    if (!Number.isFinite(solarWind?.similarity)) return [];
+    return [{
+      features: extractFeatures({
+        solarWind,
+        latitude: s.latitude,
+        longitude: s.longitude,
+        darkness: s.conditions?.darkness,
+        clouds: s.conditions?.clouds
+      }),
+      seen: s.visibility === 'naked-eye'
+    }];
+  });
+}
+
+function standardize(value, mean, scale) {
+  return value === null || value === undefined ? 0 : (value - mean) / scale;
+}
+
+// Standardized (missing = mean) batch gradient descent on L2-penalized log loss
+function fitLogistic(examples, features) {
+  const means = {};
+  const scales = {};
+  for (const f of features) {
+    const known = examples.map(e => e.features[f]).filter(v => v !== null);
+    const mean = known.length ? known.reduce((a, b) => a + b, 0) / known.length : 0;
+    const variance = known.length ? known.reduce((a, v) => a + (v - mean) ** 2, 0) / known.length : 0;
+    means[f] = round(mean, 4);
+    scales[f] = round(Math.sqrt(variance), 4) || 1;
+  }
+
+  const rows = examples.map(e => features.map(f => standardize(e.features[f], means[f], scales[f])));
+  const labels = examples.map(e => (e.seen ? 1 : 0));
+  const weights = features.map(() => 0);
+  let bias = 0;
+  for (let i = 0; i < TRAINING.iterations; i++) {
+    const gradient = features.map(() => 0);
+    let biasGradient = 0;
+    rows.forEach((x, r) => {
+      const error = sigmoid(x.reduce((z, v, j) => z + weights[j] * v, bias)) - labels[r];
+      x.forEach((v, j) => { gradient[j] += error * v; });
+      biasGradient += error;
+    });
+    features.forEach((_, j) => {
+      weights[j] -= TRAINING.learningRate * (gradient[j] + TRAINING.l2 * weights[j]) / rows.length;
+    });
+    bias -= TRAINING.learningRate * biasGradient / rows.length;
+  }
+
+  return {
+    features,
+    means,
+    scales,
+    weights: Object.fromEntries(features.map((f, j) => [f, round(weights[j], 4)])),
+    bias: round(bias, 4)
+  };
+}
+
+function predictLogistic(fit, features) {
+  return sigmoid(fit.features.reduce(
+    (z, f) => z + fit.weights[f] * standardize(features[f], fit.means[f], fit.scales[f]), fit.bias));
+}
+
+// Out-of-fold Brier score and log loss - how well the fit predicts outings it has not seen
+function crossValidate(examples, features) {
+  const folds = Math.min(TRAINING.folds, examples.length);
+  let brier = 0;
+  let logLoss = 0;
+  for (let k = 0; k < folds; k++) {
+    const fit = fitLogistic(examples.filter((_, i) => i % folds !== k), features);
+    for (const e of examples.filter((_, i) => i % folds === k)) {
+      const p = Math.min(1 - 1e-6, Math.max(1e-6, predictLogistic(fit, e.features)));
+      brier += ((e.seen ? 1 : 0) - p) ** 2;
+      logLoss -= e.seen ? Math.log(p) : Math.log(1 - p);
+    }
+  }
+  return { brier: round(brier / examples.length, 3), logLoss: round(logLoss / examples.length, 3) };
+}
+
+/**
+ * Fit the model and the similarity baseline, with a cross-validated evaluation
+ * @param {Array} examples - buildTrainingExamples() result
+ * @param {number} [now]
+ * @returns {object} - { model } or { error } when there is too little to learn from
+ */
+export function trainProbabilityModel(examples, now = Date.now()) {
+  if (examples.length < TRAINING.minExamples) {
+    return { error: `Need at least ${TRAINING.minExamples} sightings with solar wind to train (have ${examples.length})` };
+  }
+  const positives = examples.filter(e => e.seen).length;
+  if (!positives || positives === examples.length) {
+    return { error: 'Need sightings both with and without naked-eye aurora to train' };
+  }
+
+  return {
+    model: {
+      trainedAt: new Date(now).toISOString(),
+      target: 'naked-eye',
+      examples: examples.length,
+      positives,
+      logistic: fitLogistic(examples, MODEL_FEATURES),
+      baseline: fitLogistic(examples, BASELINE_FEATURES),
+      evaluation: {
+        // Always predicting the base rate scores brier = baseRate × (1 - baseRate)
+        baseRate: round(positives / examples.length, 3),
+        model: crossValidate(examples, MODEL_FEATURES),
+        baseline: crossValidate(examples, BASELINE_FEATURES)
+      }
+    }
+  };
+}
+
+/**
+ * Probability of naked-eye aurora from the trained model and from the
+ * similarity baseline
+ * @param {object|null} model - trainProbabilityModel() model
+ * @param {object} features - extractFeatures() result
+ * @returns {object} - { probability, baseline } (0-1, null without a model or solar wind)
+ */
+export function estimateAuroraProbability(model, features) {
+  if (!model || features.similarity === null) return { probability: null, baseline: null };
+  return {
+    probability: round(predictLogistic(model.logistic, features), 2),
+    baseline: round(predictLogistic(model.baseline, features), 2)
+  };
+}
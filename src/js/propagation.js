@@ -0,0 +1,73 @@
+/**
+ * Nocturne - Solar Wind Propagation v3.1.0
+ *
+ * DSCOVR/ACE measure the solar wind at L1, ~1.5 million km sunward of Earth.
+ * Each sample reaches Earth after distance / speed - about 60 minutes at
+ * 400 km/s, 35 at 700 km/s - so the latest L1 reading is what arrives
+ * *later*, and what is hitting Earth now was measured a while ago.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+// Sun-Earth L1 distance upstream of Earth (km)
+export const L1_DISTANCE_KM = 1500000;
+
+// Clamp implausible speeds (bad samples) so delays stay physical
+const MIN_SPEED = 250;   // km/s
+const MAX_SPEED = 2000;  // km/s
+const DEFAULT_SPEED = 400;
+
+/**
+ * Travel time from L1 to Earth for a solar wind speed
+ * @param {number} speed - km/s (missing/invalid uses 400 km/s)
+ * @returns {number} - Whole minutes
+ */
+export function getPropagationDelayMinutes(speed) {
+  const v = Number.isFinite(speed) && speed > 0 ? speed : DEFAULT_SPEED;
+  const clamped = Math.min(MAX_SPEED, Math.max(MIN_SPEED, v));
+  return Math.round(L1_DISTANCE_KM / clamped / 60);
+}
+
+/**
+ * Shift L1 samples to their Earth arrival times and split them into the one
+ * arriving now and those still in transit.
+ *
+ * Faster wind can overtake slower wind, so arrival order is not always
+ * sample order; "arriving now" is the sample with the latest arrival that
+ * has already happened.
+ *
+ * @param {Array} samples - [{ ts, speed, ... }] L1 samples, oldest first
+ * @param {number} now - Current time (ms)
+ * @returns {object} - { arrived, inTransit }, each sample extended with
+ *                     arrivalTs and delayMinutes
+ */
+export function splitByArrival(samples, now = Date.now()) {
+  let arrived = null;
+  const inTransit = [];
+
+  for (const sample of samples) {
+    const delayMinutes = getPropagationDelayMinutes(sample.speed);
+    const shifted = { ...sample, delayMinutes, arrivalTs: sample.ts + delayMinutes * 60 * 1000 };
+    if (shifted.arrivalTs > now) {
+      inTransit.push(shifted);
+    } else if (!arrived || shifted.arrivalTs >= arrived.arrivalTs) {
+      arrived = shifted;
+    }
+  }
+
+  return { arrived, inTransit };
+}
+
+/**
+ * Strongest southward Bz still between L1 and Earth
+ * @param {Array} inTransit - From splitByArrival()
+ * @returns {object|null} - The in-transit sample with the most negative Bz
+ */
+export function findIncomingPeak(inTransit) {
+  let peak = null;
+  for (const sample of inTransit) {
+    if (!Number.isFinite(sample.bz)) continue;
+    if (!peak || sample.bz < peak.bz) peak = sample;
+  }
+  return peak && peak.bz < 0 ? peak : null;
+}
@@ -0,0 +1,139 @@
+/**
+ * Nocturne - Storm Scenarios v3.1.0
+ *
+ * Recorded NOAA responses that can be replayed through the live pipeline.
+ * A scenario keeps the row feeds (plasma, mag, observed Kp) as one merged
+ * NOAA-shaped table each, plus timed snapshots of the feeds that are
+ * replaced wholesale (scales, OVATION, Kp forecast, hemispheric power).
+ * Slicing at a time gives back exactly what NOAA would have served then.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+// Feeds served as a header row plus time-tagged rows
+export const ROW_FEEDS = ['plasma', 'mag', 'kp'];
+
+// Feeds NOAA replaces on every update
+export const SNAPSHOT_FEEDS = ['scales', 'ovation', 'kpForecast', 'hemiPower', 'alerts', 'xrays', 'xrayFlares'];
+
+// Rows tagged with the start of an interval only exist once it has ended
+const ROW_AVAILABLE_AFTER = { kp: 3 * 60 * 60 * 1000 };
+
+// "2024-05-10 18:00:00.000" (UTC, no zone) → ms
+function toMs(value) {
+  if (value === null || value === undefined) return NaN;
+  if (typeof value === 'number') return value;
+  const text = String(value).trim().replace(' ', 'T');
+  return Date.parse(/Z$|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+}
+
+function rowTime(row) {
+  return toMs(Array.isArray(row) ? row[0] : row?.time_tag);
+}
+
+/**
+ * Check a parsed scenario file
+ * @param {object} scenario
+ * @returns {string|null} - Error message, or null when usable
+ */
+export function validateScenario(scenario) {
+  if (!scenario || typeof scenario !== 'object') return 'scenario must be an object';
+  for (const feed of ['plasma', 'mag']) {
+    if (!Array.isArray(scenario[feed]) || scenario[feed].length < 2) return `scenario ${feed} needs a header row and data`;
+  }
+  if (!Array.isArray(scenario.snapshots) || !scenario.snapshots.length) return 'scenario needs at least one snapshot';
+  const times = scenario.snapshots.map(s => toMs(s.time));
+  if (times.some(isNaN)) return 'every snapshot needs a time';
+  if (times.some((t, i) => i && t < times[i - 1])) return 'snapshots must be in time order';
+  const { start, end } = getScenarioRange(scenario);
+  if (isNaN(start) || isNaN(end) || start > end) return 'scenario start/end are invalid';
+  return null;
+}
+
+/**
+ * Replay window: the scenario's start/end, or its first/last snapshot
+ * @returns {object} - { start, end } in ms
+ */
+export function getScenarioRange(scenario) {
+  const times = (scenario.snapshots || []).map(s => toMs(s.time));
+  return {
+    start: scenario.start ? toMs(scenario.start) : Math.min(...times),
+    end: scenario.end ? toMs(scenario.end) : Math.max(...times)
+  };
+}
+
+/**
+ * Merge freshly fetched rows into a recorded feed. Rows are keyed by time
+ * tag, so overlapping 7-day windows from successive polls are stored once.
+ * @param {Array|undefined} recorded - Header row + rows, or nothing yet
+ * @param {Array} fetched - Header row + rows as NOAA served them
+ * @returns {Array} - Header row + rows, oldest first
+ */
+export function mergeFeedRows(recorded, fetched) {
+  if (!Array.isArray(fetched) || fetched.length < 2) return recorded || fetched || [];
+  const header = recorded?.[0] || fetched[0];
+  const rows = new Map();
+  for (const row of [...(recorded || []).slice(1), ...fetched.slice(1)]) {
+    const ts = rowTime(row);
+    if (!isNaN(ts)) rows.set(ts, row);
+  }
+  return [header, ...[...rows.entries()].sort((a, b) => a[0] - b[0]).map(([, row]) => row)];
+}
+
+/**
+ * Add one poll of every feed to a scenario (used by the recorder)
+ * @param {object} scenario - Existing scenario (mutated and returned)
+ * @param {object} feeds - { plasma, mag, kp, scales, ovation, kpForecast, hemiPower, alerts, xrays, xrayFlares }
+ * @param {Date} [time] - When the poll was made
+ * @returns {object}
+ */
+export function appendRecording(scenario, feeds, time = new Date()) {
+  for (const feed of ROW_FEEDS) {
+    if (feeds[feed]) scenario[feed] = mergeFeedRows(scenario[feed], feeds[feed]);
+  }
+  const snapshot = { time: time.toISOString() };
+  for (const feed of SNAPSHOT_FEEDS) snapshot[feed] = feeds[feed] ?? null;
+  scenario.snapshots = [...(scenario.snapshots || []), snapshot];
+  scenario.start = scenario.start || snapshot.time;
+  scenario.end = snapshot.time;
+  return scenario;
+}
+
+/**
+ * Scenario time for a replay started at `startedAt` (real ms)
+ * @param {object} replay - { start, end, speed, startedAt, loop }
+ * @param {number} [now] - Real time (ms)
+ * @returns {object} - { time, finished }
+ */
+export function getSimulatedTime({ start, end, speed, startedAt, loop = false }, now = Date.now()) {
+  const elapsed = Math.max(0, now - startedAt) * speed;
+  const span = end - start;
+  if (loop && span > 0) return { time: start + elapsed % span, finished: false };
+  return { time: Math.min(end, start + elapsed), finished: start + elapsed >= end };
+}
+
+/**
+ * Everything NOAA would have served at a moment in the scenario
+ * @param {object} scenario
+ * @param {number} time - Scenario time (ms)
+ * @returns {object} - { time, plasma, mag, kp, scales, ovation, kpForecast, hemiPower, alerts, xrays, xrayFlares }
+ */
+export function sliceScenarioAt(scenario, time) {
+  const feeds = { time };
+  for (const feed of ROW_FEEDS) {
+    const rows = scenario[feed];
+    const cutoff = time - (ROW_AVAILABLE_AFTER[feed] || 0);
+    feeds[feed] = Array.isArray(rows) && rows.length
+      ? [rows[0], ...rows.slice(1).filter(row => rowTime(row) <= cutoff)]
+      : null;
+  }
+
+  // Latest snapshot at or before `time` (the first one before the replay starts)
+  let snapshot = scenario.snapshots[0];
+  for (const s of scenario.snapshots) {
+    if (toMs(s.time) <= time) snapshot = s;
+    else break;
+  }
+  for (const feed of SNAPSHOT_FEEDS) feeds[feed] = snapshot[feed] ?? null;
+  return feeds;
+}
@@ -0,0 +1,173 @@
+/**
+ * Nocturne - Scheduler v3.1.0
+ *
+ * Wall-clock job schedules in IANA time zones: "08:00 in America/Los_Angeles
+ * on weekdays" stays 08:00 local across DST changes. Works in local calendar
+ * dates (YYYY-MM-DD) so a job's persisted state is the date of the last
+ * scheduled run, and decides which runs are due - including the ones missed
+ * while the server was down, per the job's catch-up policy. Pure - the
+ * server keeps the state and does the sending.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+// What to do about runs missed while the server was down:
+// none = skip them, latest = run the most recent one once, all = run each in order
+export const CATCH_UP_POLICIES = ['none', 'latest', 'all'];
+
+export const SCHEDULER = {
+  windowMinutes: 5,   // "none" still runs a job checked this late
+  maxCatchUpDays: 7   // Missed runs older than this are never run
+};
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Local calendar date and clock time of an instant in a time zone
+ * @param {number} ms
+ * @param {string} timeZone - IANA name
+ * @returns {object} - { date: 'YYYY-MM-DD', weekday (0 = Sunday), hour, minute, second }
+ */
+export function getZonedParts(ms, timeZone) {
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(new Date(ms)).map(p => [p.type, p.value]));
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    weekday: getWeekday(date),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second)
+  };
+}
+
+// UTC offset (ms) of the zone at an instant
+function getOffset(ms, timeZone) {
+  const { date, hour, minute, second } = getZonedParts(ms, timeZone);
+  return Date.parse(`${date}T00:00:00Z`) + ((hour * 60 + minute) * 60 + second) * 1000 - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * The instant a local date and clock time happen in a time zone. A time
+ * repeated by a fall-back change is its first occurrence; a time skipped by
+ * a spring-forward change runs as late as the skip (02:30 → 03:30 local).
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timeZone
+ * @returns {number} - ms
+ */
+export function zonedTimeToUtc(date, time, timeZone) {
+  const local = Date.parse(`${date}T${time}:00Z`);
+  // The zone's offsets either side of that wall time (they differ on change days)
+  const candidates = [local - getOffset(local - DAY_MS / 2, timeZone), local - getOffset(local + DAY_MS / 2, timeZone)];
+  const matches = candidates.filter(ms => {
+    const parts = getZonedParts(ms, timeZone);
+    return parts.date === date && parts.hour * 60 + parts.minute === Math.round((local % DAY_MS) / 60000);
+  });
+  return matches.length ? Math.min(...matches) : Math.max(...candidates);
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} - YYYY-MM-DD
+ */
+export function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function getWeekday(date) {
+  return new Date(`${date}T12:00:00Z`).getUTCDay();
+}
+
+/**
+ * A local calendar day as an instant range - 23 or 25 hours on DST change days
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} timeZone
+ * @returns {object} - { start, end } ms, end exclusive
+ */
+export function getZonedDayRange(date, timeZone) {
+  return { start: zonedTimeToUtc(date, '00:00', timeZone), end: zonedTimeToUtc(shiftDate(date, 1), '00:00', timeZone) };
+}
+
+/**
+ * Weekday selection from config: "daily", "weekdays", "weekends", a list
+ * ("mon,wed,fri"), ranges ("mon-fri", "fri-mon") or an array of 0-6
+ * @param {string|Array} value
+ * @returns {Array|null} - Sorted day numbers (0 = Sunday), null when invalid
+ */
+export function parseWeekdays(value) {
+  if (Array.isArray(value)) {
+    const days = [...new Set(value)];
+    return days.length && days.every(d => Number.isInteger(d) && d >= 0 && d <= 6) ? days.sort((a, b) => a - b) : null;
+  }
+  const text = String(value || '').trim().toLowerCase();
+  const named = { daily: [0, 1, 2, 3, 4, 5, 6], weekdays: [1, 2, 3, 4, 5], weekends: [0, 6] };
+  if (named[text]) return named[text];
+
+  const days = new Set();
+  for (const item of text.split(',').map(s => s.trim())) {
+    const [from, to = from] = item.split('-').map(s => DAY_NAMES.indexOf(s.slice(0, 3)));
+    if (from === -1 || to === -1 || !item) return null;
+    // Ranges may wrap the week (fri-mon)
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === to) break;
+    }
+  }
+  return days.size ? [...days].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Scheduled runs that are due now, oldest first
+ * @param {object} schedule - { time: 'HH:MM', timezone, weekdays: [0-6], catchUp }
+ * @param {string|null} lastRunDate - Local date of the last run (null = never; only today's run can be due)
+ * @param {number} now - ms
+ * @returns {Array} - Local dates (YYYY-MM-DD) to run for
+ */
+export function getDueRuns({ time, timezone, weekdays, catchUp }, lastRunDate, now) {
+  const today = getZonedParts(now, timezone).date;
+  const earliest = lastRunDate ? shiftDate(lastRunDate, 1) : today;
+
+  const missed = [];
+  for (let i = SCHEDULER.maxCatchUpDays - 1; i >= 0; i--) {
+    const date = shiftDate(today, -i);
+    if (date < earliest || !weekdays.includes(getWeekday(date))) continue;
+    const at = zonedTimeToUtc(date, time, timezone);
+    if (at <= now) missed.push({ date, at });
+  }
+  if (!missed.length) return [];
+
+  const latest = missed[missed.length - 1];
+  if (catchUp === 'all') return missed.map(run => run.date);
+  if (catchUp === 'latest') return [latest.date];
+  return now - latest.at < SCHEDULER.windowMinutes * 60 * 1000 ? [latest.date] : [];
+}
+
+/**
+ * Next scheduled run after `now`
+ * @param {object} schedule - { time, timezone, weekdays }
+ * @param {number} now - ms
+ * @returns {number|null} - ms (null when no weekday is selected)
+ */
+export function getNextRun({ time, timezone, weekdays }, now) {
+  const today = getZonedParts(now, timezone).date;
+  for (let i = 0; i <= 7; i++) {
+    const date = shiftDate(today, i);
+    if (!weekdays.includes(getWeekday(date))) continue;
+    const at = zonedTimeToUtc(date, time, timezone);
+    if (at > now) return at;
+  }
+  return null;
+}
@@ -0,0 +1,81 @@
+/**
+ * Nocturne - Sighting Log v3.1.0
+ *
+ * What we actually saw on a chase, against the conditions captured when it
+ * was logged. Calibration bands the sightings by G4 similarity so the GO
+ * thresholds (and each subscription's minSimilarity) can be tuned to real
+ * outcomes instead of the G4 baseline alone.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+// How the aurora showed up - 'none' logs a chase that saw nothing
+export const SIGHTING_VISIBILITY = ['naked-eye', 'camera-only', 'none'];
+
+// Visual intensity 0-4 (0 only with visibility 'none')
+export const SIGHTING_INTENSITIES = ['none', 'faint', 'moderate', 'bright', 'intense'];
+
+export const CALIBRATION = {
+  bandWidth: 10,     // Similarity % per band
+  minSightings: 5,   // Sightings at/above a threshold before suggesting it
+  targetRate: 0.5    // Share of those outings that must have seen aurora
+};
+
+function countOutcomes(sightings) {
+  const counts = { outings: sightings.length, nakedEye: 0, cameraOnly: 0, none: 0 };
+  for (const s of sightings) {
+    if (s.visibility === 'naked-eye') counts.nakedEye++;
+    else if (s.visibility === 'camera-only') counts.cameraOnly++;
+    else counts.none++;
+  }
+  return counts;
+}
+
+// Lowest band start where outings at or above it met the target rate
+function suggestThreshold(rated, bandStarts, isSeen) {
+  for (const min of bandStarts) {
+    const above = rated.filter(s => s.similarity >= min);
+    if (above.length < CALIBRATION.minSightings) return null;
+    if (above.filter(isSeen).length / above.length >= CALIBRATION.targetRate) return min;
+  }
+  return null;
+}
+
+/**
+ * Outcomes by similarity band and by the verdict given at the time
+ * @param {Array} sightings - [{ visibility, conditions: { solarWind: { similarity }, decision: { decision } } }]
+ * @returns {object} - { total, rated, bands: [{ min, max, outings, nakedEye, cameraOnly, none, seenRate }],
+ *                     decisions: { GO, 'NO GO' }, suggestedMinSimilarity: { nakedEye, camera } }
+ */
+export function summarizeSightingCalibration(sightings) {
+  const rated = (sightings || [])
+    .map(s => ({ ...s, similarity: s.conditions?.solarWind?.similarity }))
+    .filter(s => Number.isFinite(s.similarity));
+
+  const width = CALIBRATION.bandWidth;
+  const bands = [];
+  for (let min = 0; min < 100; min += width) {
+    const inBand = rated.filter(s => s.similarity >= min && s.similarity < min + width);
+    if (!inBand.length) continue;
+    const counts = countOutcomes(inBand);
+    bands.push({
+      min,
+      max: min + width - 1,
+      ...counts,
+      seenRate: Math.round((counts.nakedEye + counts.cameraOnly) / counts.outings * 100) / 100
+    });
+  }
+
+  const byDecision = (verdict) => countOutcomes((sightings || []).filter(s => s.conditions?.decision?.decision === verdict));
+  const bandStarts = bands.map(b => b.min);
+  return {
+    total: (sightings || []).length,
+    rated: rated.length,
+    bands,
+    decisions: { GO: byDecision('GO'), 'NO GO': byDecision('NO GO') },
+    suggestedMinSimilarity: {
+      nakedEye: suggestThreshold(rated, bandStarts, s => s.visibility === 'naked-eye'),
+      camera: suggestThreshold(rated, bandStarts, s => s.visibility !== 'none')
+    }
+  };
+}
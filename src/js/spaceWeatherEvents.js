@@ -0,0 +1,249 @@
+/**
+ * Nocturne - Space Weather Events v3.1.0
+ *
+ * Parsers for NOAA SWPC alerts/watches/warnings and GOES X-ray products.
+ * Solar wind at L1 gives ~30-60 minutes of notice; a geomagnetic storm watch
+ * issued after a CME gives one to three days. The active watch list keeps
+ * each watch's predicted arrival window (the UTC days NOAA expects G1+),
+ * dropping watches that were superseded, cancelled or have passed.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+import { kpToGScale } from './geomagnetic.js';
+
+// GOES 0.1-0.8 nm flux (W/m²) at the start of each flare class
+const FLARE_CLASSES = [['X', 1e-4], ['M', 1e-5], ['C', 1e-6], ['B', 1e-7], ['A', 1e-8]];
+
+// Flares at or above this are listed (M1 - the ones that can launch CMEs)
+export const SIGNIFICANT_FLARE_FLUX = 1e-5;
+
+// CME signatures (Type II/IV radio sweeps) are kept this long
+const CME_SIGNATURE_HOURS = 72;
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Flare class for a GOES long-channel flux, e.g. 2.2e-4 → "X2.2"
+ * @param {number} flux - W/m²
+ * @returns {string|null}
+ */
+export function classifyXrayFlux(flux) {
+  if (!(flux > 0)) return null;
+  const [letter, base] = FLARE_CLASSES.find(([, min]) => flux >= min) || FLARE_CLASSES[FLARE_CLASSES.length - 1];
+  return `${letter}${(Math.floor(flux / base * 10) / 10).toFixed(1)}`;
+}
+
+// "2024 May 10 1430 UTC" → ms
+export function parseSwpcTime(value) {
+  const match = /(\d{4}) ([A-Z][a-z]{2}) (\d{1,2}) (\d{2})(\d{2}) UTC/.exec(value || '');
+  if (!match || !(match[2] in MONTHS)) return NaN;
+  return Date.UTC(+match[1], MONTHS[match[2]], +match[3], +match[4], +match[5]);
+}
+
+// "2024-05-10 14:31:12.483" (UTC, no zone) → ms
+function toMs(value) {
+  if (!value) return NaN;
+  const text = String(value).trim().replace(' ', 'T');
+  return Date.parse(/Z$|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+}
+
+// Value after "Label:" on its own line of a message
+function line(message, label) {
+  const match = new RegExp(`^${label}:\\s*(.+)$`, 'mi').exec(message);
+  return match ? match[1].trim() : null;
+}
+
+// "Highest Storm Level Predicted by Day" → [{ date, gScale }]. Day labels
+// have no year; a January day in a December message is next year's.
+function parsePredictedDays(message, issued) {
+  const issuedDate = new Date(issued);
+  const days = [];
+  for (const [, month, day, level] of message.matchAll(/\b([A-Z][a-z]{2}) (\d{1,2}):\s+(G\d|None)/g)) {
+    if (!(month in MONTHS)) continue;
+    const year = issuedDate.getUTCFullYear() + (MONTHS[month] < issuedDate.getUTCMonth() - 6 ? 1 : 0);
+    days.push({
+      date: new Date(Date.UTC(year, MONTHS[month], +day)).toISOString().slice(0, 10),
+      gScale: level === 'None' ? 0 : parseInt(level.slice(1))
+    });
+  }
+  return days;
+}
+
+/**
+ * Parse one product from alerts.json
+ * @param {object} product - { product_id, issue_datetime, message }
+ * @returns {object|null} - { serial, code, kind, title, issued, validFrom, validTo,
+ *                          gScale, kp, predictedDays, cause, supersedes,
+ *                          replacesSerial, velocity, xrayClass }
+ */
+export function parseSwpcMessage(product) {
+  const message = String(product?.message || '').replace(/\r/g, '');
+  const serial = line(message, 'Serial Number');
+  const title = /^((?:CANCEL |EXTENDED )?(?:WATCH|WARNING|ALERT|SUMMARY|CONTINUED ALERT)):\s*(.+)$/m.exec(message);
+  if (!serial || !title) return null;
+
+  const issued = parseSwpcTime(line(message, 'Issue Time')) || toMs(product.issue_datetime);
+  if (isNaN(issued)) return null;
+  const kind = title[1].toLowerCase().replace(' ', '-');
+  const kp = /K-index of (\d)/.exec(title[2]);
+  const category = /Category (G\d)/.exec(title[2]);
+  const validFrom = parseSwpcTime(line(message, 'Valid From'));
+  const validTo = parseSwpcTime(line(message, 'Now Valid Until') || line(message, 'Valid To'));
+  const velocity = parseInt(line(message, 'Estimated Velocity'));
+  const predictedDays = kind === 'watch' ? parsePredictedDays(message, issued) : [];
+
+  return {
+    serial,
+    code: line(message, 'Space Weather Message Code'),
+    kind,
+    title: `${title[1]}: ${title[2]}`,
+    issued: new Date(issued).toISOString(),
+    validFrom: isNaN(validFrom) ? null : new Date(validFrom).toISOString(),
+    validTo: isNaN(validTo) ? null : new Date(validTo).toISOString(),
+    gScale: category ? parseInt(category[1].slice(1)) : kp ? kpToGScale(+kp[1]) : Math.max(0, ...predictedDays.map(d => d.gScale)),
+    kp: kp ? +kp[1] : null,
+    predictedDays,
+    cause: /\bCMEs?\b|coronal mass ejection/i.test(message) ? 'cme'
+      : /coronal hole|\bCH HSS\b/i.test(message) ? 'coronal-hole' : null,
+    supersedes: /SUPERSEDES ANY\/ALL PRIOR WATCHES/i.test(message),
+    replacesSerial: line(message, 'Cancel Serial Number') || line(message, 'Extension to Serial Number'),
+    velocity: Number.isFinite(velocity) ? velocity : null,
+    xrayClass: line(message, 'X-ray Class')
+  };
+}
+
+/**
+ * Geomagnetic storm watches still ahead or in progress. A watch's arrival
+ * window runs from its first to its last predicted G1+ day (UTC), starting
+ * no earlier than it was issued.
+ * @param {Array} messages - parseSwpcMessage results
+ * @param {number} [now]
+ * @returns {Array} - [{ serial, title, issued, gScale, cause, arrival: { start, end }, predictedDays }] soonest first
+ */
+export function getActiveStormWatches(messages, now = Date.now()) {
+  const watches = messages
+    .filter(m => m && (m.kind === 'watch' || m.kind === 'cancel-watch'))
+    .sort((a, b) => Date.parse(a.issued) - Date.parse(b.issued));
+
+  const active = new Map();
+  for (const m of watches) {
+    if (m.kind === 'cancel-watch') {
+      active.delete(m.replacesSerial);
+      continue;
+    }
+    if (m.supersedes) active.clear();
+    const stormDays = m.predictedDays.filter(d => d.gScale > 0);
+    if (!stormDays.length) continue;
+    const start = Math.max(Date.parse(stormDays[0].date), Date.parse(m.issued));
+    const end = Date.parse(stormDays[stormDays.length - 1].date) + DAY_MS;
+    active.set(m.serial, {
+      serial: m.serial,
+      title: m.title,
+      issued: m.issued,
+      gScale: Math.max(...stormDays.map(d => d.gScale)),
+      cause: m.cause,
+      arrival: { start: new Date(start).toISOString(), end: new Date(end).toISOString() },
+      predictedDays: m.predictedDays
+    });
+  }
+
+  return [...active.values()]
+    .filter(w => Date.parse(w.arrival.end) > now)
+    .sort((a, b) => Date.parse(a.arrival.start) - Date.parse(b.arrival.start));
+}
+
+/**
+ * K-index and sudden impulse warnings valid now or later (hours of notice:
+ * the storm or CME shock is expected imminently). Extended warnings replace
+ * the one they extend.
+ * @returns {Array} - [{ serial, title, issued, validFrom, validTo, kp, gScale, suddenImpulse }]
+ */
+export function getActiveWarnings(messages, now = Date.now()) {
+  const warnings = new Map();
+  const sorted = messages
+    .filter(m => m && (m.kind === 'warning' || m.kind === 'extended-warning') && m.validTo)
+    .sort((a, b) => Date.parse(a.issued) - Date.parse(b.issued));
+  for (const m of sorted) {
+    if (m.replacesSerial) warnings.delete(m.replacesSerial);
+    warnings.set(m.serial, {
+      serial: m.serial,
+      title: m.title,
+      issued: m.issued,
+      validFrom: m.validFrom,
+      validTo: m.validTo,
+      kp: m.kp,
+      gScale: m.gScale,
+      suddenImpulse: /Sudden Impulse/i.test(m.title)
+    });
+  }
+  return [...warnings.values()].filter(w => Date.parse(w.validTo) > now);
+}
+
+/**
+ * Latest GOES long-channel (0.1-0.8 nm) X-ray flux
+ * @param {Array} rows - xrays-6-hour.json: [{ time_tag, flux, energy, satellite }]
+ * @returns {object|null} - { time, flux, class, satellite }
+ */
+export function parseXrayFlux(rows) {
+  if (!Array.isArray(rows)) return null;
+  let latest = null;
+  for (const row of rows) {
+    if (row?.energy !== '0.1-0.8nm' || !(row.flux > 0)) continue;
+    if (!latest || toMs(row.time_tag) > toMs(latest.time_tag)) latest = row;
+  }
+  if (!latest) return null;
+  return {
+    time: new Date(toMs(latest.time_tag)).toISOString(),
+    flux: latest.flux,
+    class: classifyXrayFlux(latest.flux),
+    satellite: latest.satellite ?? null
+  };
+}
+
+/**
+ * Significant flares (M1+) from the GOES flare list, newest first
+ * @param {Array} rows - xray-flares-7-day.json: [{ begin_time, max_time, end_time, max_class, max_xrlong }]
+ * @returns {Array} - [{ begin, peak, end, class, flux }]
+ */
+export function parseXrayFlares(rows, minFlux = SIGNIFICANT_FLARE_FLUX) {
+  if (!Array.isArray(rows)) return [];
+  const iso = (value) => (isNaN(toMs(value)) ? null : new Date(toMs(value)).toISOString());
+  return rows
+    .filter(r => r?.max_time && r.max_xrlong >= minFlux)
+    .map(r => ({
+      begin: iso(r.begin_time),
+      peak: iso(r.max_time),
+      end: iso(r.end_time),
+      class: r.max_class || classifyXrayFlux(r.max_xrlong),
+      flux: r.max_xrlong
+    }))
+    .sort((a, b) => Date.parse(b.peak) - Date.parse(a.peak));
+}
+
+/**
+ * Everything the aurora panel and storm alerts need from the event products
+ * @param {object} feeds - { alerts, xrays, xrayFlares } as NOAA serves them (any may be null)
+ * @param {number} [now]
+ * @returns {object} - { stormWatches, warnings, cmeSignatures, flares, xray, strongestWatch }
+ */
+export function summarizeSpaceWeatherEvents({ alerts, xrays, xrayFlares }, now = Date.now()) {
+  const messages = (Array.isArray(alerts) ? alerts : [])
+    .map(parseSwpcMessage)
+    .filter(m => m && Date.parse(m.issued) <= now);
+  const stormWatches = getActiveStormWatches(messages, now);
+  const since = now - CME_SIGNATURE_HOURS * 60 * 60 * 1000;
+
+  return {
+    stormWatches,
+    warnings: getActiveWarnings(messages, now),
+    // Radio sweeps that usually mean a CME left the sun - watches follow once it is modelled
+    cmeSignatures: messages
+      .filter(m => /Type I[IV] Radio Emission/i.test(m.title) && Date.parse(m.issued) >= since)
+      .map(m => ({ serial: m.serial, title: m.title, issued: m.issued, velocity: m.velocity })),
+    flares: parseXrayFlares(xrayFlares).filter(f => Date.parse(f.peak) <= now),
+    xray: parseXrayFlux((Array.isArray(xrays) ? xrays : []).filter(r => toMs(r?.time_tag) <= now)),
+    strongestWatch: stormWatches.reduce((max, w) => (!max || w.gScale > max.gScale ? w : max), null)
+  };
+}
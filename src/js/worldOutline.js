@@ -0,0 +1,105 @@
+/**
+ * Nocturne - World Outline v3.1.0
+ *
+ * Very coarse coastline polygons ([lon, lat] rings) for the auroral oval
+ * map. Accurate to a degree or two - enough to tell where the oval sits,
+ * small enough to ship without a map library or tile server.
+ *
+ * Part of Nocturne 24x7 Personal Assistant
+ */
+
+export const LAND_POLYGONS = [
+  // North America
+  [[-168, 66], [-162, 70], [-156, 71.3], [-141, 69.6], [-128, 70], [-115, 68.5], [-95, 68], [-85, 69.5],
+    [-82, 66], [-88, 64], [-94, 59], [-92, 57], [-82, 55], [-79, 51.5], [-77, 56], [-78, 62.5], [-73, 62],
+    [-65, 60], [-61, 56], [-56, 52], [-60, 47], [-66, 44.5], [-70, 42], [-74, 40.5], [-76, 35], [-81, 31],
+    [-80, 25.5], [-82, 27.5], [-84, 30], [-90, 29.5], [-97, 27.5], [-97.5, 22], [-95, 18.5], [-91, 18.5],
+    [-87, 21], [-88, 16], [-83.5, 15], [-83.5, 11], [-79.5, 9], [-77.5, 8], [-80, 7.5], [-85, 10],
+    [-87.5, 13], [-92, 14.5], [-96, 15.7], [-105, 19.5], [-105.5, 23], [-109, 26], [-112, 29],
+    [-114.5, 31.5], [-112.5, 27], [-110, 23], [-112, 24.5], [-115, 28], [-117, 32.5], [-120.5, 34.5],
+    [-124, 40.5], [-124, 46.5], [-123.5, 48.5], [-127.5, 50.5], [-133, 55], [-137, 58.5], [-146, 60.5],
+    [-152, 59], [-158, 56], [-163, 55], [-158, 58.5], [-162, 60], [-165, 62.5], [-164, 64.5]],
+  // Greenland
+  [[-73, 78], [-60, 82], [-35, 83.5], [-20, 82], [-18, 76], [-22, 70.5], [-32, 68], [-40, 65], [-43, 60],
+    [-48, 61], [-52, 65], [-54, 69], [-58, 75.5]],
+  // Canadian Arctic islands
+  [[-80, 73.5], [-68, 70.5], [-62, 66.8], [-66, 62], [-72, 63], [-78, 64.5], [-73, 68], [-86, 70], [-90, 73]],
+  [[-92, 77.5], [-75, 78], [-62, 82], [-80, 83], [-95, 81]],
+  [[-118, 69], [-102, 68.5], [-100, 70], [-106, 73], [-118, 73]],
+  // Iceland, Great Britain, Ireland, Svalbard, Novaya Zemlya
+  [[-22.5, 63.8], [-18, 63.4], [-14, 64.5], [-14.5, 66], [-17, 66.2], [-22.5, 66.4], [-24, 65.5]],
+  [[-5.7, 50], [1.5, 51.2], [1.7, 52.7], [-0.3, 53.5], [-1.5, 55.5], [-2, 57.7], [-3, 58.6], [-5, 58.6],
+    [-6.2, 56.8], [-5, 55], [-3, 54.9], [-3.3, 53.4], [-4.6, 52.8], [-5.2, 51.7], [-3, 51.5]],
+  [[-6, 52], [-6, 54], [-7.3, 55.3], [-10, 54.2], [-10.3, 51.8], [-8, 51.5]],
+  [[11, 78.5], [17, 80], [27, 80], [22, 77.3], [15, 77]],
+  [[52, 71.5], [57, 70.6], [60, 73.5], [68, 76.5], [60, 77]],
+  // Eurasia
+  [[-9, 43], [-9, 38.7], [-6, 36], [-2, 36.7], [0.5, 38.7], [3, 42], [6, 43], [9, 44.4], [12.5, 41.5],
+    [16, 38], [18.5, 40], [13.5, 45.5], [19.5, 42], [23, 37], [26, 40], [26.5, 38], [28, 36.7], [30.5, 36.5],
+    [33, 36.1], [36, 36.5], [35.9, 35], [35, 33], [34.2, 31.3], [32.5, 30], [34.5, 28], [39, 22], [43, 13],
+    [45, 12.8], [52, 16], [57, 18.8], [59.8, 22.5], [56.5, 24.5], [56, 26.5], [51.5, 24], [50, 27],
+    [48, 29.5], [50.5, 30], [57, 25.7], [62, 25], [66.5, 25.4], [70, 22.5], [72.8, 19], [74, 15], [76.5, 8.5],
+    [77.5, 8], [80, 10], [80.3, 13.5], [82.3, 17], [87, 21.5], [91, 22.5], [92.5, 20.5], [94.5, 16.5],
+    [97.5, 16.5], [98.5, 10], [100.5, 7], [100.3, 3.5], [103.5, 1.3], [104, 3], [103, 5.5], [100.5, 13.5],
+    [103, 11], [105, 8.7], [107, 10.5], [109, 12], [108.5, 16], [106.5, 19.5], [108, 21.5], [110.5, 21],
+    [113.5, 22.2], [117, 23.5], [119.5, 26], [122, 30], [121.5, 32.3], [119.5, 35], [122.5, 37], [118, 38.5],
+    [121.5, 40.8], [124.5, 40], [126.5, 37.5], [126.5, 34.5], [129.3, 35.3], [129.5, 37], [128, 39.5],
+    [130, 42.3], [132, 43.3], [135.5, 43.9], [138.5, 47], [140.5, 51.5], [141, 53], [137, 54], [135, 54.6],
+    [140.5, 57.5], [145, 59.3], [152, 59], [155, 59.5], [156.7, 61.4], [162, 62], [163.5, 59.7],
+    [156.6, 57.5], [156, 51], [158.5, 52.9], [163, 56], [162.5, 58], [170, 60], [177, 62.5], [180, 64.5],
+    [-175, 64.5], [-170, 66.2], [-175, 68], [180, 69.5], [170, 70], [160, 70], [152, 71], [140, 72.5],
+    [130, 71], [128, 73], [113, 73.5], [110, 76.8], [104, 77.7], [95, 76], [87, 75], [80, 73.5], [72, 72.8],
+    [69, 73], [66, 69.5], [60, 69.8], [55, 68.5], [44, 68.5], [41, 66.5], [37, 64.5], [33, 66.5], [41, 67.5],
+    [34, 69.3], [28, 71], [20, 70], [14, 68], [10, 63.5], [5, 62], [5.5, 58.5], [8, 58], [10.5, 59.3],
+    [11.5, 58], [12.5, 56], [14, 55.5], [16.5, 56.5], [17, 58.5], [18.8, 60.2], [17.5, 62.5], [22, 65.8],
+    [25, 65], [21.5, 62.5], [21.5, 60.7], [25, 60.2], [30, 60], [28, 59.5], [23.5, 59], [24, 57.5], [21, 56.8],
+    [21.2, 55], [19.5, 54.4], [14, 54], [10, 54.3], [8.6, 57.1], [8, 55.5], [8.5, 53.5], [5, 53], [3.5, 51.5],
+    [1.7, 51], [-1.5, 49.7], [-4.7, 48.5], [-1.2, 46], [-1.5, 43.4]],
+  // Japan, Sri Lanka
+  [[130.8, 31.2], [131.5, 33.5], [135, 33.5], [139.8, 35], [141, 38], [142, 39.5], [141.3, 41.4], [140, 40.5],
+    [139.8, 38], [137, 37], [133, 35.5], [130.9, 34.3]],
+  [[140, 41.5], [143.3, 42], [145.5, 43.3], [141.9, 45.5], [140, 43.2]],
+  [[80, 9.8], [81.8, 7.5], [80.5, 5.9], [79.8, 8]],
+  // Africa, Madagascar
+  [[-17, 21], [-16, 14.5], [-17.5, 14.7], [-15, 11], [-13, 8], [-10, 6], [-7.5, 4.4], [-2, 4.8], [2, 6.3],
+    [4.5, 6.3], [6, 4.3], [9.5, 4], [9.8, 2], [9, -1], [11.8, -5], [13.2, -9], [12.5, -13.5], [11.8, -17],
+    [14.5, -22.5], [15.3, -27], [17, -29.5], [18.4, -34], [20, -34.8], [22.5, -34], [26, -33.8],
+    [28.5, -32.3], [32.5, -28.5], [32.8, -26], [35.5, -24], [35.3, -21.5], [35, -19.8], [40.5, -15],
+    [40.5, -10.5], [39.2, -6.5], [39.7, -4], [41.5, -1.6], [43.5, 0.3], [48, 4.5], [51.3, 11], [48, 11.2],
+    [44, 10.5], [43.2, 11.6], [42.7, 13], [39.5, 15.5], [38.5, 18], [37.2, 21], [35.6, 23.5], [34, 27],
+    [32.5, 30], [32, 31.3], [29, 30.9], [25, 31.6], [20, 31], [19.9, 32], [15.5, 31.5], [11, 33.3],
+    [10.2, 35], [11, 37], [8.5, 37], [3, 36.8], [-2, 35.1], [-5.9, 35.8], [-6.8, 34], [-9.6, 30.4],
+    [-13, 27.8]],
+  [[44.3, -25], [47.1, -24.8], [50.4, -15.9], [49.3, -12], [44, -16.5], [43.3, -22]],
+  // Cuba
+  [[-85, 21.9], [-80, 23.1], [-74.2, 20.2], [-77.7, 19.9], [-82, 22.7]],
+  // South America
+  [[-77.5, 8], [-75, 10.8], [-71.5, 12.4], [-68, 10.5], [-62, 10.7], [-60, 8.3], [-57, 6], [-52, 5],
+    [-50, 1.8], [-48, -1], [-44.5, -2.5], [-39.5, -3], [-35, -5.5], [-35, -9], [-37.5, -12.5], [-39, -17.5],
+    [-40.5, -21], [-43, -23], [-48.5, -26], [-48.8, -28.5], [-53, -33.8], [-56, -34.8], [-58.4, -34.6],
+    [-57.5, -38], [-62, -39], [-65, -41], [-64, -42.5], [-67.5, -46], [-65.8, -47.8], [-69, -51],
+    [-68.5, -52.4], [-70.5, -53], [-74.5, -52], [-75.5, -47], [-73.5, -42], [-73.5, -37], [-71.6, -33],
+    [-71.4, -28], [-70.2, -18.5], [-76, -14], [-79.5, -7.5], [-81.2, -5], [-80, -2], [-80, 0.8],
+    [-78.5, 2.5]],
+  // Maritime Southeast Asia
+  [[95.3, 5.5], [98, 4], [103.5, -1], [106, -6], [104.5, -5.8], [100, -1]],
+  [[109, 1.5], [111.5, -3], [116, -4], [118, 1], [119, 5], [116, 7], [113, 3]],
+  [[105.5, -6.8], [114.5, -7.7], [114, -8.7], [106, -7.8]],
+  [[131, -1], [138, -1.5], [145, -4], [150.5, -10.5], [146, -8.3], [143, -9], [138, -8.3], [132.5, -4]],
+  // Australia, Tasmania
+  [[113.5, -22], [114, -26.5], [115, -34], [118, -35], [123, -33.8], [129, -31.6], [134, -32.5],
+    [137.8, -35.6], [140, -38], [143.5, -38.8], [146.3, -39], [150, -37.5], [151.2, -33.9], [153.5, -28.5],
+    [153, -25], [149.5, -22], [146, -19], [145.3, -15], [142.5, -10.7], [141.6, -15], [140.5, -17.5],
+    [137, -15.8], [136, -12], [132.5, -11.3], [130, -13], [129.5, -15], [126, -14], [122.3, -17.5],
+    [121, -19.5], [116.5, -20.7]],
+  [[144.6, -40.7], [148.3, -40.9], [148, -43.2], [146, -43.6], [145.2, -42.2]],
+  // New Zealand
+  [[172.7, -34.4], [174.5, -35.5], [175.9, -37.5], [178.5, -37.7], [177, -39.5], [175, -41.5],
+    [174.6, -39.8], [173.8, -39.2], [174.5, -37]],
+  [[172.7, -40.5], [174.3, -41.7], [173, -43.8], [171, -45.5], [169, -46.6], [166.5, -46], [167, -45],
+    [168.4, -44], [170.8, -42.8]],
+  // Antarctica
+  [[-180, -78.5], [-150, -77], [-120, -74], [-100, -73], [-80, -73], [-68, -70], [-60, -64], [-57, -63.3],
+    [-60, -68], [-62, -74], [-50, -78], [-35, -78], [-20, -74], [0, -70.5], [30, -69.5], [60, -67],
+    [70, -68.5], [80, -67], [100, -66], [120, -66.5], [140, -66.5], [160, -70], [170, -72], [180, -78.5]]
+];
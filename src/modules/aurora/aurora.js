@@ -7,6 +7,19 @@
  * Part of Nocturne 24x7 Personal Assistant
  */
 
+import {
+  makeAuroraDecision,
+  getDarknessInfo as classifyDarkness,
+  getVisibleLatitude,
+  getVisibleGeographicLatitude,
+  getObserverMagneticLatitude,
+  getHemisphere,
+  formatLatitude
+} from '../../js/decision.js';
+import { getSunPosition, getMoonPosition } from '../../js/astronomy.js';
+import { renderAuroraMap, MAP_EDGE_LATITUDE } from '../../js/auroraMap.js';
+import { describeFreshness } from '../../js/freshness.js';
+
 // =============================================================================
 // Module Metadata
 // =============================================================================
@@ -31,138 +44,38 @@ let locationName = 'Seattle, WA';
 let currentData = null;
 let cloudData = null;
 let ovationData = null;
+let ovationGrid = null;
 let weatherData = null;
+let nowcastData = null;
+let eventsData = null;
+let planningData = null;
+let sightingsData = null;
+const sightingPhotoUrls = new Map();
 let darknessInfo = null;
 let refreshInterval = null;
 
 // =============================================================================
 // Darkness Calculation
 // =============================================================================
-function getSunPosition(lat, lon, date = new Date()) {
-  const toRad = (deg) => deg * Math.PI / 180;
-  const toDeg = (rad) => rad * 180 / Math.PI;
-  
-  const start = new Date(date.getFullYear(), 0, 0);
-  const diff = date - start;
-  const dayOfYear = Math.floor(diff / (1000 * 60 * 60 * 24));
-  const declination = -23.45 * Math.cos(toRad((360 / 365) * (dayOfYear + 10)));
-  const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60;
-  const solarNoon = 12 - (lon / 15);
-  const hourAngle = (utcHours - solarNoon) * 15;
-  const latRad = toRad(lat);
-  const decRad = toRad(declination);
-  const haRad = toRad(hourAngle);
-  const sinAlt = Math.sin(latRad) * Math.sin(decRad) + 
-                 Math.cos(latRad) * Math.cos(decRad) * Math.cos(haRad);
-  const altitude = toDeg(Math.asin(Math.max(-1, Math.min(1, sinAlt))));
-  
-  return {
-    altitude: Math.round(altitude * 10) / 10,
-    declination: Math.round(declination * 10) / 10,
-    hourAngle: Math.round(hourAngle)
-  };
-}
-
 function getDarknessInfo() {
-  const sun = getSunPosition(userLatitude, userLongitude);
-  const alt = sun.altitude;
-  
-  let level, description, isDark, canViewAurora;
-  
-  if (alt < -18) {
-    level = 'night';
-    description = 'Full darkness - ideal for aurora';
-    isDark = true;
-    canViewAurora = true;
-  } else if (alt < -12) {
-    level = 'nautical';
-    description = 'Nautical twilight - good for aurora';
-    isDark = true;
-    canViewAurora = true;
-  } else if (alt < -6) {
-    level = 'civil';
-    description = 'Civil twilight - only bright aurora visible';
-    isDark = false;
-    canViewAurora = true;
-  } else if (alt < 0) {
-    level = 'horizon';
-    description = 'Sun near horizon - too bright';
-    isDark = false;
-    canViewAurora = false;
-  } else {
-    level = 'day';
-    description = 'Daytime - aurora not visible';
-    isDark = false;
-    canViewAurora = false;
-  }
-  
-  return { isDark, level, description, canViewAurora, sunAltitude: alt };
+  const now = new Date();
+  const sun = getSunPosition(userLatitude, userLongitude, now);
+  return classifyDarkness(sun.altitude, getMoonPosition(userLatitude, userLongitude, now));
 }
 
 // =============================================================================
-// Decision Logic
+// Decision Logic - shared engine (src/js/decision.js)
 // =============================================================================
-function makeDecision(data, clouds, darkness) {
-  // NO GO if daytime
-  if (!darkness.canViewAurora) {
-    return {
-      decision: 'NO GO',
-      reason: darkness.description,
-      icon: '☀️',
-      class: 'no-go'
-    };
-  }
-  
-  // NO GO if Bz not southward
-  if (data.bz >= 0) {
-    return {
-      decision: 'NO GO',
-      reason: 'Bz northward - magnetosphere closed',
-      icon: '🧲',
-      class: 'no-go'
-    };
-  }
-  
-  // Calculate visible latitude based on Bz
-  let visibleLat = 70;
-  if (data.bz < -25) visibleLat = 35;
-  else if (data.bz < -20) visibleLat = 40;
-  else if (data.bz < -15) visibleLat = 45;
-  else if (data.bz < -10) visibleLat = 50;
-  else if (data.bz < -5) visibleLat = 55;
-  else if (data.bz < -3) visibleLat = 60;
-  
-  // NO GO if aurora won't reach user's latitude
-  if (userLatitude < visibleLat) {
-    return {
-      decision: 'NO GO',
-      reason: `Aurora at ${visibleLat}°N+, you're at ${userLatitude.toFixed(1)}°N`,
-      icon: '📍',
-      class: 'no-go'
-    };
-  }
-  
-  // Check clouds
-  if (clouds && clouds.low > 50) {
-    return {
-      decision: 'NO GO',
-      reason: `Low clouds blocking sky (${clouds.low}%)`,
-      icon: '☁️',
-      class: 'no-go'
-    };
-  }
-  
-  // GO conditions met!
-  let strength = 'Moderate';
-  if (data.similarity >= 60) strength = 'Strong';
-  else if (data.similarity >= 40) strength = 'Good';
-  
-  return {
-    decision: 'GO',
-    reason: `${strength} aurora conditions at your latitude!`,
-    icon: '✨',
-    class: 'go'
-  };
+function makeDecision() {
+  return makeAuroraDecision({
+    data: currentData,
+    latitude: userLatitude,
+    longitude: userLongitude,
+    sunAltitude: darknessInfo?.sunAltitude,
+    moon: darknessInfo?.moon,
+    clouds: cloudData,
+    ovation: ovationData
+  });
 }
 
 // =============================================================================
@@ -183,6 +96,53 @@ async function fetchOvation() {
   return response.json();
 }
 
+// Only the map's hemisphere, pole to map edge, and cells worth drawing
+async function fetchOvationGrid() {
+  const hemisphere = userLatitude < 0 ? 'south' : 'north';
+  const bbox = hemisphere === 'south' ? `-180,-90,180,-${MAP_EDGE_LATITUDE}` : `-180,${MAP_EDGE_LATITUDE},180,90`;
+  const response = await fetch(`/api/aurora/ovation/grid?hemisphere=${hemisphere}&bbox=${bbox}&minProbability=3`);
+  return response.ok ? response.json() : null;
+}
+
+async function fetchNowcast() {
+  const response = await fetch(`/api/aurora/nowcast?lat=${userLatitude}&lon=${userLongitude}`);
+  return response.json();
+}
+
+async function fetchEvents() {
+  const response = await fetch('/api/aurora/events');
+  return response.ok ? response.json() : null;
+}
+
+async function fetchPlanning() {
+  const response = await fetch(`/api/aurora/planning?lat=${userLatitude}&lon=${userLongitude}`);
+  return response.ok ? response.json() : null;
+}
+
+// The sighting log holds personal locations - sent with Settings → Server's admin token
+function getAuthHeaders() {
+  try {
+    const { adminToken } = JSON.parse(localStorage.getItem('nocturne_settings') || '{}');
+    return adminToken ? { Authorization: `Bearer ${adminToken}` } : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+async function fetchSightings() {
+  const headers = getAuthHeaders();
+  const [list, calibration] = await Promise.all([
+    fetch('/api/sightings', { headers }),
+    fetch('/api/sightings/calibration', { headers })
+  ]);
+  if (list.status === 401) return { unauthorized: true };
+  if (!list.ok) return null;
+  return {
+    sightings: (await list.json()).sightings,
+    calibration: calibration.ok ? await calibration.json() : null
+  };
+}
+
 async function fetchWeather() {
   const response = await fetch(`/api/weather/forecast?lat=${userLatitude}&lon=${userLongitude}`);
   return response.json();
@@ -245,7 +205,7 @@ function updateUI() {
   if (!currentData) return;
   
   darknessInfo = getDarknessInfo();
-  const decision = makeDecision(currentData, cloudData, darknessInfo, ovationData);
+  const decision = makeDecision();
   
   // Decision card
   const decisionCard = document.getElementById('decision-card');
@@ -263,8 +223,8 @@ function updateUI() {
   // Similarity
   const similarityBadge = document.getElementById('similarity-badge');
   const similarityBar = document.getElementById('similarity-bar');
-  if (similarityBadge) similarityBadge.textContent = `${currentData.similarity}%`;
-  if (similarityBar) similarityBar.style.width = `${currentData.similarity}%`;
+  if (similarityBadge) similarityBadge.textContent = currentData.similarity === null ? '--' : `${currentData.similarity}%`;
+  if (similarityBar) similarityBar.style.width = `${currentData.similarity || 0}%`;
   
   // Update all metrics
   updateMetrics();
@@ -276,6 +236,24 @@ function updateUI() {
 function updateMetrics() {
   const data = currentData;
   if (!data) return;
+
+  // Nothing has reached Earth yet - show what is on its way, not a future sample as "now"
+  if (data.propagation?.awaitingArrival) {
+    ['bz', 'speed', 'pressure', 'density', 'bt'].forEach(name => setMetric(name, '--', 0, 'Awaiting arrival'));
+    ['clock-current', 'duration-current'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = '--';
+    });
+    ['clock-status', 'duration-status'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = 'Awaiting arrival';
+    });
+    const durationBar = document.getElementById('duration-bar');
+    if (durationBar) durationBar.style.width = '0%';
+    updateGScale(data.gScale, data.gPredicted);
+    updatePropagation();
+    return;
+  }
   
   // Bz
   setMetric('bz', data.bz, data.scores.bz, data.bz < -5 ? 'Southward!' : data.bz < 0 ? 'Weakly south' : 'Northward');
@@ -310,6 +288,31 @@ function updateMetrics() {
   
   // G-Scale
   updateGScale(data.gScale, data.gPredicted);
+
+  updatePropagation();
+}
+
+// Metrics show what is reaching Earth now; L1 readings arrive 30-60 min later
+function updatePropagation() {
+  const note = document.getElementById('propagation-note');
+  const arrival = document.getElementById('bz-arrival');
+  const propagation = currentData?.propagation;
+  if (!note || !arrival) return;
+
+  if (!propagation) {
+    note.textContent = 'Latest L1 reading';
+    arrival.textContent = '';
+    return;
+  }
+
+  note.textContent = propagation.awaitingArrival
+    ? 'Awaiting arrival · no L1 reading has reached Earth yet'
+    : `Arriving at Earth now · measured at L1 ${propagation.delayMinutes} min ago`;
+  const { upcoming, peak } = propagation;
+  const next = peak && peak.bz < upcoming.bz - 3 ? peak : upcoming;
+  arrival.textContent = next.minutesUntilArrival > 0
+    ? `${next === peak ? '⚡ ' : ''}${next.bz.toFixed(1)} nT arriving in ~${next.minutesUntilArrival} min`
+    : '';
 }
 
 function setMetric(name, value, score, status) {
@@ -366,14 +369,306 @@ function updateClouds() {
   });
 }
 
+function formatHour(iso) {
+  return new Date(iso).toLocaleTimeString([], { hour: 'numeric' });
+}
+
+function updateNowcast() {
+  const strip = document.getElementById('nowcast-strip');
+  const best = document.getElementById('nowcast-best');
+  if (!strip || !best || !nowcastData?.hours) return;
+
+  if (!nowcastData.hours.length) {
+    best.className = 'nowcast-best';
+    best.textContent = 'No darkness in the next 24h';
+    strip.innerHTML = '<span class="nowcast-empty">Aurora viewing needs the sun 6° below the horizon</span>';
+    return;
+  }
+
+  const bestWindow = nowcastData.bestWindow;
+  const moon = nowcastData.moon;
+  const moonNote = moon && moon.illumination >= 0.1
+    ? ` · 🌙 ${Math.round(moon.illumination * 100)}%${moon.rise ? `, rises ${formatHour(moon.rise)}` : ''}${moon.set ? `, sets ${formatHour(moon.set)}` : ''}`
+    : '';
+  best.className = bestWindow ? 'nowcast-best has-window' : 'nowcast-best';
+  best.textContent = (bestWindow
+    ? `Best: ${formatHour(bestWindow.start)}–${formatHour(bestWindow.end)} (${bestWindow.score})`
+    : 'No clear dark window') + moonNote;
+
+  const inBest = (time) => bestWindow && time >= bestWindow.start && time < bestWindow.end;
+  strip.innerHTML = nowcastData.hours.map(h => {
+    const level = h.score >= 50 ? 'good' : h.score >= 25 ? 'fair' : '';
+    const icons = [
+      h.clouds && h.clouds.low >= 50 ? '☁️' : '',
+      h.moon.interference === 'moderate' || h.moon.interference === 'high' ? '🌕' : '',
+      h.predictedG > 0 ? `G${h.predictedG}` : ''
+    ].join('');
+    const title = `${formatHour(h.time)} · sun ${h.sun.altitude}° · low ${h.clouds?.low ?? '--'}% / mid ${h.clouds?.mid ?? '--'}%` +
+      ` · moon ${Math.round(h.moon.illumination * 100)}% (${h.moon.interference})` +
+      `${h.ovation !== null ? ` · OVATION ${h.ovation}%` : ''} · G${h.predictedG} · score ${h.score}`;
+    return `
+      <div class="nowcast-hour${inBest(h.time) ? ' best' : ''}" title="${title}">
+        <div class="nowcast-bar"><div class="nowcast-fill ${level}" style="height: ${Math.max(4, h.score)}%"></div></div>
+        <span class="nowcast-icons">${icons}</span>
+        <span class="nowcast-time">${formatHour(h.time)}</span>
+      </div>`;
+  }).join('');
+}
+
+function formatDayTime(iso) {
+  return new Date(iso).toLocaleString([], { weekday: 'short', hour: 'numeric' });
+}
+
+// Storm watches (days of notice), warnings (hours) and the flares behind them
+function updateEvents() {
+  const list = document.getElementById('events-list');
+  const xray = document.getElementById('xray-class');
+  if (!list || !xray) return;
+
+  const flare = eventsData?.flares?.[0];
+  xray.textContent = eventsData?.xray ? `X-ray ${eventsData.xray.class}` : 'X-ray --';
+  xray.title = flare ? `Latest M/X flare: ${flare.class} at ${formatDayTime(flare.peak)}` : '';
+
+  if (!eventsData) {
+    list.innerHTML = '<li class="events-empty">Storm watches unavailable</li>';
+    return;
+  }
+
+  const cause = { cme: 'CME', 'coronal-hole': 'coronal hole' };
+  const items = [
+    ...eventsData.stormWatches.map(w => `
+      <li><span class="event-badge">G${w.gScale}</span>
+        <span>Watch${w.cause ? ` (${cause[w.cause]})` : ''} <span class="event-detail">${formatDayTime(w.arrival.start)} – ${formatDayTime(w.arrival.end)}</span></span></li>`),
+    ...eventsData.warnings.map(w => `
+      <li><span class="event-badge${w.gScale ? '' : ' minor'}">${w.suddenImpulse ? 'SI' : `K${w.kp ?? '?'}`}</span>
+        <span>${w.suddenImpulse ? 'Shock arrival expected' : 'Warning'} <span class="event-detail">until ${formatDayTime(w.validTo)}</span></span></li>`),
+    ...eventsData.cmeSignatures.map(c => `
+      <li><span class="event-badge minor">CME</span>
+        <span>Possible launch <span class="event-detail">${formatDayTime(c.issued)}${c.velocity ? ` · ${c.velocity} km/s` : ''}</span></span></li>`)
+  ];
+  if (flare && !items.length) {
+    items.push(`
+      <li><span class="event-badge minor">${flare.class}</span>
+        <span>Flare <span class="event-detail">${formatDayTime(flare.peak)} · no watch yet</span></span></li>`);
+  }
+  list.innerHTML = items.join('') || '<li class="events-empty">No storm watches in effect</li>';
+}
+
+// Nights ahead, colored by rating; clouds are only known for the first week
+function updatePlanning() {
+  const calendar = document.getElementById('planning-calendar');
+  const best = document.getElementById('planning-best');
+  if (!calendar || !best) return;
+
+  if (!planningData?.nights?.length) {
+    best.className = 'nowcast-best';
+    best.textContent = 'Planning calendar unavailable';
+    calendar.innerHTML = '';
+    return;
+  }
+
+  const dayLabel = (date, options) => new Date(`${date}T12:00:00Z`).toLocaleDateString([], { ...options, timeZone: 'UTC' });
+  const bestDates = new Set(planningData.bestNights.map(n => n.date));
+  best.className = bestDates.size ? 'nowcast-best has-window' : 'nowcast-best';
+  best.textContent = bestDates.size
+    ? `Best: ${planningData.bestNights.slice(0, 3).map(n => dayLabel(n.date, { month: 'short', day: 'numeric' })).join(', ')}`
+    : 'No promising nights yet';
+
+  calendar.innerHTML = planningData.nights.map(n => {
+    const icons = [
+      n.gScale > 0 ? `G${n.gScale}` : '',
+      n.moon && (n.moon.interference === 'moderate' || n.moon.interference === 'high') ? '🌕' : '',
+      n.clouds !== null && n.clouds >= 70 ? '☁️' : ''
+    ].join('');
+    const title = `${dayLabel(n.date, { weekday: 'long', month: 'short', day: 'numeric' })} · score ${n.score} (${n.rating})` +
+      ` · ${n.source ? `G${n.gScale}${n.kp !== null ? `, Kp ${n.kp}` : ''} (${n.source === 'noaa' ? 'NOAA 3-day' : '27-day outlook'})` : 'no space weather forecast'}` +
+      ` · clouds ${n.clouds !== null ? `${n.clouds}%` : 'unknown'}` +
+      `${n.moon ? ` · moon ${Math.round(n.moon.illumination * 100)}%` : ''} · ${n.darkHours}h dark`;
+    return `
+      <div class="planning-night ${n.rating}${bestDates.has(n.date) ? ' best' : ''}" title="${title}">
+        <span class="planning-day">${dayLabel(n.date, { weekday: 'short' })}</span>
+        <span class="planning-date">${dayLabel(n.date, { day: 'numeric' })}</span>
+        <span class="planning-icons">${icons}</span>
+      </div>`;
+  }).join('');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+const VISIBILITY_LABELS = { 'naked-eye': 'Naked eye', 'camera-only': 'Camera only', none: 'Nothing seen' };
+const INTENSITY_LABELS = ['None', 'Faint', 'Moderate', 'Bright', 'Intense'];
+
+// Recent sightings with what the model said at the time, plus the calibrated threshold once there is one
+function updateSightings() {
+  const list = document.getElementById('sighting-list');
+  const summary = document.getElementById('sightings-summary');
+  if (!list || !summary) return;
+
+  summary.className = 'nowcast-best';
+  if (!sightingsData?.sightings) {
+    summary.textContent = sightingsData?.unauthorized ? 'Set the admin token in Settings → Server' : 'Sighting log unavailable';
+    list.innerHTML = '';
+    return;
+  }
+
+  const { sightings, calibration } = sightingsData;
+  const suggested = calibration?.suggestedMinSimilarity;
+  if (!sightings.length) {
+    summary.textContent = 'No sightings logged yet';
+  } else if (suggested?.nakedEye !== null && suggested?.nakedEye !== undefined) {
+    summary.className = 'nowcast-best has-window';
+    summary.textContent = `${sightings.length} logged · naked eye from ${suggested.nakedEye}% similarity`;
+  } else if (suggested?.camera !== null && suggested?.camera !== undefined) {
+    summary.className = 'nowcast-best has-window';
+    summary.textContent = `${sightings.length} logged · camera from ${suggested.camera}% similarity`;
+  } else {
+    summary.textContent = `${sightings.length} logged · ${calibration?.rated ?? 0} with solar wind`;
+  }
+
+  list.innerHTML = sightings.slice(0, 5).map(s => {
+    const similarity = s.conditions?.solarWind?.similarity;
+    const verdict = s.conditions?.decision?.decision;
+    const detail = [
+      formatDayTime(s.time),
+      Number.isFinite(similarity) ? `${similarity}% similar` : 'no solar wind',
+      verdict ? `said ${verdict}` : '',
+      s.conditions?.clouds ? `${s.conditions.clouds.total}% cloud` : ''
+    ].filter(Boolean).join(' · ');
+    return `
+      <li data-id="${s.id}">
+        ${s.photo ? `<img class="sighting-photo" data-photo="${s.id}" alt="Sighting photo">` : ''}
+        <div class="sighting-text">
+          <span class="event-badge${s.visibility === 'none' ? ' minor' : ''}">${VISIBILITY_LABELS[s.visibility]}</span>
+          <span>${INTENSITY_LABELS[s.intensity]} <span class="event-detail">${detail}</span></span>
+          ${s.notes ? `<p class="sighting-notes">${escapeHtml(s.notes)}</p>` : ''}
+        </div>
+        <button type="button" class="sighting-delete" data-delete="${s.id}" title="Delete sighting">✕</button>
+      </li>`;
+  }).join('') || '<li class="events-empty">Log your next chase, even if you saw nothing</li>';
+
+  list.querySelectorAll('img[data-photo]').forEach(loadSightingPhoto);
+}
+
+// Photos need the auth header, so they are fetched and shown as blob URLs
+async function loadSightingPhoto(img) {
+  const id = img.dataset.photo;
+  if (!sightingPhotoUrls.has(id)) {
+    const response = await fetch(`/api/sightings/${id}/photo`, { headers: getAuthHeaders() }).catch(() => null);
+    if (!response?.ok) {
+      img.remove();
+      return;
+    }
+    sightingPhotoUrls.set(id, URL.createObjectURL(await response.blob()));
+  }
+  img.src = sightingPhotoUrls.get(id);
+}
+
+function readPhotoAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// datetime-local value for now, in the browser's time zone
+function localInputTime(date = new Date()) {
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+async function refreshSightings() {
+  sightingsData = await fetchSightings().catch(() => null);
+  updateSightings();
+}
+
+function initSightingForm(container) {
+  const form = container.querySelector('#sighting-form');
+  const list = container.querySelector('#sighting-list');
+  if (!form) return;
+  const status = form.querySelector('#sighting-status');
+  form.elements.time.value = localInputTime();
+
+  // Nothing seen is intensity 0, anything seen is at least faint
+  form.elements.visibility.addEventListener('change', () => {
+    form.elements.intensity.disabled = form.elements.visibility.value === 'none';
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const { time, visibility, intensity, notes, photo } = form.elements;
+    status.textContent = 'Saving...';
+    try {
+      const body = {
+        time: time.value ? new Date(time.value).toISOString() : undefined,
+        latitude: userLatitude,
+        longitude: userLongitude,
+        locationName,
+        visibility: visibility.value,
+        intensity: visibility.value === 'none' ? 0 : Number(intensity.value),
+        notes: notes.value.trim()
+      };
+      if (photo.files[0]) body.photo = await readPhotoAsDataUrl(photo.files[0]);
+
+      const response = await fetch('/api/sightings', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+      if (response.status === 401) throw new Error('Set the admin token in Settings → Server');
+      if (!response.ok) throw new Error(result.error);
+
+      form.reset();
+      form.elements.time.value = localInputTime();
+      form.elements.intensity.disabled = false;
+      status.textContent = 'Logged with the conditions at that time';
+      refreshSightings();
+    } catch (error) {
+      status.textContent = `⚠️ ${error.message}`;
+    }
+  });
+
+  list?.addEventListener('click', async (event) => {
+    const id = event.target.dataset?.delete;
+    if (!id || !confirm('Delete this sighting?')) return;
+    await fetch(`/api/sightings/${id}`, { method: 'DELETE', headers: getAuthHeaders() }).catch(() => null);
+    refreshSightings();
+  });
+}
+
 function updateOvation() {
   if (!ovationData) return;
   
   const localEl = document.getElementById('ovation-local');
   const northEl = document.getElementById('ovation-north');
+  const polewardLabel = document.getElementById('ovation-poleward-label');
   
   if (localEl) localEl.textContent = `${ovationData.atLocation || 0}%`;
   if (northEl) northEl.textContent = `${ovationData.nearbyMax || 0}%`;
+  if (polewardLabel) {
+    const { facing } = getHemisphere(userLatitude);
+    polewardLabel.textContent = `Visible ${facing.charAt(0).toUpperCase()}${facing.slice(1)} ℹ️`;
+  }
+}
+
+function updateOvationMap() {
+  const mapEl = document.getElementById('ovation-map');
+  if (!mapEl) return;
+
+  if (!ovationGrid?.points) {
+    mapEl.innerHTML = '<span class="ovation-map-empty">Aurora map unavailable</span>';
+    return;
+  }
+
+  mapEl.innerHTML = renderAuroraMap({
+    points: ovationGrid.points,
+    viewLine: ovationGrid.viewLine,
+    hemisphere: ovationGrid.hemisphere,
+    location: { latitude: userLatitude, longitude: userLongitude }
+  });
 }
 
 function updateInfo() {
@@ -382,26 +677,30 @@ function updateInfo() {
   const darknessStatus = document.getElementById('darkness-status');
   const dataTime = document.getElementById('data-time');
   
-  if (userLat) userLat.textContent = `${userLatitude.toFixed(1)}°N`;
+  if (userLat) {
+    const magnetic = getObserverMagneticLatitude(userLatitude, userLongitude);
+    userLat.textContent = `${formatLatitude(userLatitude)} (${magnetic.toFixed(0)}° mag)`;
+  }
   
   if (currentData && visibleLat) {
-    let vLat = 70;
-    if (currentData.bz < -25) vLat = 35;
-    else if (currentData.bz < -20) vLat = 40;
-    else if (currentData.bz < -15) vLat = 45;
-    else if (currentData.bz < -10) vLat = 50;
-    else if (currentData.bz < -5) vLat = 55;
-    else if (currentData.bz < -3) vLat = 60;
-    visibleLat.textContent = `${vLat}°N+`;
+    const visible = getVisibleGeographicLatitude(getVisibleLatitude(currentData), userLatitude, userLongitude);
+    visibleLat.textContent = `${formatLatitude(visible, userLatitude, 0)}+`;
   }
   
   if (darknessInfo && darknessStatus) {
-    darknessStatus.textContent = darknessInfo.level.charAt(0).toUpperCase() + darknessInfo.level.slice(1);
+    const level = darknessInfo.level.charAt(0).toUpperCase() + darknessInfo.level.slice(1);
+    darknessStatus.textContent = darknessInfo.moonlit
+      ? `${level} · 🌕 ${Math.round(darknessInfo.moon.illumination * 100)}%`
+      : level;
   }
   
-  if (currentData && dataTime) {
+  if (currentData?.freshness?.status === 'mock' && dataTime) {
+    dataTime.textContent = 'Unavailable';
+  } else if (currentData && dataTime) {
     const dataDate = new Date(currentData.time);
-    const age = Math.round((Date.now() - dataDate.getTime()) / 60000);
+    // A replayed storm is "now" at its simulated time, not years ago
+    const now = currentData.simulation?.active ? Date.parse(currentData.simulation.simulatedTime) : Date.now();
+    const age = Math.round((now - dataDate.getTime()) / 60000);
     dataTime.textContent = age < 1 ? 'Just now' : `${age} min ago`;
   }
 }
@@ -514,20 +813,37 @@ function updateLocationDisplay() {
 // =============================================================================
 async function refresh() {
   try {
-    const [solarWind, clouds, ovation, weather] = await Promise.all([
+    const [solarWind, clouds, ovation, weather, nowcast, grid, events, planning, sightings] = await Promise.all([
       fetchSolarWind(),
       fetchClouds(),
       fetchOvation(),
-      fetchWeather()
+      fetchWeather(),
+      fetchNowcast(),
+      fetchOvationGrid().catch(() => null),
+      fetchEvents().catch(() => null),
+      fetchPlanning().catch(() => null),
+      fetchSightings().catch(() => null)
     ]);
     
     currentData = solarWind;
     cloudData = clouds;
     ovationData = ovation;
     weatherData = weather;
+    nowcastData = nowcast;
+    ovationGrid = grid;
+    eventsData = events;
+    planningData = planning;
+    sightingsData = sightings;
     
     updateUI();
     updateWeather();
+    updateNowcast();
+    updateEvents();
+    updatePlanning();
+    updateSightings();
+    updateOvationMap();
+    updateSimulationBanner();
+    updateFreshnessBanner();
     updateTimestamp();
     
   } catch (error) {
@@ -535,6 +851,28 @@ async function refresh() {
   }
 }
 
+function updateSimulationBanner() {
+  const el = document.getElementById('simulation-banner');
+  if (!el) return;
+  const sim = currentData?.simulation;
+  el.hidden = !sim?.active;
+  if (!sim?.active) return;
+  const at = new Date(sim.simulatedTime).toLocaleString([], {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'UTC'
+  });
+  el.textContent = `🎬 Simulation: ${sim.name} · ${at} UTC · ${sim.speed}× · ${sim.finished ? 'finished' : `${sim.progress}%`}`;
+}
+
+// Stale, gappy or placeholder solar wind - say so instead of showing it as live
+function updateFreshnessBanner() {
+  const el = document.getElementById('freshness-banner');
+  if (!el) return;
+  const warning = describeFreshness(currentData?.freshness);
+  el.hidden = !warning;
+  el.classList.toggle('mock', currentData?.freshness?.status === 'mock');
+  if (warning) el.textContent = `⚠️ ${warning}`;
+}
+
 function updateTimestamp() {
   const el = document.getElementById('last-updated');
   if (el) {
@@ -560,6 +898,7 @@ export function init(container) {
   
   // Initialize location
   initLocation();
+  initSightingForm(container);
   
   // Initial fetch
   refresh().then(() => {
@@ -593,6 +932,8 @@ export function destroy() {
     clearInterval(refreshInterval);
     refreshInterval = null;
   }
+  sightingPhotoUrls.forEach(url => URL.revokeObjectURL(url));
+  sightingPhotoUrls.clear();
 }
 
 export function getStatus() {
@@ -600,14 +941,15 @@ export function getStatus() {
     return { status: 'loading', summary: 'Loading...' };
   }
   
-  const decision = makeDecision(currentData, cloudData, darknessInfo, ovationData);
+  const decision = makeDecision();
   return {
-    status: decision.decision === 'GO' ? 'alert' : 'normal',
+    status: decision.go ? 'alert' : 'normal',
     summary: `${decision.decision} - ${decision.reason}`,
     data: {
       similarity: currentData.similarity,
       bz: currentData.bz,
-      decision: decision.decision
+      decision: decision.decision,
+      confidence: decision.confidence
     }
   };
 }
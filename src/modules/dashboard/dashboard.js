@@ -7,6 +7,7 @@ class DashboardModule {
   constructor() {
     this.container = null;
     this.updateInterval = null;
+    this.location = null;
     this.data = {
       weather: null,
       crypto: null,
@@ -65,19 +66,22 @@ class DashboardModule {
     }
   }
 
+  // Browser location ({ lat, lon }, null when unavailable), asked for once and shared by the widgets
+  getLocation() {
+    if (!this.location) {
+      this.location = new Promise((resolve, reject) => {
+        if (!navigator.geolocation) return reject(new Error('Geolocation unavailable'));
+        navigator.geolocation.getCurrentPosition(resolve, reject, { timeout: 5000 });
+      })
+        .then(pos => ({ lat: pos.coords.latitude, lon: pos.coords.longitude }))
+        .catch(() => null);
+    }
+    return this.location;
+  }
+
   async fetchWeather() {
     // Get user location or default
-    let lat = 47.6, lon = -122.3;
-    try {
-      if (navigator.geolocation) {
-        const pos = await new Promise((resolve, reject) => {
-          navigator.geolocation.getCurrentPosition(resolve, reject, { timeout: 5000 });
-        });
-        lat = pos.coords.latitude;
-        lon = pos.coords.longitude;
-      }
-    } catch (e) { /* use default */ }
-        
+    const { lat, lon } = await this.getLocation() || { lat: 47.6, lon: -122.3 };
     const res = await fetch(`/api/weather/forecast?lat=${lat}&lon=${lon}`);
     return res.json();
   }
@@ -98,7 +102,9 @@ class DashboardModule {
   }
 
   async fetchAurora() {
-    const res = await fetch('/api/aurora/status');
+    // Same location as the aurora page's verdict; the server's alert location otherwise
+    const location = await this.getLocation();
+    const res = await fetch(location ? `/api/aurora/status?lat=${location.lat}&lon=${location.lon}` : '/api/aurora/status');
     return res.json();
   }
 
@@ -203,10 +209,12 @@ class DashboardModule {
     let statusClass = 'neutral';
     let prob = '--';
 
+    // GO/NO GO comes from the shared decision engine via /api/aurora/status
+    if (a?.status === 'GO' || a?.status === 'NO GO') {
+      status = a.status;
+      statusClass = a.status === 'GO' ? 'go' : 'no-go';
+    }
     if (a?.auroraScore !== undefined) {
-      if (a.auroraScore >= 70) { status = 'GO'; statusClass = 'go'; }
-      else if (a.auroraScore >= 40) { status = 'MAYBE'; statusClass = 'maybe'; }
-      else { status = 'NO GO'; statusClass = 'no-go'; }
       prob = `${Math.round(a.auroraScore)}%`;
     }
 
@@ -221,8 +229,10 @@ class DashboardModule {
                         <span class="status-badge">${status}</span>
                     </div>
                     <div class="aurora-details">
+                        ${a?.decision?.reason ? `<p>${a.decision.reason}</p>` : ''}
                         <p>Score: ${prob}</p>
-                        <p>Kp: ${a?.kp?.toFixed(1) || '--'}</p>
+                        <p>Kp: ${a?.kp?.toFixed(1) || '--'}${Number.isFinite(a?.kpForecastMax) ? ` (forecast max ${a.kpForecastMax.toFixed(1)})` : ''}</p>
+                        ${Number.isFinite(a?.hemisphericPower) ? `<p>Hemispheric power: ${a.hemisphericPower} GW</p>` : ''}
                     </div>
                 </div>
             </div>
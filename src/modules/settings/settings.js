@@ -18,6 +18,7 @@ class SettingsModule {
       newsCategories: ['technology', 'business', 'science'],
       weatherLocation: { lat: null, lon: null, name: 'Auto-detect' },
       refreshInterval: 60, // seconds
+      adminToken: '', // Server ADMIN_TOKEN, sent with sighting log requests
       notifications: {
         enabled: false,
         auroraAlerts: true,
@@ -212,6 +213,16 @@ class SettingsModule {
                         </div>
                     </section>
 
+                    <!-- Server Section -->
+                    <section class="settings-section">
+                        <h3>🔐 Server</h3>
+                        <div class="setting-item">
+                            <label>Admin Token</label>
+                            <input type="password" id="setting-admin-token" value="${this.settings.adminToken}" placeholder="Only if the server sets ADMIN_TOKEN" autocomplete="off">
+                            <small>Needed to log aurora sightings on a protected server</small>
+                        </div>
+                    </section>
+
                     <!-- Keyboard Shortcuts -->
                     <section class="settings-section">
                         <h3>⌨️ Keyboard Shortcuts</h3>
@@ -301,6 +312,9 @@ class SettingsModule {
     this.settings.notifications.auroraAlerts = document.getElementById('setting-notif-aurora')?.checked || true;
     this.settings.notifications.stockAlerts = document.getElementById('setting-notif-stocks')?.checked || true;
 
+    // Server
+    this.settings.adminToken = document.getElementById('setting-admin-token')?.value.trim() || '';
+
     this.saveSettings();
   }
 
@@ -0,0 +1,138 @@
+/**
+ * Nocturne Alert Level Tests
+ * Watch → active → strong → subsiding → all clear with hysteresis (src/js/alertLevels.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ALERT_HYSTERESIS, advanceAlertState, isNotificationDelivered } from '../src/js/alertLevels.js';
+
+const MINUTE = 60 * 1000;
+const COOLDOWN = 60;
+
+// Feed observations one check apart (minutes from T0) and collect what was sent
+function run(observations) {
+  let state = null;
+  const sent = [];
+  for (const [minute, observation] of observations) {
+    const result = advanceAlertState(state, observation, minute * MINUTE, COOLDOWN);
+    state = result.state;
+    if (result.notification) sent.push({ minute, ...result.notification });
+  }
+  return { state, sent };
+}
+
+describe('Alert Levels', () => {
+
+  it('should escalate to strong inside the cooldown but not repeat a level', () => {
+    const { state, sent } = run([
+      [0, { go: true, similarity: 45 }],
+      [5, { go: true, similarity: 48 }],
+      [10, { go: true, similarity: 65 }],
+      [15, { go: true, similarity: 70 }]
+    ]);
+
+    assert.deepStrictEqual(sent.map(n => [n.minute, n.kind, n.escalation]), [[0, 'active', false], [10, 'strong', true]]);
+    assert.strictEqual(state.level, 'strong');
+    assert.strictEqual(state.eventStart, 0);
+
+    const reminder = advanceAlertState(state, { go: true, similarity: 70 }, (10 + COOLDOWN + 1) * MINUTE, COOLDOWN);
+    assert.strictEqual(reminder.notification.kind, 'strong');
+    assert.strictEqual(reminder.notification.reminder, true);
+  });
+
+  it('should hold strong until similarity drops below the exit threshold', () => {
+    const { sent, state } = run([
+      [0, { go: true, similarity: ALERT_HYSTERESIS.strongEnter }],
+      [5, { go: true, similarity: ALERT_HYSTERESIS.strongExit + 2 }],
+      [10, { go: true, similarity: ALERT_HYSTERESIS.strongExit - 1 }],
+      [15, { go: true, similarity: ALERT_HYSTERESIS.strongEnter + 1 }]
+    ]);
+
+    assert.deepStrictEqual(sent.map(n => n.kind), ['strong'], 'Dropping to active and back is not a new escalation');
+    assert.strictEqual(state.level, 'strong');
+    assert.strictEqual(state.peak, 'strong');
+  });
+
+  it('should send one all clear after conditions stay below GO', () => {
+    const { state, sent } = run([
+      [0, { go: true, similarity: 55 }],
+      [10, { go: false }],
+      [20, { go: true, similarity: 52 }],
+      [30, { go: false }],
+      [30 + ALERT_HYSTERESIS.clearAfterMinutes - 5, { go: false }],
+      [30 + ALERT_HYSTERESIS.clearAfterMinutes, { go: false }],
+      [30 + ALERT_HYSTERESIS.clearAfterMinutes + 5, { go: false }]
+    ]);
+
+    assert.deepStrictEqual(sent.map(n => [n.minute, n.kind]), [[0, 'active'], [30 + ALERT_HYSTERESIS.clearAfterMinutes, 'all-clear']]);
+    assert.strictEqual(sent[1].peak, 'active');
+    assert.strictEqual(sent[1].eventStart, 0);
+    assert.strictEqual(state.level, 'clear');
+    assert.strictEqual(state.peak, null);
+  });
+
+  it('should let an unconfirmed watch lapse quietly and stay silent in quiet hours', () => {
+    const arrival = new Date(40 * MINUTE).toISOString();
+    const watch = run([
+      [0, { go: false, warningArrival: arrival }],
+      [5, { go: false, warningArrival: arrival }],
+      [40 + ALERT_HYSTERESIS.watchGraceMinutes + 5, { go: false }]
+    ]);
+    assert.deepStrictEqual(watch.sent.map(n => n.kind), ['watch']);
+    assert.strictEqual(watch.state.level, 'clear');
+
+    const quiet = run([
+      [0, { go: true, similarity: 65, quiet: true }],
+      [10, { go: false, quiet: true }],
+      [10 + ALERT_HYSTERESIS.clearAfterMinutes, { go: false, quiet: true }]
+    ]);
+    assert.deepStrictEqual(quiet.sent, []);
+    assert.strictEqual(quiet.state.level, 'clear');
+  });
+
+  it('should treat a deduped push as delivered for subscribers sharing a location', () => {
+    // Webhook-only notify(): one push per dedupe key per cooldown, like the server's
+    const pushedAt = {};
+    const pushWebhook = (key, now) => {
+      if (now - (pushedAt[key] ?? -Infinity) <= COOLDOWN * MINUTE) return { webhook: 'skipped' };
+      pushedAt[key] = now;
+      return { webhook: 'sent' };
+    };
+    const levels = { tromso: null, 'tromso-2': null };
+    const pushes = [];
+    for (const minute of [0, 5, COOLDOWN + 10]) {
+      for (const id of Object.keys(levels)) {
+        const { state, notification } = advanceAlertState(levels[id], { go: true, similarity: 45 }, minute * MINUTE, COOLDOWN);
+        if (!notification) {
+          levels[id] = state;
+          continue;
+        }
+        const results = pushWebhook(`aurora-${notification.kind}:69.6,19.0`, minute * MINUTE);
+        if (results.webhook === 'sent') pushes.push([minute, id]);
+        if (isNotificationDelivered(results)) levels[id] = state;
+      }
+    }
+
+    assert.deepStrictEqual(pushes, [[0, 'tromso'], [COOLDOWN + 10, 'tromso']], 'One push per location per cooldown');
+    assert.strictEqual(levels['tromso-2'].level, 'active');
+    assert.deepStrictEqual(Object.values(levels).map(state => state.notifiedAt), [(COOLDOWN + 10) * MINUTE, (COOLDOWN + 10) * MINUTE],
+      'Both reminded once after the cooldown, neither retried in between');
+    assert.strictEqual(isNotificationDelivered({ webhook: 'HTTP 500', email: 'SMTP send failed' }), false);
+    assert.strictEqual(isNotificationDelivered({ webhook: 'HTTP 500', email: 'sent' }), true);
+  });
+
+  it('should record a storm watch for every subscriber once each channel has it', () => {
+    // One dedupe key per watch: only the first subscriber's push is sent
+    const outcomes = [
+      { email: 'sent', webhook: 'sent' },
+      { email: 'sent', webhook: 'skipped' },
+      { email: 'sent', webhook: 'skipped' }
+    ];
+    assert.ok(outcomes.every(results => isNotificationDelivered(results, { everyChannel: true })));
+    assert.strictEqual(isNotificationDelivered({ email: 'SMTP send failed', webhook: 'skipped' }, { everyChannel: true }), false);
+    assert.strictEqual(isNotificationDelivered({}, { everyChannel: true }), false);
+  });
+});
@@ -0,0 +1,340 @@
+/**
+ * Nocturne Aurora Decision Engine Tests
+ * Canned scenarios for the shared GO/NO GO engine (src/js/decision.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  makeAuroraDecision,
+  getDarknessInfo,
+  getSkyScore,
+  assessAlertSky,
+  getVisibleLatitude,
+  getHemisphere,
+  formatLatitude,
+  getVisibleRegion,
+  getObserverMagneticLatitude,
+  getVisibleGeographicLatitude
+} from '../src/js/decision.js';
+
+// ===========================================================================
+// Canned scenarios
+// ===========================================================================
+
+const QUIET = {
+  bz: 2.1, bt: 4, speed: 380, density: 4, pressure: 1.0,
+  clockAngle: 20, bzSouthDuration: 0, similarity: 12, gScale: 0
+};
+
+// May 10-11 2024 style G4 storm
+const G4_STORM = {
+  bz: -28, bt: 38, speed: 720, density: 22, pressure: 13.5,
+  clockAngle: 185, bzSouthDuration: 45, similarity: 82, gScale: 4
+};
+
+// Moderate storm - strong enough for 50°N, not for Seattle's margin
+const MODERATE = {
+  bz: -11, bt: 14, speed: 520, density: 8, pressure: 3.6,
+  clockAngle: 170, bzSouthDuration: 20, similarity: 41, gScale: 0
+};
+
+const CLEAR = { total: 5, low: 0, mid: 5, high: 10, trend: 'stable' };
+const OVERCAST = { total: 95, low: 90, mid: 60, high: 40, trend: 'stable' };
+const NIGHT = -25;
+const MOON_SET = { altitude: -30, illumination: 0.5 };
+const FULL_MOON_HIGH = { altitude: 50, illumination: 1 };
+const SEATTLE = { latitude: 47.6, longitude: -122.3 };
+const FAIRBANKS = { latitude: 64.8, longitude: -147.7 };
+const HOBART = { latitude: -42.9, longitude: 147.3 };
+const BERLIN = { latitude: 52.5, longitude: 13.4 };
+const WINNIPEG = { latitude: 49.9, longitude: -97.1 };
+
+function scenario(overrides) {
+  return makeAuroraDecision({
+    data: G4_STORM,
+    ...SEATTLE,
+    sunAltitude: NIGHT,
+    moon: MOON_SET,
+    clouds: CLEAR,
+    ovation: { atLocation: 35, nearbyMax: 60 },
+    ...overrides
+  });
+}
+
+describe('Aurora Decision Engine', () => {
+
+  describe('NO GO scenarios', () => {
+
+    it('should fail safe with no data', () => {
+      const d = scenario({ data: null });
+      assert.strictEqual(d.decision, 'NO GO');
+      assert.strictEqual(d.blockedBy, 'data');
+      assert.strictEqual(d.confidence, 'high');
+    });
+
+    it('should never decide on placeholder data, however stormy it looks', () => {
+      const d = scenario({ data: { ...G4_STORM, freshness: { status: 'mock', fallback: true } } });
+      assert.strictEqual(d.decision, 'NO GO');
+      assert.strictEqual(d.blockedBy, 'data');
+      assert.match(d.reason, /unavailable/);
+    });
+
+    it('should wait while every L1 sample is still in transit', () => {
+      // A storm measured at L1 is not "now" until it reaches Earth
+      const d = scenario({ data: { ...G4_STORM, propagation: { awaitingArrival: true, upcoming: { bz: -25 } } } });
+      assert.strictEqual(d.decision, 'NO GO');
+      assert.strictEqual(d.blockedBy, 'data');
+      assert.strictEqual(d.score, 0);
+      assert.match(d.reason, /Awaiting solar wind arrival/);
+    });
+
+    it('should block a G4 storm in daylight', () => {
+      const d = scenario({ sunAltitude: 30, hoursUntilDark: 5 });
+      assert.strictEqual(d.go, false);
+      assert.strictEqual(d.blockedBy, 'darkness');
+      assert.ok(d.action.includes('Dark in ~5 hours'));
+      assert.ok(d.action.includes('Space weather is active'));
+    });
+
+    it('should block northward Bz even in the Arctic', () => {
+      const d = scenario({ data: QUIET, ...FAIRBANKS });
+      assert.strictEqual(d.go, false);
+      assert.strictEqual(d.blockedBy, 'bz');
+      assert.ok(d.reason.includes('northward'));
+    });
+
+    it('should block when aurora will not reach the latitude', () => {
+      const d = scenario({ data: { ...MODERATE, bz: -6, pressure: 1 } });
+      assert.strictEqual(d.blockedBy, 'latitude');
+      assert.ok(d.latitudeMargin < 0);
+    });
+
+    it('should block weak southward Bz without pressure support', () => {
+      const d = scenario({ data: { ...QUIET, bz: -4, clockAngle: 160 }, ...FAIRBANKS });
+      assert.strictEqual(d.blockedBy, 'bz');
+      assert.ok(d.reason.includes('weak'));
+    });
+
+    it('should block an active storm under low overcast', () => {
+      const d = scenario({ clouds: OVERCAST });
+      assert.strictEqual(d.go, false);
+      assert.strictEqual(d.blockedBy, 'sky');
+      assert.ok(d.action.includes('Aurora IS active'));
+    });
+
+    it('should report marginal conditions as NO GO, not MAYBE', () => {
+      const borderline = { ...MODERATE, bz: -9, speed: 430, pressure: 2, density: 6, bzSouthDuration: 10, similarity: 25 };
+      const d = scenario({ data: borderline, latitude: 56, ovation: null });
+      assert.ok(d.score >= 35 && d.score < 45, `Expected marginal score, got ${d.score}`);
+      assert.strictEqual(d.decision, 'NO GO');
+      assert.strictEqual(d.blockedBy, 'score');
+    });
+
+    it('should call a location just equatorward of the oval marginal', () => {
+      // Seattle sits ~2° geomagnetic short of where a moderate storm is visible
+      const d = scenario({ data: MODERATE });
+      assert.ok(d.latitudeMargin < 0 && d.latitudeMargin >= -3, `Expected a borderline margin, got ${d.latitudeMargin}`);
+      assert.strictEqual(d.decision, 'NO GO');
+      assert.strictEqual(d.blockedBy, 'latitude');
+      assert.match(d.reason, /^Marginal/);
+      assert.strictEqual(d.confidence, 'medium');
+
+      const farther = scenario({ data: MODERATE, latitude: 44 });
+      assert.ok(farther.latitudeMargin < -3);
+      assert.match(farther.action, /won't reach your latitude/);
+      assert.strictEqual(farther.confidence, 'high');
+    });
+  });
+
+  describe('GO scenarios', () => {
+
+    it('should give a high-confidence GO for a G4 storm on a clear night', () => {
+      const d = scenario({});
+      assert.strictEqual(d.decision, 'GO');
+      assert.strictEqual(d.go, true);
+      assert.strictEqual(d.confidence, 'high');
+      assert.strictEqual(d.blockedBy, null);
+      assert.ok(d.score >= 55);
+    });
+
+    it('should give GO for a moderate storm well poleward of the oval edge', () => {
+      const d = scenario({ data: MODERATE, ...FAIRBANKS });
+      assert.strictEqual(d.go, true);
+    });
+
+    it('should treat missing clouds as clear but lower confidence', () => {
+      const d = scenario({ clouds: null, ovation: null });
+      assert.strictEqual(d.go, true);
+      assert.strictEqual(d.confidence, 'low');
+
+      const failed = scenario({ clouds: { total: 0, low: 0, mid: 0, high: 0, error: true } });
+      assert.strictEqual(failed.factors.find(f => f.id === 'sky').status, 'unknown');
+      assert.strictEqual(failed.confidence, 'medium');
+    });
+
+    it('should still decide on stale data but lower confidence', () => {
+      const d = scenario({ data: { ...G4_STORM, freshness: { status: 'stale', ageMinutes: 40, satellite: 'DSCOVR' } } });
+      assert.strictEqual(d.go, true);
+      assert.strictEqual(d.confidence, 'medium');
+      assert.strictEqual(d.factors.find(f => f.id === 'freshness').status, 'unknown');
+    });
+
+    it('should use absolute latitude for the southern hemisphere', () => {
+      const d = scenario({ latitude: -47.6, longitude: 168 });
+      assert.strictEqual(d.go, true);
+    });
+  });
+
+  describe('Structured factors', () => {
+
+    it('should evaluate every factor even when blocked', () => {
+      const d = scenario({ sunAltitude: 30 });
+      const ids = d.factors.map(f => f.id);
+      for (const id of ['darkness', 'moon', 'bz', 'duration', 'speed', 'pressure', 'density', 'clockAngle', 'similarity', 'latitude', 'sky', 'ovation']) {
+        assert.ok(ids.includes(id), `Missing factor ${id}`);
+      }
+      assert.strictEqual(d.factors.find(f => f.id === 'darkness').status, 'blocking');
+    });
+
+    it('should sum factor points into the score', () => {
+      const d = scenario({});
+      const total = d.factors.reduce((sum, f) => sum + f.points, 0);
+      assert.strictEqual(d.score, total);
+    });
+
+    it('should not block on unknown sun position', () => {
+      const d = scenario({ sunAltitude: undefined });
+      assert.strictEqual(d.factors.find(f => f.id === 'darkness').status, 'unknown');
+      assert.strictEqual(d.go, true);
+    });
+  });
+
+  describe('Moonlight', () => {
+
+    it('should still GO for a G4 storm under a full moon, with a note', () => {
+      const d = scenario({ moon: FULL_MOON_HIGH });
+      assert.strictEqual(d.go, true);
+      assert.strictEqual(d.factors.find(f => f.id === 'moon').points, -8);
+      assert.ok(d.action.includes('Bright moon (100%)'));
+      assert.ok(d.score < scenario({}).score);
+    });
+
+    it('should tip a borderline storm to NO GO under a bright moon', () => {
+      const borderline = { ...MODERATE, bz: -9, speed: 430, pressure: 2, similarity: 25 };
+      assert.strictEqual(scenario({ data: borderline, latitude: 56, ovation: null }).go, true);
+      const moonlit = scenario({ data: borderline, latitude: 56, ovation: null, moon: FULL_MOON_HIGH });
+      assert.strictEqual(moonlit.go, false);
+      assert.strictEqual(moonlit.blockedBy, 'score');
+    });
+
+    it('should mark a moonlit night as not fully dark', () => {
+      const moonlit = getDarknessInfo(NIGHT, FULL_MOON_HIGH);
+      assert.strictEqual(moonlit.level, 'night');
+      assert.strictEqual(moonlit.moonlit, true);
+      assert.strictEqual(moonlit.isDark, false);
+      assert.strictEqual(moonlit.canViewAurora, true);
+      assert.strictEqual(getDarknessInfo(NIGHT, MOON_SET).isDark, true);
+    });
+  });
+
+  describe('Hemisphere', () => {
+
+    it('should tell a Hobart observer to face south', () => {
+      const d = scenario({ ...HOBART });
+      assert.strictEqual(d.go, true);
+      assert.ok(d.action.includes('face south'));
+      assert.ok(d.action.includes('36°S'));
+      assert.ok(d.action.includes('42.9°S'));
+      assert.ok(!d.action.includes('°N'));
+    });
+
+    it('should word a southern latitude NO GO in °S', () => {
+      const d = scenario({ data: MODERATE, ...HOBART });
+      assert.strictEqual(d.blockedBy, 'latitude');
+      assert.ok(d.reason.includes('48°S'));
+      assert.ok(d.reason.includes('42.9°S'));
+    });
+
+    it('should name southern places for a visible latitude', () => {
+      assert.strictEqual(getHemisphere(HOBART.latitude).facing, 'south');
+      assert.strictEqual(getHemisphere(SEATTLE.latitude).equatorward, 'south');
+      assert.strictEqual(formatLatitude(HOBART.latitude), '42.9°S');
+      assert.strictEqual(formatLatitude(45, HOBART.latitude, 0), '45°S');
+      assert.ok(getVisibleRegion(45, HOBART.latitude).includes('South Island NZ'));
+      assert.ok(getVisibleRegion(45, SEATTLE.latitude, SEATTLE.longitude).includes('OR'));
+      assert.ok(getVisibleRegion(50, BERLIN.latitude, BERLIN.longitude).includes('Germany'));
+      assert.strictEqual(getVisibleRegion(67, HOBART.latitude), 'Antarctica only');
+    });
+  });
+
+  describe('Geomagnetic latitude', () => {
+
+    it('should compare the oval with geomagnetic, not geographic, latitude', () => {
+      // Winnipeg is 2.6° further south than Berlin but ~6° closer to the magnetic pole
+      const winnipeg = scenario({ data: MODERATE, ...WINNIPEG });
+      const berlin = scenario({ data: MODERATE, ...BERLIN });
+      assert.ok(winnipeg.magneticLatitude > berlin.magneticLatitude + 5);
+      assert.notStrictEqual(winnipeg.blockedBy, 'latitude');
+      assert.strictEqual(berlin.blockedBy, 'latitude');
+    });
+
+    it('should place the visible latitude on the observer\'s meridian', () => {
+      const d = scenario({ data: MODERATE, ...BERLIN });
+      assert.strictEqual(d.visibleMagneticLatitude, 55);
+      assert.strictEqual(d.visibleLatitude, 55);
+      assert.strictEqual(scenario({ data: MODERATE, ...WINNIPEG }).visibleLatitude, 47);
+      assert.strictEqual(getVisibleGeographicLatitude(55, SEATTLE.latitude, SEATTLE.longitude), 50);
+    });
+
+    it('should fall back to geographic latitude without a longitude', () => {
+      assert.strictEqual(getObserverMagneticLatitude(47.6, null), 47.6);
+      assert.strictEqual(getVisibleGeographicLatitude(55, 47.6, null), 55);
+    });
+  });
+
+  describe('Inputs', () => {
+
+    it('should classify darkness levels from sun altitude', () => {
+      assert.strictEqual(getDarknessInfo(-20).level, 'night');
+      assert.strictEqual(getDarknessInfo(-15).level, 'nautical');
+      assert.strictEqual(getDarknessInfo(-8).canViewAurora, true);
+      assert.strictEqual(getDarknessInfo(-3).canViewAurora, false);
+      assert.strictEqual(getDarknessInfo(10).level, 'day');
+    });
+
+    it('should weight low clouds heaviest in the sky score', () => {
+      assert.strictEqual(getSkyScore(null), null);
+      assert.strictEqual(getSkyScore({ low: 50, mid: 0, high: 0 }), 50);
+      assert.strictEqual(getSkyScore({ low: 0, mid: 0, high: 50 }), 85);
+    });
+
+    it('should send, downgrade or suppress alerts by sky and say when it clears', () => {
+      const now = Date.parse('2024-10-10T06:00:00Z');
+      const hour = (h, low, mid = 0) => ({ time: new Date(now + h * 3600000).toISOString(), low, mid, high: 0 });
+      const clearing = { low: 30, mid: 40, high: 0, trend: 'clearing', hourly: [hour(0, 30, 40), hour(1, 25, 30), hour(2, 10, 10), hour(3, 0, 0)] };
+
+      assert.strictEqual(assessAlertSky(null).action, 'send');
+      assert.strictEqual(assessAlertSky({ low: 10, mid: 10, high: 20, trend: 'stable' }).action, 'send');
+
+      const partly = assessAlertSky(clearing, 75, now);
+      assert.strictEqual(partly.action, 'downgrade');
+      assert.strictEqual(partly.cloudCover, 40);
+      assert.strictEqual(partly.clearingInHours, 2);
+
+      assert.strictEqual(assessAlertSky(clearing, 35, now).action, 'suppress', "Over the subscriber's limit");
+      const overcast = assessAlertSky({ ...clearing, low: 80, mid: 60 }, 100, now);
+      assert.strictEqual(overcast.action, 'suppress');
+      assert.strictEqual(overcast.clearingInHours, 2);
+      assert.strictEqual(assessAlertSky({ ...clearing, trend: 'stable' }, 75, now).clearingInHours, null);
+    });
+
+    it('should prefer the NOAA G-scale for visible latitude', () => {
+      assert.strictEqual(getVisibleLatitude({ gScale: 4, bz: 0 }), 43);
+      assert.strictEqual(getVisibleLatitude({ gScale: 0, bz: -12, speed: 450 }), 55);
+      assert.strictEqual(getVisibleLatitude(QUIET), 67);
+    });
+  });
+});
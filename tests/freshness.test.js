@@ -0,0 +1,89 @@
+/**
+ * Nocturne Data Freshness Tests
+ * Sample age, gaps, fallbacks and alert suppression (src/js/freshness.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  FRESHNESS_LIMITS,
+  parseActiveSpacecraft,
+  findSampleGaps,
+  assessFreshness,
+  reassessFreshness,
+  getAlertSuppression,
+  describeFreshness
+} from '../src/js/freshness.js';
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2024-05-10T18:00:00Z');
+
+// One sample a minute for the last `count` minutes, ending `lag` minutes ago
+function minuteSamples(count, lag = 2) {
+  return Array.from({ length: count }, (_, i) => NOW - (lag + count - 1 - i) * MINUTE);
+}
+
+describe('Data Freshness', () => {
+
+  it('should call a complete, recent feed live', () => {
+    const f = assessFreshness({ sampleTimes: minuteSamples(60), now: NOW, satellite: 'DSCOVR' });
+    assert.strictEqual(f.status, 'live');
+    assert.strictEqual(f.ageMinutes, 2);
+    assert.strictEqual(f.satellite, 'DSCOVR');
+    assert.strictEqual(f.fallback, false);
+    assert.deepStrictEqual(f.gaps, []);
+    assert.strictEqual(describeFreshness(f), null);
+    assert.strictEqual(getAlertSuppression(f), null);
+  });
+
+  it('should flag an old latest sample as stale and suppress alerts', () => {
+    const f = assessFreshness({ sampleTimes: minuteSamples(60, 40), now: NOW, satellite: 'ACE' });
+    assert.strictEqual(f.status, 'stale');
+    assert.strictEqual(f.ageMinutes, 40);
+    assert.match(getAlertSuppression(f), /40 min old/);
+    assert.match(describeFreshness(f), /stale.*ACE.*40 min/);
+  });
+
+  it('should report gaps in the last hour only', () => {
+    const times = minuteSamples(120).filter(t => {
+      const minutesAgo = (NOW - t) / MINUTE;
+      return !(minutesAgo > 20 && minutesAgo < 40) && !(minutesAgo > 90 && minutesAgo < 100);
+    });
+    assert.strictEqual(findSampleGaps(times).length, 2);
+    const f = assessFreshness({ sampleTimes: times, now: NOW });
+    assert.strictEqual(f.status, 'live');
+    assert.strictEqual(f.gaps.length, 1);
+    assert.strictEqual(f.largestGapMinutes, 20);
+    assert.ok(f.largestGapMinutes >= FRESHNESS_LIMITS.staleMinutes);
+    assert.match(describeFreshness(f), /gaps.*20 min/);
+  });
+
+  it('should mark placeholder and last-good fallbacks', () => {
+    const mock = assessFreshness({ reason: 'NOAA fetch failed: timeout' });
+    assert.strictEqual(mock.status, 'mock');
+    assert.strictEqual(mock.fallback, true);
+    assert.match(getAlertSuppression(mock), /placeholder/);
+    assert.match(describeFreshness(mock), /placeholder/);
+
+    // Last good data keeps aging while NOAA is down
+    const live = assessFreshness({ sampleTimes: minuteSamples(30), now: NOW });
+    const later = reassessFreshness(live, NOW + 30 * MINUTE, 'NOAA fetch failed: HTTP 503');
+    assert.strictEqual(later.status, 'stale');
+    assert.strictEqual(later.ageMinutes, 32);
+    assert.strictEqual(later.fallback, true);
+    assert.strictEqual(later.reason, 'NOAA fetch failed: HTTP 503');
+  });
+
+  it('should pick the spacecraft flagged active in the latest real-time row', () => {
+    const rows = [
+      { time_tag: '2024-05-10T17:58:00', active: true, source: 'DSCOVR' },
+      { time_tag: '2024-05-10T17:59:00', active: false, source: 'DSCOVR' },
+      { time_tag: '2024-05-10T17:59:00', active: true, source: 'ACE' }
+    ];
+    assert.strictEqual(parseActiveSpacecraft(rows), 'ACE');
+    assert.strictEqual(parseActiveSpacecraft([]), null);
+    assert.strictEqual(parseActiveSpacecraft(null), null);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Nocturne Geomagnetic Index Tests
+ * NOAA planetary Kp, 27-day outlook and hemispheric power parsing (src/js/geomagnetic.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  kpToGScale,
+  parseKpObserved,
+  parseKpForecast,
+  summarizeKp,
+  maxKpBetween,
+  parseHemisphericPower,
+  getHemisphericPowerFor,
+  parse27DayOutlook
+} from '../src/js/geomagnetic.js';
+
+// Header-row format served by /products/noaa-planetary-k-index.json
+const KP_ROWS = [
+  ['time_tag', 'Kp', 'a_running', 'station_count'],
+  ['2024-05-10 12:00:00.000', '6.33', '80', '8'],
+  ['2024-05-10 15:00:00.000', '8.00', '300', '8'],
+  ['2024-05-10 18:00:00.000', '9.00', '400', '8']
+];
+
+const FORECAST_ROWS = [
+  ['time_tag', 'kp', 'observed', 'noaa_scale'],
+  ['2024-05-10 18:00:00', '9.00', 'observed', 'G5'],
+  ['2024-05-10 21:00:00', '8.67', 'estimated', 'G4'],
+  ['2024-05-11 00:00:00', '7.67', 'predicted', 'G3'],
+  ['2024-05-11 03:00:00', '5.33', 'predicted', 'G1']
+];
+
+const HEMI_POWER = `# Prepared by the U.S. Dept. of Commerce, NOAA, Space Weather Prediction Center
+# Hemispheric power index
+#
+# Observation   Forecast       North-Hemi-Power  South-Hemi-Power
+2024-05-10_17:55 2024-05-10_18:30   142   118
+2024-05-10_18:00 2024-05-10_18:35   151   126
+`;
+
+describe('Geomagnetic Indices', () => {
+
+  describe('Planetary Kp', () => {
+
+    it('should map Kp to the NOAA G-scale', () => {
+      assert.strictEqual(kpToGScale(4.67), 0);
+      assert.strictEqual(kpToGScale(5), 1);
+      assert.strictEqual(kpToGScale(7.33), 3);
+      assert.strictEqual(kpToGScale(9), 5);
+      assert.strictEqual(kpToGScale(null), 0);
+    });
+
+    it('should parse header-row and object-row observations alike', () => {
+      const fromRows = parseKpObserved(KP_ROWS);
+      const fromObjects = parseKpObserved([
+        { time_tag: '2024-05-10T18:00:00', Kp: 9, a_running: 400, station_count: 8 },
+        { time_tag: '2024-05-10T12:00:00', Kp: 6.33, a_running: 80, station_count: 8 }
+      ]);
+      assert.strictEqual(fromRows.length, 3);
+      assert.deepStrictEqual(fromRows[2], { time: '2024-05-10T18:00:00.000Z', kp: 9 });
+      assert.deepStrictEqual(fromObjects.map(o => o.kp), [6.33, 9], 'Should sort oldest first');
+    });
+
+    it('should keep only predicted intervals from the forecast', () => {
+      const forecast = parseKpForecast(FORECAST_ROWS);
+      assert.deepStrictEqual(forecast.map(f => f.kp), [7.67, 5.33]);
+      assert.strictEqual(forecast[0].scale, 3);
+    });
+
+    it('should summarise current and forecast maximum Kp', () => {
+      const kp = summarizeKp(parseKpObserved(KP_ROWS), parseKpForecast(FORECAST_ROWS));
+      assert.strictEqual(kp.current, 9);
+      assert.strictEqual(kp.gScale, 5);
+      assert.strictEqual(kp.forecastMax, 7.67);
+      assert.strictEqual(summarizeKp([]), null);
+    });
+
+    it('should find the day\'s maximum observed Kp', () => {
+      const observed = parseKpObserved(KP_ROWS);
+      const day = Date.parse('2024-05-10T00:00:00Z');
+      assert.strictEqual(maxKpBetween(observed, day, day + 16 * 3600 * 1000), 8);
+      assert.strictEqual(maxKpBetween(observed, day - 86400000, day), null);
+      assert.strictEqual(maxKpBetween(null, day, day + 86400000), null);
+    });
+  });
+
+  describe('Hemispheric power', () => {
+
+    it('should parse the latest line of the text product', () => {
+      assert.deepStrictEqual(parseHemisphericPower(HEMI_POWER), {
+        observationTime: '2024-05-10T18:00:00.000Z',
+        forecastTime: '2024-05-10T18:35:00.000Z',
+        north: 151,
+        south: 126
+      });
+      assert.strictEqual(parseHemisphericPower('# comments only\n'), null);
+      assert.strictEqual(parseHemisphericPower(undefined), null);
+    });
+
+    it('should parse the 27-day outlook table', () => {
+      const outlook = parse27DayOutlook(`:Product: 27-day Space Weather Outlook Table 27DO.txt
+:Issued: 2024 May 06 0115 UTC
+# Prepared by the US Dept. of Commerce, NOAA, Space Weather Prediction Center
+#
+#   UTC      Radio Flux   Planetary   Largest
+#  Date       10.7 cm      A Index    Kp Index
+2024 May 06     200          12          4
+2024 May 07     195           8          3
+2024 May 11     175          48          7
+`);
+      assert.strictEqual(outlook.issued, '2024-05-06T01:15:00.000Z');
+      assert.strictEqual(outlook.days.length, 3);
+      assert.deepStrictEqual(outlook.days[2], { date: '2024-05-11', radioFlux: 175, aIndex: 48, kp: 7, gScale: 3 });
+      assert.strictEqual(parse27DayOutlook('# header only\n'), null);
+      assert.strictEqual(parse27DayOutlook(null), null);
+    });
+
+    it('should pick the hemisphere by latitude', () => {
+      const power = parseHemisphericPower(HEMI_POWER);
+      assert.strictEqual(getHemisphericPowerFor(power, 64.8), 151);
+      assert.strictEqual(getHemisphericPowerFor(power, -43.5), 126);
+      assert.strictEqual(getHemisphericPowerFor(null, 64.8), null);
+    });
+  });
+});
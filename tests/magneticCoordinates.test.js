@@ -0,0 +1,45 @@
+/**
+ * Nocturne Geomagnetic Coordinate Tests
+ * IGRF dipole pole and geomagnetic latitude (src/js/magneticCoordinates.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  getDipolePole,
+  getMagneticLatitude,
+  magneticToGeographicLatitude
+} from '../src/js/magneticCoordinates.js';
+
+const EPOCH = new Date('2025-01-01T00:00:00Z');
+
+function near(actual, expected, tolerance, label) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ~${expected}, got ${actual.toFixed(2)}`);
+}
+
+describe('Geomagnetic Coordinates', () => {
+
+  it('should put the IGRF-14 dipole pole over the Canadian Arctic', () => {
+    const pole = getDipolePole(EPOCH);
+    near(pole.latitude, 80.8, 0.1, 'pole latitude');
+    near(pole.longitude, -72.8, 0.1, 'pole longitude');
+    // Secular variation moves it slowly, not by degrees a year
+    near(getDipolePole(new Date('2030-01-01T00:00:00Z')).latitude, pole.latitude, 0.5, '2030 pole latitude');
+  });
+
+  it('should place North America closer to the magnetic pole than Europe', () => {
+    near(getMagneticLatitude(47.6, -122.3, EPOCH), 53.0, 0.3, 'Seattle');
+    near(getMagneticLatitude(49.9, -97.1, EPOCH), 58.0, 0.3, 'Winnipeg');
+    near(getMagneticLatitude(52.5, 13.4, EPOCH), 52.2, 0.3, 'Berlin');
+    near(getMagneticLatitude(-42.9, 147.3, EPOCH), -49.6, 0.3, 'Hobart');
+  });
+
+  it('should invert geomagnetic latitude along a meridian', () => {
+    for (const [lat, lon] of [[47.6, -122.3], [52.5, 13.4], [-42.9, 147.3], [64.8, -147.7], [0, 0]]) {
+      const mlat = getMagneticLatitude(lat, lon, EPOCH);
+      near(magneticToGeographicLatitude(mlat, lon, EPOCH), lat, 0.01, `${lat},${lon}`);
+    }
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Nocturne Aurora Nowcast Tests
+ * Sun/moon position (src/js/astronomy.js) and hourly scoring/window ranking
+ * (src/js/nowcast.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { getSunPosition, getMoonPosition, getMoonTimes, getMoonInterference } from '../src/js/astronomy.js';
+import {
+  getActivityForGScale,
+  scoreNowcastHour,
+  rankViewingWindows
+} from '../src/js/nowcast.js';
+
+const CLEAR = { low: 0, mid: 0, high: 0 };
+const OVERCAST = { low: 95, mid: 80, high: 40 };
+const NO_MOON = { altitude: -20, illumination: 0.9 };
+const FULL_MOON_HIGH = { altitude: 50, illumination: 1 };
+const SEATTLE = 47.6;
+
+// Build hourly entries from [viewing, score] pairs starting at 20:00 UTC
+function hours(pairs) {
+  return pairs.map(([viewing, score], i) => ({
+    time: new Date(Date.UTC(2024, 4, 10, 20 + i)).toISOString(),
+    viewing,
+    score
+  }));
+}
+
+describe('Aurora Nowcast', () => {
+
+  describe('Sun and moon', () => {
+
+    it('should find new and full moon illumination', () => {
+      // Total solar eclipse 2024-04-08, full moon 2024-04-24
+      assert.ok(getMoonPosition(SEATTLE, -122.3, new Date('2024-04-08T18:20:00Z')).illumination <= 0.02);
+      assert.ok(getMoonPosition(SEATTLE, -122.3, new Date('2024-04-24T00:00:00Z')).illumination >= 0.98);
+    });
+
+    it('should compute sun altitude at solar noon on the solstice', () => {
+      // 90 - 47.6 + 23.44 = 65.8°
+      assert.ok(Math.abs(getSunPosition(SEATTLE, -122.3, new Date('2024-06-21T20:10:00Z')).altitude - 65.8) < 0.5);
+    });
+
+    it('should find the next moonrise and moonset', () => {
+      // Seattle, full moon night of 2024-04-23: rises ~20:20 PDT, sets ~05:50 PDT
+      const times = getMoonTimes(SEATTLE, -122.3, new Date('2024-04-23T07:00:00Z'));
+      assert.ok(Math.abs(times.rise - Date.parse('2024-04-24T03:20:00Z')) < 15 * 60 * 1000);
+      assert.ok(Math.abs(times.set - Date.parse('2024-04-23T12:49:00Z')) < 15 * 60 * 1000);
+    });
+
+    it('should ignore a set or thin moon', () => {
+      assert.strictEqual(getMoonInterference(NO_MOON).level, 'none');
+      assert.strictEqual(getMoonInterference({ altitude: 40, illumination: 0.05 }).level, 'none');
+      assert.strictEqual(getMoonInterference(null).factor, 1);
+    });
+
+    it('should rate a high full moon as high interference', () => {
+      const moon = getMoonInterference(FULL_MOON_HIGH);
+      assert.strictEqual(moon.level, 'high');
+      assert.ok(moon.factor < 1);
+    });
+  });
+
+  describe('Hourly scoring', () => {
+
+    it('should score daylight hours as unviewable', () => {
+      const hour = scoreNowcastHour({ sunAltitude: 10, clouds: CLEAR, moon: NO_MOON, activity: 100 });
+      assert.strictEqual(hour.viewing, 0);
+      assert.strictEqual(hour.score, 0);
+    });
+
+    it('should rank a dark clear moonless hour above cloudy or moonlit ones', () => {
+      const best = scoreNowcastHour({ sunAltitude: -25, clouds: CLEAR, moon: NO_MOON, activity: 60 });
+      const cloudy = scoreNowcastHour({ sunAltitude: -25, clouds: OVERCAST, moon: NO_MOON, activity: 60 });
+      const moonlit = scoreNowcastHour({ sunAltitude: -25, clouds: CLEAR, moon: FULL_MOON_HIGH, activity: 60 });
+      assert.strictEqual(best.viewing, 100);
+      assert.ok(best.score > moonlit.score);
+      assert.ok(moonlit.score > cloudy.score);
+    });
+
+    it('should scale activity with G-scale and latitude', () => {
+      assert.strictEqual(getActivityForGScale(0, SEATTLE), 0);
+      assert.ok(getActivityForGScale(4, SEATTLE) >= 80);
+      assert.strictEqual(getActivityForGScale(4, -SEATTLE), getActivityForGScale(4, SEATTLE));
+    });
+  });
+
+  describe('Viewing windows', () => {
+
+    it('should group contiguous viewable hours and rank by score', () => {
+      const windows = rankViewingWindows(hours([[0, 0], [60, 20], [80, 30], [10, 5], [90, 70], [0, 0]]));
+      assert.strictEqual(windows.length, 2);
+      assert.strictEqual(windows[0].hours, 1);
+      assert.strictEqual(windows[0].score, 70);
+      assert.strictEqual(windows[1].hours, 2);
+      assert.strictEqual(windows[1].peak.score, 30);
+      assert.strictEqual(windows[1].end, '2024-05-10T23:00:00.000Z');
+    });
+
+    it('should report the brightest moon within a window', () => {
+      const run = hours([[80, 60], [80, 40], [80, 60]]);
+      run[1].moon = { interference: 'moderate' };
+      assert.strictEqual(rankViewingWindows(run)[0].moon, 'moderate');
+      assert.strictEqual(rankViewingWindows(hours([[80, 60]]))[0].moon, 'none');
+    });
+
+    it('should return no windows when it never gets dark and clear', () => {
+      assert.deepStrictEqual(rankViewingWindows(hours([[0, 0], [20, 10], [0, 0]])), []);
+    });
+  });
+});
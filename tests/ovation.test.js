@@ -0,0 +1,129 @@
+/**
+ * Nocturne OVATION Grid Tests
+ * Grid clipping, indexed lookups and view line (src/js/ovation.js), polar
+ * map projection (src/js/auroraMap.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  normalizeLongitude,
+  parseBoundingBox,
+  clipOvationGrid,
+  computeViewLine,
+  indexOvationGrid,
+  getOvationProbability,
+  findPolewardMax,
+  VIEW_LINE_OFFSET
+} from '../src/js/ovation.js';
+import { projectPolar, renderAuroraMap } from '../src/js/auroraMap.js';
+
+// OVATION-style cells: longitudes 0-359, both hemispheres
+const GRID = [
+  [0, 65, 40], [0, 60, 12], [0, 55, 4],
+  [10, 66, 30], [10, 58, 15],
+  [185, 64, 50], [355, 62, 20],
+  [140, -62, 35], [140, -58, 11], [140, -50, 2]
+];
+
+describe('OVATION Grid', () => {
+
+  describe('Clipping', () => {
+
+    it('should wrap longitudes into -180..180', () => {
+      assert.strictEqual(normalizeLongitude(0), 0);
+      assert.strictEqual(normalizeLongitude(185), -175);
+      assert.strictEqual(normalizeLongitude(359), -1);
+      assert.strictEqual(normalizeLongitude(180), 180);
+    });
+
+    it('should parse bounding boxes and reject malformed ones', () => {
+      assert.deepStrictEqual(parseBoundingBox('-10,50,20,70').bbox, { minLon: -10, minLat: 50, maxLon: 20, maxLat: 70 });
+      assert.strictEqual(parseBoundingBox(null).bbox, null);
+      assert.ok(parseBoundingBox('1,2,3').error);
+      assert.ok(parseBoundingBox('0,70,10,50').error);
+      assert.ok(parseBoundingBox('0,50,200,70').error);
+    });
+
+    it('should clip by hemisphere and minimum probability', () => {
+      const north = clipOvationGrid(GRID, { hemisphere: 'north', minProbability: 10 });
+      assert.strictEqual(north.length, 6);
+      assert.ok(north.every(([, lat, p]) => lat > 0 && p >= 10));
+      assert.strictEqual(clipOvationGrid(GRID, { hemisphere: 'south' }).length, 3);
+    });
+
+    it('should clip a bounding box that crosses the antimeridian', () => {
+      const { bbox } = parseBoundingBox('170,60,-170,70');
+      assert.deepStrictEqual(clipOvationGrid(GRID, { bbox }), [[-175, 64, 50]]);
+    });
+
+    it('should clip a bounding box that straddles 0°', () => {
+      const { bbox } = parseBoundingBox('-5,60,5,70');
+      assert.deepStrictEqual(clipOvationGrid(GRID, { bbox }).map(p => p[0]), [0, 0, -5]);
+    });
+  });
+
+  describe('View line', () => {
+
+    it('should trace the equatorward edge of the oval in each hemisphere', () => {
+      const north = computeViewLine(GRID, 'north');
+      assert.deepStrictEqual(north.find(([lon]) => lon === 0), [0, 60 - VIEW_LINE_OFFSET]);
+      assert.deepStrictEqual(north.map(([lon]) => lon), [-175, -5, 0, 10]);
+
+      const south = computeViewLine(GRID, 'south');
+      assert.deepStrictEqual(south, [[140, -58 + VIEW_LINE_OFFSET]]);
+    });
+  });
+
+  describe('Lookup', () => {
+    const table = indexOvationGrid(GRID);
+
+    it('should look up the nearest cell for any longitude range', () => {
+      assert.strictEqual(getOvationProbability(table, 65.2, 0.4), 40);
+      assert.strictEqual(getOvationProbability(table, 64, -175), 50);
+      assert.strictEqual(getOvationProbability(table, 62, -5), 20);
+      assert.strictEqual(getOvationProbability(table, 40, 100), 0);
+    });
+
+    it('should search poleward across the 0°/360° seam', () => {
+      // 355° is 7° west of 2°E - the old |cLon - lon| <= 30 check missed it
+      const nearby = findPolewardMax(indexOvationGrid([[355, 63, 45], [20, 63, 10]]), 55, 2);
+      assert.deepStrictEqual(nearby, { probability: 45, lat: 63 });
+    });
+
+    it('should search poleward in the southern hemisphere', () => {
+      // Hobart: the oval sits south of it, not north
+      const nearby = findPolewardMax(table, -50, 147);
+      assert.deepStrictEqual(nearby, { probability: 35, lat: -62 });
+      assert.strictEqual(findPolewardMax(table, 45, 147).lat, null);
+    });
+  });
+
+  describe('Map', () => {
+
+    it('should put the observer below the pole and east to the right in the north', () => {
+      const view = { hemisphere: 'north', centerLon: -122.3, size: 300 };
+      const you = projectPolar(-122.3, 47.6, view);
+      const east = projectPolar(-32.3, 60, view);
+      assert.strictEqual(you.x, 150);
+      assert.ok(you.y > 150);
+      assert.ok(east.x > 150);
+      // Facing south toward the pole, east is on the left
+      assert.ok(projectPolar(-32.3, -60, { ...view, hemisphere: 'south' }).x < 150);
+    });
+
+    it('should render cells, the view line and the observer', () => {
+      const svg = renderAuroraMap({
+        points: clipOvationGrid(GRID, { hemisphere: 'north' }),
+        viewLine: [[-2, 52], [-1, 52], [0, 52], [1, 51]],
+        location: { latitude: 60, longitude: 5 }
+      });
+      assert.ok(svg.includes('<svg'));
+      assert.ok(svg.includes('aurora-map-viewline'));
+      assert.ok(svg.includes('aurora-map-you'));
+      assert.strictEqual(renderAuroraMap({ hemisphere: 'south', location: { latitude: 47.6, longitude: -122.3 } }).includes('aurora-map-you'), false);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Nocturne Aurora Planning Tests
+ * Multi-night calendar from NOAA forecasts, clouds and moon (src/js/planning.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  NIGHT_RATINGS,
+  getNightStart,
+  indexHourlyClouds,
+  buildPlanningCalendar,
+  pickBestNights
+} from '../src/js/planning.js';
+
+// Fairbanks, early October: ~11 dark hours a night
+const FAIRBANKS = { latitude: 64.8, longitude: -147.7 };
+const NOW = Date.parse('2024-10-01T18:00:00Z'); // 08:00 local solar time
+const DAY = 24 * 60 * 60 * 1000;
+
+function quietOutlook(days, overrides = {}) {
+  return {
+    issued: '2024-09-30T01:15:00.000Z',
+    days: Array.from({ length: days }, (_, i) => {
+      const date = new Date(NOW + i * DAY).toISOString().slice(0, 10);
+      return { date, radioFlux: 150, aIndex: 8, kp: 3, gScale: 0, ...overrides[date] };
+    })
+  };
+}
+
+describe('Aurora Planning', () => {
+
+  it('should start nights at local solar noon and index local-time cloud forecasts by UTC hour', () => {
+    // Fairbanks solar noon is ~21:51 UTC
+    assert.strictEqual(new Date(getNightStart('2024-10-01', -147.7)).toISOString(), '2024-10-01T21:00:00.000Z');
+    assert.strictEqual(new Date(getNightStart('2024-10-01', 24.9)).toISOString(), '2024-10-01T10:00:00.000Z');
+
+    const clouds = indexHourlyClouds({
+      time: ['2024-10-01T20:00', '2024-10-01T21:00'],
+      cloud_cover: [80, null],
+      cloud_cover_low: [60, null]
+    }, -8 * 3600);
+    assert.strictEqual(clouds.size, 1);
+    assert.deepStrictEqual(clouds.get(Date.parse('2024-10-02T04:00:00Z')), { total: 80, low: 60, mid: 0, high: 0 });
+  });
+
+  it('should prefer NOAA 3-day scales over the 27-day outlook and stop where forecasts end', () => {
+    const outlook = quietOutlook(14, { '2024-10-10': { kp: 6, gScale: 2 } });
+    const nights = buildPlanningCalendar({
+      ...FAIRBANKS, now: NOW, outlook,
+      gForecast: [{ date: '2024-10-02', scale: 3 }]
+    });
+
+    // Fairbanks' night of Oct 1 falls on Oct 2 UTC - NOAA's G3 day
+    assert.strictEqual(nights[0].date, '2024-10-01');
+    assert.strictEqual(nights[0].source, 'noaa');
+    assert.strictEqual(nights[0].gScale, 3);
+    assert.strictEqual(nights[1].source, 'outlook');
+    assert.strictEqual(nights[1].gScale, 0);
+
+    const storm = nights.find(n => n.date === '2024-10-09');
+    assert.strictEqual(storm.kp, 6);
+    assert.strictEqual(storm.gScale, 2);
+    assert.ok(storm.score > nights[1].score);
+
+    // The outlook ends Oct 14 (UTC), the night of Oct 13 is the last forecast
+    assert.strictEqual(nights[nights.length - 1].date, '2024-10-13');
+    for (const night of nights) {
+      assert.ok(night.darkHours >= 10 && night.darkHours <= 14);
+      assert.strictEqual(night.clouds, null);
+    }
+  });
+
+  it('should score cloudy nights down and still list the first week without space weather', () => {
+    const cloudsByHour = new Map();
+    const overcastStart = getNightStart('2024-10-02', FAIRBANKS.longitude);
+    for (let h = 0; h < 24; h++) {
+      cloudsByHour.set(overcastStart + h * 3600000, { total: 100, low: 100, mid: 0, high: 0 });
+    }
+    const nights = buildPlanningCalendar({ ...FAIRBANKS, now: NOW, cloudsByHour });
+
+    assert.strictEqual(nights.length, 7);
+    assert.ok(nights.every(n => n.source === null && n.gScale === 0));
+    const overcast = nights.find(n => n.date === '2024-10-02');
+    assert.strictEqual(overcast.clouds, 100);
+    assert.strictEqual(overcast.score, 0);
+    assert.strictEqual(overcast.rating, 'poor');
+    assert.ok(nights[0].score > 0, 'Unknown clouds still leave a viewable night');
+  });
+
+  it('should pick the best nights by score, soonest first on ties', () => {
+    const night = (date, score) => ({ date, score, rating: score >= NIGHT_RATINGS.good ? 'good' : score >= NIGHT_RATINGS.fair ? 'fair' : 'poor' });
+    const best = pickBestNights([night('2024-10-01', 30), night('2024-10-02', 10), night('2024-10-03', 60), night('2024-10-04', 30)], 2);
+    assert.deepStrictEqual(best.map(n => n.date), ['2024-10-03', '2024-10-01']);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Nocturne Aurora Probability Model Tests
+ * Logistic regression on logged sightings vs the similarity baseline (src/js/probabilityModel.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  TRAINING,
+  extractFeatures,
+  buildTrainingExamples,
+  trainProbabilityModel,
+  estimateAuroraProbability
+} from '../src/js/probabilityModel.js';
+
+const FAIRBANKS = { latitude: 64.8, longitude: -147.7 };
+
+// Deterministic pseudo-random numbers so the fitted weights never change between runs
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// Chases where Bz decides the activity but clouds decide whether it was seen
+function sightingLog(count) {
+  const next = random(42);
+  return Array.from({ length: count }, () => {
+    const bz = -20 * next();
+    const cloudCover = Math.round(100 * next());
+    return {
+      ...FAIRBANKS,
+      time: '2024-10-01T08:00:00.000Z',
+      visibility: bz < -8 && cloudCover < 50 ? 'naked-eye' : 'none',
+      conditions: {
+        solarWind: { bz, bt: Math.abs(bz) + 3, speed: 450, density: 6, pressure: 2, similarity: Math.round(Math.abs(bz) * 2.5) },
+        darkness: { sunAltitude: -20, moonAltitude: -10, moonIllumination: 0.4 },
+        clouds: { total: cloudCover }
+      }
+    };
+  });
+}
+
+describe('Aurora Probability Model', () => {
+
+  it('should extract features with unknown inputs left null', () => {
+    const features = extractFeatures({
+      ...FAIRBANKS,
+      solarWind: { bz: -12, bt: 15, speed: 600, density: 8, pressure: 4.8, similarity: 55 },
+      darkness: { sunAltitude: -25, moonAltitude: 20, moonIllumination: 0.8 }
+    });
+    assert.strictEqual(features.southBz, 12);
+    assert.strictEqual(features.similarity, 55);
+    assert.strictEqual(features.moonlight, 0.8);
+    assert.strictEqual(features.cloudCover, null);
+    assert.ok(features.magneticLatitude > 60);
+
+    assert.strictEqual(extractFeatures({ ...FAIRBANKS, solarWind: { bz: 5 } }).southBz, 0);
+    assert.strictEqual(extractFeatures({ ...FAIRBANKS, solarWind: null }).similarity, null);
+  });
+
+  it('should fill missing solar wind from history and skip sightings without any', () => {
+    const [withWind] = sightingLog(1);
+    const withoutWind = { ...withWind, visibility: 'naked-eye', conditions: { solarWind: null } };
+    const lookups = [];
+    const examples = buildTrainingExamples([withWind, withoutWind, { ...withoutWind }], (time) => {
+      lookups.push(time);
+      return lookups.length === 1 ? { bz: -10, similarity: 40 } : null;
+    });
+
+    assert.strictEqual(examples.length, 2);
+    assert.strictEqual(examples[1].features.similarity, 40);
+    assert.strictEqual(examples[1].seen, true);
+    assert.deepStrictEqual(lookups, [Date.parse(withWind.time), Date.parse(withWind.time)]);
+  });
+
+  it('should refuse to train on too few sightings or a single outcome', () => {
+    const few = buildTrainingExamples(sightingLog(TRAINING.minExamples - 1));
+    assert.ok(trainProbabilityModel(few).error.includes('at least'));
+
+    const allMissed = buildTrainingExamples(sightingLog(20).map(s => ({ ...s, visibility: 'none' })));
+    assert.ok(trainProbabilityModel(allMissed).error.includes('both'));
+    assert.deepStrictEqual(estimateAuroraProbability(null, allMissed[0].features), { probability: null, baseline: null });
+  });
+
+  it('should learn what the similarity baseline misses and beat it out of sample', () => {
+    const { model } = trainProbabilityModel(buildTrainingExamples(sightingLog(80)), Date.parse('2024-10-02T00:00:00Z'));
+    assert.strictEqual(model.trainedAt, '2024-10-02T00:00:00.000Z');
+    assert.strictEqual(model.examples, 80);
+    assert.ok(model.logistic.weights.southBz > 0);
+    assert.ok(model.logistic.weights.cloudCover < 0);
+
+    const { evaluation } = model;
+    assert.ok(evaluation.model.brier < evaluation.baseline.brier, 'Clouds should make the model beat similarity alone');
+    assert.ok(evaluation.baseline.brier <= evaluation.baseRate * (1 - evaluation.baseRate) + 0.01);
+
+    const night = (bz, total) => extractFeatures({
+      ...FAIRBANKS,
+      solarWind: { bz, bt: Math.abs(bz) + 3, speed: 450, density: 6, pressure: 2, similarity: Math.round(Math.abs(bz) * 2.5) },
+      darkness: { sunAltitude: -20, moonAltitude: -10, moonIllumination: 0.4 },
+      clouds: { total }
+    });
+    const clear = estimateAuroraProbability(model, night(-16, 10));
+    const overcast = estimateAuroraProbability(model, night(-16, 95));
+    assert.ok(clear.probability > 0.5 && clear.probability <= 1);
+    assert.ok(overcast.probability < clear.probability);
+    assert.strictEqual(overcast.baseline, clear.baseline, 'Similarity cannot see the clouds');
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Nocturne Solar Wind Propagation Tests
+ * L1 → Earth travel time and arrival splitting (src/js/propagation.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  getPropagationDelayMinutes,
+  splitByArrival,
+  findIncomingPeak
+} from '../src/js/propagation.js';
+
+const NOW = Date.parse('2024-05-10T18:00:00Z');
+const MINUTE = 60 * 1000;
+
+// One L1 sample per minute for the last `minutes`, oldest first
+function samples(minutes, { speed = 400, bz = () => -2 } = {}) {
+  return Array.from({ length: minutes }, (_, i) => {
+    const ago = minutes - 1 - i;
+    return { ts: NOW - ago * MINUTE, speed, bz: bz(ago) };
+  });
+}
+
+describe('Solar Wind Propagation', () => {
+
+  describe('Travel time', () => {
+
+    it('should take about an hour at slow wind and half that at fast wind', () => {
+      assert.strictEqual(getPropagationDelayMinutes(400), 63);
+      assert.strictEqual(getPropagationDelayMinutes(800), 31);
+    });
+
+    it('should fall back to 400 km/s and clamp bad speeds', () => {
+      assert.strictEqual(getPropagationDelayMinutes(null), getPropagationDelayMinutes(400));
+      assert.strictEqual(getPropagationDelayMinutes(5), getPropagationDelayMinutes(250));
+      assert.strictEqual(getPropagationDelayMinutes(99999), getPropagationDelayMinutes(2000));
+    });
+  });
+
+  describe('Arrival', () => {
+
+    it('should pick the sample measured one transit time ago as arriving now', () => {
+      const { arrived, inTransit } = splitByArrival(samples(180), NOW);
+      assert.strictEqual(arrived.ts, NOW - 63 * MINUTE);
+      assert.strictEqual(arrived.arrivalTs, NOW);
+      assert.strictEqual(inTransit.length, 63);
+      assert.ok(inTransit.every(s => s.arrivalTs > NOW));
+    });
+
+    it('should let faster wind overtake slower wind', () => {
+      // Slow sample 50 min ago has not arrived; fast sample 40 min ago has
+      const data = [
+        { ts: NOW - 50 * MINUTE, speed: 400, bz: -1 },
+        { ts: NOW - 40 * MINUTE, speed: 900, bz: -12 }
+      ];
+      const { arrived, inTransit } = splitByArrival(data, NOW);
+      assert.strictEqual(arrived.bz, -12);
+      assert.strictEqual(inTransit[0].bz, -1);
+    });
+
+    it('should find the strongest southward Bz still in transit', () => {
+      const { inTransit } = splitByArrival(samples(180, { bz: ago => (ago === 20 ? -18 : -2) }), NOW);
+      const peak = findIncomingPeak(inTransit);
+      assert.strictEqual(peak.bz, -18);
+      assert.strictEqual((peak.arrivalTs - NOW) / MINUTE, 43);
+    });
+
+    it('should report no incoming peak under northward Bz', () => {
+      const { inTransit } = splitByArrival(samples(180, { bz: () => 4 }), NOW);
+      assert.strictEqual(findIncomingPeak(inTransit), null);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Nocturne Storm Scenario Tests
+ * Recording, slicing and replay clock for scenarios (src/js/scenarios.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  validateScenario,
+  getScenarioRange,
+  mergeFeedRows,
+  appendRecording,
+  getSimulatedTime,
+  sliceScenarioAt
+} from '../src/js/scenarios.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const HOUR = 60 * 60 * 1000;
+
+const HEADER = ['time_tag', 'bx_gsm', 'by_gsm', 'bz_gsm', 'lon_gsm', 'lat_gsm', 'bt'];
+const magRow = (time, bz) => [time, '1', '2', String(bz), '0', '0', '10'];
+
+function makeScenario() {
+  return {
+    plasma: [['time_tag', 'density', 'speed', 'temperature'], ['2024-05-10 17:00:00.000', '20', '700', '500000']],
+    mag: [HEADER, magRow('2024-05-10 17:00:00.000', -5), magRow('2024-05-10 18:00:00.000', -30)],
+    kp: [['time_tag', 'Kp'], ['2024-05-10 12:00:00.000', '5'], ['2024-05-10 15:00:00.000', '8']],
+    snapshots: [
+      { time: '2024-05-10T17:00:00Z', scales: { 0: { G: { Scale: '3' } } }, ovation: null, kpForecast: null, hemiPower: null },
+      { time: '2024-05-10T18:00:00Z', scales: { 0: { G: { Scale: '4' } } }, ovation: null, kpForecast: null, hemiPower: null }
+    ]
+  };
+}
+
+describe('Storm Scenarios', () => {
+
+  it('should accept the bundled scenario and reject malformed ones', () => {
+    const bundled = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'scenarios', 'synthetic-g4.json'), 'utf8'));
+    assert.strictEqual(validateScenario(bundled), null);
+    assert.strictEqual(validateScenario(makeScenario()), null);
+
+    assert.match(validateScenario({ ...makeScenario(), mag: [HEADER] }), /mag/);
+    assert.match(validateScenario({ ...makeScenario(), snapshots: [] }), /snapshot/);
+    const outOfOrder = makeScenario();
+    outOfOrder.snapshots.reverse();
+    assert.match(validateScenario(outOfOrder), /order/);
+  });
+
+  it('should merge overlapping polls without duplicating rows', () => {
+    const first = [HEADER, magRow('2024-05-10 17:00:00.000', -5), magRow('2024-05-10 17:01:00.000', -6)];
+    const second = [HEADER, magRow('2024-05-10 17:01:00.000', -7), magRow('2024-05-10 17:02:00.000', -8)];
+    const merged = mergeFeedRows(first, second);
+    assert.strictEqual(merged.length, 4);
+    assert.deepStrictEqual(merged[0], HEADER);
+    // The later poll wins for a repeated time tag
+    assert.strictEqual(merged[2][3], '-7');
+
+    const scenario = appendRecording({}, { mag: second, plasma: null, scales: {} }, new Date('2024-05-10T17:02:30Z'));
+    assert.strictEqual(scenario.snapshots.length, 1);
+    assert.deepStrictEqual(getScenarioRange(scenario), {
+      start: Date.parse('2024-05-10T17:02:30Z'),
+      end: Date.parse('2024-05-10T17:02:30Z')
+    });
+  });
+
+  it('should only serve rows and snapshots that existed at the slice time', () => {
+    const scenario = makeScenario();
+    const feeds = sliceScenarioAt(scenario, Date.parse('2024-05-10T17:30:00Z'));
+    assert.strictEqual(feeds.mag.length, 2);
+    assert.strictEqual(feeds.scales[0].G.Scale, '3');
+    // The 15:00 Kp interval is not published until it closes at 18:00
+    assert.strictEqual(feeds.kp.length, 2);
+
+    const later = sliceScenarioAt(scenario, Date.parse('2024-05-10T18:00:00Z'));
+    assert.strictEqual(later.mag.length, 3);
+    assert.strictEqual(later.kp.length, 3);
+    assert.strictEqual(later.scales[0].G.Scale, '4');
+  });
+
+  it('should advance the replay clock at the chosen speed', () => {
+    const replay = { start: 0, end: 10 * HOUR, speed: 60, startedAt: 1000 };
+    assert.deepStrictEqual(getSimulatedTime(replay, 1000 + 60 * 1000), { time: HOUR, finished: false });
+    assert.deepStrictEqual(getSimulatedTime(replay, 1000 + 20 * 60 * 1000), { time: 10 * HOUR, finished: true });
+    assert.deepStrictEqual(getSimulatedTime({ ...replay, loop: true }, 1000 + 11 * 60 * 1000), { time: HOUR, finished: false });
+  });
+});
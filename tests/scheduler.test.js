@@ -0,0 +1,65 @@
+/**
+ * Nocturne Scheduler Tests
+ * Time zone schedules, DST, weekdays and missed-run catch-up (src/js/scheduler.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  zonedTimeToUtc,
+  getZonedDayRange,
+  parseWeekdays,
+  getDueRuns,
+  getNextRun
+} from '../src/js/scheduler.js';
+
+const LA = 'America/Los_Angeles';
+const iso = ms => new Date(ms).toISOString();
+const DAILY_8AM = { time: '08:00', timezone: LA, weekdays: [0, 1, 2, 3, 4, 5, 6], catchUp: 'latest' };
+
+describe('Scheduler', () => {
+
+  it('should keep local wall-clock time across DST changes', () => {
+    assert.strictEqual(iso(zonedTimeToUtc('2024-01-15', '08:00', LA)), '2024-01-15T16:00:00.000Z');
+    assert.strictEqual(iso(zonedTimeToUtc('2024-07-15', '08:00', LA)), '2024-07-15T15:00:00.000Z');
+    assert.strictEqual(iso(zonedTimeToUtc('2024-06-01', '23:45', 'Asia/Kolkata')), '2024-06-01T18:15:00.000Z');
+
+    // Skipped hour runs late, repeated hour runs on its first occurrence
+    assert.strictEqual(iso(zonedTimeToUtc('2024-03-10', '02:30', LA)), '2024-03-10T10:30:00.000Z');
+    assert.strictEqual(iso(zonedTimeToUtc('2024-11-03', '01:30', LA)), '2024-11-03T08:30:00.000Z');
+  });
+
+  it('should span 23 and 25 hour local days', () => {
+    const hours = ({ start, end }) => (end - start) / 3600000;
+    assert.strictEqual(hours(getZonedDayRange('2024-03-10', LA)), 23);
+    assert.strictEqual(hours(getZonedDayRange('2024-11-03', LA)), 25);
+    assert.strictEqual(iso(getZonedDayRange('2024-07-14', LA).start), '2024-07-14T07:00:00.000Z');
+  });
+
+  it('should parse weekday selections', () => {
+    assert.deepStrictEqual(parseWeekdays('weekdays'), [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(parseWeekdays('Mon-Fri'), [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(parseWeekdays('fri-mon'), [0, 1, 5, 6]);
+    assert.deepStrictEqual(parseWeekdays('sat,sun'), [0, 6]);
+    assert.deepStrictEqual(parseWeekdays([3, 1, 1]), [1, 3]);
+    assert.strictEqual(parseWeekdays('someday'), null);
+    assert.strictEqual(parseWeekdays([7]), null);
+  });
+
+  it('should catch up missed runs per policy and skip unselected days', () => {
+    // Monday 13:00 PDT; last run Friday
+    const now = Date.parse('2024-07-15T20:00:00Z');
+    assert.deepStrictEqual(getDueRuns({ ...DAILY_8AM, catchUp: 'all' }, '2024-07-12', now), ['2024-07-13', '2024-07-14', '2024-07-15']);
+    assert.deepStrictEqual(getDueRuns(DAILY_8AM, '2024-07-12', now), ['2024-07-15']);
+    assert.deepStrictEqual(getDueRuns({ ...DAILY_8AM, catchUp: 'none' }, '2024-07-12', now), []);
+    assert.deepStrictEqual(getDueRuns({ ...DAILY_8AM, catchUp: 'none' }, '2024-07-12', Date.parse('2024-07-15T15:02:00Z')), ['2024-07-15']);
+    assert.deepStrictEqual(getDueRuns(DAILY_8AM, '2024-07-15', now), [], 'Already ran today');
+    assert.deepStrictEqual(getDueRuns({ ...DAILY_8AM, catchUp: 'all' }, null, now), ['2024-07-15'], 'Never run: only today');
+
+    const weekdays = { ...DAILY_8AM, weekdays: [1, 2, 3, 4, 5], catchUp: 'all' };
+    assert.deepStrictEqual(getDueRuns(weekdays, '2024-07-12', now), ['2024-07-15']);
+    assert.strictEqual(iso(getNextRun(weekdays, Date.parse('2024-07-19T16:00:00Z'))), '2024-07-22T15:00:00.000Z', 'Friday after 8 AM → Monday');
+  });
+});
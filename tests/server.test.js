@@ -4,15 +4,18 @@
  * 
  * Test Organization:
  * ├── Static File Serving     (10 tests) - HTML, CSS, JS, PWA assets
- * ├── Aurora/Solar APIs       (12 tests) - /api/solar-wind, /api/aurora/status
- * ├── Aurora Support APIs     (11 tests) - /api/clouds, /api/ovation, /api/weather/forecast
+ * ├── Aurora/Solar APIs       (29 tests) - /api/solar-wind, /api/aurora/status, decision, probability, nowcast, events, planning, history
+ * ├── Alert APIs              (12 tests) - /api/alerts/subscriptions CRUD, auth, location name cap, daily summary schedule, test notifications
+ * ├── Sighting APIs           (5 tests)  - /api/sightings log, photos, calibration, probability model training
+ * ├── Aurora Support APIs     (13 tests) - /api/clouds, /api/ovation, OVATION grid, /api/weather/forecast
  * ├── Stocks APIs             (15 tests) - /api/stocks/*, market status, movers, charts
  * ├── Crypto APIs             (2 tests)  - /api/crypto/prices
  * ├── News APIs               (2 tests)  - /api/news/headlines  
- * ├── Status APIs             (3 tests)  - /api/status
+ * ├── Simulation APIs         (3 tests)  - /api/simulation scenario replay
+ * ├── Status APIs             (5 tests)  - /api/status, history store, poller
  * └── Security & Validation   (7 tests)  - Error handling, data validation
  * 
- * Total: 59 tests
+ * Total: 100 tests
  * 
  * Run: npm test
  */
@@ -23,6 +26,8 @@ import http from 'node:http';
 import { spawn } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
 import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -33,6 +38,33 @@ const BASE_URL = `http://localhost:${TEST_PORT}`;
 // Server process
 let serverProcess = null;
 
+// Local receiver standing in for a generic JSON webhook channel
+const WEBHOOK_PORT = 8098;
+const webhookPayloads = [];
+const webhookServer = http.createServer((req, res) => {
+  let data = '';
+  req.on('data', chunk => data += chunk);
+  req.on('end', () => {
+    try { webhookPayloads.push(JSON.parse(data)); } catch { /* ignore non-JSON */ }
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+// Management APIs require this bearer token in tests
+const ADMIN_TOKEN = 'test-admin-token';
+const AUTH = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+// Isolated state directory so test runs never touch real history/state files
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'nocturne-test-'));
+
+// Pre-seeded solar wind history (3 recent per-minute samples)
+const SEEDED_HISTORY = [3, 2, 1].map(minutesAgo => ({
+  time: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+  density: 5, speed: 420, temperature: 90000,
+  bx: 1, by: 2, bz: -4, bt: 6
+}));
+
 // Helper to make HTTP requests
 function httpGet(urlPath, timeout = 5000) {
   return new Promise((resolve, reject) => {
@@ -66,6 +98,38 @@ function httpGet(urlPath, timeout = 5000) {
   });
 }
 
+// Helper to make JSON requests with a method and optional body
+function httpRequest(method, urlPath, body = null, headers = {}, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => reject(new Error('Request timeout')), timeout);
+    const payload = body === null ? null : JSON.stringify(body);
+    const req = http.request(new URL(urlPath, BASE_URL), {
+      method,
+      headers: {
+        ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+        ...headers
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        clearTimeout(timeoutId);
+        try {
+          resolve({ status: res.statusCode, headers: res.headers, data: data ? JSON.parse(data) : null });
+        } catch {
+          resolve({ status: res.statusCode, headers: res.headers, data });
+        }
+      });
+    });
+    req.on('error', (err) => {
+      clearTimeout(timeoutId);
+      reject(err);
+    });
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
 // Wait for server to be ready
 async function waitForServer(maxAttempts = 30) {
   for (let i = 0; i < maxAttempts; i++) {
@@ -87,8 +151,17 @@ describe('Nocturne Server v3.1.0', () => {
   
   before(async () => {
     const serverPath = path.join(__dirname, '..', 'server.js');
+    fs.writeFileSync(
+      path.join(DATA_DIR, '.solar-wind-history.ndjson'),
+      SEEDED_HISTORY.map(s => JSON.stringify(s)).join('\n') + '\n'
+    );
+    await new Promise(resolve => webhookServer.listen(WEBHOOK_PORT, resolve));
     serverProcess = spawn('node', [serverPath], {
-      env: { ...process.env, PORT: TEST_PORT },
+      env: {
+        ...process.env, PORT: TEST_PORT, DATA_DIR, ADMIN_TOKEN,
+        WEBHOOK_URL: `http://localhost:${WEBHOOK_PORT}/hook`,
+        NOTIFY_AURORA: 'webhook', NOTIFY_STOCKS: 'none', NOTIFY_DAILY: 'none'
+      },
       stdio: ['pipe', 'pipe', 'pipe']
     });
     serverProcess.stdout.on('data', () => {});
@@ -100,6 +173,8 @@ describe('Nocturne Server v3.1.0', () => {
     if (serverProcess) {
       serverProcess.kill('SIGTERM');
     }
+    webhookServer.close();
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
   });
 
   // =========================================================================
@@ -170,7 +245,7 @@ describe('Nocturne Server v3.1.0', () => {
   });
 
   // =========================================================================
-  // AURORA / SOLAR WIND APIs (12 tests)
+  // AURORA / SOLAR WIND APIs (16 tests)
   // =========================================================================
 
   describe('API: /api/solar-wind', () => {
@@ -244,6 +319,17 @@ describe('Nocturne Server v3.1.0', () => {
       const res = await httpGet('/api/solar-wind');
       assert.ok(res.data.clockAngle >= 0 && res.data.clockAngle <= 360);
     });
+
+    it('should report data freshness with a fallback flag', async () => {
+      const res = await httpGet('/api/solar-wind');
+      const { freshness } = res.data;
+      assert.ok(['live', 'stale', 'mock'].includes(freshness.status));
+      assert.strictEqual(typeof freshness.fallback, 'boolean');
+      assert.ok(Array.isArray(freshness.gaps));
+      assert.ok('ageMinutes' in freshness && 'satellite' in freshness);
+      // Placeholder values are always marked as a fallback
+      if (freshness.status === 'mock') assert.strictEqual(freshness.fallback, true);
+    });
   });
 
   describe('API: /api/aurora/status', () => {
@@ -263,12 +349,393 @@ describe('Nocturne Server v3.1.0', () => {
       const res = await httpGet('/api/aurora/status');
       assert.ok(['GO', 'MAYBE', 'NO GO', 'Unknown'].includes(res.data.status));
     });
+
+    it('should report Kp and hemispheric power as numbers or null', async () => {
+      const res = await httpGet('/api/aurora/status');
+      for (const field of ['kp', 'kpForecastMax', 'hemisphericPower']) {
+        assert.ok(res.data[field] === null || typeof res.data[field] === 'number', `${field} should be a number or null`);
+      }
+    });
+
+    it('should decide for the requested location, else the alert location', async () => {
+      const res = await httpGet('/api/aurora/status?lat=-42.9&lon=147.3', 15000);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.data.location, { name: null, latitude: -42.9, longitude: 147.3 });
+
+      const bad = await httpGet('/api/aurora/status?lat=95&lon=0');
+      assert.strictEqual(bad.status, 400);
+      assert.ok(bad.data.error.includes('lat'));
+    });
+  });
+
+  describe('API: /api/aurora/decision', () => {
+
+    it('should return a verdict with reasons, darkness and factors', async () => {
+      const res = await httpGet('/api/aurora/decision?lat=64.8&lon=-147.7', 15000);
+      assert.strictEqual(res.status, 200);
+      assert.ok(['GO', 'NO GO'].includes(res.data.decision));
+      assert.strictEqual(typeof res.data.reason, 'string');
+      assert.ok(['high', 'medium', 'low'].includes(res.data.confidence));
+      assert.ok(Array.isArray(res.data.factors) && res.data.factors.length > 0);
+      assert.ok(['night', 'nautical', 'civil', 'horizon', 'day'].includes(res.data.darkness.level));
+      assert.ok('nextDark' in res.data.darkness);
+      assert.ok(res.data.darkness.moon.illumination >= 0 && res.data.darkness.moon.illumination <= 1);
+      assert.ok(['none', 'low', 'moderate', 'high'].includes(res.data.darkness.moon.interference));
+      assert.ok('visibleLatitude' in res.data);
+      assert.ok('magneticLatitude' in res.data);
+      assert.ok('visibleMagneticLatitude' in res.data);
+      assert.deepStrictEqual(res.data.location, { latitude: 64.8, longitude: -147.7 });
+    });
+
+    it('should never give a verdict on placeholder data', async () => {
+      const res = await httpGet('/api/aurora/decision?lat=64.8&lon=-147.7', 15000);
+      assert.ok(res.data.freshness, 'should include freshness');
+      if (res.data.freshness.status === 'mock') {
+        assert.strictEqual(res.data.decision, 'NO GO');
+        assert.strictEqual(res.data.blockedBy, 'data');
+        assert.strictEqual(res.data.probability.baseline.similarity, null);
+      }
+    });
+
+    it('should expose the learned probability next to the similarity baseline', async () => {
+      const res = await httpGet('/api/aurora/decision?lat=64.8&lon=-147.7', 15000);
+      assert.strictEqual(res.status, 200);
+      // No model until enough sightings are logged and it is trained
+      assert.strictEqual(res.data.probability.probability, null);
+      assert.strictEqual(res.data.probability.model, null);
+      assert.ok('similarity' in res.data.probability.baseline);
+    });
+
+    it('should default to the alert location', async () => {
+      const res = await httpGet('/api/aurora/decision', 15000);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(typeof res.data.location.latitude, 'number');
+    });
+
+    it('should reject out-of-range coordinates', async () => {
+      const badLat = await httpGet('/api/aurora/decision?lat=95&lon=0');
+      assert.strictEqual(badLat.status, 400);
+      const badLon = await httpGet('/api/aurora/decision?lat=60&lon=abc');
+      assert.strictEqual(badLon.status, 400);
+    });
+  });
+
+  describe('API: /api/aurora/nowcast', () => {
+
+    it('should return an hourly timeline for tonight', async () => {
+      const res = await httpGet('/api/aurora/nowcast?lat=64.8&lon=-147.7', 15000);
+      assert.strictEqual(res.status, 200);
+      assert.ok(Array.isArray(res.data.hours));
+      assert.ok(Array.isArray(res.data.windows));
+      assert.ok('bestWindow' in res.data);
+      assert.ok(res.data.hours.length <= 24);
+      assert.ok('rise' in res.data.moon && 'set' in res.data.moon);
+      for (const hour of res.data.hours) {
+        assert.strictEqual(typeof hour.sun.altitude, 'number');
+        assert.ok(['none', 'low', 'moderate', 'high'].includes(hour.moon.interference));
+        assert.strictEqual(typeof hour.predictedG, 'number');
+        assert.ok(hour.score >= 0 && hour.score <= 100);
+      }
+    });
+
+    it('should reject out-of-range coordinates', async () => {
+      const res = await httpGet('/api/aurora/nowcast?lat=-91&lon=0');
+      assert.strictEqual(res.status, 400);
+    });
+  });
+
+  describe('API: /api/aurora/events', () => {
+
+    it('should list storm watches, warnings and flares or report NOAA unavailable', async () => {
+      const res = await httpGet('/api/aurora/events', 20000);
+      assert.ok([200, 503].includes(res.status), `Unexpected status ${res.status}`);
+      if (res.status === 503) {
+        assert.strictEqual(res.data.error, 'Space weather events unavailable');
+        return;
+      }
+      for (const key of ['stormWatches', 'warnings', 'cmeSignatures', 'flares']) {
+        assert.ok(Array.isArray(res.data[key]), `${key} should be an array`);
+      }
+      for (const watch of res.data.stormWatches) {
+        assert.ok(Date.parse(watch.arrival.end) > Date.parse(watch.arrival.start));
+      }
+      assert.ok(res.data.updated);
+    });
+  });
+
+  describe('API: /api/aurora/planning', () => {
+
+    it('should return a calendar of upcoming nights', async () => {
+      const res = await httpGet('/api/aurora/planning?lat=64.8&lon=-147.7', 20000);
+      assert.strictEqual(res.status, 200);
+      assert.ok(res.data.nights.length >= 7 && res.data.nights.length <= 27);
+      assert.ok(Array.isArray(res.data.bestNights));
+      assert.ok('outlookIssued' in res.data.sources);
+      for (const night of res.data.nights) {
+        assert.match(night.date, /^\d{4}-\d{2}-\d{2}$/);
+        assert.ok(['good', 'fair', 'poor'].includes(night.rating));
+        assert.ok(night.score >= 0 && night.score <= 100);
+        assert.ok([null, 'noaa', 'outlook'].includes(night.source));
+      }
+    });
+
+    it('should reject invalid coordinates', async () => {
+      const res = await httpGet('/api/aurora/planning?lat=64.8&lon=200');
+      assert.strictEqual(res.status, 400);
+    });
+  });
+
+  describe('API: /api/aurora/history', () => {
+
+    it('should return downsampled points from stored history', async () => {
+      const res = await httpGet('/api/aurora/history?range=1h&resolution=1m');
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.data.resolution, '1m');
+      assert.ok(res.data.count >= SEEDED_HISTORY.length);
+      const point = res.data.points[0];
+      assert.strictEqual(point.bz.avg, -4);
+      assert.ok('min' in point.speed && 'max' in point.speed);
+      assert.ok('clockAngle' in point && 'similarity' in point && 'pressure' in point);
+    });
+
+    it('should only return requested metrics', async () => {
+      const res = await httpGet('/api/aurora/history?range=1h&metrics=bz,speed');
+      assert.deepStrictEqual(res.data.metrics, ['bz', 'speed']);
+      const keys = Object.keys(res.data.points[0]).sort();
+      assert.deepStrictEqual(keys, ['bz', 'samples', 'speed', 'time']);
+    });
+
+    it('should aggregate into hourly buckets', async () => {
+      const res = await httpGet('/api/aurora/history?range=24h&resolution=1h&metrics=bz');
+      assert.strictEqual(res.status, 200);
+      assert.ok(res.data.points.every(p => p.time.endsWith(':00:00.000Z')));
+    });
+
+    it('should reject invalid resolution and metrics', async () => {
+      const badRes = await httpGet('/api/aurora/history?resolution=2m');
+      assert.strictEqual(badRes.status, 400);
+      const badMetric = await httpGet('/api/aurora/history?metrics=kp');
+      assert.strictEqual(badMetric.status, 400);
+      assert.ok(badMetric.data.error.includes('kp'));
+    });
   });
 
   // =========================================================================
   // AURORA SUPPORT APIs (11 tests) - clouds, ovation, weather for aurora module
   // =========================================================================
 
+  // ===========================================================================
+  // ALERT SUBSCRIPTION APIs
+  // ===========================================================================
+
+  describe('API: /api/alerts/subscriptions', () => {
+    const subscription = {
+      email: 'observer@example.com',
+      locationName: 'Tromsø, NO',
+      latitude: 69.65,
+      longitude: 18.96,
+      timezone: 'Europe/Oslo',
+      quietHours: { start: '23:00', end: '06:00' }
+    };
+    let createdId = null;
+
+    it('should reject requests without the admin token', async () => {
+      const res = await httpRequest('GET', '/api/alerts/subscriptions');
+      assert.strictEqual(res.status, 401);
+    });
+
+    it('should create a subscription with defaults applied', async () => {
+      const res = await httpRequest('POST', '/api/alerts/subscriptions', subscription, AUTH);
+      assert.strictEqual(res.status, 201);
+      assert.ok(res.data.id, 'Should assign an id');
+      assert.strictEqual(res.data.email, subscription.email);
+      assert.deepStrictEqual(res.data.quietHours, subscription.quietHours);
+      assert.strictEqual(typeof res.data.minSimilarity, 'number');
+      assert.strictEqual(res.data.enabled, true);
+      createdId = res.data.id;
+    });
+
+    it('should list created subscriptions', async () => {
+      const res = await httpRequest('GET', '/api/alerts/subscriptions', null, AUTH);
+      assert.strictEqual(res.status, 200);
+      assert.ok(res.data.subscriptions.some(s => s.id === createdId));
+      assert.strictEqual(res.data.legacy, false);
+      assert.strictEqual(typeof res.data.levels, 'object');
+      assert.strictEqual(typeof res.data.deferred, 'object');
+    });
+
+    it('should reject invalid coordinates and time zones', async () => {
+      const badLat = await httpRequest('POST', '/api/alerts/subscriptions', { ...subscription, latitude: 120 }, AUTH);
+      assert.strictEqual(badLat.status, 400);
+      assert.ok(badLat.data.error.includes('latitude'));
+
+      const badTz = await httpRequest('POST', '/api/alerts/subscriptions', { ...subscription, timezone: 'Mars/Olympus' }, AUTH);
+      assert.strictEqual(badTz.status, 400);
+    });
+
+    it('should validate Kp and hemispheric power thresholds', async () => {
+      const badKp = await httpRequest('POST', '/api/alerts/subscriptions', { ...subscription, minKp: 12 }, AUTH);
+      assert.strictEqual(badKp.status, 400);
+      assert.ok(badKp.data.error.includes('minKp'));
+
+      const res = await httpRequest('PUT', `/api/alerts/subscriptions/${createdId}`, { minKp: 5, minHemisphericPower: 50 }, AUTH);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.data.minKp, 5);
+      assert.strictEqual(res.data.minHemisphericPower, 50);
+    });
+
+    it('should opt in to storm watch alerts by default and validate the flag', async () => {
+      const res = await httpRequest('GET', `/api/alerts/subscriptions/${createdId}`, null, AUTH);
+      assert.strictEqual(res.data.stormWatch, true);
+
+      const bad = await httpRequest('PUT', `/api/alerts/subscriptions/${createdId}`, { stormWatch: 'yes' }, AUTH);
+      assert.strictEqual(bad.status, 400);
+      assert.ok(bad.data.error.includes('stormWatch'));
+    });
+
+    it('should validate a per-recipient daily summary schedule', async () => {
+      const res = await httpRequest('PUT', `/api/alerts/subscriptions/${createdId}`, { dailySummary: { time: '07:30', weekdays: 'mon-fri' } }, AUTH);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.data.dailySummary, { time: '07:30', weekdays: [1, 2, 3, 4, 5] });
+
+      const badTime = await httpRequest('PUT', `/api/alerts/subscriptions/${createdId}`, { dailySummary: { time: '25:00' } }, AUTH);
+      assert.strictEqual(badTime.status, 400);
+      assert.ok(badTime.data.error.includes('dailySummary'));
+      const badDays = await httpRequest('PUT', `/api/alerts/subscriptions/${createdId}`, { dailySummary: { time: '07:30', weekdays: 'someday' } }, AUTH);
+      assert.strictEqual(badDays.status, 400);
+    });
+
+    it('should cap location names that end up in alert emails', async () => {
+      const link = '<a href="https://phish.example/login">Verify your account</a>';
+      const tooLong = await httpRequest('POST', '/api/alerts/subscriptions', { ...subscription, locationName: link.repeat(2) }, AUTH);
+      assert.strictEqual(tooLong.status, 400);
+      assert.ok(tooLong.data.error.includes('locationName'));
+
+      // Stored as typed - the email builders escape it
+      const res = await httpRequest('PUT', `/api/alerts/subscriptions/${createdId}`, { locationName: link }, AUTH);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.data.locationName, link);
+    });
+
+    it('should update thresholds on an existing subscription', async () => {
+      const res = await httpRequest('PUT', `/api/alerts/subscriptions/${createdId}`, { minSimilarity: 60, quietHours: null }, AUTH);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.data.minSimilarity, 60);
+      assert.strictEqual(res.data.quietHours, null);
+      assert.strictEqual(res.data.latitude, subscription.latitude, 'Unchanged fields should be kept');
+    });
+
+    it('should delete a subscription and 404 afterwards', async () => {
+      const res = await httpRequest('DELETE', `/api/alerts/subscriptions/${createdId}`, null, AUTH);
+      assert.strictEqual(res.status, 200);
+
+      const missing = await httpRequest('GET', `/api/alerts/subscriptions/${createdId}`, null, AUTH);
+      assert.strictEqual(missing.status, 404);
+    });
+  });
+
+  describe('API: /api/alerts/test', () => {
+    it('should deliver a test notification to the webhook channel', async () => {
+      const res = await httpRequest('POST', '/api/alerts/test', { type: 'aurora' }, AUTH);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.data.results.webhook, 'sent');
+
+      const payload = webhookPayloads.find(p => p.type === 'aurora');
+      assert.ok(payload, 'Webhook should receive the test payload');
+      assert.ok(payload.subject.includes('test notification'));
+      assert.strictEqual(typeof payload.text, 'string');
+      assert.strictEqual(typeof payload.html, 'string');
+    });
+
+    it('should reject alert types with no routed channels', async () => {
+      const res = await httpRequest('POST', '/api/alerts/test', { type: 'stocks' }, AUTH);
+      assert.strictEqual(res.status, 400);
+
+      const unknown = await httpRequest('POST', '/api/alerts/test', { type: 'weather' }, AUTH);
+      assert.strictEqual(unknown.status, 400);
+    });
+  });
+
+  describe('API: /api/sightings', () => {
+    // 1x1 PNG
+    const PHOTO = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+    // Older than the live window, so conditions come from the history store without network calls
+    const sighting = {
+      time: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+      latitude: 64.8,
+      longitude: -147.7,
+      locationName: 'Cleary Summit',
+      visibility: 'naked-eye',
+      intensity: 3,
+      notes: 'Green arc to the north, pink fringes'
+    };
+    let createdId = null;
+
+    it('should reject requests without the admin token', async () => {
+      const res = await httpRequest('GET', '/api/sightings');
+      assert.strictEqual(res.status, 401);
+    });
+
+    it('should log a sighting with a photo and a conditions snapshot', async () => {
+      const res = await httpRequest('POST', '/api/sightings', { ...sighting, photo: PHOTO }, AUTH);
+      assert.strictEqual(res.status, 201);
+      assert.ok(res.data.id);
+      assert.strictEqual(res.data.intensity, 3);
+      assert.strictEqual(res.data.conditions.source, 'history');
+      assert.ok('solarWind' in res.data.conditions);
+      assert.strictEqual(typeof res.data.conditions.darkness.level, 'string');
+      assert.strictEqual(res.data.photo.type, 'image/png');
+      createdId = res.data.id;
+
+      const photo = await httpRequest('GET', `/api/sightings/${createdId}/photo`, null, AUTH);
+      assert.strictEqual(photo.status, 200);
+      assert.strictEqual(photo.headers['content-type'], 'image/png');
+    });
+
+    it('should reject inconsistent intensity, future times and non-image photos', async () => {
+      const nothingSeen = await httpRequest('POST', '/api/sightings', { ...sighting, visibility: 'none' }, AUTH);
+      assert.strictEqual(nothingSeen.status, 400);
+
+      const future = await httpRequest('POST', '/api/sightings', { ...sighting, time: new Date(Date.now() + 3600000).toISOString() }, AUTH);
+      assert.strictEqual(future.status, 400);
+      assert.ok(future.data.error.includes('time'));
+
+      const badPhoto = await httpRequest('POST', '/api/sightings', { ...sighting, photo: 'data:text/plain;base64,aGk=' }, AUTH);
+      assert.strictEqual(badPhoto.status, 400);
+      assert.ok(badPhoto.data.error.includes('photo'));
+    });
+
+    it('should refuse to train the probability model on too few sightings', async () => {
+      const model = await httpGet('/api/aurora/model');
+      assert.strictEqual(model.status, 200);
+      assert.strictEqual(model.data.model, null);
+
+      const unauthorized = await httpRequest('POST', '/api/aurora/model');
+      assert.strictEqual(unauthorized.status, 401);
+
+      const res = await httpRequest('POST', '/api/aurora/model', null, AUTH);
+      assert.strictEqual(res.status, 400);
+      assert.ok(res.data.error.includes('at least'));
+    });
+
+    it('should list, calibrate and delete sightings', async () => {
+      const list = await httpRequest('GET', '/api/sightings', null, AUTH);
+      assert.strictEqual(list.status, 200);
+      assert.ok(list.data.sightings.some(s => s.id === createdId));
+
+      const calibration = await httpRequest('GET', '/api/sightings/calibration', null, AUTH);
+      assert.strictEqual(calibration.status, 200);
+      assert.strictEqual(calibration.data.total, list.data.sightings.length);
+      assert.ok(Array.isArray(calibration.data.bands));
+      assert.ok('nakedEye' in calibration.data.suggestedMinSimilarity);
+
+      const res = await httpRequest('DELETE', `/api/sightings/${createdId}`, null, AUTH);
+      assert.strictEqual(res.status, 200);
+      const missing = await httpRequest('GET', `/api/sightings/${createdId}/photo`, null, AUTH);
+      assert.strictEqual(missing.status, 404);
+    });
+  });
+
   describe('API: /api/clouds', () => {
     
     it('should return cloud data with required fields', async () => {
@@ -322,6 +789,32 @@ describe('Nocturne Server v3.1.0', () => {
     });
   });
 
+  describe('API: /api/aurora/ovation/grid', () => {
+
+    it('should return grid points and a view line, or 503 without NOAA data', async () => {
+      const res = await httpGet('/api/aurora/ovation/grid?hemisphere=north&bbox=-180,35,180,90', 15000);
+      assert.ok([200, 503].includes(res.status));
+      if (res.status === 200) {
+        assert.ok(Array.isArray(res.data.points) && Array.isArray(res.data.viewLine));
+        assert.ok(res.data.points.every(([lon, lat]) => lon >= -180 && lon <= 180 && lat >= 35));
+      } else {
+        assert.ok(res.data.error);
+      }
+    });
+
+    it('should reject invalid hemisphere, bbox and minProbability', async () => {
+      const badHemisphere = await httpGet('/api/aurora/ovation/grid?hemisphere=east');
+      assert.strictEqual(badHemisphere.status, 400);
+
+      const badBbox = await httpGet('/api/aurora/ovation/grid?bbox=0,60,10');
+      assert.strictEqual(badBbox.status, 400);
+      assert.ok(badBbox.data.error.includes('bbox'));
+
+      const badMin = await httpGet('/api/aurora/ovation/grid?minProbability=150');
+      assert.strictEqual(badMin.status, 400);
+    });
+  });
+
   describe('API: /api/weather/forecast', () => {
     
     it('should return weather forecast with required fields', async () => {
@@ -477,7 +970,44 @@ describe('Nocturne Server v3.1.0', () => {
   });
 
   // =========================================================================
-  // STATUS API (3 tests)
+  // SIMULATION API (3 tests)
+  // =========================================================================
+
+  describe('API: /api/simulation', () => {
+    it('should list bundled scenarios with no replay running', async () => {
+      const res = await httpGet('/api/simulation');
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.data.active, false);
+      assert.ok(res.data.scenarios.some(s => s.id === 'synthetic-g4'));
+    });
+
+    it('should reject unauthorized, invalid and unknown replay requests', async () => {
+      const unauthorized = await httpRequest('POST', '/api/simulation', { scenario: 'synthetic-g4' });
+      assert.strictEqual(unauthorized.status, 401);
+      const badSpeed = await httpRequest('POST', '/api/simulation', { scenario: 'synthetic-g4', speed: -5 }, AUTH);
+      assert.strictEqual(badSpeed.status, 400);
+      const unknown = await httpRequest('POST', '/api/simulation', { scenario: 'no-such-storm' }, AUTH);
+      assert.strictEqual(unknown.status, 404);
+    });
+
+    it('should replay a scenario through the solar wind pipeline until stopped', async () => {
+      const start = await httpRequest('POST', '/api/simulation', { scenario: 'synthetic-g4', speed: 1000 }, AUTH);
+      assert.strictEqual(start.status, 200);
+      assert.strictEqual(start.data.active, true);
+
+      const wind = await httpGet('/api/solar-wind', 15000);
+      assert.strictEqual(wind.data.simulation?.active, true);
+      assert.ok(wind.data.simulation.simulatedTime.startsWith('2024-05-1'));
+
+      const stop = await httpRequest('DELETE', '/api/simulation', null, AUTH);
+      assert.deepStrictEqual(stop.data, { stopped: true });
+      const status = await httpGet('/api/status');
+      assert.strictEqual(status.data.simulation.active, false);
+    });
+  });
+
+  // =========================================================================
+  // STATUS API (5 tests)
   // =========================================================================
 
   describe('API: /api/status', () => {
@@ -499,6 +1029,23 @@ describe('Nocturne Server v3.1.0', () => {
       assert.ok('modules' in res.data);
       assert.ok('aurora' in res.data.modules && 'stocks' in res.data.modules);
     });
+
+    it('should report solar wind history loaded from disk', async () => {
+      const res = await httpGet('/api/status');
+      const history = res.data.history;
+      assert.ok(history.samples >= SEEDED_HISTORY.length);
+      assert.strictEqual(history.oldest, SEEDED_HISTORY[0].time);
+      assert.strictEqual(history.retentionDays, 30);
+    });
+
+    it('should report the background aurora poller schedule', async () => {
+      const res = await httpGet('/api/status');
+      const poller = res.data.poller;
+      assert.strictEqual(poller.enabled, true);
+      assert.strictEqual(poller.intervalMinutes, 5);
+      assert.ok(poller.running || !Number.isNaN(Date.parse(poller.nextRun)), 'A poll is running or scheduled');
+      assert.ok(poller.lastRun === null || !Number.isNaN(Date.parse(poller.lastRun)));
+    });
   });
 
   // =========================================================================
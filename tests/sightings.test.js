@@ -0,0 +1,71 @@
+/**
+ * Nocturne Sighting Log Tests
+ * Calibration of real outcomes against G4 similarity (src/js/sightings.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { CALIBRATION, summarizeSightingCalibration } from '../src/js/sightings.js';
+
+function sighting(similarity, visibility, decision = null) {
+  return {
+    visibility,
+    intensity: visibility === 'none' ? 0 : 2,
+    conditions: {
+      solarWind: similarity === null ? null : { similarity },
+      decision: decision && { decision }
+    }
+  };
+}
+
+describe('Sighting Calibration', () => {
+
+  it('should band outcomes by similarity and skip sightings without solar wind', () => {
+    const summary = summarizeSightingCalibration([
+      sighting(12, 'none'),
+      sighting(18, 'camera-only'),
+      sighting(55, 'naked-eye'),
+      sighting(59, 'naked-eye'),
+      sighting(null, 'naked-eye')
+    ]);
+
+    assert.strictEqual(summary.total, 5);
+    assert.strictEqual(summary.rated, 4);
+    assert.deepStrictEqual(summary.bands, [
+      { min: 10, max: 19, outings: 2, nakedEye: 0, cameraOnly: 1, none: 1, seenRate: 0.5 },
+      { min: 50, max: 59, outings: 2, nakedEye: 2, cameraOnly: 0, none: 0, seenRate: 1 }
+    ]);
+  });
+
+  it('should count outcomes by the verdict given at the time', () => {
+    const summary = summarizeSightingCalibration([
+      sighting(70, 'naked-eye', 'GO'),
+      sighting(65, 'none', 'GO'),
+      sighting(20, 'camera-only', 'NO GO'),
+      sighting(null, 'none')
+    ]);
+
+    assert.deepStrictEqual(summary.decisions.GO, { outings: 2, nakedEye: 1, cameraOnly: 0, none: 1 });
+    assert.deepStrictEqual(summary.decisions['NO GO'], { outings: 1, nakedEye: 0, cameraOnly: 1, none: 0 });
+  });
+
+  it('should only suggest thresholds once enough outings back them', () => {
+    const few = summarizeSightingCalibration([sighting(60, 'naked-eye'), sighting(70, 'naked-eye')]);
+    assert.deepStrictEqual(few.suggestedMinSimilarity, { nakedEye: null, camera: null });
+
+    // Camera catches it from 20%, the eye only from 40%
+    const log = [
+      sighting(3, 'none'), sighting(5, 'none'), sighting(8, 'none'),
+      sighting(11, 'none'), sighting(12, 'none'), sighting(13, 'none'), sighting(14, 'none'),
+      sighting(15, 'none'), sighting(17, 'none'), sighting(18, 'none'),
+      sighting(22, 'camera-only'), sighting(25, 'camera-only'), sighting(27, 'none'), sighting(28, 'none'),
+      sighting(42, 'naked-eye'), sighting(45, 'naked-eye'), sighting(48, 'camera-only'),
+      sighting(61, 'naked-eye'), sighting(75, 'naked-eye')
+    ];
+    assert.ok(log.length >= CALIBRATION.minSightings * 2);
+    const summary = summarizeSightingCalibration(log);
+    assert.deepStrictEqual(summary.suggestedMinSimilarity, { nakedEye: 40, camera: 20 });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Nocturne Space Weather Event Tests
+ * SWPC watch/warning parsing, arrival windows and flares (src/js/spaceWeatherEvents.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  classifyXrayFlux,
+  parseSwpcMessage,
+  getActiveStormWatches,
+  getActiveWarnings,
+  summarizeSpaceWeatherEvents
+} from '../src/js/spaceWeatherEvents.js';
+
+const NOW = Date.parse('2024-05-10T18:00:00Z');
+
+// alerts.json product as NOAA serves it
+function product(issued, lines) {
+  return { product_id: 'X', issue_datetime: issued, message: lines.join('\r\n') };
+}
+
+function watch(serial, issueTime, days, extra = []) {
+  return product(issueTime, [
+    'Space Weather Message Code: WATA50',
+    `Serial Number: ${serial}`,
+    `Issue Time: ${issueTime}`,
+    '',
+    'WATCH: Geomagnetic Storm Category G4 Predicted',
+    '',
+    'Highest Storm Level Predicted by Day:',
+    days,
+    '',
+    'THIS SUPERSEDES ANY/ALL PRIOR WATCHES IN EFFECT',
+    '',
+    'Comment: Several CMEs are anticipated to arrive at Earth.',
+    ...extra
+  ]);
+}
+
+describe('Space Weather Events', () => {
+
+  it('should classify GOES X-ray flux into flare classes', () => {
+    assert.strictEqual(classifyXrayFlux(2.2e-4), 'X2.2');
+    assert.strictEqual(classifyXrayFlux(5.5e-5), 'M5.5');
+    assert.strictEqual(classifyXrayFlux(1e-6), 'C1.0');
+    assert.strictEqual(classifyXrayFlux(3e-9), 'A0.3');
+    assert.strictEqual(classifyXrayFlux(0), null);
+  });
+
+  it('should parse a storm watch with predicted days across a year boundary', () => {
+    const m = parseSwpcMessage(watch('1001', '2024 Dec 30 2100 UTC', 'Dec 31:  G1   Jan 01:  G3   Jan 02:  None'));
+    assert.strictEqual(m.kind, 'watch');
+    assert.strictEqual(m.serial, '1001');
+    assert.strictEqual(m.issued, '2024-12-30T21:00:00.000Z');
+    assert.strictEqual(m.gScale, 4);
+    assert.strictEqual(m.cause, 'cme');
+    assert.strictEqual(m.supersedes, true);
+    assert.deepStrictEqual(m.predictedDays, [
+      { date: '2024-12-31', gScale: 1 },
+      { date: '2025-01-01', gScale: 3 },
+      { date: '2025-01-02', gScale: 0 }
+    ]);
+    assert.strictEqual(parseSwpcMessage({ message: 'no header here' }), null);
+  });
+
+  it('should keep only live watches with their arrival windows', () => {
+    const messages = [
+      watch('2001', '2024 May 09 1200 UTC', 'May 10:  G2   May 11:  G1   May 12:  None'),
+      watch('2002', '2024 May 10 1230 UTC', 'May 10:  G4   May 11:  G3   May 12:  G1'),
+      watch('2003', '2024 May 08 0000 UTC', 'May 08:  G1   May 09:  None   May 10:  None')
+    ].map(parseSwpcMessage);
+
+    // 2002 supersedes 2001; 2003's window has passed
+    const active = getActiveStormWatches(messages, NOW);
+    assert.deepStrictEqual(active.map(w => w.serial), ['2002']);
+    assert.strictEqual(active[0].gScale, 4);
+    // Starts when issued (mid-day), ends after the last G1+ day
+    assert.deepStrictEqual(active[0].arrival, {
+      start: '2024-05-10T12:30:00.000Z',
+      end: '2024-05-13T00:00:00.000Z'
+    });
+
+    const cancel = parseSwpcMessage(product('2024-05-10 13:00:00.000', [
+      'Space Weather Message Code: WATA99',
+      'Serial Number: 2004',
+      'Issue Time: 2024 May 10 1300 UTC',
+      '',
+      'CANCEL WATCH: Geomagnetic Storm Category G4 Predicted',
+      'Cancel Serial Number: 2002'
+    ]));
+    assert.strictEqual(cancel.kind, 'cancel-watch');
+    assert.deepStrictEqual(getActiveStormWatches([...messages, cancel], NOW), []);
+  });
+
+  it('should replace extended warnings and drop expired ones', () => {
+    const warning = (serial, issueTime, title, validTo, extra = []) => parseSwpcMessage(product(issueTime, [
+      'Space Weather Message Code: WARK07',
+      `Serial Number: ${serial}`,
+      `Issue Time: ${issueTime}`,
+      '',
+      title,
+      ...extra,
+      'Valid From: 2024 May 10 1500 UTC',
+      `${extra.length ? 'Now Valid Until' : 'Valid To'}: ${validTo}`
+    ]));
+    const messages = [
+      warning('3001', '2024 May 10 1500 UTC', 'WARNING: Geomagnetic K-index of 7 or greater expected', '2024 May 10 1700 UTC'),
+      warning('3002', '2024 May 10 1650 UTC', 'EXTENDED WARNING: Geomagnetic K-index of 7 or greater expected',
+        '2024 May 11 0300 UTC', ['Extension to Serial Number: 3001']),
+      warning('3003', '2024 May 10 1600 UTC', 'WARNING: Geomagnetic Sudden Impulse expected', '2024 May 10 1700 UTC')
+    ];
+
+    const active = getActiveWarnings(messages, NOW);
+    assert.strictEqual(active.length, 1);
+    assert.strictEqual(active[0].serial, '3002');
+    assert.strictEqual(active[0].kp, 7);
+    assert.strictEqual(active[0].gScale, 3);
+    assert.strictEqual(active[0].validTo, '2024-05-11T03:00:00.000Z');
+    assert.strictEqual(active[0].suddenImpulse, false);
+  });
+
+  it('should summarize flares, current X-ray flux and CME radio signatures up to now', () => {
+    const typeII = product('2024-05-10 07:00:00.000', [
+      'Space Weather Message Code: ALTTP2',
+      'Serial Number: 4001',
+      'Issue Time: 2024 May 10 0700 UTC',
+      '',
+      'ALERT: Type II Radio Emission',
+      'Estimated Velocity: 1440 km/s'
+    ]);
+    const future = watch('4002', '2024 May 11 0000 UTC', 'May 11:  G5   May 12:  G3');
+    const events = summarizeSpaceWeatherEvents({
+      alerts: [typeII, future],
+      xrays: [
+        { time_tag: '2024-05-10T17:58:00Z', flux: 3.1e-5, energy: '0.1-0.8nm', satellite: 16 },
+        { time_tag: '2024-05-10T17:59:00Z', flux: 2.5e-5, energy: '0.1-0.8nm', satellite: 16 },
+        { time_tag: '2024-05-10T17:59:00Z', flux: 4e-6, energy: '0.05-0.4nm', satellite: 16 },
+        { time_tag: '2024-05-10T18:05:00Z', flux: 9e-5, energy: '0.1-0.8nm', satellite: 16 }
+      ],
+      xrayFlares: [
+        { begin_time: '2024-05-10T06:27:00Z', max_time: '2024-05-10T06:54:00Z', end_time: '2024-05-10T07:06:00Z', max_class: 'X3.9', max_xrlong: 3.98e-4 },
+        { begin_time: '2024-05-10T10:10:00Z', max_time: '2024-05-10T10:20:00Z', end_time: '2024-05-10T10:30:00Z', max_class: 'C8.0', max_xrlong: 8e-6 },
+        { begin_time: '2024-05-09T17:23:00Z', max_time: '2024-05-09T17:44:00Z', end_time: '2024-05-09T18:00:00Z', max_class: 'X1.1', max_xrlong: 1.1e-4 }
+      ]
+    }, NOW);
+
+    // The watch issued after NOW is not known yet
+    assert.deepStrictEqual(events.stormWatches, []);
+    assert.strictEqual(events.strongestWatch, null);
+    assert.deepStrictEqual(events.cmeSignatures.map(c => c.velocity), [1440]);
+    assert.deepStrictEqual(events.flares.map(f => f.class), ['X3.9', 'X1.1']);
+    assert.strictEqual(events.xray.class, 'M2.5');
+    assert.strictEqual(events.xray.time, '2024-05-10T17:59:00.000Z');
+  });
+});